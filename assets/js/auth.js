@@ -1,18 +1,26 @@
 /**
  * AuthManager - Manages user authentication and session state
- * Handles login, logout, session validation, and password hashing
+ * Handles login, logout, session validation and registration
  */
 
 import { APP_VERSION } from './version.js';
 
 // Dynamic import with version
-const DataStoreManager = (await import(`./datastore.js?v=${APP_VERSION}`)).default;
+const { DataStoreClient } = await import(`./datastore-client.js?v=${APP_VERSION}`);
 
 class AuthManager {
-  constructor() {
-    this.dataStore = new DataStoreManager();
+  /**
+   * @param {DataStoreClient} [dataStore] - Client to use; pages pass their own so there is one datastore per page
+   */
+  constructor(dataStore = new DataStoreClient()) {
+    this.dataStore = dataStore;
     this.SESSION_KEY = 'sessionToken';
     this.SESSION_DURATION = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+    // Activity is recorded, and the session checked, at most once a minute
+    this.ACTIVITY_INTERVAL = 60 * 1000;
+    this.ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'scroll', 'touchstart'];
+    this.session = null;
+    this.sessionWatch = null;
   }
 
   /**
@@ -24,17 +32,25 @@ class AuthManager {
   }
 
   /**
-   * Hash password using SHA-256
-   * @param {string} password - Plain text password
-   * @returns {Promise<string>} - Hex string of hashed password
+   * Check whether the database is encrypted and waiting for its passphrase
+   * Nobody can log in until it has been unlocked in this tab
+   * @returns {boolean}
+   */
+  isLocked() {
+    return Boolean(this.dataStore.locked);
+  }
+
+  /**
+   * Unlock an encrypted database; the rest of this tab's pages then open it without asking again
+   * @param {string} passphrase - Database passphrase
+   * @returns {Promise<{success: boolean, error?: string}>}
    */
-  async hashPassword(password) {
-    const encoder = new TextEncoder();
-    const data = encoder.encode(password);
-    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-    return hashHex;
+  async unlock(passphrase) {
+    if (!passphrase) {
+      return { success: false, error: 'Passphrase is required' };
+    }
+
+    return await this.dataStore.unlock(passphrase);
   }
 
   /**
@@ -49,9 +65,11 @@ class AuthManager {
 
   /**
    * Authenticate user with credentials
+   * Failed attempts are counted per username: the wait before the next try doubles each time,
+   * and too many lock the account until the lockout runs out or an owner unlocks it
    * @param {string} username - Username
    * @param {string} password - Plain text password
-   * @returns {Promise<{success: boolean, sessionToken?: string, error?: string}>}
+   * @returns {Promise<{success: boolean, sessionToken?: string, error?: string, retryAt?: string, lockedUntil?: string}>}
    */
   async login(username, password) {
     try {
@@ -61,44 +79,143 @@ class AuthManager {
         return { success: false, error: 'Invalid username or password' };
       }
 
-      // Hash the password
-      const passwordHash = await this.hashPassword(password);
+      // Don't even check the password while the username is backing off or locked
+      const refusal = this.getThrottleRefusal(await this.dataStore.getLoginThrottle(username));
+      if (refusal) {
+        console.warn(`Login attempt refused for username: ${username}`);
+        return refusal;
+      }
 
-      // Verify credentials
-      const verification = await this.dataStore.verifyUser(username, passwordHash);
+      // Verify credentials (the datastore hashes the password with the user's salt)
+      const verification = await this.dataStore.verifyUser(username, password);
 
       if (!verification.valid) {
         // Log failed attempt for debugging (don't reveal which field is incorrect)
         console.warn(`Login attempt failed for username: ${username}`);
-        return { success: false, error: 'Invalid username or password' };
+        const throttle = await this.dataStore.recordFailedLogin(username);
+        return throttle.lockedUntil
+          ? this.getThrottleRefusal(throttle)
+          : { success: false, error: 'Invalid username or password' };
       }
 
-      // Generate session token
-      const sessionToken = this.generateSessionToken();
-      const expiresAt = new Date(Date.now() + this.SESSION_DURATION).toISOString();
+      await this.dataStore.clearFailedLogins(username);
 
-      // Store session data
-      const sessionData = {
-        token: sessionToken,
-        userId: verification.userId,
-        expiresAt: expiresAt
-      };
-
-      localStorage.setItem(this.SESSION_KEY, JSON.stringify(sessionData));
+      // Re-hash passwords stored with an older algorithm now that we have the plain text
+      if (verification.needsRehash) {
+        const upgrade = await this.dataStore.updateUserPassword(verification.userId, password);
+        if (!upgrade.success) {
+          console.warn('Failed to upgrade password hash:', upgrade.error);
+        }
+      }
 
-      return { success: true, sessionToken };
+      return { success: true, sessionToken: await this.startSession(verification.userId) };
     } catch (error) {
       console.error('Login failed:', error);
       return { success: false, error: 'Login failed. Please try again.' };
     }
   }
 
+  /**
+   * Explain why a username can't try to log in yet
+   * @param {object} throttle - { retryAt, lockedUntil } from the datastore's getLoginThrottle
+   * @returns {object|null} - Failed login result, or null when the attempt may go ahead
+   */
+  getThrottleRefusal({ retryAt, lockedUntil }) {
+    if (lockedUntil) {
+      const until = new Date(lockedUntil).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' });
+      return {
+        success: false,
+        error: `Account locked until ${until} after too many failed attempts. An owner can unlock it under Settings > Users.`,
+        lockedUntil
+      };
+    }
+
+    if (retryAt) {
+      const seconds = Math.max(1, Math.ceil((new Date(retryAt).getTime() - Date.now()) / 1000));
+      return {
+        success: false,
+        error: `Too many failed attempts. Try again in ${seconds} second${seconds === 1 ? '' : 's'}.`,
+        retryAt
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Start a session for a user who has just proved who they are
+   * The session is recorded in the datastore; the browser only keeps its token
+   * @param {number} userId - User ID
+   * @returns {Promise<string>} - Session token
+   */
+  async startSession(userId) {
+    const sessionToken = this.generateSessionToken();
+    const expiresAt = new Date(Date.now() + this.SESSION_DURATION);
+
+    const result = await this.dataStore.createSession(userId, sessionToken, {
+      expiresAt,
+      userAgent: navigator.userAgent
+    });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    await this.storeChanges();
+
+    localStorage.setItem(this.SESSION_KEY, JSON.stringify({ token: sessionToken }));
+    this.session = { token: sessionToken, userId, sessionId: result.id, expiresAt: expiresAt.toISOString() };
+    return sessionToken;
+  }
+
+  /**
+   * Write the datastore's pending changes to storage now
+   * Pages redirect, or can be closed, as soon as a session or account is created, which stops the
+   * worker before its scheduled flush; without this the next page wouldn't find them
+   */
+  async storeChanges() {
+    if ((await this.dataStore.flush()) === false) {
+      throw new Error('Could not store the database');
+    }
+  }
+
+  /**
+   * Read the session token stored in this browser
+   * Clears stored data that isn't a session
+   * @returns {string|null}
+   */
+  getStoredToken() {
+    try {
+      const sessionDataStr = localStorage.getItem(this.SESSION_KEY);
+      if (!sessionDataStr) {
+        return null;
+      }
+
+      const { token } = JSON.parse(sessionDataStr);
+      if (typeof token === 'string' && token) {
+        return token;
+      }
+    } catch (error) {
+      console.error('Stored session is corrupted:', error);
+    }
+
+    localStorage.removeItem(this.SESSION_KEY);
+    return null;
+  }
+
   /**
    * Terminate current session
+   * Ends it in the datastore too, so the token can't be used again
    */
-  logout() {
+  async logout() {
     try {
+      const token = this.getStoredToken();
+      this.stopWatchingSession();
+      this.session = null;
       localStorage.removeItem(this.SESSION_KEY);
+
+      if (token) {
+        await this.dataStore.endSession(token);
+      }
     } catch (error) {
       console.error('Logout failed:', error);
     }
@@ -106,134 +223,388 @@ class AuthManager {
 
   /**
    * Check if user has active session
-   * Automatically clears expired sessions
-   * @returns {boolean} - True if session is active and valid
+   * The stored token is looked up in the sessions table; expired, idle, revoked or
+   * made-up tokens are cleared, and the reason is kept for the login page
+   * @returns {Promise<boolean>} - True if session is active and valid
    */
-  isAuthenticated() {
+  async isAuthenticated() {
     try {
-      const sessionDataStr = localStorage.getItem(this.SESSION_KEY);
-
-      if (!sessionDataStr) {
+      // The session can't be checked yet; keep it for when the database is unlocked
+      if (this.isLocked()) {
+        this.session = null;
         return false;
       }
 
-      const sessionData = JSON.parse(sessionDataStr);
-
-      // Check if session has required fields
-      if (!sessionData.token || !sessionData.userId || !sessionData.expiresAt) {
-        this.logout(); // Clear invalid session
+      const token = this.getStoredToken();
+      if (!token) {
+        this.session = null;
         return false;
       }
 
-      // Check if session has expired
-      const expiresAt = new Date(sessionData.expiresAt);
-      const now = new Date();
-
-      if (now >= expiresAt) {
-        console.warn('Session expired, clearing session data');
-        // Set expiration flag before clearing session
-        localStorage.setItem('sessionExpired', 'true');
-        this.logout(); // Clear expired session
+      const session = await this.dataStore.validateSession(token);
+      if (!session.valid) {
+        console.warn(`Session ${session.reason}, clearing session data`);
+        localStorage.setItem(session.reason === 'missing' ? 'sessionRevoked' : 'sessionExpired', 'true');
+        this.session = null;
+        localStorage.removeItem(this.SESSION_KEY);
         return false;
       }
 
+      this.session = { token, userId: session.userId, sessionId: session.sessionId, expiresAt: session.expiresAt };
       return true;
     } catch (error) {
       console.error('Session validation failed:', error);
-      this.logout(); // Clear corrupted session
+      this.session = null;
+      localStorage.removeItem(this.SESSION_KEY);
       return false;
     }
   }
 
+  /**
+   * Get the session checked by the last isAuthenticated() call
+   * Null once the browser no longer holds its token (e.g. after logging out in another tab)
+   * @returns {object|null} - { token, userId, sessionId, expiresAt }
+   */
+  getSession() {
+    return this.session && this.getStoredToken() === this.session.token ? this.session : null;
+  }
+
   /**
    * Get current session token
    * @returns {string|null} - Session token or null if not authenticated
    */
   getSessionToken() {
-    try {
-      if (!this.isAuthenticated()) {
-        return null;
+    return this.getSession()?.token ?? null;
+  }
+
+  /**
+   * Get current user ID from session
+   * The ID comes from the sessions table, not from anything stored in the browser
+   * @returns {number|null} - User ID or null if not authenticated
+   */
+  getUserId() {
+    return this.getSession()?.userId ?? null;
+  }
+
+  /**
+   * Keep the session alive while the user works, and leave the page once it has ended
+   * Activity is recorded at most once per ACTIVITY_INTERVAL; the session is checked as often and
+   * whenever the page becomes visible, so expired, idle and revoked sessions go back to login.html
+   * @param {Function} [onEnd] - Called before leaving the page, e.g. to keep unsaved input
+   */
+  watchSession(onEnd = null) {
+    if (this.sessionWatch) {
+      return;
+    }
+
+    // Opening the page counts as activity
+    let active = true;
+    const markActive = () => {
+      active = true;
+    };
+    const check = async () => {
+      const token = this.getSessionToken();
+      if (active && token) {
+        active = false;
+        await this.dataStore.touchSession(token);
       }
 
-      const sessionDataStr = localStorage.getItem(this.SESSION_KEY);
-      const sessionData = JSON.parse(sessionDataStr);
+      if (this.sessionWatch && !(await this.isAuthenticated())) {
+        this.stopWatchingSession();
+        onEnd?.();
+        window.location.href = 'login.html';
+      }
+    };
+    const checkWhenVisible = () => {
+      if (document.visibilityState === 'visible') {
+        check();
+      }
+    };
+
+    this.ACTIVITY_EVENTS.forEach(type => window.addEventListener(type, markActive, { passive: true }));
+    document.addEventListener('visibilitychange', checkWhenVisible);
+    this.sessionWatch = {
+      timer: setInterval(check, this.ACTIVITY_INTERVAL),
+      stop: () => {
+        this.ACTIVITY_EVENTS.forEach(type => window.removeEventListener(type, markActive));
+        document.removeEventListener('visibilitychange', checkWhenVisible);
+      }
+    };
+    check();
+  }
 
-      return sessionData.token;
-    } catch (error) {
-      console.error('Failed to get session token:', error);
-      return null;
+  /**
+   * Stop the activity tracking started by watchSession()
+   */
+  stopWatchingSession() {
+    if (this.sessionWatch) {
+      clearInterval(this.sessionWatch.timer);
+      this.sessionWatch.stop();
+      this.sessionWatch = null;
     }
   }
 
   /**
-   * Get current user ID from session
-   * @returns {number|null} - User ID or null if not authenticated
+   * Get the permissions of the logged-in user's role
+   * Pages use them to hide actions; the datastore checks them again on every change
+   * @returns {Promise<string[]>} - Permission keys (empty when not logged in)
    */
-  getUserId() {
+  async getPermissions() {
+    const userId = this.getUserId();
+    return userId ? this.dataStore.getUserPermissions(userId) : [];
+  }
+
+  /**
+   * Check a new username and password against the account rules
+   * @param {string} username - Username
+   * @param {string} password - Plain text password
+   * @returns {string|null} - Error message, or null when both are acceptable
+   */
+  validateCredentials(username, password) {
+    if (!username || !password) {
+      return 'Username and password are required';
+    }
+
+    // Validate username format
+    if (username.length < 3) {
+      return 'Username must be at least 3 characters long';
+    }
+
+    if (!/^[a-zA-Z0-9_]+$/.test(username)) {
+      return 'Username can only contain letters, numbers, and underscores';
+    }
+
+    return this.validatePassword(password);
+  }
+
+  /**
+   * Check a new password against the account rules
+   * @param {string} password - Plain text password
+   * @returns {string|null} - Error message, or null when the password is acceptable
+   */
+  validatePassword(password) {
+    if (!password) {
+      return 'Password is required';
+    }
+
+    // Validate password strength
+    if (password.length < 6) {
+      return 'Password must be at least 6 characters long';
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether the first-run setup still has to create the owner's account
+   * @returns {Promise<boolean>}
+   */
+  async needsSetup() {
+    // A locked database has users we just can't see yet
+    return !this.isLocked() && !(await this.dataStore.hasUsers());
+  }
+
+  /**
+   * First-run setup: create the owner's account and first company profile, then log the owner in
+   * @param {string} username - Owner's username
+   * @param {string} password - Owner's password
+   * @param {object} company - Company profile fields (name is required)
+   * @returns {Promise<{success: boolean, sessionToken?: string, recoveryCodes?: string[], error?: string}>}
+   */
+  async completeSetup(username, password, company) {
     try {
-      if (!this.isAuthenticated()) {
-        return null;
+      const credentialsError = this.validateCredentials(username, password);
+      if (credentialsError) {
+        return { success: false, error: credentialsError };
       }
 
-      const sessionDataStr = localStorage.getItem(this.SESSION_KEY);
-      const sessionData = JSON.parse(sessionDataStr);
+      if (!company?.name?.trim()) {
+        return { success: false, error: 'Company name is required' };
+      }
+
+      const result = await this.dataStore.completeSetup({ username, password, company });
+      if (!result.success) {
+        return { success: false, error: result.error };
+      }
 
-      return sessionData.userId;
+      console.log(`Setup completed for owner: ${username}`);
+      // Starting the session also stores the new account and company
+      return {
+        success: true,
+        sessionToken: await this.startSession(result.userId),
+        recoveryCodes: result.recoveryCodes
+      };
     } catch (error) {
-      console.error('Failed to get user ID:', error);
-      return null;
+      console.error('Setup failed:', error);
+      return { success: false, error: 'Setup failed. Please try again.' };
     }
   }
 
   /**
-   * Register a new user
+   * Register a new user with an invite code issued by an existing user
    * @param {string} username - Username (must be unique)
    * @param {string} password - Plain text password
-   * @returns {Promise<{success: boolean, error?: string}>}
+   * @param {string} inviteCode - Invite code from Settings > Users
+   * @returns {Promise<{success: boolean, recoveryCodes?: string[], error?: string}>}
    */
-  async register(username, password) {
+  async register(username, password, inviteCode) {
     try {
-      // Validate inputs
-      if (!username || !password) {
-        return { success: false, error: 'Username and password are required' };
+      const credentialsError = this.validateCredentials(username, password);
+      if (credentialsError) {
+        return { success: false, error: credentialsError };
       }
 
-      // Validate username format
-      if (username.length < 3) {
-        return { success: false, error: 'Username must be at least 3 characters long' };
+      if (!inviteCode || !inviteCode.trim()) {
+        return { success: false, error: 'An invite code is required to create an account' };
       }
 
-      if (!/^[a-zA-Z0-9_]+$/.test(username)) {
-        return { success: false, error: 'Username can only contain letters, numbers, and underscores' };
-      }
+      // Create the user and use up the invite (the datastore hashes the password)
+      const result = await this.dataStore.redeemInvite(inviteCode, username, password);
 
-      // Validate password strength
-      if (password.length < 6) {
-        return { success: false, error: 'Password must be at least 6 characters long' };
+      if (!result.success) {
+        return { success: false, error: result.error };
       }
+      await this.storeChanges();
+
+      console.log(`User registered successfully: ${username}`);
+      return { success: true, recoveryCodes: result.recoveryCodes };
+    } catch (error) {
+      console.error('Registration failed:', error);
+      return { success: false, error: 'Registration failed. Please try again.' };
+    }
+  }
+
+  /**
+   * Check the logged-in user's current password before a change to their account
+   * Wrong guesses count towards the same lockout as failed logins
+   * @param {string} password - Plain text password
+   * @returns {Promise<object|null>} - Failed result, or null when the password is correct
+   */
+  async verifyCurrentPassword(password) {
+    const userId = this.getUserId();
+    const user = userId && (await this.dataStore.getUsers(userId)).find(member => member.id === userId);
+    if (!user) {
+      return { success: false, error: 'Please log in again' };
+    }
+
+    const refusal = this.getThrottleRefusal(await this.dataStore.getLoginThrottle(user.username));
+    if (refusal) {
+      return refusal;
+    }
+
+    const verification = await this.dataStore.verifyUser(user.username, password || '');
+    if (!verification.valid) {
+      const throttle = await this.dataStore.recordFailedLogin(user.username);
+      return throttle.lockedUntil
+        ? this.getThrottleRefusal(throttle)
+        : { success: false, error: 'Current password is incorrect' };
+    }
+
+    await this.dataStore.clearFailedLogins(user.username);
+    return null;
+  }
 
-      // Hash the password
-      const passwordHash = await this.hashPassword(password);
+  /**
+   * Change the logged-in user's password
+   * The user's other sessions end, so anyone else using the old password is logged out
+   * @param {string} currentPassword - Password the user has now
+   * @param {string} newPassword - Password to change to
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async changePassword(currentPassword, newPassword) {
+    try {
+      const passwordError = this.validatePassword(newPassword);
+      if (passwordError) {
+        return { success: false, error: passwordError };
+      }
 
-      // Save user to database
-      const result = await this.dataStore.saveUser(username, passwordHash);
+      const refusal = await this.verifyCurrentPassword(currentPassword);
+      if (refusal) {
+        return refusal;
+      }
 
+      const result = await this.dataStore.updateUserPassword(this.getUserId(), newPassword);
       if (!result.success) {
         return { success: false, error: result.error };
       }
 
-      console.log(`User registered successfully: ${username}`);
+      await this.dataStore.endUserSessions(this.getUserId(), this.getSessionToken());
       return { success: true };
     } catch (error) {
-      console.error('Registration failed:', error);
-      
-      if (error.message.includes('already exists')) {
-        return { success: false, error: 'Username already exists' };
+      console.error('Password change failed:', error);
+      return { success: false, error: 'Password change failed. Please try again.' };
+    }
+  }
+
+  /**
+   * Replace the logged-in user's recovery codes
+   * @param {string} currentPassword - Password the user has now
+   * @returns {Promise<{success: boolean, codes?: string[], error?: string}>}
+   */
+  async regenerateRecoveryCodes(currentPassword) {
+    try {
+      const refusal = await this.verifyCurrentPassword(currentPassword);
+      if (refusal) {
+        return refusal;
       }
-      
-      return { success: false, error: 'Registration failed. Please try again.' };
+
+      return await this.dataStore.regenerateRecoveryCodes(this.getUserId());
+    } catch (error) {
+      console.error('Recovery code generation failed:', error);
+      return { success: false, error: 'Could not generate recovery codes. Please try again.' };
     }
   }
+
+  /**
+   * Set a new password with one of the recovery codes issued when the account was created
+   * Each code works once; the user then logs in with the new password as usual
+   * @param {string} username - Username
+   * @param {string} recoveryCode - Unused recovery code
+   * @param {string} newPassword - Password to change to
+   * @returns {Promise<{success: boolean, remainingCodes?: number, error?: string}>}
+   */
+  async recoverPassword(username, recoveryCode, newPassword) {
+    try {
+      if (!username || !recoveryCode || !recoveryCode.trim()) {
+        return { success: false, error: 'Username and recovery code are required' };
+      }
+
+      const passwordError = this.validatePassword(newPassword);
+      if (passwordError) {
+        return { success: false, error: passwordError };
+      }
+
+      // Recovery codes are guessed at the same rate as passwords
+      const refusal = this.getThrottleRefusal(await this.dataStore.getLoginThrottle(username));
+      if (refusal) {
+        return refusal;
+      }
+
+      const result = await this.dataStore.recoverPassword(username, recoveryCode, newPassword);
+      if (!result.success) {
+        console.warn(`Password recovery failed for username: ${username}`);
+        const throttle = await this.dataStore.recordFailedLogin(username);
+        return throttle.lockedUntil
+          ? this.getThrottleRefusal(throttle)
+          : { success: false, error: 'Invalid username or recovery code' };
+      }
+
+      console.log(`Password recovered for username: ${username}`);
+      return { success: true, remainingCodes: result.remainingCodes };
+    } catch (error) {
+      console.error('Password recovery failed:', error);
+      return { success: false, error: 'Password recovery failed. Please try again.' };
+    }
+  }
+
+  /**
+   * Count the logged-in user's unused recovery codes
+   * @returns {Promise<number>}
+   */
+  async getRecoveryCodeCount() {
+    const userId = this.getUserId();
+    return userId ? this.dataStore.getRecoveryCodeCount(userId) : 0;
+  }
 }
 
 // Export as ES6 module
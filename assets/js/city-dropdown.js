@@ -3,6 +3,11 @@
  * Provides searchable dropdown functionality for city selection
  */
 
+import { APP_VERSION } from './version.js';
+
+// Dynamic import with version
+const { SafeHtml } = await import(`./safe-html.js?v=${APP_VERSION}`);
+
 class CityDropdown {
     constructor() {
         this.cities = [
@@ -109,14 +114,9 @@ class CityDropdown {
         cities.forEach(city => {
             const item = document.createElement('div');
             item.className = 'px-4 py-2 hover:bg-blue-50 cursor-pointer text-gray-800 transition-colors duration-150';
-            item.textContent = city;
             
-            // Highlight matching text
-            const searchTerm = input.value.toLowerCase().trim();
-            if (searchTerm) {
-                const regex = new RegExp(`(${searchTerm})`, 'gi');
-                item.innerHTML = city.replace(regex, '<span class="font-semibold text-blue-600">$1</span>');
-            }
+            // Highlight matching text (the typed term is matched literally and escaped)
+            item.innerHTML = SafeHtml.highlight(city, input.value.trim(), 'font-semibold text-blue-600');
 
             item.addEventListener('click', () => {
                 input.value = city;
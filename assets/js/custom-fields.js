@@ -0,0 +1,160 @@
+/**
+ * Custom Fields Module
+ * Renders user-defined custom fields on freight forms and collects their values
+ */
+
+/**
+ * CustomFieldRenderer class
+ * Builds form inputs from custom_field_definitions and reads them back
+ */
+export class CustomFieldRenderer {
+  /**
+   * @param {object} [options] - Rendering options
+   * @param {string} [options.idPrefix] - Prefix for generated input IDs
+   * @param {string} [options.inputClass] - CSS classes for inputs, selects and textareas
+   * @param {string} [options.labelClass] - CSS classes for labels
+   * @param {string} [options.wrapperClass] - CSS classes for each field wrapper
+   */
+  constructor(options = {}) {
+    this.idPrefix = options.idPrefix || 'custom_';
+    this.inputClass = options.inputClass ||
+      'w-full px-4 py-3 text-base border-2 border-gray-200 rounded-lg focus:outline-none focus:border-blue-500 focus:ring-4 focus:ring-blue-50 transition-all bg-white';
+    this.labelClass = options.labelClass || 'block text-sm font-semibold text-gray-700';
+    this.wrapperClass = options.wrapperClass || 'space-y-2';
+  }
+
+  /**
+   * Get the input element ID for a field definition
+   * @param {object} field - Custom field definition
+   * @returns {string} Input element ID
+   */
+  getInputId(field) {
+    return `${this.idPrefix}${field.fieldName}`;
+  }
+
+  /**
+   * Render custom field inputs into a container
+   * Hides the container when there are no active fields
+   * @param {HTMLElement} container - Element to render into
+   * @param {Array<object>} fields - Active custom field definitions
+   * @param {object} [values] - Existing values keyed by field name
+   */
+  render(container, fields, values = {}) {
+    if (!container) return;
+
+    container.innerHTML = '';
+    fields.forEach(field => {
+      container.appendChild(this.createFieldElement(field, values?.[field.fieldName]));
+    });
+
+    container.classList.toggle('hidden', fields.length === 0);
+  }
+
+  /**
+   * Create the label and input for a single field
+   * @param {object} field - Custom field definition
+   * @param {*} value - Current value, if any
+   * @returns {HTMLElement} Field wrapper element
+   */
+  createFieldElement(field, value) {
+    const wrapper = document.createElement('div');
+    wrapper.className = this.wrapperClass;
+
+    const inputId = this.getInputId(field);
+
+    const label = document.createElement('label');
+    label.className = this.labelClass;
+    label.htmlFor = inputId;
+    label.textContent = field.fieldLabel;
+    if (field.isRequired) {
+      const marker = document.createElement('span');
+      marker.className = 'text-red-500';
+      marker.textContent = ' *';
+      label.appendChild(marker);
+    }
+
+    let input;
+    switch (field.fieldType) {
+      case 'textarea':
+        input = document.createElement('textarea');
+        input.rows = 2;
+        break;
+      case 'select':
+        input = document.createElement('select');
+        input.appendChild(this.createOption('', 'Select...'));
+        (field.options || []).forEach(optionValue => {
+          input.appendChild(this.createOption(optionValue, optionValue));
+        });
+        break;
+      case 'number':
+        input = document.createElement('input');
+        input.type = 'number';
+        input.step = 'any';
+        break;
+      case 'date':
+        input = document.createElement('input');
+        input.type = 'date';
+        break;
+      default:
+        input = document.createElement('input');
+        input.type = 'text';
+    }
+
+    input.id = inputId;
+    input.name = field.fieldName;
+    input.className = this.inputClass;
+    input.dataset.customField = field.fieldName;
+    if (field.isRequired) {
+      input.required = true;
+    }
+    if (value !== undefined && value !== null) {
+      input.value = String(value);
+    }
+
+    wrapper.appendChild(label);
+    wrapper.appendChild(input);
+    return wrapper;
+  }
+
+  /**
+   * Create a select option
+   * @param {string} value - Option value
+   * @param {string} text - Option label
+   * @returns {HTMLOptionElement} Option element
+   */
+  createOption(value, text) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    return option;
+  }
+
+  /**
+   * Read current values for the given fields from the DOM
+   * Number fields are converted to numbers when they parse cleanly
+   * @param {Array<object>} fields - Custom field definitions
+   * @returns {object} Values keyed by field name (empty inputs are omitted)
+   */
+  collectValues(fields) {
+    const values = {};
+
+    (fields || []).forEach(field => {
+      const input = document.getElementById(this.getInputId(field));
+      if (!input) return;
+
+      const raw = typeof input.value === 'string' ? input.value.trim() : input.value;
+      if (raw === '' || raw === undefined || raw === null) return;
+
+      if (field.fieldType === 'number' && !isNaN(Number(raw))) {
+        values[field.fieldName] = Number(raw);
+      } else {
+        values[field.fieldName] = raw;
+      }
+    });
+
+    return values;
+  }
+}
+
+// Default export for convenience
+export default CustomFieldRenderer;
@@ -0,0 +1,237 @@
+/**
+ * DataStore Client Module
+ * Promise-based access to the datastore, which runs in a Web Worker where the browser allows it
+ */
+
+import { APP_VERSION } from './version.js';
+
+// Dynamic import with version
+const DataStoreManager = (await import(`./datastore.js?v=${APP_VERSION}`)).default;
+
+/**
+ * DataStoreClient class
+ * Exposes every DataStoreManager method (getUserFreightRecords, saveFreightDetails, ...) as an async method.
+ * Calls go to a worker shared by all clients on the page; when workers or IndexedDB are unavailable,
+ * or the database still lives in LocalStorage (which a worker cannot reach), they run on the page instead.
+ */
+export class DataStoreClient {
+  /**
+   * Connection to the page's worker: { worker, nextId, pending }
+   */
+  static connection = null;
+
+  /**
+   * SessionStorage key for the key of an unlocked encrypted database
+   * Kept for the tab, so its pages open the database without asking for the passphrase again
+   */
+  static KEY_CACHE_NAME = 'transport_invoice_db_key';
+
+  constructor() {
+    // In-page datastore, used when the worker can't be
+    this.local = DataStoreClient.canUseWorker() ? null : new DataStoreManager();
+    this.initialized = false;
+    this.locked = false;
+
+    // Constants such as DEFAULT_PAYMENT_TERMS are plain values, available without a round trip
+    const defaults = new DataStoreManager();
+    Object.keys(defaults)
+      .filter(key => /^[A-Z_]+$/.test(key))
+      .forEach(key => {
+        this[key] = defaults[key];
+      });
+
+    Object.getOwnPropertyNames(DataStoreManager.prototype)
+      .filter(name => name !== 'constructor' && !(name in DataStoreClient.prototype))
+      .forEach(name => {
+        this[name] = (...args) => this.call(name, args);
+      });
+  }
+
+  /**
+   * Check whether the datastore can run in a worker
+   * @returns {boolean}
+   */
+  static canUseWorker() {
+    return typeof Worker !== 'undefined' &&
+      typeof indexedDB !== 'undefined' &&
+      !localStorage.getItem(new DataStoreManager().STORAGE_KEY);
+  }
+
+  /**
+   * Get the page's worker connection, starting the worker on first use
+   * @returns {object} { worker, nextId, pending }
+   */
+  static getConnection() {
+    if (DataStoreClient.connection) {
+      return DataStoreClient.connection;
+    }
+
+    const worker = new Worker(new URL(`./datastore-worker.js?v=${APP_VERSION}`, import.meta.url), { type: 'module' });
+    const connection = { worker, nextId: 1, pending: new Map() };
+
+    worker.addEventListener('message', (event) => {
+      const { id, result, error } = event.data;
+      const request = connection.pending.get(id);
+      if (!request) return;
+
+      connection.pending.delete(id);
+      if (error) {
+        request.reject(new Error(error));
+      } else {
+        request.resolve(result);
+      }
+    });
+
+    // A worker that fails to load fails every call waiting on it
+    worker.addEventListener('error', (event) => {
+      event.preventDefault();
+      connection.pending.forEach(request => request.reject(new Error(event.message || 'Datastore worker failed')));
+      connection.pending.clear();
+    });
+
+    // The worker cannot see the page, so tell it when to write pending changes
+    const flush = () => {
+      if (DataStoreClient.connection === connection) {
+        worker.postMessage({ id: 0, method: 'flush' });
+      }
+    };
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        flush();
+      }
+    });
+    window.addEventListener('pagehide', flush);
+
+    DataStoreClient.connection = connection;
+    return connection;
+  }
+
+  /**
+   * Stop the page's worker
+   */
+  static closeWorker() {
+    const connection = DataStoreClient.connection;
+    if (connection) {
+      connection.worker.terminate();
+      connection.pending.forEach(request => request.reject(new Error('Datastore worker stopped')));
+      DataStoreClient.connection = null;
+    }
+  }
+
+  /**
+   * Initialize the database, in the worker if possible and on the page otherwise
+   * An encrypted database is opened with the key cached by unlock(); without one it stays locked
+   * @returns {Promise<{success: boolean, locked?: boolean, error?: string}>}
+   */
+  async initialize() {
+    // A page's controller and its AuthManager share one client and both initialize it
+    if (this.initialized) {
+      return { success: true };
+    }
+
+    const options = { encryptionKey: sessionStorage.getItem(DataStoreClient.KEY_CACHE_NAME) };
+
+    if (!this.local) {
+      try {
+        const result = this.handleInitializeResult(await this.call('initialize', [options]));
+        if (result.success || result.locked) {
+          return result;
+        }
+        console.warn('Datastore worker failed to initialize, running on the page instead:', result.error);
+      } catch (error) {
+        console.warn('Datastore worker unavailable, running on the page instead:', error);
+      }
+      DataStoreClient.closeWorker();
+    }
+
+    this.local = new DataStoreManager();
+    return this.handleInitializeResult(await this.local.initialize(options));
+  }
+
+  /**
+   * Record the outcome of initializing, dropping a cached key the database no longer opens with
+   */
+  handleInitializeResult(result) {
+    this.initialized = result.success;
+    this.locked = Boolean(result.locked);
+    if (this.locked || (result.success && !result.encrypted)) {
+      sessionStorage.removeItem(DataStoreClient.KEY_CACHE_NAME);
+    }
+    return result;
+  }
+
+  /**
+   * Cache the key of an encrypted database for this tab
+   */
+  cacheEncryptionKey(result) {
+    if (result.success && result.encryptionKey) {
+      sessionStorage.setItem(DataStoreClient.KEY_CACHE_NAME, result.encryptionKey);
+    }
+    return result;
+  }
+
+  /**
+   * Open an encrypted database with its passphrase and remember it for this tab
+   * @param {string} passphrase - Database passphrase
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async unlock(passphrase) {
+    const result = this.cacheEncryptionKey(await this.call('unlock', [passphrase]));
+    if (result.success) {
+      this.initialized = true;
+      this.locked = false;
+    }
+    return result;
+  }
+
+  /**
+   * Encrypt the stored database (see DataStoreManager.enableEncryption)
+   */
+  async enableEncryption(actorId, passphrase) {
+    return this.cacheEncryptionKey(await this.call('enableEncryption', [actorId, passphrase]));
+  }
+
+  /**
+   * Re-encrypt the stored database under a new passphrase (see DataStoreManager.changeEncryptionPassphrase)
+   */
+  async changeEncryptionPassphrase(actorId, currentPassphrase, newPassphrase) {
+    return this.cacheEncryptionKey(await this.call('changeEncryptionPassphrase', [actorId, currentPassphrase, newPassphrase]));
+  }
+
+  /**
+   * Store the database unencrypted again (see DataStoreManager.disableEncryption)
+   */
+  async disableEncryption(actorId, currentPassphrase) {
+    const result = await this.call('disableEncryption', [actorId, currentPassphrase]);
+    if (result.success) {
+      sessionStorage.removeItem(DataStoreClient.KEY_CACHE_NAME);
+    }
+    return result;
+  }
+
+  /**
+   * Call a datastore method
+   * @param {string} method - DataStoreManager method name
+   * @param {Array} args - Arguments (must be structured-cloneable)
+   * @returns {Promise<*>} The method's result
+   */
+  call(method, args) {
+    if (this.local) {
+      try {
+        return Promise.resolve(this.local[method](...args));
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    }
+
+    const connection = DataStoreClient.getConnection();
+    return new Promise((resolve, reject) => {
+      const id = connection.nextId++;
+      connection.pending.set(id, { resolve, reject });
+      connection.worker.postMessage({ id, method, args });
+    });
+  }
+}
+
+// Default export for convenience
+export default DataStoreClient;
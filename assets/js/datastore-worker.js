@@ -0,0 +1,57 @@
+/**
+ * DataStore Worker
+ * Hosts sql.js and DataStoreManager off the main thread so queries never freeze the page
+ * Pages talk to it through DataStoreClient:
+ *   request  { id, method, args }
+ *   response { id, result } or { id, error }
+ */
+
+import { APP_VERSION } from './version.js';
+
+/**
+ * Load sql.js and create the datastore
+ * sql-wasm.js is a classic script, which a module worker cannot importScripts,
+ * so its source is evaluated to get the initSqlJs function it declares
+ */
+const dataStoreReady = (async () => {
+  const response = await fetch(new URL('../lib/sql-wasm.js', import.meta.url));
+  const initSqlJs = new Function(`${await response.text()}\nreturn initSqlJs;`)();
+
+  // DataStoreManager locates sql-wasm.wasm relative to the page; resolve it relative to this worker
+  self.initSqlJs = config => initSqlJs({
+    ...config,
+    locateFile: file => new URL(`../lib/${file}`, import.meta.url).href
+  });
+
+  const { default: DataStoreManager } = await import(`./datastore.js?v=${APP_VERSION}`);
+  return new DataStoreManager();
+})();
+
+// Every client on the page shares this worker, so the database is only loaded once
+let initializing = null;
+
+self.addEventListener('message', async (event) => {
+  const { id, method, args = [] } = event.data;
+
+  try {
+    const dataStore = await dataStoreReady;
+    if (typeof dataStore[method] !== 'function') {
+      throw new Error(`Unknown datastore method: ${method}`);
+    }
+
+    const result = method === 'initialize'
+      ? await (initializing ||= dataStore.initialize(...args))
+      : await dataStore[method](...args);
+
+    // A locked database is initialized again once unlocked, so only remember success
+    if (method === 'initialize' && !result.success) {
+      initializing = null;
+    } else if (method === 'unlock' && result.success) {
+      initializing = Promise.resolve({ success: true, encrypted: true });
+    }
+
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+});
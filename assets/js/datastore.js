@@ -3,46 +3,313 @@
  * Uses sql.js (SQLite compiled to WebAssembly) for browser-based database
  */
 
+/**
+ * IndexedDBBackend - Stores the SQLite file as raw bytes in a single IndexedDB record
+ * Storage backends share one interface: async load(), save(bytes) and clear()
+ */
+class IndexedDBBackend {
+  constructor(databaseName) {
+    this.databaseName = databaseName;
+    this.storeName = 'files';
+    this.recordKey = 'database';
+    this.label = 'IndexedDB';
+    this.connection = null;
+  }
+
+  /**
+   * Check whether the browser exposes IndexedDB
+   */
+  static isAvailable() {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  }
+
+  /**
+   * Open the IndexedDB database, creating the object store on first use
+   */
+  open() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.databaseName, 1);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(this.storeName);
+      };
+      request.onsuccess = () => {
+        this.connection = request.result;
+        // Let a newer version of the app in another tab upgrade the database
+        this.connection.onversionchange = () => this.connection.close();
+        resolve(this);
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB is blocked by another open tab'));
+    });
+  }
+
+  /**
+   * Run one request against the object store, resolving once its transaction completes
+   */
+  transaction(mode, operation) {
+    return new Promise((resolve, reject) => {
+      const tx = this.connection.transaction(this.storeName, mode);
+      const request = operation(tx.objectStore(this.storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+    });
+  }
+
+  /**
+   * Load the stored database file
+   * Returns: Uint8Array, or null when nothing is stored
+   */
+  async load() {
+    const value = await this.transaction('readonly', store => store.get(this.recordKey));
+    return value ? new Uint8Array(value) : null;
+  }
+
+  /**
+   * Replace the stored database file
+   */
+  async save(bytes) {
+    await this.transaction('readwrite', store => store.put(bytes, this.recordKey));
+  }
+
+  /**
+   * Delete the stored database file
+   */
+  async clear() {
+    await this.transaction('readwrite', store => store.delete(this.recordKey));
+  }
+}
+
+/**
+ * LocalStorageBackend - Fallback for browsers without IndexedDB
+ * Stores the SQLite file base64-encoded; also reads the older JSON array format
+ */
+class LocalStorageBackend {
+  constructor(key) {
+    this.key = key;
+    this.label = 'LocalStorage';
+  }
+
+  /**
+   * Check whether LocalStorage can be reached (it cannot from a Web Worker)
+   */
+  static isAvailable() {
+    return typeof localStorage !== 'undefined' && localStorage !== null;
+  }
+
+  /**
+   * Load the stored database file
+   * Returns: Uint8Array, or null when nothing is stored
+   */
+  async load() {
+    const saved = localStorage.getItem(this.key);
+    if (!saved) {
+      return null;
+    }
+
+    // Databases saved before IndexedDB support are JSON arrays of byte values
+    if (saved.startsWith('[')) {
+      return new Uint8Array(JSON.parse(saved));
+    }
+
+    const binary = atob(saved);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * Replace the stored database file
+   */
+  async save(bytes) {
+    // Encode in chunks so large databases don't overflow the argument limit of fromCharCode
+    const chunkSize = 0x8000;
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+    }
+    localStorage.setItem(this.key, btoa(binary));
+  }
+
+  /**
+   * Delete the stored database file
+   */
+  async clear() {
+    localStorage.removeItem(this.key);
+  }
+}
+
 class DataStoreManager {
   constructor() {
     this.db = null;
     this.initialized = false;
     this.STORAGE_KEY = 'transport_invoice_db';
+    this.INDEXED_DB_NAME = 'transport_invoice';
+    this.storage = null;
+    this.storageSize = 0;
+    this.pendingWrite = Promise.resolve();
+    // Writes are coalesced: changes mark the database dirty and one flush stores them all
+    this.FLUSH_DELAY_MS = 250;
+    this.FLUSH_TIMEOUT_MS = 1000;
+    this.dirty = false;
+    this.scheduledFlush = null;
+    this.transactionDepth = 0;
+    this.lifecycleWatched = false;
+    // The stored file can be encrypted with AES-GCM under a key derived from a passphrase.
+    // Encrypted files start with ENCRYPTION_MAGIC, then the PBKDF2 iterations, salt and IV
+    this.ENCRYPTION_MAGIC = 'TIDBAES1';
+    this.ENCRYPTION_ITERATIONS = 600000;
+    this.ENCRYPTION_SALT_BYTES = 16;
+    this.ENCRYPTION_IV_BYTES = 12;
+    this.ENCRYPTION_MIN_PASSPHRASE_LENGTH = 8;
+    this.encryption = null;
+    this.locked = false;
+    // Passwords are stored as PBKDF2 hashes with a per-user salt; the algorithm and
+    // iteration count are stored with each hash so older ones can be upgraded at login
+    this.PASSWORD_ALGORITHM = 'pbkdf2-sha256';
+    this.PASSWORD_ITERATIONS = 600000;
+    this.PASSWORD_SALT_BYTES = 16;
+    // Failed logins are counted per username: each one doubles the wait before the next try,
+    // and LOGIN_MAX_ATTEMPTS in a row lock the account for LOGIN_LOCKOUT_MINUTES
+    this.LOGIN_MAX_ATTEMPTS = 5;
+    this.LOGIN_BACKOFF_BASE_MS = 1000;
+    this.LOGIN_LOCKOUT_MINUTES = 15;
+    this.INVITE_VALID_DAYS = 7;
+    this.INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    // Each user gets a set of one-time codes to reset a forgotten password; only their hashes are stored
+    this.RECOVERY_CODE_COUNT = 8;
+    this.RECOVERY_CODE_LENGTH = 10;
+    // Each user has one role; mutations check the permission they need against it
+    this.USER_ROLES = [
+      { role: 'owner', label: 'Owner' },
+      { role: 'accountant', label: 'Accountant' },
+      { role: 'clerk', label: 'Booking clerk' },
+      { role: 'readonly', label: 'Read-only' }
+    ];
+    this.PERMISSIONS = {
+      'records.edit': 'create or edit records',
+      'records.delete': 'delete records',
+      'invoices.issue': 'issue invoices',
+      'invoices.edit': 'edit invoiced records',
+      'payments.manage': 'record payments',
+      'parties.manage': 'manage parties',
+      'fleet.manage': 'manage vehicles and drivers',
+      'companies.manage': 'manage company profiles',
+      'customFields.manage': 'manage custom fields',
+      'backup.export': 'export backups',
+      'backup.import': 'import backups',
+      'users.manage': 'manage users',
+      'storage.encrypt': 'change database encryption'
+    };
+    this.ROLE_PERMISSIONS = {
+      owner: Object.keys(this.PERMISSIONS),
+      accountant: ['records.edit', 'records.delete', 'invoices.issue', 'invoices.edit', 'payments.manage', 'parties.manage'],
+      clerk: ['records.edit', 'parties.manage', 'fleet.manage'],
+      readonly: []
+    };
+    // Members of an organisation share its records, parties, fleet and numbering
+    this.DEFAULT_ORGANISATION_NAME = 'My Office';
+    // Logins are kept in the sessions table; one unused for the organisation's idle timeout ends
+    this.DEFAULT_IDLE_TIMEOUT_MINUTES = 30;
+    this.IDLE_TIMEOUT_OPTIONS = [15, 30, 60, 120, 240, 480];
+    this.DEFAULT_NUMBER_PATTERN = '{PREFIX}/{FY}/{SEQ}';
+    this.DEFAULT_DOCUMENT_PREFIXES = { bilty: 'LR', invoice: 'INV', receipt: 'RCT' };
+    this.DEFAULT_PAYMENT_TERMS = { termsDays: 30, advancePercent: 0, freightBasis: 'tbb' };
+    this.FREIGHT_BASES = ['paid', 'toPay', 'tbb'];
+    // Booking, bilty and invoice dates may be set this many days back, but not in the future
+    this.DOCUMENT_BACKDATE_DAYS = 30;
+    this.DOCUMENT_DATE_LABELS = { bookingDate: 'Booking date', biltyDate: 'Bilty date', invoiceDate: 'Invoice date' };
+    this.VEHICLE_DOCUMENTS = [
+      { key: 'permitExpiry', label: 'Permit' },
+      { key: 'insuranceExpiry', label: 'Insurance' },
+      { key: 'fitnessExpiry', label: 'Fitness certificate' }
+    ];
+    // A backup holds one organisation's business data, parents first. Tables with a parent column have no
+    // organisation_id and go with their parent's rows; references are renumbered when a backup is imported.
+    // Accounts and their credentials (users, invites, sessions, recovery codes) are never backed up.
+    this.BACKUP_TABLES = [
+      { table: 'company_profiles' },
+      { table: 'parties' },
+      { table: 'vehicles' },
+      { table: 'drivers' },
+      { table: 'custom_field_definitions' },
+      {
+        table: 'freight_details',
+        references: {
+          company_profile_id: 'company_profiles',
+          consignor_id: 'parties',
+          consignee_id: 'parties',
+          billing_party_id: 'parties',
+          vehicle_id: 'vehicles',
+          driver_id: 'drivers'
+        }
+      },
+      { table: 'freight_line_items', parent: 'freight_id', references: { freight_id: 'freight_details' } },
+      { table: 'document_history', parent: 'freight_id', references: { freight_id: 'freight_details' } },
+      { table: 'document_counters', references: { company_profile_id: 'company_profiles' } },
+      { table: 'consolidated_invoices', references: { company_profile_id: 'company_profiles', billing_party_id: 'parties' } },
+      {
+        table: 'consolidated_invoice_items',
+        parent: 'invoice_id',
+        references: { invoice_id: 'consolidated_invoices', freight_id: 'freight_details' }
+      },
+      { table: 'payments', references: { freight_id: 'freight_details', consolidated_invoice_id: 'consolidated_invoices' } }
+    ];
+    // Columns naming a member; imported rows get the member with the same username, else the importing user
+    this.BACKUP_USER_COLUMNS = ['user_id', 'modified_by', 'generated_by'];
   }
 
   /**
    * Initialize database and create tables
-   * Creates default admin user on first initialization
+   * A new database has no users until the first-run setup creates the owner's account.
+   * An encrypted database stays locked unless the key from an earlier unlock() is passed in
+   * @param {object} [options]
+   * @param {string} [options.encryptionKey] - Hex key returned by unlock() or enableEncryption()
+   * Returns: { success: boolean, encrypted?: boolean, locked?: boolean, error?: string }
    */
-  async initialize() {
+  async initialize({ encryptionKey = null } = {}) {
     try {
       // Initialize sql.js
       const SQL = await initSqlJs({
         locateFile: file => `assets/lib/${file}`
       });
 
-      // Try to load existing database from LocalStorage
-      const savedDb = localStorage.getItem(this.STORAGE_KEY);
+      // Try to load existing database from IndexedDB (or the LocalStorage fallback)
+      this.storage = this.storage || await this.openStorage();
+      this.watchPageLifecycle();
+      let savedDb = await this.storage.load();
+
+      if (savedDb && this.isEncryptedFile(savedDb)) {
+        savedDb = encryptionKey ? await this.decryptFile(savedDb, this.fromHex(encryptionKey)) : null;
+        this.locked = !savedDb;
+        if (this.locked) {
+          return { success: false, locked: true, error: 'The database is encrypted. Enter the passphrase to unlock it.' };
+        }
+      } else {
+        this.encryption = null;
+      }
       
       if (savedDb) {
         // Load existing database
-        const uint8Array = new Uint8Array(JSON.parse(savedDb));
-        this.db = new SQL.Database(uint8Array);
+        this.db = new SQL.Database(savedDb);
+        this.storageSize = savedDb.length;
         this.initialized = true;
-        console.log('Database loaded from LocalStorage');
+        console.log(`Database loaded from ${this.storage.label}`);
         
-        // Run migrations for existing database
+        // Bring the schema up to date
         await this.runMigrations();
       } else {
         // Create new database
         this.db = new SQL.Database();
-        this.initialized = true; // Set before creating tables and admin
-        await this.createTables();
-        await this.createDefaultAdmin();
-        console.log('New database created and initialized');
+        this.initialized = true; // Set before creating tables
+        await this.runMigrations();
+        console.log('New database created and initialized; waiting for first-run setup');
       }
 
-      return { success: true };
+      return { success: true, encrypted: Boolean(this.encryption) };
     } catch (error) {
       console.error('Database initialization failed:', error);
       this.initialized = false;
@@ -51,948 +318,5013 @@ class DataStoreManager {
   }
 
   /**
-   * Run database migrations for existing databases
-   */
-  async runMigrations() {
-    try {
-      // Check if company_profiles table exists
-      const companyTableExists = this.tableExists('company_profiles');
-      if (!companyTableExists) {
-        console.log('Running migration: Adding company_profiles table');
-        const createCompanyProfilesTable = `
-          CREATE TABLE IF NOT EXISTS company_profiles (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            user_id INTEGER NOT NULL,
-            name TEXT NOT NULL,
-            address TEXT,
-            city TEXT,
-            state TEXT,
-            pincode TEXT,
-            gst_number TEXT,
-            pan_number TEXT,
-            phone TEXT,
-            email TEXT,
-            website TEXT,
-            is_default INTEGER DEFAULT 0,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (user_id) REFERENCES users(id)
-          );
-        `;
-        this.db.run(createCompanyProfilesTable);
-        this.db.run('CREATE INDEX IF NOT EXISTS idx_company_profiles_user_id ON company_profiles(user_id);');
-      }
-
-      // Check if custom_field_definitions table exists
-      const customFieldsTableExists = this.tableExists('custom_field_definitions');
-      if (!customFieldsTableExists) {
-        console.log('Running migration: Adding custom_field_definitions table');
-        const createCustomFieldsTable = `
-          CREATE TABLE IF NOT EXISTS custom_field_definitions (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            user_id INTEGER NOT NULL,
-            field_name TEXT NOT NULL,
-            field_label TEXT NOT NULL,
-            field_type TEXT NOT NULL,
-            is_required INTEGER DEFAULT 0,
-            options TEXT,
-            display_order INTEGER DEFAULT 0,
-            is_active INTEGER DEFAULT 1,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (user_id) REFERENCES users(id)
-          );
-        `;
-        this.db.run(createCustomFieldsTable);
-        this.db.run('CREATE INDEX IF NOT EXISTS idx_custom_fields_user_id ON custom_field_definitions(user_id);');
-      }
-
-      // Check if freight_details has new columns
-      const hasCompanyProfileId = this.columnExists('freight_details', 'company_profile_id');
-      if (!hasCompanyProfileId) {
-        console.log('Running migration: Adding company_profile_id to freight_details');
-        this.db.run('ALTER TABLE freight_details ADD COLUMN company_profile_id INTEGER;');
-        this.db.run('CREATE INDEX IF NOT EXISTS idx_freight_company_profile ON freight_details(company_profile_id);');
-      }
-
-      const hasCustomFields = this.columnExists('freight_details', 'custom_fields');
-      if (!hasCustomFields) {
-        console.log('Running migration: Adding custom_fields to freight_details');
-        this.db.run('ALTER TABLE freight_details ADD COLUMN custom_fields TEXT;');
-      }
-
-      this.persistToLocalStorage();
-      console.log('Migrations completed successfully');
-    } catch (error) {
-      console.error('Migration failed:', error);
-      throw error;
+   * Open the storage backend for the database file
+   * Prefers IndexedDB and falls back to LocalStorage when it is missing or cannot be opened
+   */
+  async openStorage() {
+    if (IndexedDBBackend.isAvailable()) {
+      try {
+        const backend = await new IndexedDBBackend(this.INDEXED_DB_NAME).open();
+        await this.migrateLegacyStorage(backend);
+        return backend;
+      } catch (error) {
+        console.warn('IndexedDB unavailable, falling back to LocalStorage:', error);
+      }
+    }
+
+    if (!LocalStorageBackend.isAvailable()) {
+      throw new Error('Neither IndexedDB nor LocalStorage is available');
+    }
+
+    return new LocalStorageBackend(this.STORAGE_KEY);
+  }
+
+  /**
+   * Move a database saved in LocalStorage into a new storage backend (one-time)
+   * The LocalStorage copy is only removed once the backend holds a database
+   */
+  async migrateLegacyStorage(backend) {
+    // A worker has no LocalStorage; DataStoreClient keeps pages with a LocalStorage database on the main thread
+    if (!LocalStorageBackend.isAvailable()) {
+      return;
+    }
+
+    const legacy = new LocalStorageBackend(this.STORAGE_KEY);
+    const legacyDb = await legacy.load();
+    if (!legacyDb) {
+      return;
+    }
+
+    if (!(await backend.load())) {
+      console.log(`Running migration: Moving database from LocalStorage to ${backend.label}`);
+      await backend.save(legacyDb);
+    }
+
+    await legacy.clear();
+  }
+
+  // ===== PASSWORD HASHING METHODS =====
+
+  /**
+   * Hash a password with PBKDF2-SHA256 and a random per-user salt
+   * @param {string} password - Plain text password
+   * @param {string} [salt] - Hex salt (a new random one by default)
+   * @param {number} [iterations] - PBKDF2 iterations (defaults to PASSWORD_ITERATIONS)
+   * @returns {Promise<object>} { hash, salt, algorithm, iterations }
+   */
+  async hashPassword(password, salt = null, iterations = this.PASSWORD_ITERATIONS) {
+    const passwordSalt = salt || this.toHex(crypto.getRandomValues(new Uint8Array(this.PASSWORD_SALT_BYTES)));
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: this.fromHex(passwordSalt), iterations },
+      key,
+      256
+    );
+    return { hash: this.toHex(new Uint8Array(bits)), salt: passwordSalt, algorithm: this.PASSWORD_ALGORITHM, iterations };
+  }
+
+  /**
+   * Hash a password the way accounts created before PBKDF2 were stored: a bare SHA-256 digest
+   * Only used to verify those accounts until they are re-hashed at their next login
+   * @param {string} password - Plain text password
+   * @returns {Promise<string>} Hex digest
+   */
+  async hashLegacyPassword(password) {
+    return this.digestHex(password);
+  }
+
+  /**
+   * SHA-256 digest of a string
+   * @param {string} text - Text to digest
+   * @returns {Promise<string>} Hex digest
+   */
+  async digestHex(text) {
+    const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return this.toHex(new Uint8Array(hashBuffer));
+  }
+
+  /**
+   * Check a password against a users row, using the algorithm it was stored with
+   * @param {string} password - Plain text password
+   * @param {object} row - { password_hash, password_salt, password_algorithm, password_iterations }
+   * @returns {Promise<boolean>}
+   */
+  async passwordMatches(password, row) {
+    if (row.password_algorithm === this.PASSWORD_ALGORITHM) {
+      const { hash } = await this.hashPassword(password, row.password_salt, row.password_iterations);
+      return this.constantTimeEquals(hash, row.password_hash);
+    }
+
+    if (row.password_algorithm === 'sha256' || !row.password_algorithm) {
+      return this.constantTimeEquals(await this.hashLegacyPassword(password), row.password_hash);
+    }
+
+    console.warn(`Unknown password algorithm: ${row.password_algorithm}`);
+    return false;
+  }
+
+  /**
+   * Compare two hex strings without stopping at the first difference
+   */
+  constantTimeEquals(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+      return false;
+    }
+
+    let difference = 0;
+    for (let i = 0; i < a.length; i++) {
+      difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return difference === 0;
+  }
+
+  /**
+   * Encode bytes as a hex string
+   */
+  toHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Decode a hex string to bytes
+   */
+  fromHex(hex) {
+    return new Uint8Array((hex.match(/../g) || []).map(pair => parseInt(pair, 16)));
+  }
+
+  // ===== SCHEMA MIGRATION METHODS =====
+
+  /**
+   * Ordered schema migrations
+   * The database records the last one applied in PRAGMA user_version. New databases run every step,
+   * existing ones only the steps after their version. Steps are idempotent (CREATE ... IF NOT EXISTS,
+   * addColumns skips existing columns) because databases saved before versions were recorded are at
+   * version 0 with some of the schema already in place.
+   * Append new steps to the end; never edit or reorder a released one.
+   * @returns {Array<object>} { version, description, up }
+   */
+  getMigrations() {
+    return [
+      {
+        version: 1,
+        description: 'Create users, freight_details and document_history tables',
+        up: () => {
+          this.db.run(`
+            CREATE TABLE IF NOT EXISTS users (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              username TEXT UNIQUE NOT NULL,
+              password_hash TEXT NOT NULL,
+              created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE TABLE IF NOT EXISTS freight_details (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              user_id INTEGER NOT NULL,
+              origin TEXT NOT NULL,
+              destination TEXT NOT NULL,
+              goods_description TEXT NOT NULL,
+              weight REAL NOT NULL,
+              amount REAL NOT NULL,
+              discount REAL DEFAULT 0,
+              taxes REAL DEFAULT 0,
+              eway_bill_number TEXT,
+              eway_bill_date TEXT,
+              created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+              FOREIGN KEY (user_id) REFERENCES users(id)
+            );
+            CREATE TABLE IF NOT EXISTS document_history (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              freight_id INTEGER NOT NULL,
+              document_type TEXT NOT NULL,
+              generated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+              FOREIGN KEY (freight_id) REFERENCES freight_details(id)
+            );
+            CREATE INDEX IF NOT EXISTS idx_freight_user_id ON freight_details(user_id);
+            CREATE INDEX IF NOT EXISTS idx_freight_created_at ON freight_details(created_at);
+            CREATE INDEX IF NOT EXISTS idx_document_freight_id ON document_history(freight_id);
+          `);
+        }
+      },
+      {
+        version: 2,
+        description: 'Add company_profiles table',
+        up: () => {
+          this.db.run(`
+            CREATE TABLE IF NOT EXISTS company_profiles (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              user_id INTEGER NOT NULL,
+              name TEXT NOT NULL,
+              address TEXT,
+              city TEXT,
+              state TEXT,
+              pincode TEXT,
+              gst_number TEXT,
+              pan_number TEXT,
+              phone TEXT,
+              email TEXT,
+              website TEXT,
+              is_default INTEGER DEFAULT 0,
+              created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+              FOREIGN KEY (user_id) REFERENCES users(id)
+            );
+            CREATE INDEX IF NOT EXISTS idx_company_profiles_user_id ON company_profiles(user_id);
+          `);
+        }
+      },
+      {
+        version: 3,
+        description: 'Add custom_field_definitions table',
+        up: () => {
+          this.db.run(`
+            CREATE TABLE IF NOT EXISTS custom_field_definitions (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              user_id INTEGER NOT NULL,
+              field_name TEXT NOT NULL,
+              field_label TEXT NOT NULL,
+              field_type TEXT NOT NULL,
+              is_required INTEGER DEFAULT 0,
+              options TEXT,
+              display_order INTEGER DEFAULT 0,
+              is_active INTEGER DEFAULT 1,
+              created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+              FOREIGN KEY (user_id) REFERENCES users(id)
+            );
+            CREATE INDEX IF NOT EXISTS idx_custom_fields_user_id ON custom_field_definitions(user_id);
+          `);
+        }
+      },
+      {
+        version: 4,
+        description: 'Add company profile and custom fields to freight_details',
+        up: () => {
+          this.addColumns('freight_details', ['company_profile_id INTEGER', 'custom_fields TEXT']);
+          this.db.run('CREATE INDEX IF NOT EXISTS idx_freight_company_profile ON freight_details(company_profile_id);');
+        }
+      },
+      {
+        version: 5,
+        description: 'Add GST breakdown to freight_details',
+        up: () => {
+          this.addColumns('freight_details', [
+            'gst_rate REAL',
+            'gst_reverse_charge INTEGER DEFAULT 0',
+            'consignee_state TEXT',
+            'supply_type TEXT',
+            'cgst REAL DEFAULT 0',
+            'sgst REAL DEFAULT 0',
+            'igst REAL DEFAULT 0'
+          ]);
+        }
+      },
+      {
+        version: 6,
+        description: 'Add parties table and link parties to freight_details',
+        up: () => {
+          this.db.run(`
+            CREATE TABLE IF NOT EXISTS parties (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              user_id INTEGER NOT NULL,
+              name TEXT NOT NULL,
+              address TEXT,
+              city TEXT,
+              state TEXT,
+              gst_number TEXT,
+              phone TEXT,
+              created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+              FOREIGN KEY (user_id) REFERENCES users(id)
+            );
+            CREATE INDEX IF NOT EXISTS idx_parties_user_id ON parties(user_id);
+          `);
+          this.addColumns('freight_details', ['consignor_id INTEGER', 'consignee_id INTEGER', 'billing_party_id INTEGER']);
+        }
+      },
+      {
+        version: 7,
+        description: 'Add vehicles and drivers tables and link them to freight_details',
+        up: () => {
+          this.db.run(`
+            CREATE TABLE IF NOT EXISTS vehicles (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              user_id INTEGER NOT NULL,
+              registration_number TEXT NOT NULL,
+              vehicle_type TEXT,
+              capacity REAL,
+              owner_name TEXT,
+              permit_expiry TEXT,
+              insurance_expiry TEXT,
+              fitness_expiry TEXT,
+              created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+              FOREIGN KEY (user_id) REFERENCES users(id)
+            );
+            CREATE TABLE IF NOT EXISTS drivers (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              user_id INTEGER NOT NULL,
+              name TEXT NOT NULL,
+              licence_number TEXT,
+              phone TEXT,
+              created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+              FOREIGN KEY (user_id) REFERENCES users(id)
+            );
+            CREATE INDEX IF NOT EXISTS idx_vehicles_user_id ON vehicles(user_id);
+            CREATE INDEX IF NOT EXISTS idx_drivers_user_id ON drivers(user_id);
+          `);
+          this.addColumns('freight_details', ['vehicle_id INTEGER', 'driver_id INTEGER']);
+        }
+      },
+      {
+        version: 8,
+        description: 'Add freight_line_items table',
+        up: () => {
+          this.db.run(`
+            CREATE TABLE IF NOT EXISTS freight_line_items (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              freight_id INTEGER NOT NULL,
+              item_type TEXT NOT NULL,
+              description TEXT,
+              amount REAL NOT NULL DEFAULT 0,
+              taxable INTEGER DEFAULT 1,
+              sort_order INTEGER DEFAULT 0,
+              FOREIGN KEY (freight_id) REFERENCES freight_details(id)
+            );
+            CREATE INDEX IF NOT EXISTS idx_line_items_freight_id ON freight_line_items(freight_id);
+          `);
+        }
+      },
+      {
+        version: 9,
+        description: 'Add document numbering',
+        up: () => {
+          this.addColumns('company_profiles', ['bilty_prefix TEXT', 'invoice_prefix TEXT', 'number_pattern TEXT']);
+          this.addColumns('document_history', ['document_number TEXT', 'financial_year TEXT']);
+          // One counter per user, company profile (0 for the default letterhead), document type and financial year
+          this.db.run(`
+            CREATE INDEX IF NOT EXISTS idx_document_number ON document_history(document_number);
+            CREATE TABLE IF NOT EXISTS document_counters (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              user_id INTEGER NOT NULL,
+              company_profile_id INTEGER NOT NULL DEFAULT 0,
+              document_type TEXT NOT NULL,
+              financial_year TEXT NOT NULL,
+              last_number INTEGER NOT NULL DEFAULT 0,
+              updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+              UNIQUE (user_id, company_profile_id, document_type, financial_year),
+              FOREIGN KEY (user_id) REFERENCES users(id)
+            );
+          `);
+        }
+      },
+      {
+        version: 10,
+        description: 'Add consolidated invoice tables',
+        up: () => {
+          // freight_id is unique so a consignment can only be billed on one consolidated invoice
+          this.db.run(`
+            CREATE TABLE IF NOT EXISTS consolidated_invoices (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              user_id INTEGER NOT NULL,
+              company_profile_id INTEGER,
+              billing_party_id INTEGER,
+              invoice_number TEXT NOT NULL,
+              financial_year TEXT NOT NULL,
+              created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+              FOREIGN KEY (user_id) REFERENCES users(id)
+            );
+            CREATE TABLE IF NOT EXISTS consolidated_invoice_items (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              invoice_id INTEGER NOT NULL,
+              freight_id INTEGER NOT NULL UNIQUE,
+              sort_order INTEGER DEFAULT 0,
+              FOREIGN KEY (invoice_id) REFERENCES consolidated_invoices(id),
+              FOREIGN KEY (freight_id) REFERENCES freight_details(id)
+            );
+            CREATE INDEX IF NOT EXISTS idx_consolidated_invoices_user_id ON consolidated_invoices(user_id);
+            CREATE INDEX IF NOT EXISTS idx_consolidated_items_invoice_id ON consolidated_invoice_items(invoice_id);
+          `);
+        }
+      },
+      {
+        version: 11,
+        description: 'Add payments table',
+        up: () => {
+          // A payment settles either a single-consignment invoice (freight_id) or a consolidated invoice
+          this.db.run(`
+            CREATE TABLE IF NOT EXISTS payments (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              user_id INTEGER NOT NULL,
+              freight_id INTEGER,
+              consolidated_invoice_id INTEGER,
+              receipt_number TEXT NOT NULL,
+              payment_date TEXT NOT NULL,
+              amount REAL NOT NULL DEFAULT 0,
+              tds_amount REAL NOT NULL DEFAULT 0,
+              mode TEXT NOT NULL,
+              reference TEXT,
+              created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+              FOREIGN KEY (user_id) REFERENCES users(id),
+              FOREIGN KEY (freight_id) REFERENCES freight_details(id),
+              FOREIGN KEY (consolidated_invoice_id) REFERENCES consolidated_invoices(id)
+            );
+            CREATE INDEX IF NOT EXISTS idx_payments_user_id ON payments(user_id);
+            CREATE INDEX IF NOT EXISTS idx_payments_freight_id ON payments(freight_id);
+          `);
+        }
+      },
+      {
+        version: 12,
+        description: 'Add payment terms and invoice due dates',
+        up: () => {
+          const terms = ['payment_terms_days INTEGER', 'advance_percent REAL', 'freight_basis TEXT'];
+          this.addColumns('company_profiles', terms);
+          this.addColumns('parties', terms);
+          this.addColumns('document_history', ['due_date TEXT']);
+          this.addColumns('consolidated_invoices', ['due_date TEXT']);
+
+          // Invoices issued before due dates were stored were printed with fixed 30-day terms
+          this.db.run(`
+            UPDATE document_history SET due_date = date(generated_at, '+30 days')
+            WHERE document_type = 'invoice' AND document_number IS NOT NULL AND due_date IS NULL;
+            UPDATE consolidated_invoices SET due_date = date(created_at, '+30 days')
+            WHERE due_date IS NULL;
+          `);
+        }
+      },
+      {
+        version: 13,
+        description: 'Add password salt and algorithm to users',
+        up: () => {
+          this.addColumns('users', ['password_salt TEXT', 'password_algorithm TEXT', 'password_iterations INTEGER']);
+          // Existing passwords are bare SHA-256 digests; they are re-hashed at each user's next login
+          this.db.run("UPDATE users SET password_algorithm = 'sha256' WHERE password_algorithm IS NULL;");
+        }
+      },
+      {
+        version: 14,
+        description: 'Add invites table',
+        up: () => {
+          // Only a SHA-256 digest of each code is stored; the code itself is shown once to the user who created it
+          this.db.run(`
+            CREATE TABLE IF NOT EXISTS invites (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              code_hash TEXT NOT NULL UNIQUE,
+              note TEXT,
+              created_by INTEGER NOT NULL,
+              expires_at TEXT NOT NULL,
+              used_by INTEGER,
+              used_at TEXT,
+              created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+              FOREIGN KEY (created_by) REFERENCES users(id),
+              FOREIGN KEY (used_by) REFERENCES users(id)
+            );
+            CREATE INDEX IF NOT EXISTS idx_invites_created_by ON invites(created_by);
+          `);
+        }
+      },
+      {
+        version: 15,
+        description: 'Add roles to users and invites',
+        up: () => {
+          // Accounts created so far could do everything with their records, so they become owners
+          this.addColumns('users', ["role TEXT NOT NULL DEFAULT 'owner'"]);
+          this.addColumns('invites', ["role TEXT NOT NULL DEFAULT 'clerk'"]);
+        }
+      },
+      {
+        version: 16,
+        description: 'Add organisations shared by their members',
+        up: () => {
+          // Rows belong to an organisation; user_id stays as the member who created them
+          this.db.run(`
+            CREATE TABLE IF NOT EXISTS organisations (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              name TEXT NOT NULL,
+              created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+          `);
+          this.addColumns('users', ['organisation_id INTEGER']);
+          this.addColumns('freight_details', ['modified_by INTEGER', 'modified_at DATETIME']);
+
+          const tables = [
+            'freight_details', 'company_profiles', 'custom_field_definitions', 'parties', 'vehicles', 'drivers',
+            'consolidated_invoices', 'payments', 'document_counters'
+          ];
+          tables.forEach(tableName => {
+            this.addColumns(tableName, ['organisation_id INTEGER']);
+            this.db.run(`CREATE INDEX IF NOT EXISTS idx_${tableName}_organisation_id ON ${tableName}(organisation_id);`);
+          });
+
+          // Each account registered so far kept its own records, so each gets its own organisation;
+          // people join another organisation only when one of its owners invites them
+          const stmt = this.db.prepare(`
+            SELECT users.id, COALESCE((
+              SELECT name FROM company_profiles WHERE company_profiles.user_id = users.id
+              ORDER BY is_default DESC, id ASC LIMIT 1
+            ), users.username) AS name
+            FROM users WHERE organisation_id IS NULL ORDER BY users.id
+          `);
+          const legacyUsers = [];
+          while (stmt.step()) {
+            legacyUsers.push(stmt.getAsObject());
+          }
+          stmt.free();
+          legacyUsers.forEach(user => {
+            this.db.run('UPDATE users SET organisation_id = ? WHERE id = ?', [this.createOrganisation(user.name), user.id]);
+          });
+          tables.forEach(tableName => this.db.run(`
+            UPDATE ${tableName} SET organisation_id = (SELECT organisation_id FROM users WHERE users.id = ${tableName}.user_id)
+            WHERE organisation_id IS NULL;
+          `));
+
+          // Keep one default profile, and one counter per series continuing from the highest number issued
+          this.db.run(`
+            UPDATE company_profiles SET is_default = 0
+            WHERE is_default = 1 AND id != (
+              SELECT MIN(c.id) FROM company_profiles c
+              WHERE c.organisation_id = company_profiles.organisation_id AND c.is_default = 1
+            );
+            UPDATE document_counters SET last_number = (
+              SELECT MAX(c.last_number) FROM document_counters c
+              WHERE c.organisation_id = document_counters.organisation_id
+                AND c.company_profile_id = document_counters.company_profile_id
+                AND c.document_type = document_counters.document_type
+                AND c.financial_year = document_counters.financial_year
+            );
+            DELETE FROM document_counters WHERE id NOT IN (
+              SELECT MIN(id) FROM document_counters
+              GROUP BY organisation_id, company_profile_id, document_type, financial_year
+            );
+          `);
+        }
+      },
+      {
+        version: 17,
+        description: 'Add login sessions and an idle timeout per organisation',
+        up: () => {
+          // Only a hash of each token is stored, so a copy of the database can't be used to log in
+          this.db.run(`
+            CREATE TABLE IF NOT EXISTS sessions (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              user_id INTEGER NOT NULL,
+              token_hash TEXT NOT NULL UNIQUE,
+              user_agent TEXT,
+              created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+              last_active_at TEXT NOT NULL,
+              expires_at TEXT NOT NULL,
+              FOREIGN KEY (user_id) REFERENCES users(id)
+            );
+            CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+          `);
+          this.addColumns('organisations', ['idle_timeout_minutes INTEGER']);
+        }
+      },
+      {
+        version: 18,
+        description: 'Add failed login tracking',
+        up: () => {
+          // Keyed by the username typed, so guesses at accounts that don't exist are slowed down too
+          this.db.run(`
+            CREATE TABLE IF NOT EXISTS login_attempts (
+              username TEXT PRIMARY KEY,
+              failed_count INTEGER NOT NULL DEFAULT 0,
+              last_failed_at TEXT NOT NULL,
+              locked_until TEXT
+            );
+          `);
+        }
+      },
+      {
+        version: 19,
+        description: 'Add password recovery codes',
+        up: () => {
+          this.db.run(`
+            CREATE TABLE IF NOT EXISTS recovery_codes (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              user_id INTEGER NOT NULL,
+              code_hash TEXT NOT NULL,
+              used_at TEXT,
+              created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+              FOREIGN KEY (user_id) REFERENCES users(id)
+            );
+            CREATE INDEX IF NOT EXISTS idx_recovery_codes_user_id ON recovery_codes(user_id);
+          `);
+        }
+      },
+      {
+        version: 20,
+        description: 'Add booking, bilty and invoice dates',
+        up: () => {
+          this.addColumns('freight_details', ['booking_date TEXT', 'bilty_date TEXT', 'invoice_date TEXT']);
+          this.addColumns('document_history', ['issue_date TEXT']);
+          // Records were booked when they were saved; documents already issued keep the date they were first printed with.
+          // Documents not issued yet take their date when they are.
+          this.db.run(`
+            UPDATE document_history SET issue_date = date(generated_at)
+            WHERE document_number IS NOT NULL AND issue_date IS NULL;
+            UPDATE freight_details SET booking_date = date(created_at) WHERE booking_date IS NULL;
+            UPDATE freight_details SET bilty_date = (
+              SELECT issue_date FROM document_history
+              WHERE freight_id = freight_details.id AND document_type = 'bilty' AND document_number IS NOT NULL
+              ORDER BY id ASC LIMIT 1
+            ) WHERE bilty_date IS NULL;
+            UPDATE freight_details SET invoice_date = (
+              SELECT issue_date FROM document_history
+              WHERE freight_id = freight_details.id AND document_type = 'invoice' AND document_number IS NOT NULL
+              ORDER BY id ASC LIMIT 1
+            ) WHERE invoice_date IS NULL;
+            CREATE INDEX IF NOT EXISTS idx_freight_booking_date ON freight_details(booking_date);
+          `);
+        }
+      },
+      {
+        version: 21,
+        description: 'Add issued document snapshots and who generated each document',
+        up: () => {
+          // Documents issued earlier have no snapshot and keep printing from the current record
+          this.addColumns('document_history', ['snapshot TEXT', 'generated_by INTEGER']);
+        }
+      },
+      {
+        version: 22,
+        description: 'Hash recovery codes with PBKDF2 and a salt per code',
+        up: () => {
+          // Codes issued earlier keep their bare SHA-256 digest until they are used or replaced
+          this.addColumns('recovery_codes', ['code_salt TEXT', 'code_algorithm TEXT', 'code_iterations INTEGER']);
+        }
+      },
+      {
+        version: 23,
+        description: 'Add snapshots, issue dates and print counts to consolidated invoices',
+        up: () => {
+          // Invoices created earlier have no snapshot and keep printing from the current records
+          this.addColumns('consolidated_invoices', ['issue_date TEXT', 'snapshot TEXT', 'print_count INTEGER NOT NULL DEFAULT 0']);
+          this.db.run(`
+            UPDATE consolidated_invoices SET issue_date = date(created_at) WHERE issue_date IS NULL;
+          `);
+        }
+      },
+      {
+        version: 24,
+        description: 'Make document counters unique per organisation instead of per user',
+        up: () => {
+          // SQLite can't change a table's constraints, so the table is rebuilt; user_id stays as the member
+          // who started the series. Counters are merged first in case a series was split between members.
+          this.db.run(`
+            UPDATE document_counters SET last_number = (
+              SELECT MAX(c.last_number) FROM document_counters c
+              WHERE c.organisation_id IS document_counters.organisation_id
+                AND c.company_profile_id = document_counters.company_profile_id
+                AND c.document_type = document_counters.document_type
+                AND c.financial_year = document_counters.financial_year
+            );
+            DELETE FROM document_counters WHERE id NOT IN (
+              SELECT MIN(id) FROM document_counters
+              GROUP BY organisation_id, company_profile_id, document_type, financial_year
+            );
+            CREATE TABLE document_counters_rebuilt (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              organisation_id INTEGER,
+              user_id INTEGER NOT NULL,
+              company_profile_id INTEGER NOT NULL DEFAULT 0,
+              document_type TEXT NOT NULL,
+              financial_year TEXT NOT NULL,
+              last_number INTEGER NOT NULL DEFAULT 0,
+              updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+              UNIQUE (organisation_id, company_profile_id, document_type, financial_year),
+              FOREIGN KEY (user_id) REFERENCES users(id)
+            );
+            INSERT INTO document_counters_rebuilt
+              (id, organisation_id, user_id, company_profile_id, document_type, financial_year, last_number, updated_at)
+              SELECT id, organisation_id, user_id, company_profile_id, document_type, financial_year, last_number, updated_at
+              FROM document_counters;
+            DROP TABLE document_counters;
+            ALTER TABLE document_counters_rebuilt RENAME TO document_counters;
+          `);
+        }
+      }
+    ];
+  }
+
+  /**
+   * Get the schema version of the open database
+   * @returns {number} Version of the last migration applied (0 for databases saved before versions were recorded)
+   */
+  getSchemaVersion() {
+    const result = this.db.exec('PRAGMA user_version;');
+    return result[0]?.values[0]?.[0] || 0;
+  }
+
+  /**
+   * Get the schema version this build migrates databases to
+   * @returns {number} Version of the last migration
+   */
+  getLatestSchemaVersion() {
+    const migrations = this.getMigrations();
+    return migrations[migrations.length - 1].version;
+  }
+
+  /**
+   * Apply the migrations the database has not had yet, in order
+   * Each step runs in its own transaction together with the version bump, so a failing step is rolled
+   * back and leaves the database at the last version that completed
+   * @param {number} [targetVersion] - Stop after this version (defaults to the latest)
+   */
+  async runMigrations(targetVersion = this.getLatestSchemaVersion()) {
+    const currentVersion = this.getSchemaVersion();
+    const pending = this.getMigrations()
+      .filter(migration => migration.version > currentVersion && migration.version <= targetVersion);
+
+    for (const migration of pending) {
+      console.log(`Running migration ${migration.version}: ${migration.description}`);
+      try {
+        this.transaction(() => {
+          migration.up();
+          this.db.run(`PRAGMA user_version = ${migration.version};`);
+        });
+      } catch (error) {
+        console.error(`Migration ${migration.version} failed:`, error);
+        throw error;
+      }
+    }
+
+    if (pending.length > 0) {
+      console.log(`Migrations completed successfully (schema version ${pending[pending.length - 1].version})`);
+    }
+  }
+
+  /**
+   * Add columns to a table, skipping any it already has
+   * @param {string} tableName - Table to alter
+   * @param {Array<string>} definitions - Column definitions, e.g. 'due_date TEXT'
+   */
+  addColumns(tableName, definitions) {
+    definitions
+      .filter(definition => !this.columnExists(tableName, definition.split(' ')[0]))
+      .forEach(definition => this.db.run(`ALTER TABLE ${tableName} ADD COLUMN ${definition};`));
+  }
+
+  /**
+   * Check if a table exists
+   */
+  tableExists(tableName) {
+    try {
+      const result = this.db.exec(`SELECT name FROM sqlite_master WHERE type='table' AND name='${tableName}';`);
+      return result.length > 0 && result[0].values.length > 0;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check if a column exists in a table
+   */
+  columnExists(tableName, columnName) {
+    try {
+      const result = this.db.exec(`PRAGMA table_info(${tableName});`);
+      if (result.length === 0) return false;
+
+      const columns = result[0].values;
+      return columns.some(col => col[1] === columnName);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // ===== PERSISTENCE METHODS =====
+
+  /**
+   * Mark the database as changed and schedule a flush for when the browser is idle
+   * Changes made inside a transaction are flushed once the outermost transaction commits
+   */
+  schedulePersist() {
+    this.dirty = true;
+    if (this.transactionDepth > 0 || this.scheduledFlush) {
+      return;
+    }
+
+    if (typeof requestIdleCallback === 'function') {
+      const handle = requestIdleCallback(() => this.flush(), { timeout: this.FLUSH_TIMEOUT_MS });
+      this.scheduledFlush = { cancel: () => cancelIdleCallback(handle) };
+    } else {
+      const handle = setTimeout(() => this.flush(), this.FLUSH_DELAY_MS);
+      this.scheduledFlush = { cancel: () => clearTimeout(handle) };
+    }
+  }
+
+  /**
+   * Cancel a scheduled flush
+   */
+  cancelScheduledFlush() {
+    if (this.scheduledFlush) {
+      this.scheduledFlush.cancel();
+      this.scheduledFlush = null;
+    }
+  }
+
+  /**
+   * Write pending changes to the storage backend now
+   * Runs on idle, when the page is hidden or unloaded, and whenever a caller needs the data stored
+   * Writes are queued so they reach storage in the order they were made
+   * Returns: Promise resolving once every change so far has been stored, to false if this write failed
+   */
+  flush() {
+    this.cancelScheduledFlush();
+    if (!this.dirty || !this.db || this.transactionDepth > 0) {
+      return this.pendingWrite;
+    }
+
+    let data;
+    try {
+      data = this.db.export();
+    } catch (error) {
+      console.error('Failed to export database:', error);
+      return this.pendingWrite.then(() => false);
+    }
+
+    const storage = this.storage;
+    const encryption = this.encryption;
+    this.dirty = false;
+    this.storageSize = data.length;
+    this.pendingWrite = this.pendingWrite
+      .then(async () => {
+        await storage.save(encryption ? await this.encryptFile(data, encryption) : data);
+        return true;
+      })
+      .catch(error => {
+        // Keep the changes pending so the next flush tries again
+        this.dirty = true;
+        console.error(`Failed to persist database to ${storage.label}:`, error);
+        return false;
+      });
+    return this.pendingWrite;
+  }
+
+  /**
+   * Flush pending changes when the page is hidden or unloaded
+   */
+  watchPageLifecycle() {
+    if (this.lifecycleWatched || typeof document === 'undefined') {
+      return;
+    }
+
+    this.lifecycleWatched = true;
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.flush();
+      }
+    });
+    window.addEventListener('pagehide', () => this.flush());
+  }
+
+  /**
+   * Run several writes as one SQLite transaction, flushed once when it commits
+   * Nested calls become savepoints, so methods with their own transaction can run inside a bulk one
+   * The operation must be synchronous; if it throws, its changes are rolled back and the error rethrown
+   * Returns: Whatever the operation returns
+   */
+  transaction(operation) {
+    const depth = this.transactionDepth;
+    this.db.run(depth === 0 ? 'BEGIN TRANSACTION' : `SAVEPOINT sp_${depth}`);
+    this.transactionDepth = depth + 1;
+
+    try {
+      const result = operation();
+      this.db.run(depth === 0 ? 'COMMIT' : `RELEASE sp_${depth}`);
+      this.transactionDepth = depth;
+      this.schedulePersist();
+      return result;
+    } catch (error) {
+      this.transactionDepth = depth;
+      try {
+        if (depth === 0) {
+          this.db.run('ROLLBACK');
+        } else {
+          this.db.run(`ROLLBACK TO sp_${depth}`);
+          this.db.run(`RELEASE sp_${depth}`);
+        }
+      } catch (rollbackError) {
+        console.error('Failed to roll back transaction:', rollbackError);
+      }
+      throw error;
+    }
+  }
+
+  // ===== ENCRYPTION METHODS =====
+
+  /**
+   * Check whether stored bytes are an encrypted database file rather than a SQLite one
+   */
+  isEncryptedFile(bytes) {
+    const magic = new TextEncoder().encode(this.ENCRYPTION_MAGIC);
+    return bytes.length > magic.length && magic.every((byte, i) => bytes[i] === byte);
+  }
+
+  /**
+   * Split an encrypted database file into its header fields and ciphertext
+   * Layout: ENCRYPTION_MAGIC | iterations (uint32, big-endian) | salt | IV | AES-GCM ciphertext
+   */
+  parseEncryptedFile(bytes) {
+    const start = this.ENCRYPTION_MAGIC.length;
+    const saltStart = start + 4;
+    const ivStart = saltStart + this.ENCRYPTION_SALT_BYTES;
+    const dataStart = ivStart + this.ENCRYPTION_IV_BYTES;
+    return {
+      iterations: new DataView(bytes.buffer, bytes.byteOffset + start, 4).getUint32(0),
+      salt: bytes.slice(saltStart, ivStart),
+      iv: bytes.slice(ivStart, dataStart),
+      ciphertext: bytes.slice(dataStart)
+    };
+  }
+
+  /**
+   * Derive the raw AES-256 key for a passphrase with PBKDF2-SHA256
+   * Returns: Uint8Array (32 bytes)
+   */
+  async deriveEncryptionKey(passphrase, salt, iterations) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+    return new Uint8Array(bits);
+  }
+
+  /**
+   * Start encrypting with a raw key; later flushes use it with a fresh IV each time
+   */
+  async useEncryptionKey(rawKey, salt, iterations) {
+    this.encryption = {
+      key: await crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['encrypt', 'decrypt']),
+      keyHex: this.toHex(rawKey),
+      salt,
+      iterations
+    };
+  }
+
+  /**
+   * Encrypt a SQLite file for storage
+   * Returns: Uint8Array in the layout read by parseEncryptedFile()
+   */
+  async encryptFile(data, { key, salt, iterations }) {
+    const iv = crypto.getRandomValues(new Uint8Array(this.ENCRYPTION_IV_BYTES));
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, data));
+    const magic = new TextEncoder().encode(this.ENCRYPTION_MAGIC);
+
+    const bytes = new Uint8Array(magic.length + 4 + salt.length + iv.length + ciphertext.length);
+    bytes.set(magic);
+    new DataView(bytes.buffer).setUint32(magic.length, iterations);
+    bytes.set(salt, magic.length + 4);
+    bytes.set(iv, magic.length + 4 + salt.length);
+    bytes.set(ciphertext, magic.length + 4 + salt.length + iv.length);
+    return bytes;
+  }
+
+  /**
+   * Decrypt a stored database file and keep its key for later flushes
+   * Returns: Uint8Array SQLite file, or null when the key is wrong or the file was tampered with
+   */
+  async decryptFile(bytes, rawKey) {
+    const { iterations, salt, iv, ciphertext } = this.parseEncryptedFile(bytes);
+    try {
+      const key = await crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['decrypt']);
+      const data = new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, ciphertext));
+      await this.useEncryptionKey(rawKey, salt, iterations);
+      return data;
+    } catch (error) {
+      console.warn('Could not decrypt the database:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Check whether the stored database is encrypted
+   */
+  isEncryptionEnabled() {
+    return Boolean(this.encryption);
+  }
+
+  /**
+   * Open an encrypted database with its passphrase
+   * The returned key can be passed to initialize() to open it again without the passphrase
+   * Returns: { success: boolean, encryptionKey?: string, error?: string }
+   */
+  async unlock(passphrase) {
+    if (this.initialized) {
+      return { success: false, error: 'The database is already unlocked' };
+    }
+
+    try {
+      this.storage = this.storage || await this.openStorage();
+      const savedDb = await this.storage.load();
+      if (!savedDb || !this.isEncryptedFile(savedDb)) {
+        return { success: false, error: 'The database is not encrypted' };
+      }
+
+      const { iterations, salt } = this.parseEncryptedFile(savedDb);
+      const encryptionKey = this.toHex(await this.deriveEncryptionKey(passphrase || '', salt, iterations));
+      const result = await this.initialize({ encryptionKey });
+      if (result.locked) {
+        return { success: false, error: 'Incorrect passphrase' };
+      }
+
+      return result.success ? { success: true, encryptionKey } : result;
+    } catch (error) {
+      console.error('Failed to unlock database:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Check a passphrase against the key the database is encrypted with
+   */
+  async isEncryptionPassphrase(passphrase) {
+    const { salt, iterations, keyHex } = this.encryption;
+    return this.toHex(await this.deriveEncryptionKey(passphrase || '', salt, iterations)) === keyHex;
+  }
+
+  /**
+   * Encrypt the stored database under a new passphrase, with a new salt, and store it now
+   * Returns: { success: boolean, encryptionKey?: string, error?: string }
+   */
+  async setEncryptionPassphrase(passphrase) {
+    if (!passphrase || passphrase.length < this.ENCRYPTION_MIN_PASSPHRASE_LENGTH) {
+      return { success: false, error: `Passphrase must be at least ${this.ENCRYPTION_MIN_PASSPHRASE_LENGTH} characters long` };
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(this.ENCRYPTION_SALT_BYTES));
+    const rawKey = await this.deriveEncryptionKey(passphrase, salt, this.ENCRYPTION_ITERATIONS);
+    const previous = this.encryption;
+    await this.useEncryptionKey(rawKey, salt, this.ENCRYPTION_ITERATIONS);
+
+    return this.storeWithEncryption(previous, { success: true, encryptionKey: this.encryption.keyHex });
+  }
+
+  /**
+   * Store the database now with the encryption just switched to
+   * If the write fails the stored file is still under the previous key, so that key is put back
+   * @param {object|null} previous - Encryption in use before the switch
+   * @param {object} result - What to return once the file is stored
+   * Returns: result, or { success: false, error } when the database could not be stored
+   */
+  async storeWithEncryption(previous, result) {
+    this.dirty = true;
+    if (!(await this.flush())) {
+      this.encryption = previous;
+      return { success: false, error: 'Could not store the database, so its encryption was left unchanged' };
+    }
+    return result;
+  }
+
+  /**
+   * Encrypt the stored database with a passphrase
+   * @param {number} actorId - User turning encryption on (needs storage.encrypt)
+   * @param {string} passphrase - At least ENCRYPTION_MIN_PASSPHRASE_LENGTH characters
+   * Returns: { success: boolean, encryptionKey?: string, error?: string }
+   */
+  async enableEncryption(actorId, passphrase) {
+    if (!this.initialized) {
+      return { success: false, error: 'Database not initialized' };
+    }
+
+    const denied = this.checkPermission(actorId, 'storage.encrypt');
+    if (denied) {
+      return denied;
+    }
+
+    if (this.encryption) {
+      return { success: false, error: 'The database is already encrypted' };
+    }
+
+    try {
+      return await this.setEncryptionPassphrase(passphrase);
+    } catch (error) {
+      console.error('Failed to encrypt database:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Re-encrypt the stored database under a new passphrase
+   * @param {number} actorId - User making the change (needs storage.encrypt)
+   * @param {string} currentPassphrase - Passphrase the database is encrypted with
+   * @param {string} newPassphrase - Passphrase to change to
+   * Returns: { success: boolean, encryptionKey?: string, error?: string }
+   */
+  async changeEncryptionPassphrase(actorId, currentPassphrase, newPassphrase) {
+    if (!this.initialized) {
+      return { success: false, error: 'Database not initialized' };
+    }
+
+    const denied = this.checkPermission(actorId, 'storage.encrypt');
+    if (denied) {
+      return denied;
+    }
+
+    if (!this.encryption) {
+      return { success: false, error: 'The database is not encrypted' };
+    }
+
+    try {
+      if (!(await this.isEncryptionPassphrase(currentPassphrase))) {
+        return { success: false, error: 'Current passphrase is incorrect' };
+      }
+
+      return await this.setEncryptionPassphrase(newPassphrase);
+    } catch (error) {
+      console.error('Failed to change passphrase:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Store the database unencrypted again
+   * @param {number} actorId - User turning encryption off (needs storage.encrypt)
+   * @param {string} currentPassphrase - Passphrase the database is encrypted with
+   * Returns: { success: boolean, error?: string }
+   */
+  async disableEncryption(actorId, currentPassphrase) {
+    if (!this.initialized) {
+      return { success: false, error: 'Database not initialized' };
+    }
+
+    const denied = this.checkPermission(actorId, 'storage.encrypt');
+    if (denied) {
+      return denied;
+    }
+
+    if (!this.encryption) {
+      return { success: false, error: 'The database is not encrypted' };
+    }
+
+    try {
+      if (!(await this.isEncryptionPassphrase(currentPassphrase))) {
+        return { success: false, error: 'Current passphrase is incorrect' };
+      }
+
+      const previous = this.encryption;
+      this.encryption = null;
+      return await this.storeWithEncryption(previous, { success: true });
+    } catch (error) {
+      console.error('Failed to decrypt database:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ===== FREIGHT DETAILS METHODS =====
+
+  /**
+   * Save freight details
+   * Returns: { success: boolean, id: number, error: string }
+   */
+  saveFreightDetails(freightData) {
+    if (!this.initialized) {
+      console.error('Attempted to save freight details before database initialization');
+      return { success: false, error: 'Database not initialized' };
+    }
+
+    const denied = this.checkPermission(freightData.userId, 'records.edit');
+    if (denied) {
+      return denied;
+    }
+
+    const dates = this.resolveDocumentDates(freightData);
+    if (dates.error) {
+      return { success: false, error: dates.error };
+    }
+
+    try {
+      const id = this.transaction(() => {
+        const stmt = this.db.prepare(`
+          INSERT INTO freight_details (
+            user_id, origin, destination, goods_description, 
+            weight, amount, discount, taxes, 
+            eway_bill_number, eway_bill_date, company_profile_id, custom_fields,
+            gst_rate, gst_reverse_charge, consignee_state, supply_type, cgst, sgst, igst,
+            consignor_id, consignee_id, billing_party_id, vehicle_id, driver_id, organisation_id,
+            booking_date, bilty_date, invoice_date
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+
+        stmt.run([
+          freightData.userId,
+          freightData.origin,
+          freightData.destination,
+          freightData.goodsDescription,
+          freightData.weight,
+          freightData.amount,
+          freightData.discount || 0,
+          freightData.taxes || 0,
+          freightData.ewayBillNumber || null,
+          freightData.ewayBillDate || null,
+          freightData.companyProfileId || null,
+          this.serializeCustomFields(freightData.customFields),
+          ...this.getGstParams(freightData),
+          freightData.consignorId || null,
+          freightData.consigneeId || null,
+          freightData.billingPartyId || null,
+          freightData.vehicleId || null,
+          freightData.driverId || null,
+          this.getUserOrganisationId(freightData.userId),
+          dates.bookingDate,
+          dates.biltyDate,
+          dates.invoiceDate
+        ]);
+
+        stmt.free();
+
+        // Get the last inserted ID
+        const result = this.db.exec('SELECT last_insert_rowid() as id');
+        const freightId = result[0].values[0][0];
+
+        this.replaceLineItems(freightId, freightData.lineItems);
+
+        return freightId;
+      });
+
+      console.log(`Freight details saved successfully with ID: ${id}`);
+      return { success: true, id };
+    } catch (error) {
+      console.error('Failed to save freight details:', error);
+      return { success: false, error: `Failed to save data: ${error.message}` };
+    }
+  }
+
+  /**
+   * Retrieve freight details by ID
+   * Returns: FreightDetails object, or null if it is not in the user's organisation
+   */
+  getFreightDetails(id, userId) {
+    if (!this.initialized) {
+      return null;
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        SELECT * FROM freight_details WHERE id = ? AND organisation_id = ?
+      `);
+
+      stmt.bind([id, this.getUserOrganisationId(userId)]);
+      
+      if (stmt.step()) {
+        const row = stmt.getAsObject();
+        stmt.free();
+        
+        return this.mapFreightRow(row, this.getLineItems(row.id));
+      }
+
+      stmt.free();
+      return null;
+    } catch (error) {
+      console.error('Failed to get freight details:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get all freight records of the user's organisation
+   * Returns: Array of FreightDetails
+   */
+  getUserFreightRecords(userId) {
+    if (!this.initialized) {
+      return [];
+    }
+
+    try {
+      const organisationId = this.getUserOrganisationId(userId);
+      const stmt = this.db.prepare(`
+        SELECT * FROM freight_details 
+        WHERE organisation_id = ? 
+        ORDER BY id DESC
+      `);
+
+      stmt.bind([organisationId]);
+      
+      const rows = [];
+      while (stmt.step()) {
+        rows.push(stmt.getAsObject());
+      }
+
+      stmt.free();
+
+      const lineItems = this.getOrganisationLineItems(organisationId);
+      return rows.map(row => this.mapFreightRow(row, lineItems.get(row.id)));
+    } catch (error) {
+      console.error('Failed to get user freight records:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Map a freight_details row to a FreightDetails object
+   * @param {object} row - freight_details row
+   * @param {Array<object>} [lineItems] - The record's line items
+   */
+  mapFreightRow(row, lineItems = []) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      organisationId: row.organisation_id ?? null,
+      companyProfileId: row.company_profile_id ?? null,
+      origin: row.origin,
+      destination: row.destination,
+      goodsDescription: row.goods_description,
+      weight: row.weight,
+      amount: row.amount,
+      discount: row.discount,
+      taxes: row.taxes,
+      ewayBillNumber: row.eway_bill_number,
+      ewayBillDate: row.eway_bill_date,
+      customFields: this.parseCustomFields(row.custom_fields),
+      gstRate: row.gst_rate ?? null,
+      reverseCharge: row.gst_reverse_charge === 1,
+      consigneeState: row.consignee_state ?? null,
+      supplyType: row.supply_type ?? null,
+      cgst: row.cgst || 0,
+      sgst: row.sgst || 0,
+      igst: row.igst || 0,
+      consignorId: row.consignor_id ?? null,
+      consigneeId: row.consignee_id ?? null,
+      billingPartyId: row.billing_party_id ?? null,
+      vehicleId: row.vehicle_id ?? null,
+      driverId: row.driver_id ?? null,
+      lineItems,
+      bookingDate: row.booking_date ?? null,
+      biltyDate: row.bilty_date ?? null,
+      invoiceDate: row.invoice_date ?? null,
+      createdAt: row.created_at,
+      modifiedBy: row.modified_by ?? null,
+      modifiedAt: row.modified_at ?? null
+    };
+  }
+
+  /**
+   * Statement parameters for the GST columns of freight_details
+   * Order: gst_rate, gst_reverse_charge, consignee_state, supply_type, cgst, sgst, igst
+   */
+  getGstParams(freightData) {
+    return [
+      freightData.gstRate || null,
+      freightData.reverseCharge ? 1 : 0,
+      freightData.consigneeState || null,
+      freightData.supplyType || null,
+      freightData.cgst || 0,
+      freightData.sgst || 0,
+      freightData.igst || 0
+    ];
+  }
+
+  /**
+   * Work out the booking, bilty and invoice dates to store for a freight record, as YYYY-MM-DD
+   * The booking date defaults to the stored one, else today. Bilty and invoice dates are only stored when
+   * someone sets them; left blank, the document takes the day it is issued.
+   * A date that changes must pass checkDocumentDate(), and an issued document keeps its date.
+   * @param {object} freightData - Freight details with optional bookingDate, biltyDate and invoiceDate
+   * @param {object|null} [existing] - The stored record, when updating
+   * Returns: { bookingDate, biltyDate, invoiceDate } or { error: string }
+   */
+  resolveDocumentDates(freightData, existing = null) {
+    const documentDate = key => (freightData[key] !== undefined ? freightData[key] || null : existing?.[key] ?? null);
+    const dates = {
+      bookingDate: freightData.bookingDate || existing?.bookingDate || this.formatLocalDate(),
+      biltyDate: documentDate('biltyDate'),
+      invoiceDate: documentDate('invoiceDate')
+    };
+
+    for (const key of Object.keys(dates)) {
+      const value = dates[key];
+      if (value === (existing?.[key] ?? null)) {
+        continue;
+      }
+
+      const documentType = key.replace('Date', '');
+      if (existing && key !== 'bookingDate' && this.getIssuedDocument(existing.id, documentType)) {
+        return { error: `${this.DOCUMENT_DATE_LABELS[key]} can't change once the ${documentType} is issued` };
+      }
+
+      const error = value && this.checkDocumentDate(key, value, key === 'bookingDate' ? null : dates.bookingDate);
+      if (error) {
+        return { error };
+      }
+    }
+
+    // A booking date moved later must still come before documents dated earlier
+    for (const key of ['biltyDate', 'invoiceDate']) {
+      if (dates[key] && dates[key] < dates.bookingDate) {
+        return { error: `${this.DOCUMENT_DATE_LABELS[key]} can't be before the booking date` };
+      }
+    }
+
+    return dates;
+  }
+
+  /**
+   * Check a booking, bilty or invoice date someone has chosen
+   * It must be a real date, not in the future, within DOCUMENT_BACKDATE_DAYS of today and not before the booking date
+   * @param {string} key - bookingDate, biltyDate or invoiceDate
+   * @param {string} value - Date as YYYY-MM-DD
+   * @param {string|null} [bookingDate] - Booking date of the record, for bilty and invoice dates
+   * Returns: error message, or null if the date is allowed
+   */
+  checkDocumentDate(key, value, bookingDate = null) {
+    const label = this.DOCUMENT_DATE_LABELS[key];
+    const earliest = new Date();
+    earliest.setDate(earliest.getDate() - this.DOCUMENT_BACKDATE_DAYS);
+
+    if (!this.isValidLocalDate(value)) {
+      return `${label} must be a valid date`;
+    }
+    if (value > this.formatLocalDate()) {
+      return `${label} can't be in the future`;
+    }
+    if (value < this.formatLocalDate(earliest)) {
+      return `${label} can't be more than ${this.DOCUMENT_BACKDATE_DAYS} days ago`;
+    }
+    if (bookingDate && value < bookingDate) {
+      return `${label} can't be before the booking date`;
+    }
+    return null;
+  }
+
+  /**
+   * Serialize custom field values for the custom_fields TEXT column
+   * Returns null when there are no values to store
+   */
+  serializeCustomFields(customFields) {
+    if (!customFields || typeof customFields !== 'object' || Object.keys(customFields).length === 0) {
+      return null;
+    }
+    return JSON.stringify(customFields);
+  }
+
+  /**
+   * Parse the custom_fields TEXT column back into an object
+   * Malformed JSON is treated as no values
+   */
+  parseCustomFields(value) {
+    if (!value) {
+      return {};
+    }
+
+    try {
+      const parsed = JSON.parse(value);
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch (error) {
+      console.warn('Ignoring malformed custom_fields value:', error);
+      return {};
+    }
+  }
+
+  // ===== LINE ITEM METHODS =====
+
+  /**
+   * Replace the line items of a freight record
+   * Rows without a positive amount are not stored
+   * @param {number} freightId - Freight record ID
+   * @param {Array<object>} [lineItems] - Line items ({ type, description, amount, taxable }) in print order
+   */
+  replaceLineItems(freightId, lineItems = []) {
+    const deleteStmt = this.db.prepare(`
+      DELETE FROM freight_line_items WHERE freight_id = ?
+    `);
+    deleteStmt.run([freightId]);
+    deleteStmt.free();
+
+    const items = (lineItems || []).filter(item => Number(item.amount) > 0);
+    if (items.length === 0) {
+      return;
+    }
+
+    const insertStmt = this.db.prepare(`
+      INSERT INTO freight_line_items (freight_id, item_type, description, amount, taxable, sort_order)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    items.forEach((item, index) => {
+      insertStmt.run([
+        freightId,
+        item.type || 'other',
+        item.description || null,
+        Number(item.amount),
+        item.taxable === false ? 0 : 1,
+        index
+      ]);
+    });
+    insertStmt.free();
+  }
+
+  /**
+   * Get the line items of a freight record in print order
+   */
+  getLineItems(freightId) {
+    if (!this.initialized) {
+      return [];
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        SELECT * FROM freight_line_items
+        WHERE freight_id = ?
+        ORDER BY sort_order ASC, id ASC
+      `);
+
+      stmt.bind([freightId]);
+
+      const items = [];
+      while (stmt.step()) {
+        items.push(this.mapLineItemRow(stmt.getAsObject()));
+      }
+
+      stmt.free();
+      return items;
+    } catch (error) {
+      console.error('Failed to get line items:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the line items of all of an organisation's freight records in one query
+   * Returns: Map of freight ID to line items in print order
+   */
+  getOrganisationLineItems(organisationId) {
+    const itemsByFreight = new Map();
+
+    try {
+      const stmt = this.db.prepare(`
+        SELECT li.* FROM freight_line_items li
+        JOIN freight_details fd ON fd.id = li.freight_id
+        WHERE fd.organisation_id = ?
+        ORDER BY li.freight_id, li.sort_order ASC, li.id ASC
+      `);
+
+      stmt.bind([organisationId]);
+
+      while (stmt.step()) {
+        const row = stmt.getAsObject();
+        if (!itemsByFreight.has(row.freight_id)) {
+          itemsByFreight.set(row.freight_id, []);
+        }
+        itemsByFreight.get(row.freight_id).push(this.mapLineItemRow(row));
+      }
+
+      stmt.free();
+    } catch (error) {
+      console.error('Failed to get organisation line items:', error);
+    }
+
+    return itemsByFreight;
+  }
+
+  /**
+   * Map a freight_line_items row to a line item object
+   */
+  mapLineItemRow(row) {
+    return {
+      type: row.item_type,
+      description: row.description || '',
+      amount: row.amount,
+      taxable: row.taxable === 1
+    };
+  }
+
+  /**
+   * Save user credentials
+   * The password is hashed with PBKDF2 and a new salt before it is stored
+   * @param {string} [role] - One of USER_ROLES (default: owner)
+   * @param {number} [organisationId] - Organisation to join (default: the first one, created if there is none yet)
+   */
+  async saveUser(username, password, role = 'owner', organisationId = null) {
+    if (!this.initialized) {
+      throw new Error('Database not initialized');
+    }
+
+    try {
+      const credentials = await this.hashPassword(password);
+      this.transaction(() => {
+        this.insertUser(username, credentials, role, organisationId ?? this.getFirstOrganisationId() ?? this.createOrganisation());
+      });
+
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to save user:', error);
+      
+      // Check if it's a duplicate username error
+      if (error.message.includes('UNIQUE constraint failed')) {
+        throw new Error('Username already exists');
+      }
+      
+      throw error;
+    }
+  }
+
+  /**
+   * Insert a users row from a hashPassword result
+   * Returns: the new user's ID
+   */
+  insertUser(username, { hash, salt, algorithm, iterations }, role, organisationId) {
+    if (!this.ROLE_PERMISSIONS[role]) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+
+    const stmt = this.db.prepare(`
+      INSERT INTO users (username, password_hash, password_salt, password_algorithm, password_iterations, role, organisation_id) 
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    stmt.run([username, hash, salt, algorithm, iterations, role, organisationId]);
+    stmt.free();
+
+    const result = this.db.exec('SELECT last_insert_rowid() as id');
+    return result[0].values[0][0];
+  }
+
+  /**
+   * Verify user credentials against the stored hash, whichever algorithm it uses
+   * needsRehash is set when a valid password is stored with an older algorithm or fewer iterations
+   * Returns: { valid: boolean, userId: number, needsRehash: boolean }
+   */
+  async verifyUser(username, password) {
+    if (!this.initialized) {
+      return { valid: false, userId: null, needsRehash: false };
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        SELECT id, password_hash, password_salt, password_algorithm, password_iterations
+        FROM users WHERE username = ?
+      `);
+
+      stmt.bind([username]);
+      
+      if (stmt.step()) {
+        const row = stmt.getAsObject();
+        stmt.free();
+        
+        const valid = await this.passwordMatches(password, row);
+        const needsRehash = valid && (row.password_algorithm !== this.PASSWORD_ALGORITHM ||
+          row.password_iterations < this.PASSWORD_ITERATIONS);
+        return { valid, userId: valid ? row.id : null, needsRehash };
+      }
+
+      stmt.free();
+      return { valid: false, userId: null, needsRehash: false };
+    } catch (error) {
+      console.error('Failed to verify user:', error);
+      return { valid: false, userId: null, needsRehash: false };
+    }
+  }
+
+  /**
+   * Store a new hash of a user's password with a fresh salt and the current algorithm
+   * Returns: { success: boolean, error?: string }
+   */
+  async updateUserPassword(userId, password) {
+    if (!this.initialized) {
+      return { success: false, error: 'Database not initialized' };
+    }
+
+    try {
+      this.storePasswordHash(userId, await this.hashPassword(password));
+      this.schedulePersist();
+
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to update password:', error);
+      return { success: false, error: error.message };
+    }
+  }
+  /**
+   * Write a password hash from hashPassword() to a users row
+   */
+  storePasswordHash(userId, { hash, salt, algorithm, iterations }) {
+    const stmt = this.db.prepare(`
+      UPDATE users
+      SET password_hash = ?, password_salt = ?, password_algorithm = ?, password_iterations = ?
+      WHERE id = ?
+    `);
+    stmt.run([hash, salt, algorithm, iterations, userId]);
+    stmt.free();
+  }
+
+
+  /**
+   * Record document generation in history
+   * The first generation issues the document's permanent number and snapshot; later ones are reprints of it
+   * @param {number} userId - User generating it, in the record's organisation
+   * Returns: { success: boolean, documentNumber?: string, dueDate?: string, issueDate?: string,
+   *   snapshot?: object|null, isReprint?: boolean, error?: string }
+   */
+  recordDocumentGeneration(freightId, documentType, userId) {
+    if (!this.initialized) {
+      return { success: false, error: 'Database not initialized' };
+    }
+
+    const issued = this.issueDocumentNumber(freightId, documentType, userId);
+    if (!issued.success) {
+      return issued;
+    }
+
+    const result = {
+      success: true,
+      documentNumber: issued.documentNumber,
+      dueDate: issued.dueDate,
+      issueDate: issued.issueDate,
+      snapshot: issued.snapshot,
+      isReprint: !issued.isNew
+    };
+
+    // The row written when the number was issued already records this generation
+    if (issued.isNew) {
+      return result;
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        INSERT INTO document_history (freight_id, document_type, document_number, generated_by) 
+        VALUES (?, ?, ?, ?)
+      `);
+
+      stmt.run([freightId, documentType, issued.documentNumber, userId]);
+      stmt.free();
+
+      this.schedulePersist();
+
+      return result;
+    } catch (error) {
+      console.error('Failed to record document generation:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get document generation history for a freight record of the user's organisation, newest first
+   * The first numbered row of each document type is its issue; later ones are reprints.
+   * Returns: Array of { id, freightId, documentType, documentNumber, financialYear, issueDate,
+   *   generatedBy, generatedAt, isReprint, hasSnapshot }
+   */
+  getDocumentHistory(freightId, userId) {
+    if (!this.initialized) {
+      return [];
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        SELECT dh.id, dh.freight_id, dh.document_type, dh.document_number, dh.financial_year, dh.issue_date,
+          dh.generated_by, dh.generated_at, dh.snapshot IS NOT NULL AS has_snapshot
+        FROM document_history dh
+        JOIN freight_details fd ON fd.id = dh.freight_id
+        WHERE dh.freight_id = ? AND fd.organisation_id = ?
+        ORDER BY dh.generated_at DESC, dh.id DESC
+      `);
+
+      stmt.bind([freightId, this.getUserOrganisationId(userId)]);
+      
+      const history = [];
+      while (stmt.step()) {
+        const row = stmt.getAsObject();
+        history.push({
+          id: row.id,
+          freightId: row.freight_id,
+          documentType: row.document_type,
+          documentNumber: row.document_number ?? null,
+          financialYear: row.financial_year ?? null,
+          issueDate: row.issue_date ?? null,
+          generatedBy: row.generated_by ?? null,
+          generatedAt: row.generated_at,
+          isReprint: false,
+          hasSnapshot: Boolean(row.has_snapshot)
+        });
+      }
+
+      stmt.free();
+
+      const issueIds = new Set();
+      ['bilty', 'invoice'].forEach(documentType => {
+        const numbered = history.filter(entry => entry.documentType === documentType && entry.documentNumber);
+        if (numbered.length > 0) {
+          issueIds.add(Math.min(...numbered.map(entry => entry.id)));
+        }
+      });
+      history.forEach(entry => {
+        entry.isReprint = Boolean(entry.documentNumber) && !issueIds.has(entry.id);
+      });
+
+      return history;
+    } catch (error) {
+      console.error('Failed to get document history:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Update freight details
+   * Any member of the record's organisation may update it; freightData.userId is recorded as modified_by
+   * Returns: { success: boolean, error?: string }
+   */
+  updateFreightDetails(id, freightData) {
+    if (!this.initialized) {
+      console.error('Attempted to update freight details before database initialization');
+      return { success: false, error: 'Database not initialized' };
+    }
+
+    // Changing an invoiced record changes what the customer was billed
+    const invoiced = this.getIssuedDocumentNumber(id, 'invoice') || this.getFreightConsolidatedInvoice(id);
+    const denied = this.checkPermission(freightData.userId, invoiced ? 'invoices.edit' : 'records.edit');
+    if (denied) {
+      return denied;
+    }
+
+    const existing = this.getFreightDetails(id, freightData.userId);
+    if (!existing) {
+      return { success: false, error: 'Freight record not found' };
+    }
+
+    const dates = this.resolveDocumentDates(freightData, existing);
+    if (dates.error) {
+      return { success: false, error: dates.error };
+    }
+
+    try {
+      this.transaction(() => {
+        const stmt = this.db.prepare(`
+          UPDATE freight_details SET
+            origin = ?,
+            destination = ?,
+            goods_description = ?,
+            weight = ?,
+            amount = ?,
+            discount = ?,
+            taxes = ?,
+            eway_bill_number = ?,
+            eway_bill_date = ?,
+            company_profile_id = ?,
+            custom_fields = ?,
+            gst_rate = ?,
+            gst_reverse_charge = ?,
+            consignee_state = ?,
+            supply_type = ?,
+            cgst = ?,
+            sgst = ?,
+            igst = ?,
+            consignor_id = ?,
+            consignee_id = ?,
+            billing_party_id = ?,
+            vehicle_id = ?,
+            driver_id = ?,
+            booking_date = ?,
+            bilty_date = ?,
+            invoice_date = ?,
+            modified_by = ?,
+            modified_at = CURRENT_TIMESTAMP
+          WHERE id = ? AND organisation_id = ?
+        `);
+
+        stmt.run([
+          freightData.origin,
+          freightData.destination,
+          freightData.goodsDescription,
+          freightData.weight,
+          freightData.amount,
+          freightData.discount || 0,
+          freightData.taxes || 0,
+          freightData.ewayBillNumber || null,
+          freightData.ewayBillDate || null,
+          freightData.companyProfileId || null,
+          this.serializeCustomFields(freightData.customFields),
+          ...this.getGstParams(freightData),
+          freightData.consignorId || null,
+          freightData.consigneeId || null,
+          freightData.billingPartyId || null,
+          freightData.vehicleId || null,
+          freightData.driverId || null,
+          dates.bookingDate,
+          dates.biltyDate,
+          dates.invoiceDate,
+          freightData.userId,
+          id,
+          this.getUserOrganisationId(freightData.userId)
+        ]);
+
+        stmt.free();
+
+        // Callers that don't edit line items leave them untouched
+        if (Array.isArray(freightData.lineItems)) {
+          this.replaceLineItems(id, freightData.lineItems);
+        }
+      });
+
+      console.log(`Freight details updated successfully for ID: ${id}`);
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to update freight details:', error);
+      return { success: false, error: `Failed to update data: ${error.message}` };
+    }
+  }
+
+  /**
+   * Delete a freight record that has no issued documents, with its line items and payments
+   * Records with an issued bilty or invoice are kept, so their numbers and snapshots stay on file
+   * Returns: { success: boolean, error?: string }
+   */
+  deleteFreightDetails(id, userId) {
+    if (!this.initialized) {
+      console.error('Attempted to delete freight details before database initialization');
+      return { success: false, error: 'Database not initialized' };
+    }
+
+    const denied = this.checkPermission(userId, 'records.delete');
+    if (denied) {
+      return denied;
+    }
+
+    // Checked before anything is deleted, so another organisation's history and line items are left alone
+    const organisationId = this.getUserOrganisationId(userId);
+    const existing = this.getFreightDetails(id, userId);
+    if (!existing) {
+      return { success: false, error: 'Freight record not found' };
+    }
+
+    // A billed consignment stays on its consolidated invoice
+    const consolidated = this.getFreightConsolidatedInvoice(id);
+    if (consolidated) {
+      return { success: false, error: `Record is billed on consolidated invoice ${consolidated.invoiceNumber}` };
+    }
+
+    for (const documentType of ['bilty', 'invoice']) {
+      const documentNumber = this.getIssuedDocumentNumber(id, documentType);
+      if (documentNumber) {
+        return { success: false, error: `Record has issued ${documentType} ${documentNumber} and can't be deleted` };
+      }
+    }
+
+    try {
+      this.transaction(() => {
+        // First delete any document history left without a number
+        const deleteHistoryStmt = this.db.prepare(`
+          DELETE FROM document_history WHERE freight_id = ?
+        `);
+        deleteHistoryStmt.run([id]);
+        deleteHistoryStmt.free();
+
+        const deleteLineItemsStmt = this.db.prepare(`
+          DELETE FROM freight_line_items WHERE freight_id = ?
+        `);
+        deleteLineItemsStmt.run([id]);
+        deleteLineItemsStmt.free();
+
+        const deletePaymentsStmt = this.db.prepare(`
+          DELETE FROM payments WHERE freight_id = ? AND organisation_id = ?
+        `);
+        deletePaymentsStmt.run([id, organisationId]);
+        deletePaymentsStmt.free();
+
+        // Then delete the freight record
+        const deleteFreightStmt = this.db.prepare(`
+          DELETE FROM freight_details WHERE id = ? AND organisation_id = ?
+        `);
+        deleteFreightStmt.run([id, organisationId]);
+        deleteFreightStmt.free();
+      });
+
+      console.log(`Freight details deleted successfully for ID: ${id}`);
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to delete freight details:', error);
+      return { success: false, error: `Failed to delete data: ${error.message}` };
+    }
+  }
+
+  /**
+   * Clear all data (for testing or user data reset)
+   */
+  clearAllData() {
+    try {
+      this.cancelScheduledFlush();
+      this.dirty = false;
+      if (this.storage) {
+        const storage = this.storage;
+        this.pendingWrite = this.pendingWrite
+          .then(() => storage.clear())
+          .catch(error => console.error(`Failed to clear ${storage.label}:`, error));
+      }
+      this.storageSize = 0;
+      this.db = null;
+      this.initialized = false;
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to clear data:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ===== COMPANY PROFILE METHODS =====
+
+  /**
+   * Save company profile
+   */
+  saveCompanyProfile(profileData) {
+    if (!this.initialized) {
+      return { success: false, error: 'Database not initialized' };
+    }
+
+    const denied = this.checkPermission(profileData.userId, 'companies.manage');
+    if (denied) {
+      return denied;
+    }
+
+    try {
+      const id = this.transaction(() => {
+        const stmt = this.db.prepare(`
+          INSERT INTO company_profiles (
+            user_id, name, address, city, state, pincode,
+            gst_number, pan_number, phone, email, website,
+            bilty_prefix, invoice_prefix, number_pattern,
+            payment_terms_days, advance_percent, freight_basis, is_default, organisation_id
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+
+        stmt.run([
+          profileData.userId,
+          profileData.name,
+          profileData.address || null,
+          profileData.city || null,
+          profileData.state || null,
+          profileData.pincode || null,
+          profileData.gstNumber || null,
+          profileData.panNumber || null,
+          profileData.phone || null,
+          profileData.email || null,
+          profileData.website || null,
+          profileData.biltyPrefix || null,
+          profileData.invoicePrefix || null,
+          profileData.numberPattern || null,
+          ...this.getPaymentTermsParams(profileData),
+          profileData.isDefault ? 1 : 0,
+          this.getUserOrganisationId(profileData.userId)
+        ]);
+
+        stmt.free();
+
+        const result = this.db.exec('SELECT last_insert_rowid() as id');
+        const profileId = result[0].values[0][0];
+
+        // If this is set as default, unset other defaults
+        if (profileData.isDefault) {
+          this.unsetOtherDefaults(profileData.userId, profileId);
+        }
+
+        return profileId;
+      });
+      return { success: true, id };
+    } catch (error) {
+      console.error('Failed to save company profile:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Update company profile
+   * The profile must belong to the user's organisation, which is checked before any default is changed
+   */
+  updateCompanyProfile(id, profileData) {
+    if (!this.initialized) {
+      return { success: false, error: 'Database not initialized' };
+    }
+
+    const denied = this.checkPermission(profileData.userId, 'companies.manage');
+    if (denied) {
+      return denied;
+    }
+
+    try {
+      const found = this.transaction(() => {
+        if (!this.getCompanyProfile(id, profileData.userId)) {
+          return false;
+        }
+
+        const stmt = this.db.prepare(`
+          UPDATE company_profiles SET
+            name = ?, address = ?, city = ?, state = ?, pincode = ?,
+            gst_number = ?, pan_number = ?, phone = ?, email = ?, website = ?,
+            bilty_prefix = ?, invoice_prefix = ?, number_pattern = ?,
+            payment_terms_days = ?, advance_percent = ?, freight_basis = ?, is_default = ?
+          WHERE id = ? AND organisation_id = ?
+        `);
+
+        stmt.run([
+          profileData.name,
+          profileData.address || null,
+          profileData.city || null,
+          profileData.state || null,
+          profileData.pincode || null,
+          profileData.gstNumber || null,
+          profileData.panNumber || null,
+          profileData.phone || null,
+          profileData.email || null,
+          profileData.website || null,
+          profileData.biltyPrefix || null,
+          profileData.invoicePrefix || null,
+          profileData.numberPattern || null,
+          ...this.getPaymentTermsParams(profileData),
+          profileData.isDefault ? 1 : 0,
+          id,
+          this.getUserOrganisationId(profileData.userId)
+        ]);
+
+        stmt.free();
+
+        if (profileData.isDefault) {
+          this.unsetOtherDefaults(profileData.userId, id);
+        }
+        return true;
+      });
+      return found ? { success: true } : { success: false, error: 'Company profile not found' };
+    } catch (error) {
+      console.error('Failed to update company profile:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Unset other default profiles
+   */
+  unsetOtherDefaults(userId, exceptId) {
+    try {
+      const stmt = this.db.prepare(`
+        UPDATE company_profiles SET is_default = 0
+        WHERE organisation_id = ? AND id != ?
+      `);
+      stmt.run([this.getUserOrganisationId(userId), exceptId]);
+      stmt.free();
+    } catch (error) {
+      console.error('Failed to unset other defaults:', error);
+    }
+  }
+
+  /**
+   * Get all company profiles of the user's organisation
+   */
+  getUserCompanyProfiles(userId) {
+    if (!this.initialized) {
+      return [];
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        SELECT * FROM company_profiles
+        WHERE organisation_id = ?
+        ORDER BY is_default DESC, name ASC
+      `);
+
+      stmt.bind([this.getUserOrganisationId(userId)]);
+      
+      const profiles = [];
+      while (stmt.step()) {
+        const row = stmt.getAsObject();
+        profiles.push(this.mapCompanyProfileRow(row));
+      }
+
+      stmt.free();
+      return profiles;
+    } catch (error) {
+      console.error('Failed to get company profiles:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get default company profile
+   */
+  getDefaultCompanyProfile(userId) {
+    if (!this.initialized) {
+      return null;
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        SELECT * FROM company_profiles
+        WHERE organisation_id = ? AND is_default = 1
+        LIMIT 1
+      `);
+
+      stmt.bind([this.getUserOrganisationId(userId)]);
+      
+      if (stmt.step()) {
+        const row = stmt.getAsObject();
+        stmt.free();
+        return this.mapCompanyProfileRow(row);
+      }
+
+      stmt.free();
+      return null;
+    } catch (error) {
+      console.error('Failed to get default company profile:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get a single company profile by ID
+   */
+  getCompanyProfile(id, userId) {
+    if (!this.initialized || !id) {
+      return null;
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        SELECT * FROM company_profiles
+        WHERE id = ? AND organisation_id = ?
+        LIMIT 1
+      `);
+
+      stmt.bind([id, this.getUserOrganisationId(userId)]);
+
+      if (stmt.step()) {
+        const row = stmt.getAsObject();
+        stmt.free();
+        return this.mapCompanyProfileRow(row);
+      }
+
+      stmt.free();
+      return null;
+    } catch (error) {
+      console.error('Failed to get company profile:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Map a company_profiles row to a CompanyProfile object
+   */
+  mapCompanyProfileRow(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      name: row.name,
+      address: row.address,
+      city: row.city,
+      state: row.state,
+      pincode: row.pincode,
+      gstNumber: row.gst_number,
+      panNumber: row.pan_number,
+      phone: row.phone,
+      email: row.email,
+      website: row.website,
+      biltyPrefix: row.bilty_prefix ?? null,
+      invoicePrefix: row.invoice_prefix ?? null,
+      numberPattern: row.number_pattern ?? null,
+      ...this.mapPaymentTermsColumns(row),
+      isDefault: row.is_default === 1,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Delete company profile
+   */
+  deleteCompanyProfile(id, userId) {
+    if (!this.initialized) {
+      return { success: false, error: 'Database not initialized' };
+    }
+
+    const denied = this.checkPermission(userId, 'companies.manage');
+    if (denied) {
+      return denied;
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        DELETE FROM company_profiles WHERE id = ? AND organisation_id = ?
+      `);
+      stmt.run([id, this.getUserOrganisationId(userId)]);
+      stmt.free();
+
+      this.schedulePersist();
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to delete company profile:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ===== PARTY METHODS =====
+
+  /**
+   * Save party (consignor, consignee or billing party)
+   */
+  saveParty(partyData) {
+    if (!this.initialized) {
+      return { success: false, error: 'Database not initialized' };
+    }
+
+    const denied = this.checkPermission(partyData.userId, 'parties.manage');
+    if (denied) {
+      return denied;
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        INSERT INTO parties (
+          user_id, name, address, city, state, gst_number, phone,
+          payment_terms_days, advance_percent, freight_basis, organisation_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+
+      stmt.run([
+        partyData.userId,
+        partyData.name,
+        partyData.address || null,
+        partyData.city || null,
+        partyData.state || null,
+        partyData.gstNumber || null,
+        partyData.phone || null,
+        ...this.getPaymentTermsParams(partyData),
+        this.getUserOrganisationId(partyData.userId)
+      ]);
+
+      stmt.free();
+
+      const result = this.db.exec('SELECT last_insert_rowid() as id');
+      const id = result[0].values[0][0];
+
+      this.schedulePersist();
+      return { success: true, id };
+    } catch (error) {
+      console.error('Failed to save party:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Update party
+   */
+  updateParty(id, partyData) {
+    if (!this.initialized) {
+      return { success: false, error: 'Database not initialized' };
+    }
+
+    const denied = this.checkPermission(partyData.userId, 'parties.manage');
+    if (denied) {
+      return denied;
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        UPDATE parties SET
+          name = ?, address = ?, city = ?, state = ?, gst_number = ?, phone = ?,
+          payment_terms_days = ?, advance_percent = ?, freight_basis = ?
+        WHERE id = ? AND organisation_id = ?
+      `);
+
+      stmt.run([
+        partyData.name,
+        partyData.address || null,
+        partyData.city || null,
+        partyData.state || null,
+        partyData.gstNumber || null,
+        partyData.phone || null,
+        ...this.getPaymentTermsParams(partyData),
+        id,
+        this.getUserOrganisationId(partyData.userId)
+      ]);
+
+      stmt.free();
+
+      this.schedulePersist();
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to update party:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get all parties of the user's organisation, sorted by name
+   */
+  getUserParties(userId) {
+    if (!this.initialized) {
+      return [];
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        SELECT * FROM parties
+        WHERE organisation_id = ?
+        ORDER BY name ASC
+      `);
+
+      stmt.bind([this.getUserOrganisationId(userId)]);
+
+      const parties = [];
+      while (stmt.step()) {
+        parties.push(this.mapPartyRow(stmt.getAsObject()));
+      }
+
+      stmt.free();
+      return parties;
+    } catch (error) {
+      console.error('Failed to get parties:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get a single party of the user's organisation
+   * Returns: Party object or null
+   */
+  getParty(id, userId) {
+    if (!this.initialized || !id) {
+      return null;
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        SELECT * FROM parties
+        WHERE id = ? AND organisation_id = ?
+        LIMIT 1
+      `);
+
+      stmt.bind([id, this.getUserOrganisationId(userId)]);
+
+      let party = null;
+      if (stmt.step()) {
+        party = this.mapPartyRow(stmt.getAsObject());
+      }
+
+      stmt.free();
+      return party;
+    } catch (error) {
+      console.error('Failed to get party:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Resolve the consignor, consignee and billing party of a freight record
+   * Returns: { consignor, consignee, billingParty } with null for unset or deleted parties
+   */
+  getFreightParties(freightDetails) {
+    const userId = freightDetails?.userId;
+    return {
+      consignor: this.getParty(freightDetails?.consignorId, userId),
+      consignee: this.getParty(freightDetails?.consigneeId, userId),
+      billingParty: this.getParty(freightDetails?.billingPartyId, userId)
+    };
+  }
+
+  /**
+   * Map a parties row to a Party object
+   */
+  mapPartyRow(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      name: row.name,
+      address: row.address,
+      city: row.city,
+      state: row.state,
+      gstNumber: row.gst_number,
+      phone: row.phone,
+      ...this.mapPaymentTermsColumns(row),
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Delete party
+   * Freight records keep the party ID but no longer print the party
+   */
+  deleteParty(id, userId) {
+    if (!this.initialized) {
+      return { success: false, error: 'Database not initialized' };
+    }
+
+    const denied = this.checkPermission(userId, 'parties.manage');
+    if (denied) {
+      return denied;
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        DELETE FROM parties WHERE id = ? AND organisation_id = ?
+      `);
+      stmt.run([id, this.getUserOrganisationId(userId)]);
+      stmt.free();
+
+      this.schedulePersist();
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to delete party:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ===== VEHICLE AND DRIVER METHODS =====
+
+  /**
+   * Save vehicle (own fleet or hired)
+   */
+  saveVehicle(vehicleData) {
+    if (!this.initialized) {
+      return { success: false, error: 'Database not initialized' };
+    }
+
+    const denied = this.checkPermission(vehicleData.userId, 'fleet.manage');
+    if (denied) {
+      return denied;
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        INSERT INTO vehicles (
+          user_id, registration_number, vehicle_type, capacity, owner_name,
+          permit_expiry, insurance_expiry, fitness_expiry, organisation_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+
+      stmt.run([
+        vehicleData.userId,
+        ...this.getVehicleParams(vehicleData),
+        this.getUserOrganisationId(vehicleData.userId)
+      ]);
+
+      stmt.free();
+
+      const result = this.db.exec('SELECT last_insert_rowid() as id');
+      const id = result[0].values[0][0];
+
+      this.schedulePersist();
+      return { success: true, id };
+    } catch (error) {
+      console.error('Failed to save vehicle:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Update vehicle
+   */
+  updateVehicle(id, vehicleData) {
+    if (!this.initialized) {
+      return { success: false, error: 'Database not initialized' };
+    }
+
+    const denied = this.checkPermission(vehicleData.userId, 'fleet.manage');
+    if (denied) {
+      return denied;
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        UPDATE vehicles SET
+          registration_number = ?, vehicle_type = ?, capacity = ?, owner_name = ?,
+          permit_expiry = ?, insurance_expiry = ?, fitness_expiry = ?
+        WHERE id = ? AND organisation_id = ?
+      `);
+
+      stmt.run([...this.getVehicleParams(vehicleData), id, this.getUserOrganisationId(vehicleData.userId)]);
+
+      stmt.free();
+
+      this.schedulePersist();
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to update vehicle:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Statement parameters for the editable columns of vehicles
+   * Registration numbers are stored uppercase without spaces
+   */
+  getVehicleParams(vehicleData) {
+    const capacity = parseFloat(vehicleData.capacity);
+    return [
+      String(vehicleData.registrationNumber || '').replace(/\s+/g, '').toUpperCase(),
+      vehicleData.vehicleType || null,
+      isNaN(capacity) ? null : capacity,
+      vehicleData.ownerName || null,
+      vehicleData.permitExpiry || null,
+      vehicleData.insuranceExpiry || null,
+      vehicleData.fitnessExpiry || null
+    ];
+  }
+
+  /**
+   * Get all vehicles of the user's organisation, sorted by registration number
+   */
+  getUserVehicles(userId) {
+    if (!this.initialized) {
+      return [];
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        SELECT * FROM vehicles
+        WHERE organisation_id = ?
+        ORDER BY registration_number ASC
+      `);
+
+      stmt.bind([this.getUserOrganisationId(userId)]);
+
+      const vehicles = [];
+      while (stmt.step()) {
+        vehicles.push(this.mapVehicleRow(stmt.getAsObject()));
+      }
+
+      stmt.free();
+      return vehicles;
+    } catch (error) {
+      console.error('Failed to get vehicles:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get a single vehicle of the user's organisation
+   * Returns: Vehicle object or null
+   */
+  getVehicle(id, userId) {
+    if (!this.initialized || !id) {
+      return null;
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        SELECT * FROM vehicles
+        WHERE id = ? AND organisation_id = ?
+        LIMIT 1
+      `);
+
+      stmt.bind([id, this.getUserOrganisationId(userId)]);
+
+      let vehicle = null;
+      if (stmt.step()) {
+        vehicle = this.mapVehicleRow(stmt.getAsObject());
+      }
+
+      stmt.free();
+      return vehicle;
+    } catch (error) {
+      console.error('Failed to get vehicle:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Map a vehicles row to a Vehicle object
+   */
+  mapVehicleRow(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      registrationNumber: row.registration_number,
+      vehicleType: row.vehicle_type,
+      capacity: row.capacity ?? null,
+      ownerName: row.owner_name,
+      permitExpiry: row.permit_expiry,
+      insuranceExpiry: row.insurance_expiry,
+      fitnessExpiry: row.fitness_expiry,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * List the documents of a vehicle that have lapsed
+   * A document is valid through its expiry date
+   * @param {object} vehicle - Vehicle object
+   * @param {Date} [onDate] - Date the vehicle is assigned (defaults to today)
+   * @returns {Array<string>} Messages such as "Insurance expired on 2024-03-31"
+   */
+  getVehicleExpiryWarnings(vehicle, onDate = new Date()) {
+    if (!vehicle) return [];
+
+    const day = [
+      onDate.getFullYear(),
+      String(onDate.getMonth() + 1).padStart(2, '0'),
+      String(onDate.getDate()).padStart(2, '0')
+    ].join('-');
+
+    return this.VEHICLE_DOCUMENTS
+      .filter(({ key }) => vehicle[key] && vehicle[key] < day)
+      .map(({ key, label }) => `${label} expired on ${vehicle[key]}`);
+  }
+
+  /**
+   * Delete vehicle
+   * Freight records keep the vehicle ID but no longer print the vehicle
+   */
+  deleteVehicle(id, userId) {
+    if (!this.initialized) {
+      return { success: false, error: 'Database not initialized' };
+    }
+
+    const denied = this.checkPermission(userId, 'fleet.manage');
+    if (denied) {
+      return denied;
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        DELETE FROM vehicles WHERE id = ? AND organisation_id = ?
+      `);
+      stmt.run([id, this.getUserOrganisationId(userId)]);
+      stmt.free();
+
+      this.schedulePersist();
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to delete vehicle:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Save driver
+   */
+  saveDriver(driverData) {
+    if (!this.initialized) {
+      return { success: false, error: 'Database not initialized' };
+    }
+
+    const denied = this.checkPermission(driverData.userId, 'fleet.manage');
+    if (denied) {
+      return denied;
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        INSERT INTO drivers (user_id, name, licence_number, phone, organisation_id)
+        VALUES (?, ?, ?, ?, ?)
+      `);
+
+      stmt.run([
+        driverData.userId,
+        driverData.name,
+        driverData.licenceNumber || null,
+        driverData.phone || null,
+        this.getUserOrganisationId(driverData.userId)
+      ]);
+
+      stmt.free();
+
+      const result = this.db.exec('SELECT last_insert_rowid() as id');
+      const id = result[0].values[0][0];
+
+      this.schedulePersist();
+      return { success: true, id };
+    } catch (error) {
+      console.error('Failed to save driver:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Update driver
+   */
+  updateDriver(id, driverData) {
+    if (!this.initialized) {
+      return { success: false, error: 'Database not initialized' };
+    }
+
+    const denied = this.checkPermission(driverData.userId, 'fleet.manage');
+    if (denied) {
+      return denied;
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        UPDATE drivers SET name = ?, licence_number = ?, phone = ?
+        WHERE id = ? AND organisation_id = ?
+      `);
+
+      stmt.run([
+        driverData.name,
+        driverData.licenceNumber || null,
+        driverData.phone || null,
+        id,
+        this.getUserOrganisationId(driverData.userId)
+      ]);
+
+      stmt.free();
+
+      this.schedulePersist();
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to update driver:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get all drivers of the user's organisation, sorted by name
+   */
+  getUserDrivers(userId) {
+    if (!this.initialized) {
+      return [];
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        SELECT * FROM drivers
+        WHERE organisation_id = ?
+        ORDER BY name ASC
+      `);
+
+      stmt.bind([this.getUserOrganisationId(userId)]);
+
+      const drivers = [];
+      while (stmt.step()) {
+        drivers.push(this.mapDriverRow(stmt.getAsObject()));
+      }
+
+      stmt.free();
+      return drivers;
+    } catch (error) {
+      console.error('Failed to get drivers:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get a single driver of the user's organisation
+   * Returns: Driver object or null
+   */
+  getDriver(id, userId) {
+    if (!this.initialized || !id) {
+      return null;
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        SELECT * FROM drivers
+        WHERE id = ? AND organisation_id = ?
+        LIMIT 1
+      `);
+
+      stmt.bind([id, this.getUserOrganisationId(userId)]);
+
+      let driver = null;
+      if (stmt.step()) {
+        driver = this.mapDriverRow(stmt.getAsObject());
+      }
+
+      stmt.free();
+      return driver;
+    } catch (error) {
+      console.error('Failed to get driver:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Map a drivers row to a Driver object
+   */
+  mapDriverRow(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      name: row.name,
+      licenceNumber: row.licence_number,
+      phone: row.phone,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Resolve the vehicle and driver assigned to a freight record
+   * Returns: { vehicle, driver } with null for unset or deleted entries
+   */
+  getFreightVehicleAndDriver(freightDetails) {
+    const userId = freightDetails?.userId;
+    return {
+      vehicle: this.getVehicle(freightDetails?.vehicleId, userId),
+      driver: this.getDriver(freightDetails?.driverId, userId)
+    };
+  }
+
+  /**
+   * Delete driver
+   * Freight records keep the driver ID but no longer print the driver
+   */
+  deleteDriver(id, userId) {
+    if (!this.initialized) {
+      return { success: false, error: 'Database not initialized' };
+    }
+
+    const denied = this.checkPermission(userId, 'fleet.manage');
+    if (denied) {
+      return denied;
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        DELETE FROM drivers WHERE id = ? AND organisation_id = ?
+      `);
+      stmt.run([id, this.getUserOrganisationId(userId)]);
+      stmt.free();
+
+      this.schedulePersist();
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to delete driver:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ===== CUSTOM FIELDS METHODS =====
+
+  /**
+   * Save custom field definition
+   */
+  saveCustomField(fieldData) {
+    if (!this.initialized) {
+      return { success: false, error: 'Database not initialized' };
+    }
+
+    const denied = this.checkPermission(fieldData.userId, 'customFields.manage');
+    if (denied) {
+      return denied;
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        INSERT INTO custom_field_definitions (
+          user_id, field_name, field_label, field_type,
+          is_required, options, display_order, is_active, organisation_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+
+      stmt.run([
+        fieldData.userId,
+        fieldData.fieldName,
+        fieldData.fieldLabel,
+        fieldData.fieldType,
+        fieldData.isRequired ? 1 : 0,
+        fieldData.options ? JSON.stringify(fieldData.options) : null,
+        fieldData.displayOrder || 0,
+        fieldData.isActive !== false ? 1 : 0,
+        this.getUserOrganisationId(fieldData.userId)
+      ]);
+
+      stmt.free();
+
+      const result = this.db.exec('SELECT last_insert_rowid() as id');
+      const id = result[0].values[0][0];
+
+      this.schedulePersist();
+      return { success: true, id };
+    } catch (error) {
+      console.error('Failed to save custom field:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get all custom fields of the user's organisation
+   */
+  getUserCustomFields(userId) {
+    if (!this.initialized) {
+      return [];
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        SELECT * FROM custom_field_definitions
+        WHERE organisation_id = ? AND is_active = 1
+        ORDER BY display_order ASC, field_label ASC
+      `);
+
+      stmt.bind([this.getUserOrganisationId(userId)]);
+      
+      const fields = [];
+      while (stmt.step()) {
+        const row = stmt.getAsObject();
+        fields.push({
+          id: row.id,
+          userId: row.user_id,
+          fieldName: row.field_name,
+          fieldLabel: row.field_label,
+          fieldType: row.field_type,
+          isRequired: row.is_required === 1,
+          options: row.options ? JSON.parse(row.options) : null,
+          displayOrder: row.display_order,
+          isActive: row.is_active === 1,
+          createdAt: row.created_at
+        });
+      }
+
+      stmt.free();
+      return fields;
+    } catch (error) {
+      console.error('Failed to get custom fields:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Delete custom field
+   */
+  deleteCustomField(id, userId) {
+    if (!this.initialized) {
+      return { success: false, error: 'Database not initialized' };
+    }
+
+    const denied = this.checkPermission(userId, 'customFields.manage');
+    if (denied) {
+      return denied;
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        UPDATE custom_field_definitions SET is_active = 0
+        WHERE id = ? AND organisation_id = ?
+      `);
+      stmt.run([id, this.getUserOrganisationId(userId)]);
+      stmt.free();
+
+      this.schedulePersist();
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to delete custom field:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ===== PAYMENT TERMS METHODS =====
+
+  /**
+   * Column values for the payment terms of a company profile or party
+   * Blank terms are stored as NULL: a profile then uses the default terms and a party its profile's
+   */
+  getPaymentTermsParams(data) {
+    const toNumber = value => (value === '' || value === null || value === undefined ? null : Number(value));
+    return [
+      toNumber(data.paymentTermsDays),
+      toNumber(data.advancePercent),
+      this.FREIGHT_BASES.includes(data.freightBasis) ? data.freightBasis : null
+    ];
+  }
+
+  /**
+   * Map the payment terms columns of a company_profiles or parties row
+   */
+  mapPaymentTermsColumns(row) {
+    return {
+      paymentTermsDays: row.payment_terms_days ?? null,
+      advancePercent: row.advance_percent ?? null,
+      freightBasis: row.freight_basis ?? null
+    };
+  }
+
+  /**
+   * Resolve the payment terms an invoice is issued on
+   * Each term set on the billing party overrides the company profile's, which overrides the defaults
+   * Returns: { termsDays, advancePercent, freightBasis }
+   */
+  getPaymentTerms(companyProfile, party) {
+    const pick = key => party?.[key] ?? companyProfile?.[key] ?? null;
+    return {
+      termsDays: pick('paymentTermsDays') ?? this.DEFAULT_PAYMENT_TERMS.termsDays,
+      advancePercent: pick('advancePercent') ?? this.DEFAULT_PAYMENT_TERMS.advancePercent,
+      freightBasis: pick('freightBasis') ?? this.DEFAULT_PAYMENT_TERMS.freightBasis
+    };
+  }
+
+  /**
+   * Resolve the payment terms of a freight record from its company profile and billing party
+   */
+  getFreightPaymentTerms(freightDetails) {
+    const userId = freightDetails?.userId;
+    const companyProfile = this.getCompanyProfile(freightDetails?.companyProfileId, userId) ||
+      this.getDefaultCompanyProfile(userId);
+    return this.getPaymentTerms(companyProfile, this.getParty(freightDetails?.billingPartyId, userId));
+  }
+
+  /**
+   * Work out when an invoice issued on a date falls due, as YYYY-MM-DD
+   * Paid and to-pay freight is collected at booking or delivery, so it is due on the invoice date;
+   * to-be-billed (TBB) freight is due after the net days of the terms
+   */
+  calculateDueDate(invoiceDate, terms) {
+    const value = new Date(invoiceDate);
+    if (terms.freightBasis === 'tbb') {
+      value.setDate(value.getDate() + (Number(terms.termsDays) || 0));
+    }
+
+    return this.formatLocalDate(value);
+  }
+
+  /**
+   * Format a date as YYYY-MM-DD in the local time zone
+   */
+  formatLocalDate(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Check that a value is a real calendar date written as YYYY-MM-DD
+   */
+  isValidLocalDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+      this.formatLocalDate(new Date(`${value}T00:00:00`)) === value;
+  }
+
+  // ===== DOCUMENT NUMBERING METHODS =====
+
+  /**
+   * Get the financial year (April to March) a date falls in, e.g. '24-25'
+   */
+  getFinancialYear(date = new Date()) {
+    const value = date instanceof Date ? date : new Date(date);
+    const startYear = value.getMonth() >= 3 ? value.getFullYear() : value.getFullYear() - 1;
+    const shortYear = year => String(year % 100).padStart(2, '0');
+    return `${shortYear(startYear)}-${shortYear(startYear + 1)}`;
+  }
+
+  /**
+   * Check that a numbering pattern contains a sequence token
+   * Without {SEQ} every document in a year would get the same number
+   */
+  isValidNumberPattern(pattern) {
+    return typeof pattern === 'string' && /\{SEQ(:\d+)?\}/.test(pattern);
+  }
+
+  /**
+   * Format a document number from a pattern
+   * Tokens: {PREFIX}, {FY}, {SEQ} (zero-padded to 4 digits) and {SEQ:n} (zero-padded to n digits)
+   */
+  formatDocumentNumber(pattern, { prefix = '', financialYear = '', sequence = 1 } = {}) {
+    const template = this.isValidNumberPattern(pattern) ? pattern : this.DEFAULT_NUMBER_PATTERN;
+    return template
+      .replace(/\{PREFIX\}/g, prefix)
+      .replace(/\{FY\}/g, financialYear)
+      .replace(/\{SEQ(?::(\d+))?\}/g, (match, width) => String(sequence).padStart(width ? parseInt(width, 10) : 4, '0'));
+  }
+
+  /**
+   * Resolve the prefix and pattern used to number a document type for a company profile
+   */
+  getNumberingSettings(companyProfile, documentType) {
+    const prefix = { bilty: companyProfile?.biltyPrefix, invoice: companyProfile?.invoicePrefix }[documentType];
+    const pattern = companyProfile?.numberPattern;
+
+    return {
+      prefix: prefix || this.DEFAULT_DOCUMENT_PREFIXES[documentType] || '',
+      pattern: this.isValidNumberPattern(pattern) ? pattern : this.DEFAULT_NUMBER_PATTERN
+    };
+  }
+
+  /**
+   * Get the number already issued to a freight record's bilty or invoice
+   * Returns null if the document has not been issued yet
+   */
+  getIssuedDocumentNumber(freightId, documentType) {
+    return this.getIssuedDocument(freightId, documentType)?.documentNumber || null;
+  }
+
+  /**
+   * Get the issue of a freight record's bilty or invoice
+   * Returns: { documentNumber, financialYear, dueDate, issueDate, issuedAt, snapshot } or null if not issued yet
+   */
+  getIssuedDocument(freightId, documentType) {
+    if (!this.initialized) {
+      return null;
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        SELECT document_number, financial_year, due_date, issue_date, generated_at, snapshot FROM document_history
+        WHERE freight_id = ? AND document_type = ? AND document_number IS NOT NULL
+        ORDER BY id ASC
+        LIMIT 1
+      `);
+
+      stmt.bind([freightId, documentType]);
+
+      let issued = null;
+      if (stmt.step()) {
+        const row = stmt.getAsObject();
+        issued = {
+          documentNumber: row.document_number,
+          financialYear: row.financial_year ?? null,
+          dueDate: row.due_date ?? null,
+          issueDate: row.issue_date ?? null,
+          issuedAt: row.generated_at,
+          snapshot: this.parseSnapshot(row.snapshot)
+        };
+      }
+
+      stmt.free();
+      return issued;
+    } catch (error) {
+      console.error('Failed to get issued document:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Issue the permanent number for a freight record's bilty or invoice
+   * Numbers are sequential per company profile, document type and financial year.
+   * Invoices also get their due date from the payment terms in force when they are issued.
+   * Calling this again for an issued document returns the existing number and date.
+   * The issue date is stored with the number and on the record, so every reprint shows the same date.
+   * A snapshot of everything printed on the document is stored too, so reprints don't change when the
+   * record, its parties or the company profile are edited later.
+   * @param {number} userId - User issuing or reprinting it; the record must belong to their organisation,
+   *   and issuing a new number needs the permission
+   * @param {Date|string} [issueDate] - Issue date (defaults to the bilty or invoice date set on the record, else today)
+   * Returns: { success: boolean, documentNumber?: string, dueDate?: string, issueDate?: string,
+   *   snapshot?: object|null, isNew?: boolean, error?: string }
+   */
+  issueDocumentNumber(freightId, documentType, userId, issueDate = null) {
+    if (!this.initialized) {
+      return { success: false, error: 'Database not initialized' };
+    }
+
+    const freight = this.getFreightDetails(freightId, userId);
+    if (!freight) {
+      return { success: false, error: 'Freight record not found' };
+    }
+
+    const existing = this.getIssuedDocument(freightId, documentType);
+    if (existing) {
+      return {
+        success: true,
+        documentNumber: existing.documentNumber,
+        dueDate: existing.dueDate,
+        issueDate: existing.issueDate,
+        snapshot: existing.snapshot,
+        isNew: false
+      };
+    }
+
+    // Consignments on a consolidated invoice are not invoiced again on their own
+    if (documentType === 'invoice') {
+      const consolidated = this.getFreightConsolidatedInvoice(freightId);
+      if (consolidated) {
+        return { success: false, error: `Already billed on consolidated invoice ${consolidated.invoiceNumber}` };
+      }
+    }
+
+    // Anyone in the organisation can reprint an issued document; issuing a new number needs the permission
+    const denied = this.checkPermission(userId, documentType === 'invoice' ? 'invoices.issue' : 'records.edit');
+    if (denied) {
+      return denied;
+    }
+
+    // Same profile the document is printed with: the record's own, else the user's default
+    const companyProfile = this.getCompanyProfile(freight.companyProfileId, freight.userId) ||
+      this.getDefaultCompanyProfile(freight.userId);
+    const { prefix, pattern } = this.getNumberingSettings(companyProfile, documentType);
+    // A date chosen on the record is checked again now, as it may have left the back-dating window since it was saved
+    const chosenDate = freight[`${documentType}Date`];
+    if (!issueDate && chosenDate) {
+      const error = this.checkDocumentDate(`${documentType}Date`, chosenDate, freight.bookingDate);
+      if (error) {
+        return { success: false, error };
+      }
+    }
+    const day = issueDate instanceof Date
+      ? this.formatLocalDate(issueDate)
+      : issueDate || chosenDate || this.formatLocalDate();
+    const date = new Date(`${day}T00:00:00`);
+    const financialYear = this.getFinancialYear(date);
+    const dueDate = documentType === 'invoice'
+      ? this.calculateDueDate(date, this.getPaymentTerms(companyProfile, this.getParty(freight.billingPartyId, freight.userId)))
+      : null;
+
+    try {
+      const { documentNumber, snapshot } = this.transaction(() => {
+        const sequence = this.nextDocumentSequence(
+          freight.userId,
+          companyProfile ? companyProfile.id : 0,
+          documentType,
+          financialYear
+        );
+        const number = this.formatDocumentNumber(pattern, { prefix, financialYear, sequence });
+        const frozen = this.buildDocumentSnapshot(freight, companyProfile, {
+          documentNumber: number,
+          documentDate: day,
+          dueDate
+        });
+
+        const stmt = this.db.prepare(`
+          INSERT INTO document_history (
+            freight_id, document_type, document_number, financial_year, due_date, issue_date, snapshot, generated_by
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        stmt.run([freightId, documentType, number, financialYear, dueDate, day, JSON.stringify(frozen), userId]);
+        stmt.free();
+
+        const column = documentType === 'invoice' ? 'invoice_date' : 'bilty_date';
+        const update = this.db.prepare(`UPDATE freight_details SET ${column} = ? WHERE id = ?`);
+        update.run([day, freightId]);
+        update.free();
+
+        return { documentNumber: number, snapshot: frozen };
+      });
+
+      return { success: true, documentNumber, dueDate, issueDate: day, snapshot, isNew: true };
+    } catch (error) {
+      console.error('Failed to issue document number:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Capture everything a bilty or invoice prints, as the record and generator options to render it from
+   * @param {object} freight - Freight record being issued
+   * @param {object|null} companyProfile - Company profile printed on the document
+   * @param {object} issue - { documentNumber, documentDate, dueDate }
+   * Returns: { freightDetails, options }
+   */
+  buildDocumentSnapshot(freight, companyProfile, issue) {
+    return {
+      freightDetails: freight,
+      options: {
+        companyProfile,
+        parties: this.getFreightParties(freight),
+        ...this.getFreightVehicleAndDriver(freight),
+        customFieldDefinitions: this.getUserCustomFields(freight.userId),
+        paymentTerms: this.getFreightPaymentTerms(freight),
+        ...issue
+      }
+    };
+  }
+
+  /**
+   * Parse the snapshot TEXT column of document_history or consolidated_invoices
+   * Malformed JSON is treated as no snapshot, so the document prints from the current record
+   * @param {string|null} value - Stored JSON
+   * @param {Array<string>} [required] - Keys the snapshot must have
+   */
+  parseSnapshot(value, required = ['freightDetails', 'options']) {
+    if (!value) {
+      return null;
+    }
+
+    try {
+      const parsed = JSON.parse(value);
+      return parsed && required.every(key => parsed[key]) ? parsed : null;
+    } catch (error) {
+      console.warn('Ignoring malformed document snapshot:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Increment and return the counter for a company profile, document type and financial year
+   * Counters belong to the user's organisation, so its members share one series
+   * Must be called inside a transaction
+   */
+  nextDocumentSequence(userId, companyProfileId, documentType, financialYear) {
+    const key = [this.getUserOrganisationId(userId), companyProfileId, documentType, financialYear];
+
+    const select = this.db.prepare(`
+      SELECT last_number FROM document_counters
+      WHERE organisation_id = ? AND company_profile_id = ? AND document_type = ? AND financial_year = ?
+    `);
+    select.bind(key);
+    const current = select.step() ? select.getAsObject().last_number : null;
+    select.free();
+
+    const next = (current || 0) + 1;
+
+    if (current === null || current === undefined) {
+      const insert = this.db.prepare(`
+        INSERT INTO document_counters (organisation_id, company_profile_id, document_type, financial_year, last_number, user_id)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `);
+      insert.run([...key, next, userId]);
+      insert.free();
+    } else {
+      const update = this.db.prepare(`
+        UPDATE document_counters SET last_number = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE organisation_id = ? AND company_profile_id = ? AND document_type = ? AND financial_year = ?
+      `);
+      update.run([next, ...key]);
+      update.free();
+    }
+
+    return next;
+  }
+
+  // ===== CONSOLIDATED INVOICE METHODS =====
+
+  /**
+   * Bill several freight records on one invoice
+   * All records must use the same company profile and billing party, and none may be billed already.
+   * Records without a bilty (LR) number are issued one so the invoice can list it, dated on the record's
+   * bilty date when one is set.
+   * The due date follows the payment terms of the company profile and billing party.
+   * A snapshot of everything the invoice prints is stored with it, so later edits don't change it.
+   * Returns: { success: boolean, id?: number, invoiceNumber?: string, dueDate?: string, snapshot?: object, error?: string }
+   */
+  createConsolidatedInvoice(userId, freightIds, issueDate = new Date()) {
+    if (!this.initialized) {
+      return { success: false, error: 'Database not initialized' };
+    }
+
+    const denied = this.checkPermission(userId, 'invoices.issue');
+    if (denied) {
+      return denied;
+    }
+
+    const ids = [...new Set(freightIds || [])];
+    if (ids.length === 0) {
+      return { success: false, error: 'Select at least one record to invoice' };
+    }
+
+    const organisationId = this.getUserOrganisationId(userId);
+    const records = ids.map(id => this.getFreightDetails(id, userId));
+    if (records.some(record => !record)) {
+      return { success: false, error: 'Freight record not found' };
+    }
+    records.sort((a, b) => a.id - b.id);
+
+    for (const record of records) {
+      const billedOn = this.getFreightConsolidatedInvoice(record.id)?.invoiceNumber ||
+        this.getIssuedDocumentNumber(record.id, 'invoice');
+      if (billedOn) {
+        return { success: false, error: `Record #${record.id} is already billed on invoice ${billedOn}` };
+      }
+    }
+
+    const companyProfiles = records.map(record =>
+      this.getCompanyProfile(record.companyProfileId, userId) || this.getDefaultCompanyProfile(userId));
+    if (new Set(companyProfiles.map(profile => profile?.id ?? null)).size > 1) {
+      return { success: false, error: 'Selected records are issued by different company profiles' };
+    }
+    if (new Set(records.map(record => record.billingPartyId)).size > 1) {
+      return { success: false, error: 'Selected records are billed to different parties' };
+    }
+
+    const companyProfile = companyProfiles[0];
+    const { prefix, pattern } = this.getNumberingSettings(companyProfile, 'invoice');
+    const financialYear = this.getFinancialYear(issueDate);
+    const billingParty = this.getParty(records[0].billingPartyId, userId);
+    const paymentTerms = this.getPaymentTerms(companyProfile, billingParty);
+    const dueDate = this.calculateDueDate(issueDate, paymentTerms);
+    const day = this.formatLocalDate(issueDate);
+
+    try {
+      const { id, invoiceNumber, snapshot } = this.transaction(() => {
+        // LR numbers are issued in the same transaction, so none is used up if the invoice can't be created.
+        // A bilty date set on the record is used (and checked against the back-dating window), else the invoice's.
+        const lrNumbers = records.map(record => {
+          const lr = this.issueDocumentNumber(record.id, 'bilty', userId, record.biltyDate ? null : issueDate);
+          if (!lr.success) {
+            throw new Error(`Record #${record.id}: ${lr.error}`);
+          }
+          return lr.documentNumber;
+        });
+
+        // Shares the invoice series with single-consignment invoices
+        const sequence = this.nextDocumentSequence(
+          userId,
+          companyProfile ? companyProfile.id : 0,
+          'invoice',
+          financialYear
+        );
+        const number = this.formatDocumentNumber(pattern, { prefix, financialYear, sequence });
+        const frozen = {
+          invoice: { invoiceNumber: number, issueDate: day, dueDate },
+          records: records.map((record, index) => ({ ...record, lrNumber: lrNumbers[index] })),
+          options: { companyProfile, billingParty, paymentTerms }
+        };
+
+        const stmt = this.db.prepare(`
+          INSERT INTO consolidated_invoices (
+            user_id, company_profile_id, billing_party_id, invoice_number, financial_year, due_date, organisation_id,
+            issue_date, snapshot
+          )
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        stmt.run([
+          userId,
+          companyProfile ? companyProfile.id : null,
+          records[0].billingPartyId,
+          number,
+          financialYear,
+          dueDate,
+          organisationId,
+          day,
+          JSON.stringify(frozen)
+        ]);
+        stmt.free();
+
+        const result = this.db.exec('SELECT last_insert_rowid() as id');
+        const invoiceId = result[0].values[0][0];
+
+        const itemStmt = this.db.prepare(`
+          INSERT INTO consolidated_invoice_items (invoice_id, freight_id, sort_order)
+          VALUES (?, ?, ?)
+        `);
+        records.forEach((record, index) => itemStmt.run([invoiceId, record.id, index]));
+        itemStmt.free();
+
+        return { id: invoiceId, invoiceNumber: number, snapshot: frozen };
+      });
+
+      return { success: true, id, invoiceNumber, dueDate, snapshot };
+    } catch (error) {
+      console.error('Failed to create consolidated invoice:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get a consolidated invoice with the IDs of the freight records it bills, in print order,
+   * and the snapshot it prints from (null for invoices created before snapshots were kept)
+   */
+  getConsolidatedInvoice(id, userId) {
+    if (!this.initialized || !id) {
+      return null;
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        SELECT * FROM consolidated_invoices WHERE id = ? AND organisation_id = ?
+      `);
+
+      stmt.bind([id, this.getUserOrganisationId(userId)]);
+
+      let invoice = null;
+      if (stmt.step()) {
+        const row = stmt.getAsObject();
+        invoice = { ...this.mapConsolidatedInvoiceRow(row), snapshot: this.parseSnapshot(row.snapshot, ['invoice', 'records', 'options']) };
+      }
+
+      stmt.free();
+
+      if (!invoice) {
+        return null;
+      }
+
+      const itemStmt = this.db.prepare(`
+        SELECT freight_id FROM consolidated_invoice_items
+        WHERE invoice_id = ?
+        ORDER BY sort_order ASC, id ASC
+      `);
+
+      itemStmt.bind([id]);
+
+      while (itemStmt.step()) {
+        invoice.freightIds.push(itemStmt.getAsObject().freight_id);
+      }
+
+      itemStmt.free();
+      return invoice;
+    } catch (error) {
+      console.error('Failed to get consolidated invoice:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get all of the user's organisation's consolidated invoices with the IDs of the freight records they bill
+   */
+  getUserConsolidatedInvoices(userId) {
+    if (!this.initialized) {
+      return [];
+    }
+
+    try {
+      const organisationId = this.getUserOrganisationId(userId);
+      const stmt = this.db.prepare(`
+        SELECT * FROM consolidated_invoices
+        WHERE organisation_id = ?
+        ORDER BY id ASC
+      `);
+
+      stmt.bind([organisationId]);
+
+      const invoices = new Map();
+      while (stmt.step()) {
+        const invoice = this.mapConsolidatedInvoiceRow(stmt.getAsObject());
+        invoices.set(invoice.id, invoice);
+      }
+
+      stmt.free();
+
+      // Every invoice's records in one query rather than one per invoice
+      const itemStmt = this.db.prepare(`
+        SELECT cii.invoice_id, cii.freight_id FROM consolidated_invoice_items cii
+        JOIN consolidated_invoices ci ON ci.id = cii.invoice_id
+        WHERE ci.organisation_id = ?
+        ORDER BY cii.sort_order ASC, cii.id ASC
+      `);
+
+      itemStmt.bind([organisationId]);
+
+      while (itemStmt.step()) {
+        const item = itemStmt.getAsObject();
+        invoices.get(item.invoice_id)?.freightIds.push(item.freight_id);
+      }
+
+      itemStmt.free();
+      return [...invoices.values()];
+    } catch (error) {
+      console.error('Failed to get consolidated invoices:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the consolidated invoice a freight record is billed on
+   * Returns: { id, invoiceNumber } or null when the record is not on one
+   */
+  getFreightConsolidatedInvoice(freightId) {
+    try {
+      const stmt = this.db.prepare(`
+        SELECT ci.id, ci.invoice_number FROM consolidated_invoice_items cii
+        JOIN consolidated_invoices ci ON ci.id = cii.invoice_id
+        WHERE cii.freight_id = ?
+      `);
+
+      stmt.bind([freightId]);
+
+      let invoice = null;
+      if (stmt.step()) {
+        const row = stmt.getAsObject();
+        invoice = { id: row.id, invoiceNumber: row.invoice_number };
+      }
+
+      stmt.free();
+      return invoice;
+    } catch (error) {
+      console.error('Failed to get consolidated invoice for freight record:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the invoice each of the organisation's billed freight records is on
+   * Covers consolidated invoices and single-consignment invoices already issued
+   * Returns: Map of freight ID to { invoiceNumber, consolidatedInvoiceId, dueDate }
+   */
+  getUserBilledFreight(userId) {
+    const billed = new Map();
+
+    if (!this.initialized) {
+      return billed;
+    }
+
+    try {
+      const organisationId = this.getUserOrganisationId(userId);
+      const invoiceStmt = this.db.prepare(`
+        SELECT dh.freight_id, dh.document_number, dh.due_date FROM document_history dh
+        JOIN freight_details fd ON fd.id = dh.freight_id
+        WHERE fd.organisation_id = ? AND dh.document_type = 'invoice' AND dh.document_number IS NOT NULL
+        ORDER BY dh.id ASC
+      `);
+
+      invoiceStmt.bind([organisationId]);
+
+      while (invoiceStmt.step()) {
+        const row = invoiceStmt.getAsObject();
+        if (!billed.has(row.freight_id)) {
+          billed.set(row.freight_id, {
+            invoiceNumber: row.document_number,
+            consolidatedInvoiceId: null,
+            dueDate: row.due_date ?? null
+          });
+        }
+      }
+
+      invoiceStmt.free();
+
+      const consolidatedStmt = this.db.prepare(`
+        SELECT cii.freight_id, ci.id, ci.invoice_number, ci.due_date FROM consolidated_invoice_items cii
+        JOIN consolidated_invoices ci ON ci.id = cii.invoice_id
+        WHERE ci.organisation_id = ?
+      `);
+
+      consolidatedStmt.bind([organisationId]);
+
+      while (consolidatedStmt.step()) {
+        const row = consolidatedStmt.getAsObject();
+        billed.set(row.freight_id, {
+          invoiceNumber: row.invoice_number,
+          consolidatedInvoiceId: row.id,
+          dueDate: row.due_date ?? null
+        });
+      }
+
+      consolidatedStmt.free();
+    } catch (error) {
+      console.error('Failed to get billed freight records:', error);
+    }
+
+    return billed;
+  }
+
+  /**
+   * Get the organisation's freight records whose bilty has been issued
+   * Includes LRs issued for consolidated invoices
+   * Returns: Set of freight IDs
+   */
+  getUserIssuedBilties(userId) {
+    const issued = new Set();
+
+    if (!this.initialized) {
+      return issued;
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        SELECT dh.freight_id FROM document_history dh
+        JOIN freight_details fd ON fd.id = dh.freight_id
+        WHERE fd.organisation_id = ? AND dh.document_type = 'bilty' AND dh.document_number IS NOT NULL
+      `);
+
+      stmt.bind([this.getUserOrganisationId(userId)]);
+
+      while (stmt.step()) {
+        issued.add(stmt.getAsObject().freight_id);
+      }
+
+      stmt.free();
+    } catch (error) {
+      console.error('Failed to get issued bilties:', error);
+    }
+
+    return issued;
+  }
+
+  /**
+   * Map a consolidated_invoices row to an invoice object
+   */
+  mapConsolidatedInvoiceRow(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      companyProfileId: row.company_profile_id ?? null,
+      billingPartyId: row.billing_party_id ?? null,
+      invoiceNumber: row.invoice_number,
+      financialYear: row.financial_year,
+      dueDate: row.due_date ?? null,
+      issueDate: row.issue_date ?? null,
+      printCount: row.print_count ?? 0,
+      freightIds: [],
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Record that a consolidated invoice was printed or downloaded
+   * Its first print is the original; every later one is a reprint, marked duplicate
+   * Returns: { success: boolean, invoice?: object, isReprint?: boolean, error?: string }
+   */
+  recordConsolidatedInvoiceGeneration(id, userId) {
+    if (!this.initialized) {
+      return { success: false, error: 'Database not initialized' };
+    }
+
+    const invoice = this.getConsolidatedInvoice(id, userId);
+    if (!invoice) {
+      return { success: false, error: 'Consolidated invoice not found' };
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        UPDATE consolidated_invoices SET print_count = print_count + 1 WHERE id = ? AND organisation_id = ?
+      `);
+      stmt.run([id, this.getUserOrganisationId(userId)]);
+      stmt.free();
+
+      this.schedulePersist();
+
+      return { success: true, invoice, isReprint: invoice.printCount > 0 };
+    } catch (error) {
+      console.error('Failed to record consolidated invoice generation:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ===== PAYMENT METHODS =====
+
+  /**
+   * Record a payment against a single-consignment invoice (freightId) or a consolidated invoice
+   * Each payment gets a receipt number from the receipt series of the invoice's company profile
+   * Returns: { success: boolean, id?: number, receiptNumber?: string, error?: string }
+   */
+  savePayment(paymentData) {
+    if (!this.initialized) {
+      return { success: false, error: 'Database not initialized' };
+    }
+
+    const denied = this.checkPermission(paymentData.userId, 'payments.manage');
+    if (denied) {
+      return denied;
+    }
+
+    const { userId } = paymentData;
+    const freightId = paymentData.freightId || null;
+    const consolidatedInvoiceId = paymentData.consolidatedInvoiceId || null;
+    const amount = Number(paymentData.amount) || 0;
+    const tdsAmount = Number(paymentData.tdsAmount) || 0;
+
+    if (!freightId === !consolidatedInvoiceId) {
+      return { success: false, error: 'A payment must be recorded against one invoice' };
+    }
+    if (!paymentData.paymentDate || !paymentData.mode) {
+      return { success: false, error: 'Payment date and mode are required' };
+    }
+    if (amount < 0 || tdsAmount < 0 || amount + tdsAmount <= 0) {
+      return { success: false, error: 'Payment amount must be greater than 0' };
+    }
+
+    let companyProfileId;
+    if (freightId) {
+      const freight = this.getFreightDetails(freightId, userId);
+      if (!freight) {
+        return { success: false, error: 'Freight record not found' };
+      }
+      if (this.getFreightConsolidatedInvoice(freightId)) {
+        return { success: false, error: 'Record payments against the consolidated invoice' };
+      }
+      companyProfileId = freight.companyProfileId;
+    } else {
+      const invoice = this.getConsolidatedInvoice(consolidatedInvoiceId, userId);
+      if (!invoice) {
+        return { success: false, error: 'Consolidated invoice not found' };
+      }
+      companyProfileId = invoice.companyProfileId;
+    }
+
+    const companyProfile = this.getCompanyProfile(companyProfileId, userId) || this.getDefaultCompanyProfile(userId);
+    const { prefix, pattern } = this.getNumberingSettings(companyProfile, 'receipt');
+    const financialYear = this.getFinancialYear(new Date(`${paymentData.paymentDate}T00:00:00`));
+
+    try {
+      const { id, receiptNumber } = this.transaction(() => {
+        const sequence = this.nextDocumentSequence(
+          userId,
+          companyProfile ? companyProfile.id : 0,
+          'receipt',
+          financialYear
+        );
+        const number = this.formatDocumentNumber(pattern, { prefix, financialYear, sequence });
+
+        const stmt = this.db.prepare(`
+          INSERT INTO payments (
+            user_id, freight_id, consolidated_invoice_id, receipt_number,
+            payment_date, amount, tds_amount, mode, reference, organisation_id
+          )
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        stmt.run([
+          userId,
+          freightId,
+          consolidatedInvoiceId,
+          number,
+          paymentData.paymentDate,
+          amount,
+          tdsAmount,
+          paymentData.mode,
+          paymentData.reference || null,
+          this.getUserOrganisationId(userId)
+        ]);
+        stmt.free();
+
+        const result = this.db.exec('SELECT last_insert_rowid() as id');
+        return { id: result[0].values[0][0], receiptNumber: number };
+      });
+
+      return { success: true, id, receiptNumber };
+    } catch (error) {
+      console.error('Failed to save payment:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get all of the user's organisation's payments, oldest first
+   */
+  getUserPayments(userId) {
+    if (!this.initialized) {
+      return [];
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        SELECT * FROM payments
+        WHERE organisation_id = ?
+        ORDER BY payment_date ASC, id ASC
+      `);
+
+      stmt.bind([this.getUserOrganisationId(userId)]);
+
+      const payments = [];
+      while (stmt.step()) {
+        payments.push(this.mapPaymentRow(stmt.getAsObject()));
+      }
+
+      stmt.free();
+      return payments;
+    } catch (error) {
+      console.error('Failed to get payments:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get a payment by ID
+   */
+  getPayment(id, userId) {
+    if (!this.initialized || !id) {
+      return null;
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        SELECT * FROM payments
+        WHERE id = ? AND organisation_id = ?
+      `);
+
+      stmt.bind([id, this.getUserOrganisationId(userId)]);
+
+      let payment = null;
+      if (stmt.step()) {
+        payment = this.mapPaymentRow(stmt.getAsObject());
+      }
+
+      stmt.free();
+      return payment;
+    } catch (error) {
+      console.error('Failed to get payment:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Map a payments row to a payment object
+   */
+  mapPaymentRow(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      freightId: row.freight_id ?? null,
+      consolidatedInvoiceId: row.consolidated_invoice_id ?? null,
+      receiptNumber: row.receipt_number,
+      paymentDate: row.payment_date,
+      amount: row.amount,
+      tdsAmount: row.tds_amount || 0,
+      mode: row.mode,
+      reference: row.reference || '',
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Delete a payment recorded in error
+   */
+  deletePayment(id, userId) {
+    if (!this.initialized) {
+      return { success: false, error: 'Database not initialized' };
+    }
+
+    const denied = this.checkPermission(userId, 'payments.manage');
+    if (denied) {
+      return denied;
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        DELETE FROM payments WHERE id = ? AND organisation_id = ?
+      `);
+      stmt.run([id, this.getUserOrganisationId(userId)]);
+      stmt.free();
+
+      this.schedulePersist();
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to delete payment:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ===== ORGANISATION METHODS =====
+
+  /**
+   * Create an organisation
+   * Returns: the new organisation's ID
+   */
+  createOrganisation(name) {
+    const stmt = this.db.prepare(`
+      INSERT INTO organisations (name) VALUES (?)
+    `);
+    stmt.run([name || this.DEFAULT_ORGANISATION_NAME]);
+    stmt.free();
+
+    const result = this.db.exec('SELECT last_insert_rowid() as id');
+    return result[0].values[0][0];
+  }
+
+  /**
+   * Get the ID of the oldest organisation
+   * Returns: organisation ID, or null if none has been created
+   */
+  getFirstOrganisationId() {
+    const stmt = this.db.prepare('SELECT id FROM organisations ORDER BY id ASC LIMIT 1');
+    const id = stmt.step() ? stmt.getAsObject().id : null;
+    stmt.free();
+    return id;
+  }
+
+  /**
+   * Get the ID of the organisation a user belongs to
+   * Returns: organisation ID, or null for unknown users
+   */
+  getUserOrganisationId(userId) {
+    if (!this.initialized) {
+      return null;
+    }
+
+    try {
+      const stmt = this.db.prepare('SELECT organisation_id FROM users WHERE id = ?');
+      stmt.bind([userId]);
+      const organisationId = stmt.step() ? stmt.getAsObject().organisation_id : null;
+      stmt.free();
+      return organisationId ?? null;
+    } catch (error) {
+      console.error('Failed to get user organisation:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the organisation a user belongs to
+   * Returns: { id, name, idleTimeoutMinutes, createdAt } or null
+   */
+  getUserOrganisation(userId) {
+    if (!this.initialized) {
+      return null;
+    }
+
+    try {
+      const stmt = this.db.prepare('SELECT * FROM organisations WHERE id = ?');
+      stmt.bind([this.getUserOrganisationId(userId)]);
+
+      let organisation = null;
+      if (stmt.step()) {
+        const row = stmt.getAsObject();
+        organisation = {
+          id: row.id,
+          name: row.name,
+          idleTimeoutMinutes: row.idle_timeout_minutes || this.DEFAULT_IDLE_TIMEOUT_MINUTES,
+          createdAt: row.created_at
+        };
+      }
+
+      stmt.free();
+      return organisation;
+    } catch (error) {
+      console.error('Failed to get organisation:', error);
+      return null;
+    }
+  }
+
+  // ===== SETUP & INVITE METHODS =====
+
+  /**
+   * Check whether any account exists
+   * A database without users needs the first-run setup
+   */
+  hasUsers() {
+    if (!this.initialized) {
+      return false;
+    }
+
+    try {
+      const result = this.db.exec('SELECT COUNT(*) FROM users');
+      return (result[0]?.values[0]?.[0] || 0) > 0;
+    } catch (error) {
+      console.error('Failed to count users:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Create the organisation, the owner's account and first company profile on a database without users
+   * Both are saved in one transaction, so a failed setup leaves the database ready to try again
+   * @param {object} setupData - { username, password, company }
+   * Returns: { success: boolean, userId?: number, recoveryCodes?: string[], error?: string }
+   */
+  async completeSetup({ username, password, company }) {
+    if (!this.initialized) {
+      return { success: false, error: 'Database not initialized' };
+    }
+
+    try {
+      const credentials = await this.hashPassword(password);
+      const recovery = await this.createRecoveryCodes();
+      const userId = this.transaction(() => {
+        if (this.hasUsers()) {
+          throw new Error('Setup has already been completed');
+        }
+
+        const ownerId = this.insertUser(username, credentials, 'owner', this.createOrganisation(company?.name));
+        this.storeRecoveryCodes(ownerId, recovery.hashes);
+        const profile = this.saveCompanyProfile({ ...company, userId: ownerId, isDefault: true });
+        if (!profile.success) {
+          throw new Error(profile.error);
+        }
+        return ownerId;
+      });
+
+      return { success: true, userId, recoveryCodes: recovery.codes };
+    } catch (error) {
+      console.error('Failed to complete setup:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Normalize an invite or recovery code as typed: case and separators don't matter
+   */
+  normalizeInviteCode(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  /**
+   * Random characters for a code people type in
+   * The 32-character alphabet leaves out look-alikes (0/O, 1/I), so every character is equally likely
+   */
+  generateCodeCharacters(length) {
+    const alphabet = this.INVITE_CODE_ALPHABET;
+    return Array.from(crypto.getRandomValues(new Uint8Array(length)), byte => alphabet[byte % alphabet.length]).join('');
+  }
+
+  /**
+   * Create a single-use invite that lets one person register
+   * The code is returned here only; the database keeps its digest
+   * @param {number} createdBy - ID of the user issuing the invite
+   * @param {string} [note] - Who the invite is for
+   * @param {string} [role] - Role the new account gets (default: clerk)
+   * Returns: { success: boolean, id?: number, code?: string, expiresAt?: string, error?: string }
+   */
+  async createInvite(createdBy, note = '', role = 'clerk') {
+    if (!this.initialized) {
+      return { success: false, error: 'Database not initialized' };
+    }
+
+    const denied = this.checkPermission(createdBy, 'users.manage');
+    if (denied) {
+      return denied;
+    }
+
+    if (!this.ROLE_PERMISSIONS[role]) {
+      return { success: false, error: `Unknown role: ${role}` };
+    }
+
+    try {
+      // 12 characters, shown as XXXX-XXXX-XXXX
+      const characters = this.generateCodeCharacters(12);
+      const code = characters.match(/.{4}/g).join('-');
+      const expiresAt = new Date(Date.now() + this.INVITE_VALID_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+      const stmt = this.db.prepare(`
+        INSERT INTO invites (code_hash, note, created_by, expires_at, role)
+        VALUES (?, ?, ?, ?, ?)
+      `);
+      stmt.run([await this.digestHex(characters), note || null, createdBy, expiresAt, role]);
+      stmt.free();
+
+      const result = this.db.exec('SELECT last_insert_rowid() as id');
+      this.schedulePersist();
+
+      return { success: true, id: result[0].values[0][0], code, expiresAt };
+    } catch (error) {
+      console.error('Failed to create invite:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get the invites a user has issued, newest first
+   * Returns: Array of { id, note, role, expiresAt, usedAt, usedByUsername, createdAt, status }
+   */
+  getUserInvites(createdBy) {
+    if (!this.initialized) {
+      return [];
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        SELECT i.*, u.username AS used_by_username
+        FROM invites i
+        LEFT JOIN users u ON u.id = i.used_by
+        WHERE i.created_by = ?
+        ORDER BY i.created_at DESC, i.id DESC
+      `);
+
+      stmt.bind([createdBy]);
+
+      const now = new Date().toISOString();
+      const invites = [];
+      while (stmt.step()) {
+        const row = stmt.getAsObject();
+        invites.push({
+          id: row.id,
+          note: row.note || '',
+          role: row.role,
+          expiresAt: row.expires_at,
+          usedAt: row.used_at,
+          usedByUsername: row.used_by_username || null,
+          createdAt: row.created_at,
+          status: row.used_at ? 'used' : row.expires_at <= now ? 'expired' : 'pending'
+        });
+      }
+
+      stmt.free();
+      return invites;
+    } catch (error) {
+      console.error('Failed to get invites:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Revoke an invite that has not been used yet
+   * Returns: { success: boolean, error?: string }
+   */
+  deleteInvite(id, createdBy) {
+    if (!this.initialized) {
+      return { success: false, error: 'Database not initialized' };
+    }
+
+    const denied = this.checkPermission(createdBy, 'users.manage');
+    if (denied) {
+      return denied;
+    }
+
+    try {
+      const stmt = this.db.prepare(`
+        DELETE FROM invites WHERE id = ? AND created_by = ? AND used_by IS NULL
+      `);
+      stmt.run([id, createdBy]);
+      stmt.free();
+
+      this.schedulePersist();
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to delete invite:', error);
+      return { success: false, error: error.message };
     }
   }
 
   /**
-   * Check if a table exists
+   * Create an account with an invite code, using up the invite
+   * The account joins the organisation of the user who created the invite, with the role chosen then
+   * Returns: { success: boolean, userId?: number, recoveryCodes?: string[], error?: string }
    */
-  tableExists(tableName) {
+  async redeemInvite(code, username, password) {
+    if (!this.initialized) {
+      return { success: false, error: 'Database not initialized' };
+    }
+
     try {
-      const result = this.db.exec(`SELECT name FROM sqlite_master WHERE type='table' AND name='${tableName}';`);
-      return result.length > 0 && result[0].values.length > 0;
+      const codeHash = await this.digestHex(this.normalizeInviteCode(code));
+      const credentials = await this.hashPassword(password);
+      const recovery = await this.createRecoveryCodes();
+
+      const userId = this.transaction(() => {
+        const stmt = this.db.prepare(`
+          SELECT id, role, created_by FROM invites WHERE code_hash = ? AND used_by IS NULL AND expires_at > ?
+        `);
+        stmt.bind([codeHash, new Date().toISOString()]);
+        const invite = stmt.step() ? stmt.getAsObject() : null;
+        stmt.free();
+
+        if (!invite) {
+          throw new Error('Invite code is invalid, used or expired');
+        }
+
+        const newUserId = this.insertUser(username, credentials, invite.role, this.getUserOrganisationId(invite.created_by));
+
+        const update = this.db.prepare(`
+          UPDATE invites SET used_by = ?, used_at = ? WHERE id = ?
+        `);
+        update.run([newUserId, new Date().toISOString(), invite.id]);
+        update.free();
+
+        this.storeRecoveryCodes(newUserId, recovery.hashes);
+        return newUserId;
+      });
+
+      return { success: true, userId, recoveryCodes: recovery.codes };
     } catch (error) {
-      return false;
+      console.error('Failed to redeem invite:', error);
+      if (error.message.includes('UNIQUE constraint failed')) {
+        return { success: false, error: 'Username already exists' };
+      }
+      return { success: false, error: error.message };
     }
   }
 
+  // ===== ROLE & PERMISSION METHODS =====
+
   /**
-   * Check if a column exists in a table
+   * Get a user's role
+   * Returns: one of the USER_ROLES, or null if there is no such user
    */
-  columnExists(tableName, columnName) {
+  getUserRole(userId) {
+    if (!this.initialized) {
+      return null;
+    }
+
     try {
-      const result = this.db.exec(`PRAGMA table_info(${tableName});`);
-      if (result.length === 0) return false;
-      
-      const columns = result[0].values;
-      return columns.some(col => col[1] === columnName);
+      const stmt = this.db.prepare('SELECT role FROM users WHERE id = ?');
+      stmt.bind([userId]);
+      const role = stmt.step() ? stmt.getAsObject().role : null;
+      stmt.free();
+      return role;
     } catch (error) {
-      return false;
+      console.error('Failed to get user role:', error);
+      return null;
     }
   }
 
   /**
-   * Create database tables
-   */
-  async createTables() {
-    const createUsersTable = `
-      CREATE TABLE IF NOT EXISTS users (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        username TEXT UNIQUE NOT NULL,
-        password_hash TEXT NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      );
-    `;
-
-    const createFreightDetailsTable = `
-      CREATE TABLE IF NOT EXISTS freight_details (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id INTEGER NOT NULL,
-        company_profile_id INTEGER,
-        origin TEXT NOT NULL,
-        destination TEXT NOT NULL,
-        goods_description TEXT NOT NULL,
-        weight REAL NOT NULL,
-        amount REAL NOT NULL,
-        discount REAL DEFAULT 0,
-        taxes REAL DEFAULT 0,
-        eway_bill_number TEXT,
-        eway_bill_date TEXT,
-        custom_fields TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id),
-        FOREIGN KEY (company_profile_id) REFERENCES company_profiles(id)
-      );
-    `;
-
-    const createDocumentHistoryTable = `
-      CREATE TABLE IF NOT EXISTS document_history (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        freight_id INTEGER NOT NULL,
-        document_type TEXT NOT NULL,
-        generated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (freight_id) REFERENCES freight_details(id)
-      );
-    `;
-
-    const createCompanyProfilesTable = `
-      CREATE TABLE IF NOT EXISTS company_profiles (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id INTEGER NOT NULL,
-        name TEXT NOT NULL,
-        address TEXT,
-        city TEXT,
-        state TEXT,
-        pincode TEXT,
-        gst_number TEXT,
-        pan_number TEXT,
-        phone TEXT,
-        email TEXT,
-        website TEXT,
-        is_default INTEGER DEFAULT 0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id)
-      );
-    `;
-
-    const createCustomFieldsTable = `
-      CREATE TABLE IF NOT EXISTS custom_field_definitions (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id INTEGER NOT NULL,
-        field_name TEXT NOT NULL,
-        field_label TEXT NOT NULL,
-        field_type TEXT NOT NULL,
-        is_required INTEGER DEFAULT 0,
-        options TEXT,
-        display_order INTEGER DEFAULT 0,
-        is_active INTEGER DEFAULT 1,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id)
-      );
-    `;
-
-    // Create indexes for performance
-    const createIndexes = `
-      CREATE INDEX IF NOT EXISTS idx_freight_user_id ON freight_details(user_id);
-      CREATE INDEX IF NOT EXISTS idx_freight_created_at ON freight_details(created_at);
-      CREATE INDEX IF NOT EXISTS idx_freight_company_profile ON freight_details(company_profile_id);
-      CREATE INDEX IF NOT EXISTS idx_document_freight_id ON document_history(freight_id);
-      CREATE INDEX IF NOT EXISTS idx_company_profiles_user_id ON company_profiles(user_id);
-      CREATE INDEX IF NOT EXISTS idx_custom_fields_user_id ON custom_field_definitions(user_id);
-    `;
-
-    try {
-      this.db.run(createUsersTable);
-      this.db.run(createFreightDetailsTable);
-      this.db.run(createDocumentHistoryTable);
-      this.db.run(createCompanyProfilesTable);
-      this.db.run(createCustomFieldsTable);
-      this.db.run(createIndexes);
-      this.persistToLocalStorage();
-    } catch (error) {
-      console.error('Failed to create tables:', error);
-      throw error;
-    }
+   * Get the permissions a user's role grants
+   * Returns: Array of PERMISSIONS keys (empty for unknown users)
+   */
+  getUserPermissions(userId) {
+    return this.ROLE_PERMISSIONS[this.getUserRole(userId)] || [];
   }
 
   /**
-   * Create default admin user (username: 'admin', password: 'admin123')
+   * Check whether a user's role grants a permission
    */
-  async createDefaultAdmin() {
-    try {
-      const passwordHash = await this.hashPassword('admin123');
-      await this.saveUser('admin', passwordHash);
-    } catch (error) {
-      console.error('Failed to create default admin:', error);
-      throw error;
-    }
+  hasPermission(userId, permission) {
+    return this.getUserPermissions(userId).includes(permission);
   }
 
   /**
-   * Hash password using SHA-256
+   * Permission check for mutations
+   * Returns: a failed result for the mutation to return, or null when the user may go ahead
    */
-  async hashPassword(password) {
-    const encoder = new TextEncoder();
-    const data = encoder.encode(password);
-    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-    return hashHex;
+  checkPermission(userId, permission) {
+    if (this.hasPermission(userId, permission)) {
+      return null;
+    }
+    return { success: false, error: `You don't have permission to ${this.PERMISSIONS[permission]}` };
   }
 
   /**
-   * Persist database to LocalStorage
+   * Get the members of the user's organisation, oldest first
+   * Returns: Array of { id, username, role, createdAt }
    */
-  persistToLocalStorage() {
+  getUsers(userId) {
+    if (!this.initialized) {
+      return [];
+    }
+
     try {
-      const data = this.db.export();
-      const buffer = Array.from(data);
-      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(buffer));
+      const stmt = this.db.prepare('SELECT id, username, role, created_at FROM users WHERE organisation_id = ? ORDER BY id ASC');
+      stmt.bind([this.getUserOrganisationId(userId)]);
+
+      const users = [];
+      while (stmt.step()) {
+        const row = stmt.getAsObject();
+        users.push({ id: row.id, username: row.username, role: row.role, createdAt: row.created_at });
+      }
+
+      stmt.free();
+      return users;
     } catch (error) {
-      console.error('Failed to persist database to LocalStorage:', error);
-      throw new Error(`Failed to persist data: ${error.message}`);
+      console.error('Failed to get users:', error);
+      return [];
     }
   }
 
   /**
-   * Save freight details
-   * Returns: { success: boolean, id: number, error: string }
+   * Change the role of a member of the actor's organisation
+   * There must always be an owner left, so the last one can't be changed
+   * @param {number} actorId - User making the change (needs users.manage)
+   * @param {number} userId - User whose role changes
+   * @param {string} role - One of USER_ROLES
+   * Returns: { success: boolean, error?: string }
    */
-  saveFreightDetails(freightData) {
+  updateUserRole(actorId, userId, role) {
     if (!this.initialized) {
-      console.error('Attempted to save freight details before database initialization');
       return { success: false, error: 'Database not initialized' };
     }
 
-    try {
-      const stmt = this.db.prepare(`
-        INSERT INTO freight_details (
-          user_id, origin, destination, goods_description, 
-          weight, amount, discount, taxes, 
-          eway_bill_number, eway_bill_date
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `);
+    const denied = this.checkPermission(actorId, 'users.manage');
+    if (denied) {
+      return denied;
+    }
 
-      stmt.run([
-        freightData.userId,
-        freightData.origin,
-        freightData.destination,
-        freightData.goodsDescription,
-        freightData.weight,
-        freightData.amount,
-        freightData.discount || 0,
-        freightData.taxes || 0,
-        freightData.ewayBillNumber || null,
-        freightData.ewayBillDate || null
-      ]);
+    if (!this.ROLE_PERMISSIONS[role]) {
+      return { success: false, error: `Unknown role: ${role}` };
+    }
 
-      stmt.free();
+    const currentRole = this.getUserRole(userId);
+    if (!currentRole || this.getUserOrganisationId(userId) !== this.getUserOrganisationId(actorId)) {
+      return { success: false, error: 'User not found' };
+    }
 
-      // Get the last inserted ID
-      const result = this.db.exec('SELECT last_insert_rowid() as id');
-      const id = result[0].values[0][0];
+    const owners = this.getUsers(actorId).filter(user => user.role === 'owner');
+    if (currentRole === 'owner' && role !== 'owner' && owners.length === 1) {
+      return { success: false, error: 'There must be at least one owner' };
+    }
 
-      this.persistToLocalStorage();
+    try {
+      const stmt = this.db.prepare('UPDATE users SET role = ? WHERE id = ?');
+      stmt.run([role, userId]);
+      stmt.free();
 
-      console.log(`Freight details saved successfully with ID: ${id}`);
-      return { success: true, id };
+      this.schedulePersist();
+      return { success: true };
     } catch (error) {
-      console.error('Failed to save freight details:', error);
-      return { success: false, error: `Failed to save data: ${error.message}` };
+      console.error('Failed to update user role:', error);
+      return { success: false, error: error.message };
     }
   }
 
+  // ===== SESSION METHODS =====
+
   /**
-   * Retrieve freight details by ID
-   * Returns: FreightDetails object or null
+   * Record a login session
+   * Sessions that have passed their expiry are removed at the same time
+   * @param {number} userId - User who logged in
+   * @param {string} token - Session token kept by the browser (only its hash is stored)
+   * @param {object} options - { expiresAt: Date, userAgent?: string }
+   * Returns: { success: boolean, id?: number, error?: string }
    */
-  getFreightDetails(id) {
+  async createSession(userId, token, { expiresAt, userAgent = null }) {
     if (!this.initialized) {
-      return null;
+      return { success: false, error: 'Database not initialized' };
     }
 
     try {
-      const stmt = this.db.prepare(`
-        SELECT * FROM freight_details WHERE id = ?
-      `);
+      const tokenHash = await this.digestHex(token);
+      const now = new Date().toISOString();
 
-      stmt.bind([id]);
-      
-      if (stmt.step()) {
-        const row = stmt.getAsObject();
+      const id = this.transaction(() => {
+        const purgeStmt = this.db.prepare('DELETE FROM sessions WHERE expires_at <= ?');
+        purgeStmt.run([now]);
+        purgeStmt.free();
+
+        const stmt = this.db.prepare(`
+          INSERT INTO sessions (user_id, token_hash, user_agent, created_at, last_active_at, expires_at)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `);
+        stmt.run([userId, tokenHash, userAgent, now, now, expiresAt.toISOString()]);
         stmt.free();
-        
-        return {
-          id: row.id,
-          userId: row.user_id,
-          origin: row.origin,
-          destination: row.destination,
-          goodsDescription: row.goods_description,
-          weight: row.weight,
-          amount: row.amount,
-          discount: row.discount,
-          taxes: row.taxes,
-          ewayBillNumber: row.eway_bill_number,
-          ewayBillDate: row.eway_bill_date,
-          createdAt: row.created_at
-        };
-      }
 
-      stmt.free();
-      return null;
+        const result = this.db.exec('SELECT last_insert_rowid() as id');
+        return result[0].values[0][0];
+      });
+
+      return { success: true, id };
     } catch (error) {
-      console.error('Failed to get freight details:', error);
-      return null;
+      console.error('Failed to create session:', error);
+      return { success: false, error: error.message };
     }
   }
 
   /**
-   * Get all freight records for current user
-   * Returns: Array of FreightDetails
+   * Look up the session a token belongs to
+   * A session that has expired, or gone unused for its organisation's idle timeout, is removed
+   * @param {string} token - Session token from the browser
+   * Returns: { valid: true, sessionId, userId, expiresAt, idleTimeoutMinutes }
+   *   or { valid: false, reason: 'missing' | 'expired' | 'idle' } (missing covers revoked sessions)
    */
-  getUserFreightRecords(userId) {
-    if (!this.initialized) {
-      return [];
+  async validateSession(token) {
+    if (!this.initialized || !token) {
+      return { valid: false, reason: 'missing' };
     }
 
     try {
       const stmt = this.db.prepare(`
-        SELECT * FROM freight_details 
-        WHERE user_id = ? 
-        ORDER BY id DESC
+        SELECT s.id, s.user_id, s.last_active_at, s.expires_at, o.idle_timeout_minutes
+        FROM sessions s
+        JOIN users u ON u.id = s.user_id
+        LEFT JOIN organisations o ON o.id = u.organisation_id
+        WHERE s.token_hash = ?
       `);
+      stmt.bind([await this.digestHex(token)]);
+      const row = stmt.step() ? stmt.getAsObject() : null;
+      stmt.free();
 
-      stmt.bind([userId]);
-      
-      const records = [];
-      while (stmt.step()) {
-        const row = stmt.getAsObject();
-        records.push({
-          id: row.id,
-          userId: row.user_id,
-          origin: row.origin,
-          destination: row.destination,
-          goodsDescription: row.goods_description,
-          weight: row.weight,
-          amount: row.amount,
-          discount: row.discount,
-          taxes: row.taxes,
-          ewayBillNumber: row.eway_bill_number,
-          ewayBillDate: row.eway_bill_date,
-          createdAt: row.created_at
-        });
+      if (!row) {
+        return { valid: false, reason: 'missing' };
       }
 
-      stmt.free();
-      return records;
+      const idleTimeoutMinutes = row.idle_timeout_minutes || this.DEFAULT_IDLE_TIMEOUT_MINUTES;
+      const now = Date.now();
+      let reason = null;
+      if (new Date(row.expires_at).getTime() <= now) {
+        reason = 'expired';
+      } else if (now - new Date(row.last_active_at).getTime() >= idleTimeoutMinutes * 60 * 1000) {
+        reason = 'idle';
+      }
+
+      if (reason) {
+        this.deleteSession(row.id);
+        return { valid: false, reason };
+      }
+
+      return {
+        valid: true,
+        sessionId: row.id,
+        userId: row.user_id,
+        expiresAt: row.expires_at,
+        idleTimeoutMinutes
+      };
     } catch (error) {
-      console.error('Failed to get user freight records:', error);
-      return [];
+      console.error('Failed to validate session:', error);
+      return { valid: false, reason: 'missing' };
     }
   }
 
   /**
-   * Save user credentials
+   * Record activity on a session, restarting its idle timeout
+   * Sessions that have already ended stay ended
+   * @param {string} token - Session token from the browser
+   * Returns: { success: boolean, error?: string }
    */
-  async saveUser(username, passwordHash) {
-    if (!this.initialized) {
-      throw new Error('Database not initialized');
+  async touchSession(token) {
+    const session = await this.validateSession(token);
+    if (!session.valid) {
+      return { success: false, error: 'Session has ended' };
     }
 
     try {
-      const stmt = this.db.prepare(`
-        INSERT INTO users (username, password_hash) 
-        VALUES (?, ?)
-      `);
-
-      stmt.run([username, passwordHash]);
+      const stmt = this.db.prepare('UPDATE sessions SET last_active_at = ? WHERE id = ?');
+      stmt.run([new Date().toISOString(), session.sessionId]);
       stmt.free();
 
-      this.persistToLocalStorage();
-
+      this.schedulePersist();
       return { success: true };
     } catch (error) {
-      console.error('Failed to save user:', error);
-      
-      // Check if it's a duplicate username error
-      if (error.message.includes('UNIQUE constraint failed')) {
-        throw new Error('Username already exists');
-      }
-      
-      throw error;
+      console.error('Failed to record session activity:', error);
+      return { success: false, error: error.message };
     }
   }
 
   /**
-   * Verify user credentials
-   * Returns: { valid: boolean, userId: number }
+   * End the session a token belongs to (logout)
+   * @param {string} token - Session token from the browser
+   * Returns: { success: boolean, error?: string }
    */
-  async verifyUser(username, passwordHash) {
+  async endSession(token) {
     if (!this.initialized) {
-      return { valid: false, userId: null };
+      return { success: false, error: 'Database not initialized' };
     }
 
     try {
-      const stmt = this.db.prepare(`
-        SELECT id, password_hash FROM users WHERE username = ?
-      `);
-
-      stmt.bind([username]);
-      
-      if (stmt.step()) {
-        const row = stmt.getAsObject();
-        stmt.free();
-        
-        const valid = row.password_hash === passwordHash;
-        return { valid, userId: valid ? row.id : null };
-      }
-
+      const stmt = this.db.prepare('DELETE FROM sessions WHERE token_hash = ?');
+      stmt.run([await this.digestHex(token)]);
       stmt.free();
-      return { valid: false, userId: null };
+
+      this.schedulePersist();
+      return { success: true };
     } catch (error) {
-      console.error('Failed to verify user:', error);
-      return { valid: false, userId: null };
+      console.error('Failed to end session:', error);
+      return { success: false, error: error.message };
     }
   }
 
   /**
-   * Record document generation in history
+   * End all of a user's sessions, except optionally the one a token belongs to
+   * @param {number} userId - User whose sessions end (e.g. after changing their password)
+   * @param {string} [exceptToken] - Session to keep, such as the one making the change
+   * Returns: { success: boolean, error?: string }
    */
-  recordDocumentGeneration(freightId, documentType) {
+  async endUserSessions(userId, exceptToken = null) {
     if (!this.initialized) {
       return { success: false, error: 'Database not initialized' };
     }
 
     try {
-      const stmt = this.db.prepare(`
-        INSERT INTO document_history (freight_id, document_type) 
-        VALUES (?, ?)
-      `);
-
-      stmt.run([freightId, documentType]);
+      const stmt = this.db.prepare('DELETE FROM sessions WHERE user_id = ? AND token_hash IS NOT ?');
+      stmt.run([userId, exceptToken ? await this.digestHex(exceptToken) : null]);
       stmt.free();
 
-      this.persistToLocalStorage();
-
+      this.schedulePersist();
       return { success: true };
     } catch (error) {
-      console.error('Failed to record document generation:', error);
+      console.error('Failed to end user sessions:', error);
       return { success: false, error: error.message };
     }
   }
 
   /**
-   * Get document generation history for a freight record
+   * Remove a session by ID
    */
-  getDocumentHistory(freightId) {
-    if (!this.initialized) {
+  deleteSession(id) {
+    const stmt = this.db.prepare('DELETE FROM sessions WHERE id = ?');
+    stmt.run([id]);
+    stmt.free();
+    this.schedulePersist();
+  }
+
+  /**
+   * Get the sessions still in use by members of the actor's organisation, most recently active first
+   * @param {number} actorId - User asking (needs users.manage)
+   * Returns: Array of { id, userId, username, userAgent, createdAt, lastActiveAt, expiresAt }
+   */
+  getSessions(actorId) {
+    if (!this.initialized || !this.hasPermission(actorId, 'users.manage')) {
       return [];
     }
 
     try {
+      const organisation = this.getUserOrganisation(actorId);
+      const idleSince = new Date(Date.now() - organisation.idleTimeoutMinutes * 60 * 1000).toISOString();
+
       const stmt = this.db.prepare(`
-        SELECT * FROM document_history 
-        WHERE freight_id = ? 
-        ORDER BY generated_at DESC
+        SELECT s.id, s.user_id, s.user_agent, s.created_at, s.last_active_at, s.expires_at, u.username
+        FROM sessions s
+        JOIN users u ON u.id = s.user_id
+        WHERE u.organisation_id = ? AND s.expires_at > ? AND s.last_active_at > ?
+        ORDER BY s.last_active_at DESC
       `);
+      stmt.bind([organisation.id, new Date().toISOString(), idleSince]);
 
-      stmt.bind([freightId]);
-      
-      const history = [];
+      const sessions = [];
       while (stmt.step()) {
         const row = stmt.getAsObject();
-        history.push({
+        sessions.push({
           id: row.id,
-          freightId: row.freight_id,
-          documentType: row.document_type,
-          generatedAt: row.generated_at
+          userId: row.user_id,
+          username: row.username,
+          userAgent: row.user_agent,
+          createdAt: row.created_at,
+          lastActiveAt: row.last_active_at,
+          expiresAt: row.expires_at
         });
       }
 
       stmt.free();
-      return history;
+      return sessions;
     } catch (error) {
-      console.error('Failed to get document history:', error);
+      console.error('Failed to get sessions:', error);
       return [];
     }
   }
 
   /**
-   * Update freight details
+   * Log a member of the actor's organisation out by ending one of their sessions
+   * The browser holding it is sent to the login page at its next session check
+   * @param {number} actorId - User ending the session (needs users.manage)
+   * @param {number} sessionId - Session to end
    * Returns: { success: boolean, error?: string }
    */
-  updateFreightDetails(id, freightData) {
+  revokeSession(actorId, sessionId) {
     if (!this.initialized) {
-      console.error('Attempted to update freight details before database initialization');
       return { success: false, error: 'Database not initialized' };
     }
 
-    try {
-      const stmt = this.db.prepare(`
-        UPDATE freight_details SET
-          origin = ?,
-          destination = ?,
-          goods_description = ?,
-          weight = ?,
-          amount = ?,
-          discount = ?,
-          taxes = ?,
-          eway_bill_number = ?,
-          eway_bill_date = ?
-        WHERE id = ? AND user_id = ?
-      `);
-
-      stmt.run([
-        freightData.origin,
-        freightData.destination,
-        freightData.goodsDescription,
-        freightData.weight,
-        freightData.amount,
-        freightData.discount || 0,
-        freightData.taxes || 0,
-        freightData.ewayBillNumber || null,
-        freightData.ewayBillDate || null,
-        id,
-        freightData.userId
-      ]);
-
-      stmt.free();
+    const denied = this.checkPermission(actorId, 'users.manage');
+    if (denied) {
+      return denied;
+    }
 
-      this.persistToLocalStorage();
+    if (!this.getSessions(actorId).some(session => session.id === sessionId)) {
+      return { success: false, error: 'Session not found' };
+    }
 
-      console.log(`Freight details updated successfully for ID: ${id}`);
+    try {
+      this.deleteSession(sessionId);
       return { success: true };
     } catch (error) {
-      console.error('Failed to update freight details:', error);
-      return { success: false, error: `Failed to update data: ${error.message}` };
+      console.error('Failed to revoke session:', error);
+      return { success: false, error: error.message };
     }
   }
 
   /**
-   * Delete freight details and associated document history
+   * Set how long a session of the actor's organisation may go unused before it ends
+   * @param {number} actorId - User making the change (needs users.manage)
+   * @param {number} minutes - One of IDLE_TIMEOUT_OPTIONS
    * Returns: { success: boolean, error?: string }
    */
-  deleteFreightDetails(id, userId) {
+  updateIdleTimeout(actorId, minutes) {
     if (!this.initialized) {
-      console.error('Attempted to delete freight details before database initialization');
       return { success: false, error: 'Database not initialized' };
     }
 
-    try {
-      // First delete associated document history
-      const deleteHistoryStmt = this.db.prepare(`
-        DELETE FROM document_history WHERE freight_id = ?
-      `);
-      deleteHistoryStmt.run([id]);
-      deleteHistoryStmt.free();
-
-      // Then delete the freight record
-      const deleteFreightStmt = this.db.prepare(`
-        DELETE FROM freight_details WHERE id = ? AND user_id = ?
-      `);
-      deleteFreightStmt.run([id, userId]);
-      deleteFreightStmt.free();
-
-      this.persistToLocalStorage();
+    const denied = this.checkPermission(actorId, 'users.manage');
+    if (denied) {
+      return denied;
+    }
 
-      console.log(`Freight details deleted successfully for ID: ${id}`);
-      return { success: true };
-    } catch (error) {
-      console.error('Failed to delete freight details:', error);
-      return { success: false, error: `Failed to delete data: ${error.message}` };
+    if (!this.IDLE_TIMEOUT_OPTIONS.includes(minutes)) {
+      return { success: false, error: `Idle timeout must be one of ${this.IDLE_TIMEOUT_OPTIONS.join(', ')} minutes` };
     }
-  }
 
-  /**
-   * Clear all data (for testing or user data reset)
-   */
-  clearAllData() {
     try {
-      localStorage.removeItem(this.STORAGE_KEY);
-      this.db = null;
-      this.initialized = false;
+      const stmt = this.db.prepare('UPDATE organisations SET idle_timeout_minutes = ? WHERE id = ?');
+      stmt.run([minutes, this.getUserOrganisationId(actorId)]);
+      stmt.free();
+
+      this.schedulePersist();
       return { success: true };
     } catch (error) {
-      console.error('Failed to clear data:', error);
+      console.error('Failed to update idle timeout:', error);
       return { success: false, error: error.message };
     }
   }
 
-  // ===== COMPANY PROFILE METHODS =====
+  // ===== LOGIN THROTTLING METHODS =====
 
   /**
-   * Save company profile
+   * Get how long a username has to wait before its next login attempt
+   * A lockout that has run out starts the count again
+   * @param {string} username - Username as typed at login
+   * Returns: { failedAttempts, retryAt, lockedUntil } (ISO times, null when the attempt may go ahead now)
    */
-  saveCompanyProfile(profileData) {
+  getLoginThrottle(username) {
+    const throttle = { failedAttempts: 0, retryAt: null, lockedUntil: null };
     if (!this.initialized) {
-      return { success: false, error: 'Database not initialized' };
+      return throttle;
     }
 
     try {
-      const stmt = this.db.prepare(`
-        INSERT INTO company_profiles (
-          user_id, name, address, city, state, pincode,
-          gst_number, pan_number, phone, email, website, is_default
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `);
-
-      stmt.run([
-        profileData.userId,
-        profileData.name,
-        profileData.address || null,
-        profileData.city || null,
-        profileData.state || null,
-        profileData.pincode || null,
-        profileData.gstNumber || null,
-        profileData.panNumber || null,
-        profileData.phone || null,
-        profileData.email || null,
-        profileData.website || null,
-        profileData.isDefault ? 1 : 0
-      ]);
-
+      const stmt = this.db.prepare('SELECT failed_count, last_failed_at, locked_until FROM login_attempts WHERE username = ?');
+      stmt.bind([username]);
+      const row = stmt.step() ? stmt.getAsObject() : null;
       stmt.free();
 
-      const result = this.db.exec('SELECT last_insert_rowid() as id');
-      const id = result[0].values[0][0];
+      const now = Date.now();
+      if (!row || (row.locked_until && new Date(row.locked_until).getTime() <= now)) {
+        return throttle;
+      }
 
-      // If this is set as default, unset other defaults
-      if (profileData.isDefault) {
-        this.unsetOtherDefaults(profileData.userId, id);
+      if (row.locked_until) {
+        return { failedAttempts: row.failed_count, retryAt: row.locked_until, lockedUntil: row.locked_until };
       }
 
-      this.persistToLocalStorage();
-      return { success: true, id };
+      const retryAt = new Date(row.last_failed_at).getTime() + this.LOGIN_BACKOFF_BASE_MS * 2 ** (row.failed_count - 1);
+      return {
+        failedAttempts: row.failed_count,
+        retryAt: retryAt > now ? new Date(retryAt).toISOString() : null,
+        lockedUntil: null
+      };
     } catch (error) {
-      console.error('Failed to save company profile:', error);
-      return { success: false, error: error.message };
+      console.error('Failed to get login throttle:', error);
+      return throttle;
     }
   }
 
   /**
-   * Update company profile
+   * Count a failed login for a username, locking it after LOGIN_MAX_ATTEMPTS in a row
+   * @param {string} username - Username as typed at login
+   * Returns: the new throttle, as from getLoginThrottle
    */
-  updateCompanyProfile(id, profileData) {
+  recordFailedLogin(username) {
     if (!this.initialized) {
-      return { success: false, error: 'Database not initialized' };
+      return { failedAttempts: 0, retryAt: null, lockedUntil: null };
     }
 
     try {
+      const failedCount = this.getLoginThrottle(username).failedAttempts + 1;
+      const now = Date.now();
+      const lockedUntil = failedCount >= this.LOGIN_MAX_ATTEMPTS
+        ? new Date(now + this.LOGIN_LOCKOUT_MINUTES * 60 * 1000).toISOString()
+        : null;
+
       const stmt = this.db.prepare(`
-        UPDATE company_profiles SET
-          name = ?, address = ?, city = ?, state = ?, pincode = ?,
-          gst_number = ?, pan_number = ?, phone = ?, email = ?, website = ?, is_default = ?
-        WHERE id = ? AND user_id = ?
+        INSERT OR REPLACE INTO login_attempts (username, failed_count, last_failed_at, locked_until)
+        VALUES (?, ?, ?, ?)
       `);
-
-      stmt.run([
-        profileData.name,
-        profileData.address || null,
-        profileData.city || null,
-        profileData.state || null,
-        profileData.pincode || null,
-        profileData.gstNumber || null,
-        profileData.panNumber || null,
-        profileData.phone || null,
-        profileData.email || null,
-        profileData.website || null,
-        profileData.isDefault ? 1 : 0,
-        id,
-        profileData.userId
-      ]);
-
+      stmt.run([username, failedCount, new Date(now).toISOString(), lockedUntil]);
       stmt.free();
 
-      if (profileData.isDefault) {
-        this.unsetOtherDefaults(profileData.userId, id);
-      }
-
-      this.persistToLocalStorage();
-      return { success: true };
+      this.schedulePersist();
     } catch (error) {
-      console.error('Failed to update company profile:', error);
-      return { success: false, error: error.message };
+      console.error('Failed to record failed login:', error);
     }
+    return this.getLoginThrottle(username);
   }
 
   /**
-   * Unset other default profiles
+   * Forget the failed logins of a username (after a successful login)
+   * Returns: { success: boolean, error?: string }
    */
-  unsetOtherDefaults(userId, exceptId) {
+  clearFailedLogins(username) {
+    if (!this.initialized) {
+      return { success: false, error: 'Database not initialized' };
+    }
+
     try {
-      const stmt = this.db.prepare(`
-        UPDATE company_profiles SET is_default = 0
-        WHERE user_id = ? AND id != ?
-      `);
-      stmt.run([userId, exceptId]);
+      const stmt = this.db.prepare('DELETE FROM login_attempts WHERE username = ?');
+      stmt.run([username]);
       stmt.free();
+
+      this.schedulePersist();
+      return { success: true };
     } catch (error) {
-      console.error('Failed to unset other defaults:', error);
+      console.error('Failed to clear failed logins:', error);
+      return { success: false, error: error.message };
     }
   }
 
   /**
-   * Get all company profiles for user
+   * Get the members of the actor's organisation who are locked out
+   * @param {number} actorId - User asking (needs users.manage)
+   * Returns: Array of { userId, username, failedAttempts, lockedUntil }
    */
-  getUserCompanyProfiles(userId) {
-    if (!this.initialized) {
+  getLockedUsers(actorId) {
+    if (!this.initialized || !this.hasPermission(actorId, 'users.manage')) {
       return [];
     }
 
     try {
       const stmt = this.db.prepare(`
-        SELECT * FROM company_profiles
-        WHERE user_id = ?
-        ORDER BY is_default DESC, name ASC
+        SELECT u.id, u.username, la.failed_count, la.locked_until
+        FROM login_attempts la
+        JOIN users u ON u.username = la.username
+        WHERE u.organisation_id = ? AND la.locked_until > ?
+        ORDER BY u.username ASC
       `);
+      stmt.bind([this.getUserOrganisationId(actorId), new Date(Date.now()).toISOString()]);
 
-      stmt.bind([userId]);
-      
-      const profiles = [];
+      const users = [];
       while (stmt.step()) {
         const row = stmt.getAsObject();
-        profiles.push({
-          id: row.id,
-          userId: row.user_id,
-          name: row.name,
-          address: row.address,
-          city: row.city,
-          state: row.state,
-          pincode: row.pincode,
-          gstNumber: row.gst_number,
-          panNumber: row.pan_number,
-          phone: row.phone,
-          email: row.email,
-          website: row.website,
-          isDefault: row.is_default === 1,
-          createdAt: row.created_at
-        });
+        users.push({ userId: row.id, username: row.username, failedAttempts: row.failed_count, lockedUntil: row.locked_until });
       }
 
       stmt.free();
-      return profiles;
+      return users;
     } catch (error) {
-      console.error('Failed to get company profiles:', error);
+      console.error('Failed to get locked users:', error);
       return [];
     }
   }
 
   /**
-   * Get default company profile
+   * Lift the lockout of a member of the actor's organisation
+   * @param {number} actorId - User unlocking (needs users.manage)
+   * @param {number} userId - Locked-out user
+   * Returns: { success: boolean, error?: string }
    */
-  getDefaultCompanyProfile(userId) {
+  unlockUser(actorId, userId) {
     if (!this.initialized) {
-      return null;
+      return { success: false, error: 'Database not initialized' };
     }
 
-    try {
-      const stmt = this.db.prepare(`
-        SELECT * FROM company_profiles
-        WHERE user_id = ? AND is_default = 1
-        LIMIT 1
-      `);
-
-      stmt.bind([userId]);
-      
-      if (stmt.step()) {
-        const row = stmt.getAsObject();
-        stmt.free();
-        return {
-          id: row.id,
-          userId: row.user_id,
-          name: row.name,
-          address: row.address,
-          city: row.city,
-          state: row.state,
-          pincode: row.pincode,
-          gstNumber: row.gst_number,
-          panNumber: row.pan_number,
-          phone: row.phone,
-          email: row.email,
-          website: row.website,
-          isDefault: true,
-          createdAt: row.created_at
-        };
-      }
+    const denied = this.checkPermission(actorId, 'users.manage');
+    if (denied) {
+      return denied;
+    }
 
-      stmt.free();
-      return null;
-    } catch (error) {
-      console.error('Failed to get default company profile:', error);
-      return null;
+    const user = this.getUsers(actorId).find(member => member.id === userId);
+    if (!user) {
+      return { success: false, error: 'User not found' };
     }
+
+    return this.clearFailedLogins(user.username);
   }
 
+  // ===== PASSWORD RECOVERY METHODS =====
+
   /**
-   * Delete company profile
+   * Make a fresh set of recovery codes
+   * Each code can reset a password, so it is hashed like one: PBKDF2 with its own salt
+   * Returns: { codes, hashes } - codes shown as XXXXX-XXXXX, and the { hash, salt, algorithm, iterations } to store
    */
-  deleteCompanyProfile(id, userId) {
-    if (!this.initialized) {
-      return { success: false, error: 'Database not initialized' };
-    }
+  async createRecoveryCodes() {
+    const characters = Array.from({ length: this.RECOVERY_CODE_COUNT }, () => this.generateCodeCharacters(this.RECOVERY_CODE_LENGTH));
+    return {
+      codes: characters.map(code => code.match(/.{5}/g).join('-')),
+      hashes: await Promise.all(characters.map(code => this.hashPassword(code)))
+    };
+  }
 
-    try {
-      const stmt = this.db.prepare(`
-        DELETE FROM company_profiles WHERE id = ? AND user_id = ?
-      `);
-      stmt.run([id, userId]);
-      stmt.free();
+  /**
+   * Replace a user's recovery codes with new hashes
+   */
+  storeRecoveryCodes(userId, hashes) {
+    const deleteStmt = this.db.prepare('DELETE FROM recovery_codes WHERE user_id = ?');
+    deleteStmt.run([userId]);
+    deleteStmt.free();
 
-      this.persistToLocalStorage();
-      return { success: true };
-    } catch (error) {
-      console.error('Failed to delete company profile:', error);
-      return { success: false, error: error.message };
-    }
+    const stmt = this.db.prepare(`
+      INSERT INTO recovery_codes (user_id, code_hash, code_salt, code_algorithm, code_iterations) VALUES (?, ?, ?, ?, ?)
+    `);
+    hashes.forEach(({ hash, salt, algorithm, iterations }) => stmt.run([userId, hash, salt, algorithm, iterations]));
+    stmt.free();
   }
 
-  // ===== CUSTOM FIELDS METHODS =====
+  /**
+   * Find which of a user's unused recovery codes a typed code is
+   * Returns: recovery_codes ID, or null if the code doesn't match any of them
+   */
+  async findRecoveryCode(username, code) {
+    const stmt = this.db.prepare(`
+      SELECT rc.id, rc.code_hash, rc.code_salt, rc.code_algorithm, rc.code_iterations
+      FROM recovery_codes rc
+      JOIN users u ON u.id = rc.user_id
+      WHERE u.username = ? AND rc.used_at IS NULL
+    `);
+    stmt.bind([username]);
+    const rows = [];
+    while (stmt.step()) {
+      rows.push(stmt.getAsObject());
+    }
+    stmt.free();
+
+    for (const row of rows) {
+      const matches = await this.passwordMatches(code, {
+        password_hash: row.code_hash,
+        password_salt: row.code_salt,
+        password_algorithm: row.code_algorithm,
+        password_iterations: row.code_iterations
+      });
+      if (matches) {
+        return row.id;
+      }
+    }
+    return null;
+  }
 
   /**
-   * Save custom field definition
+   * Give a user a new set of recovery codes; the old ones stop working
+   * Returns: { success: boolean, codes?: string[], error?: string } (the codes can only be shown now)
    */
-  saveCustomField(fieldData) {
+  async regenerateRecoveryCodes(userId) {
     if (!this.initialized) {
       return { success: false, error: 'Database not initialized' };
     }
 
     try {
-      const stmt = this.db.prepare(`
-        INSERT INTO custom_field_definitions (
-          user_id, field_name, field_label, field_type,
-          is_required, options, display_order, is_active
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-      `);
-
-      stmt.run([
-        fieldData.userId,
-        fieldData.fieldName,
-        fieldData.fieldLabel,
-        fieldData.fieldType,
-        fieldData.isRequired ? 1 : 0,
-        fieldData.options ? JSON.stringify(fieldData.options) : null,
-        fieldData.displayOrder || 0,
-        fieldData.isActive !== false ? 1 : 0
-      ]);
-
-      stmt.free();
-
-      const result = this.db.exec('SELECT last_insert_rowid() as id');
-      const id = result[0].values[0][0];
-
-      this.persistToLocalStorage();
-      return { success: true, id };
+      const { codes, hashes } = await this.createRecoveryCodes();
+      this.transaction(() => this.storeRecoveryCodes(userId, hashes));
+      return { success: true, codes };
     } catch (error) {
-      console.error('Failed to save custom field:', error);
+      console.error('Failed to generate recovery codes:', error);
       return { success: false, error: error.message };
     }
   }
 
   /**
-   * Get all custom fields for user
+   * Count a user's unused recovery codes
    */
-  getUserCustomFields(userId) {
+  getRecoveryCodeCount(userId) {
     if (!this.initialized) {
-      return [];
+      return 0;
     }
 
     try {
-      const stmt = this.db.prepare(`
-        SELECT * FROM custom_field_definitions
-        WHERE user_id = ? AND is_active = 1
-        ORDER BY display_order ASC, field_label ASC
-      `);
-
+      const stmt = this.db.prepare('SELECT COUNT(*) AS count FROM recovery_codes WHERE user_id = ? AND used_at IS NULL');
       stmt.bind([userId]);
-      
-      const fields = [];
-      while (stmt.step()) {
-        const row = stmt.getAsObject();
-        fields.push({
-          id: row.id,
-          userId: row.user_id,
-          fieldName: row.field_name,
-          fieldLabel: row.field_label,
-          fieldType: row.field_type,
-          isRequired: row.is_required === 1,
-          options: row.options ? JSON.parse(row.options) : null,
-          displayOrder: row.display_order,
-          isActive: row.is_active === 1,
-          createdAt: row.created_at
-        });
-      }
-
+      const count = stmt.step() ? stmt.getAsObject().count : 0;
       stmt.free();
-      return fields;
+      return count;
     } catch (error) {
-      console.error('Failed to get custom fields:', error);
-      return [];
+      console.error('Failed to count recovery codes:', error);
+      return 0;
     }
   }
 
   /**
-   * Delete custom field
+   * Set a new password for a user who has forgotten theirs, using up one of their recovery codes
+   * The user's sessions and failed logins are cleared, so a stolen session doesn't outlive the reset
+   * Returns: { success: boolean, userId?: number, remainingCodes?: number, error?: string }
    */
-  deleteCustomField(id, userId) {
+  async recoverPassword(username, code, newPassword) {
     if (!this.initialized) {
       return { success: false, error: 'Database not initialized' };
     }
 
     try {
-      const stmt = this.db.prepare(`
-        UPDATE custom_field_definitions SET is_active = 0
-        WHERE id = ? AND user_id = ?
-      `);
-      stmt.run([id, userId]);
-      stmt.free();
+      const recoveryCodeId = await this.findRecoveryCode(username, this.normalizeInviteCode(code));
+      const credentials = await this.hashPassword(newPassword);
 
-      this.persistToLocalStorage();
-      return { success: true };
+      const userId = this.transaction(() => {
+        // Checked again here, in case the same code was used while the hashes were being computed
+        const stmt = this.db.prepare('SELECT id, user_id FROM recovery_codes WHERE id = ? AND used_at IS NULL');
+        stmt.bind([recoveryCodeId]);
+        const recoveryCode = stmt.step() ? stmt.getAsObject() : null;
+        stmt.free();
+
+        if (!recoveryCode) {
+          throw new Error('Invalid username or recovery code');
+        }
+
+        const update = this.db.prepare('UPDATE recovery_codes SET used_at = ? WHERE id = ?');
+        update.run([new Date().toISOString(), recoveryCode.id]);
+        update.free();
+
+        this.storePasswordHash(recoveryCode.user_id, credentials);
+
+        const endSessions = this.db.prepare('DELETE FROM sessions WHERE user_id = ?');
+        endSessions.run([recoveryCode.user_id]);
+        endSessions.free();
+
+        this.clearFailedLogins(username);
+        return recoveryCode.user_id;
+      });
+
+      return { success: true, userId, remainingCodes: this.getRecoveryCodeCount(userId) };
     } catch (error) {
-      console.error('Failed to delete custom field:', error);
+      console.error('Failed to recover password:', error);
       return { success: false, error: error.message };
     }
   }
@@ -1000,44 +5332,33 @@ class DataStoreManager {
   // ===== BACKUP & RESTORE METHODS =====
 
   /**
-   * Export entire database to JSON
+   * Export the user's organisation to JSON
+   * Holds the organisation's settings and BACKUP_TABLES rows, and its members' usernames so an import can
+   * tell who created what; no passwords, recovery codes, invites or other organisations' data
+   * @param {number} userId - User exporting it (needs the backup.export permission)
    */
-  exportBackup() {
+  exportBackup(userId) {
     if (!this.initialized) {
       return { success: false, error: 'Database not initialized' };
     }
 
+    const denied = this.checkPermission(userId, 'backup.export');
+    if (denied) {
+      return denied;
+    }
+
     try {
+      const organisationId = this.getUserOrganisationId(userId);
       const backup = {
         version: '1.0',
+        schemaVersion: this.getSchemaVersion(),
         exportDate: new Date().toISOString(),
-        data: {}
-      };
-
-      // Export all tables
-      const tables = ['users', 'freight_details', 'document_history', 'company_profiles', 'custom_field_definitions'];
-      
-      tables.forEach(tableName => {
-        try {
-          const result = this.db.exec(`SELECT * FROM ${tableName}`);
-          if (result.length > 0) {
-            const columns = result[0].columns;
-            const values = result[0].values;
-            backup.data[tableName] = values.map(row => {
-              const obj = {};
-              columns.forEach((col, idx) => {
-                obj[col] = row[idx];
-              });
-              return obj;
-            });
-          } else {
-            backup.data[tableName] = [];
-          }
-        } catch (error) {
-          console.warn(`Table ${tableName} not found, skipping`);
-          backup.data[tableName] = [];
+        members: this.getUsers(userId).map(({ id, username }) => ({ id, username })),
+        data: {
+          organisations: this.selectBackupRows('SELECT * FROM organisations WHERE id = ?', [organisationId]),
+          ...this.getBackupRows(organisationId)
         }
-      });
+      };
 
       return { success: true, data: backup };
     } catch (error) {
@@ -1047,61 +5368,216 @@ class DataStoreManager {
   }
 
   /**
-   * Import backup from JSON
+   * Get an organisation's rows of each of BACKUP_TABLES
+   * Returns: Object of table name to array of row objects
    */
-  async importBackup(backupData) {
+  getBackupRows(organisationId) {
+    const data = {};
+    this.BACKUP_TABLES.forEach(({ table, parent, references }) => {
+      data[table] = parent
+        ? this.selectBackupRows(
+          `SELECT * FROM ${table} WHERE ${parent} IN (SELECT id FROM ${references[parent]} WHERE organisation_id = ?)`,
+          [organisationId]
+        )
+        : this.selectBackupRows(`SELECT * FROM ${table} WHERE organisation_id = ?`, [organisationId]);
+    });
+    return data;
+  }
+
+  /**
+   * Run a query and return every row as an object of column values
+   */
+  selectBackupRows(sql, params = []) {
+    const stmt = this.db.prepare(sql);
+    stmt.bind(params);
+
+    const rows = [];
+    while (stmt.step()) {
+      rows.push(stmt.getAsObject());
+    }
+
+    stmt.free();
+    return rows;
+  }
+
+  /**
+   * Import a backup into the user's organisation, replacing its business data
+   * Other organisations, and every account, are left alone. The backup is restored into a separate
+   * database at its own schema version and migrated there, so backups from any earlier version import;
+   * its organisation's rows are then copied in with new IDs. Backups of a whole database, made before
+   * backups were per organisation, import the organisation whose member has the importing user's username.
+   * @param {object} backupData - Parsed backup file
+   * @param {number} userId - User importing it (needs the backup.import permission)
+   */
+  async importBackup(backupData, userId) {
+    const denied = this.checkPermission(userId, 'backup.import');
+    if (denied) {
+      return denied;
+    }
+
     try {
       // Validate backup data
       if (!backupData.version || !backupData.data) {
         return { success: false, error: 'Invalid backup file format' };
       }
 
-      // Clear existing database
-      this.clearAllData();
+      if (backupData.schemaVersion > this.getLatestSchemaVersion()) {
+        return { success: false, error: 'This backup was made by a newer version of the app. Update the app and try again.' };
+      }
 
-      // Reinitialize
-      const SQL = await initSqlJs({
-        locateFile: file => `assets/lib/${file}`
+      const username = this.getUsers(userId).find(member => member.id === userId)?.username;
+      const staged = await this.stageBackup(backupData, username);
+      if (staged.error) {
+        return { success: false, error: staged.error };
+      }
+
+      this.restoreOrganisationRows(userId, staged);
+      await this.flush();
+
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to import backup:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Restore a backup into a separate database and read out the organisation to import
+   * The open database is swapped back in before this returns, whatever happens
+   * @param {object} backupData - Parsed backup file
+   * @param {string} username - Importing user's username, to pick their organisation out of a whole-database backup
+   * Returns: { organisation, rows, usernames } or { error }
+   */
+  async stageBackup(backupData, username) {
+    const SQL = await initSqlJs({
+      locateFile: file => `assets/lib/${file}`
+    });
+    const live = this.db;
+    this.db = new SQL.Database();
+
+    try {
+      // Build the schema the backup was made with so its rows fit, then migrate them with the database
+      await this.migrateToBackupSchema(backupData);
+
+      // Every table a backup has ever held; whole-database backups also have users, invites and recovery codes
+      const tables = ['organisations', 'users', ...this.BACKUP_TABLES.map(({ table }) => table), 'invites', 'recovery_codes'];
+      this.transaction(() => {
+        for (const tableName of tables) {
+          const tableData = backupData.data[tableName];
+          if (!tableData || tableData.length === 0) continue;
+
+          const columns = Object.keys(tableData[0]);
+          const placeholders = columns.map(() => '?').join(', ');
+          const stmt = this.db.prepare(`INSERT INTO ${tableName} (${columns.join(', ')}) VALUES (${placeholders})`);
+          tableData.forEach(row => stmt.run(columns.map(col => row[col])));
+          stmt.free();
+        }
       });
-      this.db = new SQL.Database();
-      this.initialized = true;
 
-      // Create tables
-      await this.createTables();
+      await this.runMigrations();
 
-      // Import data
-      const tables = ['users', 'freight_details', 'document_history', 'company_profiles', 'custom_field_definitions'];
-      
-      for (const tableName of tables) {
-        const tableData = backupData.data[tableName];
-        if (!tableData || tableData.length === 0) continue;
+      const users = this.selectBackupRows('SELECT * FROM users');
+      const organisations = this.selectBackupRows('SELECT * FROM organisations');
+      const organisation = organisations.length === 1
+        ? organisations[0]
+        : organisations.find(o => o.id === users.find(user => user.username === username)?.organisation_id);
+      if (organisations.length > 1 && !organisation) {
+        return { error: 'This backup holds several organisations and none of them has a user with your username' };
+      }
 
-        // Get column names from first row
-        const columns = Object.keys(tableData[0]);
-        const placeholders = columns.map(() => '?').join(', ');
-        
-        const stmt = this.db.prepare(`
-          INSERT INTO ${tableName} (${columns.join(', ')})
-          VALUES (${placeholders})
-        `);
+      const members = backupData.members || users;
+      return {
+        organisation: organisation || null,
+        rows: organisation ? this.getBackupRows(organisation.id) : {},
+        usernames: new Map(members.map(member => [member.id, member.username]))
+      };
+    } finally {
+      this.db.close?.();
+      this.db = live;
+    }
+  }
+
+  /**
+   * Replace the user's organisation's business data with a staged backup's, in one transaction
+   * Rows get new IDs and references follow them; rows whose parent is missing from the backup are dropped
+   * @param {number} userId - Importing user
+   * @param {object} staged - Result of stageBackup()
+   */
+  restoreOrganisationRows(userId, { organisation, rows, usernames }) {
+    const organisationId = this.getUserOrganisationId(userId);
+    const members = new Map(this.getUsers(userId).map(member => [member.username, member.id]));
+    const memberFor = backupUserId => members.get(usernames.get(backupUserId)) ?? userId;
+    const newIds = {};
+
+    this.transaction(() => {
+      [...this.BACKUP_TABLES].reverse().forEach(({ table, parent, references }) => {
+        const stmt = this.db.prepare(parent
+          ? `DELETE FROM ${table} WHERE ${parent} IN (SELECT id FROM ${references[parent]} WHERE organisation_id = ?)`
+          : `DELETE FROM ${table} WHERE organisation_id = ?`);
+        stmt.run([organisationId]);
+        stmt.free();
+      });
+
+      this.BACKUP_TABLES.forEach(({ table, parent, references = {} }) => {
+        newIds[table] = new Map();
+        (rows[table] || []).forEach(({ id, ...row }) => {
+          if (parent && !newIds[references[parent]].has(row[parent])) {
+            return;
+          }
+
+          Object.entries(references).forEach(([column, referenced]) => {
+            // Counters use company profile 0 for the default letterhead
+            if (row[column] != null && row[column] !== 0) {
+              row[column] = newIds[referenced].get(row[column]) ?? null;
+            }
+          });
+          this.BACKUP_USER_COLUMNS
+            .filter(column => row[column] != null)
+            .forEach(column => { row[column] = memberFor(row[column]); });
+          if (!parent) {
+            row.organisation_id = organisationId;
+          }
+
+          const columns = Object.keys(row);
+          const placeholders = columns.map(() => '?').join(', ');
+          const stmt = this.db.prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders})`);
+          stmt.run(columns.map(column => row[column]));
+          stmt.free();
 
-        tableData.forEach(row => {
-          const values = columns.map(col => row[col]);
-          stmt.run(values);
+          newIds[table].set(id, this.db.exec('SELECT last_insert_rowid() as id')[0].values[0][0]);
         });
+      });
 
+      if (organisation) {
+        const stmt = this.db.prepare('UPDATE organisations SET name = ?, idle_timeout_minutes = ? WHERE id = ?');
+        stmt.run([organisation.name, organisation.idle_timeout_minutes ?? null, organisationId]);
         stmt.free();
       }
+    });
+  }
 
-      this.persistToLocalStorage();
-      
-      // Update last backup date
-      localStorage.setItem('lastBackupDate', new Date().toISOString());
+  /**
+   * Migrate a new database to the schema version a backup was exported from
+   * Backups made before schema versions were recorded are migrated one step at a time
+   * until every table and column in the backup exists
+   * @param {object} backupData - Parsed backup file
+   */
+  async migrateToBackupSchema(backupData) {
+    if (backupData.schemaVersion !== undefined) {
+      await this.runMigrations(backupData.schemaVersion);
+      return;
+    }
 
-      return { success: true };
-    } catch (error) {
-      console.error('Failed to import backup:', error);
-      return { success: false, error: error.message };
+    const fits = () => Object.entries(backupData.data)
+      .filter(([, rows]) => rows && rows.length > 0)
+      .every(([tableName, rows]) => this.tableExists(tableName) &&
+        Object.keys(rows[0]).every(column => this.columnExists(tableName, column)));
+
+    for (const migration of this.getMigrations()) {
+      if (fits()) {
+        return;
+      }
+      await this.runMigrations(migration.version);
     }
   }
 
@@ -1127,10 +5603,10 @@ class DataStoreManager {
         }
       });
 
-      // Calculate database size
-      const dbData = localStorage.getItem(this.STORAGE_KEY);
-      stats.sizeBytes = dbData ? dbData.length : 0;
+      // Size of the SQLite file as last loaded or saved
+      stats.sizeBytes = this.storageSize;
       stats.sizeKB = (stats.sizeBytes / 1024).toFixed(2);
+      stats.storageBackend = this.storage?.label || null;
 
       return stats;
     } catch (error) {
@@ -1141,4 +5617,5 @@ class DataStoreManager {
 }
 
 // Export as ES6 module
+export { IndexedDBBackend, LocalStorageBackend };
 export default DataStoreManager;
@@ -8,24 +8,21 @@ import { APP_VERSION } from './version.js';
 
 // Dynamic import with version
 const { DocumentConfig } = await import(`./config.js?v=${APP_VERSION}`);
+const { GstCalculator } = await import(`./gst.js?v=${APP_VERSION}`);
+const { LineItemCalculator } = await import(`./line-items.js?v=${APP_VERSION}`);
+const { PaymentTracker } = await import(`./payments.js?v=${APP_VERSION}`);
+const { html } = await import(`./safe-html.js?v=${APP_VERSION}`);
 
 /**
  * DocumentGenerator class
  * Handles generation of bilty and invoice documents with company branding
+ * Markup is built with the html tag, so freight, party and company details always print as text
  */
 export class DocumentGenerator {
   constructor() {
     this.config = DocumentConfig;
-  }
-
-  /**
-   * Generate a unique document number using timestamp and random suffix
-   * @returns {string} Unique document number
-   */
-  generateDocumentNumber() {
-    const timestamp = Date.now();
-    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-    return `${timestamp}${random}`;
+    this.lineItemCalculator = new LineItemCalculator();
+    this.paymentTracker = new PaymentTracker();
   }
 
   /**
@@ -45,36 +42,111 @@ export class DocumentGenerator {
    * @param {number} amount - Base freight charge
    * @param {number} discount - Discount amount
    * @param {number} taxes - Tax amount
-   * @returns {object} Object containing subtotal, discount, taxes, and total
+   * @param {Array<object>} [lineItems] - Additional charges billed alongside the freight
+   * @returns {object} Object containing subtotal, discount, charges, taxableValue, taxes, and total
    */
-  calculateTotals(amount, discount, taxes) {
+  calculateTotals(amount, discount, taxes, lineItems = []) {
     const subtotal = Number(amount) || 0;
     const discountAmount = Number(discount) || 0;
     const taxAmount = Number(taxes) || 0;
-    const total = (subtotal - discountAmount) + taxAmount;
+    const charges = this.lineItemCalculator.summarize(lineItems);
+    const total = (subtotal - discountAmount) + charges.total + taxAmount;
 
     return {
       subtotal: subtotal,
       discount: discountAmount,
+      charges: charges.total,
+      taxableValue: (subtotal - discountAmount) + charges.taxable,
       taxes: taxAmount,
       total: total
     };
   }
 
+  /**
+   * Create table rows for the line item charges of a freight record
+   * @param {Array<object>} lineItems - Line items
+   * @param {object} [options] - Rendering options
+   * @param {boolean} [options.markNonTaxable] - Flag charges left out of the GST taxable value
+   * @param {string} [options.labelClass] - CSS class for the label cell
+   * @param {string} [options.amountClass] - CSS class for the amount cell
+   * @returns {SafeHtml} HTML table rows
+   */
+  createLineItemRows(lineItems, options = {}) {
+    return html`${this.lineItemCalculator.normalize(lineItems).map(item => {
+      const label = this.lineItemCalculator.getLabel(item) +
+        (options.markNonTaxable && !item.taxable ? ' (GST not applicable)' : '');
+
+      return html`
+            <tr>
+              <td${options.labelClass ? html` class="${options.labelClass}"` : ''}>${label}</td>
+              <td${options.amountClass ? html` class="${options.amountClass}"` : ''}>₹ ${item.amount.toFixed(2)}</td>
+            </tr>`;
+    })}`;
+  }
+
+  /**
+   * Resolve company details for document branding
+   * Uses the selected company profile, falling back to the static DocumentConfig
+   * @param {object|null} companyProfile - Company profile from the data store
+   * @returns {object} Company name, address, tax IDs and contact details
+   */
+  getCompanyDetails(companyProfile = null) {
+    if (!companyProfile || !companyProfile.name) {
+      return {
+        name: this.config.companyName,
+        address: this.config.companyAddress,
+        gstNumber: null,
+        panNumber: null,
+        phone: null,
+        email: null,
+        website: null
+      };
+    }
+
+    const locality = [companyProfile.city, companyProfile.state, companyProfile.pincode]
+      .filter(Boolean)
+      .join(', ');
+
+    return {
+      name: companyProfile.name,
+      address: [companyProfile.address, locality].filter(Boolean).join(', '),
+      gstNumber: companyProfile.gstNumber || null,
+      panNumber: companyProfile.panNumber || null,
+      phone: companyProfile.phone || null,
+      email: companyProfile.email || null,
+      website: companyProfile.website || null
+    };
+  }
+
   /**
    * Create document header with company branding
+   * @param {object|null} companyProfile - Company profile to print, or null for the default config
    * @returns {HTMLElement} Header element
    */
-  createDocumentHeader() {
+  createDocumentHeader(companyProfile = null) {
+    const company = this.getCompanyDetails(companyProfile);
     const header = document.createElement('div');
     header.className = 'document-header';
+
+    const taxIds = [
+      company.gstNumber ? `GSTIN: ${company.gstNumber}` : '',
+      company.panNumber ? `PAN: ${company.panNumber}` : ''
+    ].filter(Boolean).join(' | ');
+
+    const contact = [
+      company.phone ? `Phone: ${company.phone}` : '',
+      company.email ? `Email: ${company.email}` : '',
+      company.website ? company.website : ''
+    ].filter(Boolean).join(' | ');
     
-    header.innerHTML = `
+    header.innerHTML = html`
       <div class="flex justify-between items-start">
         <div>
           <img src="${this.config.logoUrl}" alt="Company Logo" class="company-logo mb-2" />
-          <h1 class="text-2xl font-bold">${this.config.companyName}</h1>
-          <p class="text-sm text-gray-600">${this.config.companyAddress}</p>
+          <h1 class="text-2xl font-bold">${company.name}</h1>
+          ${company.address ? html`<p class="text-sm text-gray-600">${company.address}</p>` : ''}
+          ${taxIds ? html`<p class="text-sm text-gray-600">${taxIds}</p>` : ''}
+          ${contact ? html`<p class="text-sm text-gray-600">${contact}</p>` : ''}
         </div>
       </div>
     `;
@@ -84,15 +156,18 @@ export class DocumentGenerator {
 
   /**
    * Create document footer with signature and seal
+   * @param {object|null} companyProfile - Company profile to sign for, or null for the default config
    * @returns {HTMLElement} Footer element
    */
-  createDocumentFooter() {
+  createDocumentFooter(companyProfile = null) {
+    const company = this.getCompanyDetails(companyProfile);
     const footer = document.createElement('div');
     footer.className = 'document-footer';
     
-    footer.innerHTML = `
+    footer.innerHTML = html`
       <div class="flex justify-between items-end mt-4">
         <div class="text-center">
+          <p class="text-sm mb-2">For ${company.name}</p>
           <img src="${this.config.signatureUrl}" alt="Authorized Signature" class="company-signature mb-2" />
           <p class="text-sm font-semibold">Authorized Signature</p>
         </div>
@@ -109,14 +184,14 @@ export class DocumentGenerator {
   /**
    * Create eWay bill section if eWay bill information is provided
    * @param {object} freightDetails - Freight details containing eWay bill info
-   * @returns {string} HTML string for eWay bill section or empty string
+   * @returns {SafeHtml|string} HTML for eWay bill section or empty string
    */
   createEwayBillSection(freightDetails) {
     if (!freightDetails.ewayBillNumber) {
       return '';
     }
 
-    return `
+    return html`
       <div class="mt-4 p-3 bg-gray-50 border border-gray-300 rounded">
         <h3 class="font-bold text-lg mb-2">eWay Bill Information</h3>
         <div class="grid grid-cols-2 gap-2">
@@ -124,7 +199,7 @@ export class DocumentGenerator {
             <span class="font-semibold">eWay Bill Number:</span>
             <span class="ml-2">${freightDetails.ewayBillNumber}</span>
           </div>
-          ${freightDetails.ewayBillDate ? `
+          ${freightDetails.ewayBillDate ? html`
           <div>
             <span class="font-semibold">eWay Bill Date:</span>
             <span class="ml-2">${freightDetails.ewayBillDate}</span>
@@ -135,12 +210,239 @@ export class DocumentGenerator {
     `;
   }
 
+  /**
+   * Create additional details section for user-defined custom fields
+   * Values whose definition has since been removed are still printed using the field name
+   * @param {object} freightDetails - Freight details containing customFields
+   * @param {Array<object>} definitions - Custom field definitions for labels and ordering
+   * @returns {SafeHtml|string} HTML for custom fields section or empty string
+   */
+  createCustomFieldsSection(freightDetails, definitions = []) {
+    const values = freightDetails.customFields || {};
+    const hasValue = name => values[name] !== undefined && values[name] !== null && values[name] !== '';
+
+    const rows = [];
+    (definitions || []).forEach(definition => {
+      if (hasValue(definition.fieldName)) {
+        rows.push({ label: definition.fieldLabel, value: values[definition.fieldName] });
+      }
+    });
+
+    const knownNames = new Set((definitions || []).map(definition => definition.fieldName));
+    Object.keys(values).forEach(name => {
+      if (!knownNames.has(name) && hasValue(name)) {
+        const label = name.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+        rows.push({ label, value: values[name] });
+      }
+    });
+
+    if (rows.length === 0) {
+      return '';
+    }
+
+    return html`
+      <div class="mb-4">
+        <h3 class="font-bold text-lg mb-2 bg-gray-100 p-2">Additional Details</h3>
+        <table class="document-table">
+          ${rows.map((row, index) => html`
+          <tr>
+            <td class="font-semibold"${index === 0 ? html` style="width: 30%;"` : ''}>${row.label}:</td>
+            <td>${row.value}</td>
+          </tr>
+          `)}
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * Create the parties section (consignor, consignee, billing party)
+   * Roles without a party are left out; returns empty string if no party is set
+   * @param {object} [parties] - { consignor, consignee, billingParty } from the data store
+   * @param {Array<Array<string>>} roles - [role key, heading] pairs in print order
+   * @returns {SafeHtml|string} HTML section
+   */
+  createPartiesSection(parties = {}, roles) {
+    const blocks = roles
+      .filter(([role]) => parties?.[role])
+      .map(([role, heading]) => {
+        const party = parties[role];
+        const location = [party.city, party.state].filter(Boolean).join(', ');
+        return html`
+          <div class="p-3 border border-gray-300 rounded">
+            <p class="text-xs font-semibold text-gray-600 uppercase">${heading}</p>
+            <p class="font-bold">${party.name}</p>
+            ${party.address ? html`<p class="text-sm">${party.address}</p>` : ''}
+            ${location ? html`<p class="text-sm">${location}</p>` : ''}
+            ${party.gstNumber ? html`<p class="text-sm">GSTIN: ${party.gstNumber}</p>` : ''}
+            ${party.phone ? html`<p class="text-sm">Phone: ${party.phone}</p>` : ''}
+          </div>
+        `;
+      });
+
+    if (blocks.length === 0) {
+      return '';
+    }
+
+    return html`
+      <div class="mb-4 grid grid-cols-2 gap-4">
+        ${blocks}
+      </div>
+    `;
+  }
+
+  /**
+   * Create the driver/vehicle section of the bilty
+   * Unassigned driver or vehicle details are left blank for filling in by hand
+   * @param {object|null} [vehicle] - Assigned vehicle from the data store
+   * @param {object|null} [driver] - Assigned driver from the data store
+   * @returns {SafeHtml} HTML section
+   */
+  createDriverVehicleSection(vehicle = null, driver = null) {
+    const blank = '_______________________';
+    const vehicleDetails = vehicle ? [
+      vehicle.vehicleType ? `Type: ${vehicle.vehicleType}` : '',
+      vehicle.capacity ? `Capacity: ${vehicle.capacity} kg` : '',
+      vehicle.ownerName ? `Owner: ${vehicle.ownerName}` : ''
+    ].filter(Boolean) : [];
+
+    return html`
+      <div class="mt-6 p-3 border border-gray-300 rounded">
+        <h3 class="font-bold text-lg mb-2">Driver/Vehicle Information</h3>
+        <div class="grid grid-cols-2 gap-4">
+          <div>
+            <p class="text-sm text-gray-600">Driver Name: ${driver ? driver.name : blank}</p>
+            ${driver?.licenceNumber ? html`<p class="text-sm text-gray-600">Licence No: ${driver.licenceNumber}</p>` : ''}
+            ${driver?.phone ? html`<p class="text-sm text-gray-600">Phone: ${driver.phone}</p>` : ''}
+          </div>
+          <div>
+            <p class="text-sm text-gray-600">Vehicle Number: ${vehicle ? vehicle.registrationNumber : blank}</p>
+            ${vehicleDetails.map(detail => html`<p class="text-sm text-gray-600">${detail}</p>`)}
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Format a GST rate for display, e.g. 2.5%
+   * @param {number} rate - Rate in percent
+   * @returns {string} Formatted rate
+   */
+  formatRate(rate) {
+    return `${Number(rate.toFixed(2))}%`;
+  }
+
+  /**
+   * Resolve the place of supply printed on the invoice
+   * @param {object} freightDetails - Freight details with optional consigneeState
+   * @param {object|null} companyProfile - Company profile printed on the invoice
+   * @returns {string} Consignee's state, else the company's state
+   */
+  getPlaceOfSupply(freightDetails, companyProfile = null) {
+    return freightDetails.consigneeState || companyProfile?.state || 'N/A';
+  }
+
+  /**
+   * Create invoice rows for tax charged
+   * Records without a GST rate keep the single free-typed taxes line
+   * @param {object} freightDetails - Freight details with the stored GST breakdown
+   * @param {object} totals - Result of calculateTotals
+   * @returns {SafeHtml} HTML table rows
+   */
+  createTaxRows(freightDetails, totals) {
+    if (!freightDetails.gstRate) {
+      return html`
+            <tr>
+              <td>Taxes (GST/Other)</td>
+              <td class="text-right">₹ ${totals.taxes.toFixed(2)}</td>
+            </tr>`;
+    }
+
+    const rate = Number(freightDetails.gstRate);
+    const rows = [['Taxable Value', totals.taxableValue]];
+
+    if (!freightDetails.reverseCharge) {
+      if (freightDetails.supplyType === 'inter') {
+        rows.push([`IGST @ ${this.formatRate(rate)}`, Number(freightDetails.igst) || 0]);
+      } else {
+        rows.push([`CGST @ ${this.formatRate(rate / 2)}`, Number(freightDetails.cgst) || 0]);
+        rows.push([`SGST @ ${this.formatRate(rate / 2)}`, Number(freightDetails.sgst) || 0]);
+      }
+    }
+
+    return html`${rows.map(([label, value]) => html`
+            <tr>
+              <td>${label}</td>
+              <td class="text-right">₹ ${value.toFixed(2)}</td>
+            </tr>`)}`;
+  }
+
+  /**
+   * Create the reverse charge declaration for GST invoices
+   * @param {object} freightDetails - Freight details with the stored GST breakdown
+   * @returns {SafeHtml|string} HTML note, or empty string when no GST rate applies
+   */
+  createReverseChargeNote(freightDetails) {
+    if (!freightDetails.gstRate) {
+      return '';
+    }
+
+    if (!freightDetails.reverseCharge) {
+      return html`<p class="text-sm mt-2">Tax payable on reverse charge: No</p>`;
+    }
+
+    const rate = Number(freightDetails.gstRate);
+    const taxLines = freightDetails.supplyType === 'inter'
+      ? `IGST @ ${this.formatRate(rate)}: ₹ ${(Number(freightDetails.igst) || 0).toFixed(2)}`
+      : `CGST @ ${this.formatRate(rate / 2)}: ₹ ${(Number(freightDetails.cgst) || 0).toFixed(2)}, ` +
+        `SGST @ ${this.formatRate(rate / 2)}: ₹ ${(Number(freightDetails.sgst) || 0).toFixed(2)}`;
+
+    return html`
+        <p class="text-sm mt-2">Tax payable on reverse charge: Yes</p>
+        <p class="text-sm">GST payable by the recipient under RCM (${taxLines})</p>
+    `;
+  }
+
+  /**
+   * Create the mark printed on reprints of an issued document
+   * @param {boolean} duplicate - Whether the document is a reprint
+   * @returns {SafeHtml|string} Mark, or an empty string for the original
+   */
+  createDuplicateMark(duplicate) {
+    return duplicate
+      ? html`<p class="document-duplicate mt-1 text-sm font-bold tracking-widest text-red-600">DUPLICATE</p>`
+      : '';
+  }
+
+  /**
+   * Create the mark printed on previews of a document that has no number yet
+   * @param {boolean} draft - Whether the document is a preview
+   * @returns {SafeHtml|string} Mark, or an empty string for issued documents
+   */
+  createDraftMark(draft) {
+    return draft
+      ? html`<p class="document-draft mt-1 text-sm font-bold tracking-widest text-amber-600">DRAFT – NOT ISSUED</p>`
+      : '';
+  }
+
   /**
    * Generate bilty (consignment note) document
    * @param {object} freightDetails - Freight shipment details
+   * @param {object} [options] - Rendering options
+   * @param {object} [options.companyProfile] - Company profile to print on the document
+   * @param {object} [options.parties] - Consignor, consignee and billing party to print
+   * @param {object} [options.vehicle] - Assigned vehicle to print
+   * @param {object} [options.driver] - Assigned driver to print
+   * @param {Array<object>} [options.customFieldDefinitions] - Custom field definitions for labels
+   * @param {string} [options.documentNumber] - Issued document number (printed as a DRAFT if omitted)
+   * @param {object} [options.paymentTerms] - Payment terms, to print the freight basis
+   * @param {string} [options.documentDate] - Date the bilty was issued (defaults to the record's bilty date, else today)
+   * @param {boolean} [options.duplicate] - Mark the document as a reprint
+   * @param {boolean} [options.draft] - Preview before issue: printed as a DRAFT even if a number is supplied
    * @returns {HTMLElement} Bilty document as HTML element
    */
-  generateBilty(freightDetails) {
+  generateBilty(freightDetails, options = {}) {
     // Validate freight details are not null/undefined
     if (!freightDetails) {
       console.error('Cannot generate bilty: freight details are missing');
@@ -156,24 +458,34 @@ export class DocumentGenerator {
     const container = document.createElement('div');
     container.className = 'document-container';
     
-    const documentNumber = this.generateDocumentNumber();
-    const currentDate = this.formatDate();
+    // Only an issued number is ever printed; anything else is a draft
+    const draft = options.draft || !options.documentNumber;
+    const documentNumber = draft ? 'DRAFT' : options.documentNumber;
+    const currentDate = options.documentDate || freightDetails.biltyDate || this.formatDate();
     
     // Create header
-    const header = this.createDocumentHeader();
+    const header = this.createDocumentHeader(options.companyProfile);
     container.appendChild(header);
     
     // Create bilty content
     const content = document.createElement('div');
     content.className = 'document-content';
     
-    content.innerHTML = `
+    content.innerHTML = html`
       <div class="text-center mb-4">
         <h2 class="text-3xl font-bold">CONSIGNMENT NOTE (BILTY)</h2>
         <p class="text-sm text-gray-600">Document No: ${documentNumber}</p>
         <p class="text-sm text-gray-600">Date: ${currentDate}</p>
+        ${this.createDuplicateMark(options.duplicate)}
+        ${this.createDraftMark(draft)}
       </div>
       
+      ${this.createPartiesSection(options.parties, [
+        ['consignor', 'Consignor'],
+        ['consignee', 'Consignee'],
+        ['billingParty', 'Billing Party']
+      ])}
+      
       <div class="mb-4">
         <h3 class="font-bold text-lg mb-2 bg-gray-100 p-2">Consignment Details</h3>
         <table class="document-table">
@@ -196,13 +508,22 @@ export class DocumentGenerator {
         </table>
       </div>
       
+      ${this.createCustomFieldsSection(freightDetails, options.customFieldDefinitions)}
+      
       <div class="mb-4">
         <h3 class="font-bold text-lg mb-2 bg-gray-100 p-2">Freight Information</h3>
         <table class="document-table">
+          ${options.paymentTerms ? html`
+          <tr>
+            <td class="font-semibold" style="width: 30%;">Freight Basis:</td>
+            <td>${this.paymentTracker.getFreightBasisLabel(options.paymentTerms.freightBasis)}</td>
+          </tr>
+          ` : ''}
           <tr>
             <td class="font-semibold" style="width: 30%;">Freight Amount:</td>
             <td>₹ ${Number(freightDetails.amount || 0).toFixed(2)}</td>
           </tr>
+          ${this.createLineItemRows(freightDetails.lineItems, { labelClass: 'font-semibold' })}
           <tr>
             <td class="font-semibold">Discount:</td>
             <td>₹ ${Number(freightDetails.discount || 0).toFixed(2)}</td>
@@ -216,17 +537,7 @@ export class DocumentGenerator {
       
       ${this.createEwayBillSection(freightDetails)}
       
-      <div class="mt-6 p-3 border border-gray-300 rounded">
-        <h3 class="font-bold text-lg mb-2">Driver/Vehicle Information</h3>
-        <div class="grid grid-cols-2 gap-4">
-          <div>
-            <p class="text-sm text-gray-600">Driver Name: _______________________</p>
-          </div>
-          <div>
-            <p class="text-sm text-gray-600">Vehicle Number: _______________________</p>
-          </div>
-        </div>
-      </div>
+      ${this.createDriverVehicleSection(options.vehicle, options.driver)}
       
       <div class="mt-6 p-3 border border-gray-300 rounded">
         <h3 class="font-bold text-lg mb-2">Delivery Confirmation</h3>
@@ -241,7 +552,7 @@ export class DocumentGenerator {
     container.appendChild(content);
     
     // Create footer
-    const footer = this.createDocumentFooter();
+    const footer = this.createDocumentFooter(options.companyProfile);
     container.appendChild(footer);
     
     return container;
@@ -250,9 +561,19 @@ export class DocumentGenerator {
   /**
    * Generate invoice document
    * @param {object} freightDetails - Freight shipment details
+   * @param {object} [options] - Rendering options
+   * @param {object} [options.companyProfile] - Company profile to print on the document
+   * @param {object} [options.parties] - Consignor, consignee and billing party to print
+   * @param {Array<object>} [options.customFieldDefinitions] - Custom field definitions for labels
+   * @param {string} [options.documentNumber] - Issued document number (printed as a DRAFT if omitted)
+   * @param {object} [options.paymentTerms] - Payment terms ({ termsDays, advancePercent, freightBasis })
+   * @param {string} [options.dueDate] - Due date stored when the invoice was issued
+   * @param {string} [options.documentDate] - Date the invoice was issued (defaults to the record's invoice date, else today)
+   * @param {boolean} [options.duplicate] - Mark the document as a reprint
+   * @param {boolean} [options.draft] - Preview before issue: printed as a DRAFT even if a number is supplied
    * @returns {HTMLElement} Invoice document as HTML element
    */
-  generateInvoice(freightDetails) {
+  generateInvoice(freightDetails, options = {}) {
     // Validate freight details are not null/undefined
     if (!freightDetails) {
       console.error('Cannot generate invoice: freight details are missing');
@@ -268,29 +589,40 @@ export class DocumentGenerator {
     const container = document.createElement('div');
     container.className = 'document-container';
     
-    const documentNumber = this.generateDocumentNumber();
-    const currentDate = this.formatDate();
+    // Only an issued number is ever printed; anything else is a draft
+    const draft = options.draft || !options.documentNumber;
+    const documentNumber = draft ? 'DRAFT' : options.documentNumber;
+    const currentDate = options.documentDate || freightDetails.invoiceDate || this.formatDate();
     const totals = this.calculateTotals(
       freightDetails.amount,
       freightDetails.discount,
-      freightDetails.taxes
+      freightDetails.taxes,
+      freightDetails.lineItems
     );
     
     // Create header
-    const header = this.createDocumentHeader();
+    const header = this.createDocumentHeader(options.companyProfile);
     container.appendChild(header);
     
     // Create invoice content
     const content = document.createElement('div');
     content.className = 'document-content';
     
-    content.innerHTML = `
+    content.innerHTML = html`
       <div class="text-center mb-4">
         <h2 class="text-3xl font-bold">FREIGHT INVOICE</h2>
         <p class="text-sm text-gray-600">Invoice No: ${documentNumber}</p>
         <p class="text-sm text-gray-600">Date: ${currentDate}</p>
+        ${this.createDuplicateMark(options.duplicate)}
+        ${this.createDraftMark(draft)}
       </div>
       
+      ${this.createPartiesSection(options.parties, [
+        ['billingParty', 'Bill To'],
+        ['consignor', 'Consignor'],
+        ['consignee', 'Consignee']
+      ])}
+      
       <div class="mb-4">
         <h3 class="font-bold text-lg mb-2 bg-gray-100 p-2">Shipment Details</h3>
         <table class="document-table">
@@ -310,9 +642,21 @@ export class DocumentGenerator {
             <td class="font-semibold">Weight (kg):</td>
             <td>${freightDetails.weight || 'N/A'}</td>
           </tr>
+          <tr>
+            <td class="font-semibold">SAC Code:</td>
+            <td>${GstCalculator.SAC_CODE} (Goods Transport Agency services)</td>
+          </tr>
+          ${freightDetails.gstRate ? html`
+          <tr>
+            <td class="font-semibold">Place of Supply:</td>
+            <td>${this.getPlaceOfSupply(freightDetails, options.companyProfile)}</td>
+          </tr>
+          ` : ''}
         </table>
       </div>
       
+      ${this.createCustomFieldsSection(freightDetails, options.customFieldDefinitions)}
+      
       <div class="mb-4">
         <h3 class="font-bold text-lg mb-2 bg-gray-100 p-2">Itemized Charges</h3>
         <table class="document-table">
@@ -327,46 +671,304 @@ export class DocumentGenerator {
               <td>Freight Charges</td>
               <td class="text-right">₹ ${totals.subtotal.toFixed(2)}</td>
             </tr>
+            ${this.createLineItemRows(freightDetails.lineItems, {
+              markNonTaxable: Boolean(freightDetails.gstRate),
+              amountClass: 'text-right'
+            })}
             <tr>
               <td>Discount</td>
               <td class="text-right">- ₹ ${totals.discount.toFixed(2)}</td>
             </tr>
-            <tr>
-              <td>Taxes (GST/Other)</td>
-              <td class="text-right">₹ ${totals.taxes.toFixed(2)}</td>
-            </tr>
+            ${this.createTaxRows(freightDetails, totals)}
             <tr class="font-bold bg-gray-100">
               <td>Total Amount Due</td>
               <td class="text-right">₹ ${totals.total.toFixed(2)}</td>
             </tr>
           </tbody>
         </table>
+        ${this.createReverseChargeNote(freightDetails)}
       </div>
       
       ${this.createEwayBillSection(freightDetails)}
       
-      <div class="mt-6 p-3 bg-blue-50 border border-blue-300 rounded">
-        <h3 class="font-bold text-lg mb-2">Payment Terms</h3>
-        <p class="text-sm">Payment due within 30 days of invoice date.</p>
-        <p class="text-sm mt-1">Please make payment to: ${this.config.companyName}</p>
-      </div>
+      ${this.createPaymentTermsSection(options.paymentTerms, {
+        total: totals.total,
+        dueDate: options.dueDate,
+        companyProfile: options.companyProfile
+      })}
     `;
     
     container.appendChild(content);
     
     // Create footer
-    const footer = this.createDocumentFooter();
+    const footer = this.createDocumentFooter(options.companyProfile);
     container.appendChild(footer);
     
     return container;
   }
 
+  /**
+   * Create the payment terms box printed at the end of an invoice
+   * @param {object} [paymentTerms] - Payment terms (the default credit period is printed if omitted)
+   * @param {object} [options] - Invoice values
+   * @param {number} [options.total] - Invoice total
+   * @param {string} [options.dueDate] - Due date as YYYY-MM-DD
+   * @param {object} [options.companyProfile] - Company profile payment is made to
+   * @returns {SafeHtml} HTML for the payment terms box
+   */
+  createPaymentTermsSection(paymentTerms, options = {}) {
+    const lines = paymentTerms
+      ? this.paymentTracker.describeTerms(paymentTerms, { total: options.total, dueDate: options.dueDate })
+      : [`Payment due within ${PaymentTracker.DEFAULT_TERMS_DAYS} days of invoice date.`];
+
+    return html`
+      <div class="mt-6 p-3 bg-blue-50 border border-blue-300 rounded">
+        <h3 class="font-bold text-lg mb-2">Payment Terms</h3>
+        ${lines.map(line => html`<p class="text-sm">${line}</p>`)}
+        <p class="text-sm mt-1">Please make payment to: ${this.getCompanyDetails(options.companyProfile).name}</p>
+      </div>
+    `;
+  }
+
+  /**
+   * Create the tax rows of a consolidated invoice
+   * GST is summed over consignments charged under forward charge; RCM tax is payable by the recipient
+   * @param {Array<object>} records - Freight records on the invoice
+   * @returns {SafeHtml} HTML table rows
+   */
+  createConsolidatedTaxRows(records) {
+    const charged = records.filter(record => record.gstRate && !record.reverseCharge);
+    const sum = (list, key) => list.reduce((total, record) => total + (Number(record[key]) || 0), 0);
+    const rows = [
+      ['CGST', sum(charged, 'cgst')],
+      ['SGST', sum(charged, 'sgst')],
+      ['IGST', sum(charged, 'igst')],
+      ['Taxes (GST/Other)', sum(records.filter(record => !record.gstRate), 'taxes')]
+    ].filter(([, value]) => value > 0);
+
+    return html`${rows.map(([label, value]) => html`
+            <tr>
+              <td colspan="5">${label}</td>
+              <td class="text-right">₹ ${value.toFixed(2)}</td>
+            </tr>`)}`;
+  }
+
+  /**
+   * Generate a consolidated invoice billing several consignments (LRs)
+   * @param {object} invoice - Consolidated invoice ({ invoiceNumber, issueDate, dueDate }; createdAt dates older invoices)
+   * @param {Array<object>} records - Freight records on the invoice, each with its lrNumber
+   * @param {object} [options] - Rendering options
+   * @param {object} [options.companyProfile] - Company profile to print on the document
+   * @param {object} [options.billingParty] - Party the invoice is billed to
+   * @param {object} [options.paymentTerms] - Payment terms ({ termsDays, advancePercent, freightBasis })
+   * @param {boolean} [options.duplicate] - Mark the document as a reprint
+   * @returns {HTMLElement} Invoice document as HTML element
+   */
+  generateConsolidatedInvoice(invoice, records, options = {}) {
+    if (!invoice || !records || records.length === 0) {
+      console.error('Cannot generate consolidated invoice: invoice or records are missing');
+      return null;
+    }
+
+    const container = document.createElement('div');
+    container.className = 'document-container';
+
+    const invoiceDate = invoice.issueDate || (invoice.createdAt ? this.formatDate(new Date(invoice.createdAt)) : this.formatDate());
+    const lines = records.map(record => {
+      const totals = this.calculateTotals(record.amount, record.discount, record.taxes, record.lineItems);
+      return { record, amount: totals.total - totals.taxes, total: totals.total };
+    });
+    const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+    const grandTotal = lines.reduce((sum, line) => sum + line.total, 0);
+    const hasReverseCharge = records.some(record => record.gstRate && record.reverseCharge);
+
+    // Create header
+    const header = this.createDocumentHeader(options.companyProfile);
+    container.appendChild(header);
+
+    // Create invoice content
+    const content = document.createElement('div');
+    content.className = 'document-content';
+
+    content.innerHTML = html`
+      <div class="text-center mb-4">
+        <h2 class="text-3xl font-bold">CONSOLIDATED FREIGHT INVOICE</h2>
+        <p class="text-sm text-gray-600">Invoice No: ${invoice.invoiceNumber}</p>
+        <p class="text-sm text-gray-600">Date: ${invoiceDate}</p>
+        <p class="text-sm text-gray-600">SAC Code: ${GstCalculator.SAC_CODE} (Goods Transport Agency services)</p>
+        ${this.createDuplicateMark(options.duplicate)}
+      </div>
+
+      ${this.createPartiesSection({ billingParty: options.billingParty }, [['billingParty', 'Bill To']])}
+
+      <div class="mb-4">
+        <h3 class="font-bold text-lg mb-2 bg-gray-100 p-2">Consignments</h3>
+        <table class="document-table">
+          <thead>
+            <tr>
+              <th>LR No</th>
+              <th>Date</th>
+              <th>Route</th>
+              <th>Goods</th>
+              <th class="text-right">Weight (kg)</th>
+              <th class="text-right">Amount</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${lines.map(({ record, amount }) => html`
+            <tr>
+              <td>${record.lrNumber || `#${record.id}`}</td>
+              <td>${record.bookingDate || (record.createdAt ? this.formatDate(new Date(record.createdAt)) : 'N/A')}</td>
+              <td>${record.origin} → ${record.destination}</td>
+              <td>${record.goodsDescription}</td>
+              <td class="text-right">${record.weight || 'N/A'}</td>
+              <td class="text-right">₹ ${amount.toFixed(2)}</td>
+            </tr>`)}
+            <tr class="font-semibold">
+              <td colspan="5">Sub-total (${records.length} consignment${records.length === 1 ? '' : 's'})</td>
+              <td class="text-right">₹ ${subtotal.toFixed(2)}</td>
+            </tr>
+            ${this.createConsolidatedTaxRows(records)}
+            <tr class="font-bold bg-gray-100">
+              <td colspan="5">Grand Total</td>
+              <td class="text-right">₹ ${grandTotal.toFixed(2)}</td>
+            </tr>
+          </tbody>
+        </table>
+        ${hasReverseCharge ? html`
+        <p class="text-sm mt-2">Tax on consignments billed under reverse charge is payable by the recipient (RCM).</p>
+        ` : ''}
+      </div>
+
+      ${this.createPaymentTermsSection(options.paymentTerms, {
+        total: grandTotal,
+        dueDate: invoice.dueDate,
+        companyProfile: options.companyProfile
+      })}
+    `;
+
+    container.appendChild(content);
+
+    // Create footer
+    const footer = this.createDocumentFooter(options.companyProfile);
+    container.appendChild(footer);
+
+    return container;
+  }
+
+  /**
+   * Generate a receipt for a payment received against an invoice
+   * @param {object} payment - Payment from the data store
+   * @param {object} [options] - Rendering options
+   * @param {object} [options.companyProfile] - Company profile to print on the document
+   * @param {object} [options.receivedFrom] - Party the payment was received from
+   * @param {string} [options.invoiceNumber] - Invoice the payment settles
+   * @param {object} [options.receivable] - Invoice balance after all payments ({ total, settled, outstanding })
+   * @returns {HTMLElement} Receipt document as HTML element
+   */
+  generatePaymentReceipt(payment, options = {}) {
+    if (!payment) {
+      console.error('Cannot generate receipt: payment is missing');
+      return null;
+    }
+
+    const container = document.createElement('div');
+    container.className = 'document-container';
+
+    const amount = Number(payment.amount) || 0;
+    const tdsAmount = Number(payment.tdsAmount) || 0;
+    const receivable = options.receivable;
+
+    // Create header
+    const header = this.createDocumentHeader(options.companyProfile);
+    container.appendChild(header);
+
+    // Create receipt content
+    const content = document.createElement('div');
+    content.className = 'document-content';
+
+    content.innerHTML = html`
+      <div class="text-center mb-4">
+        <h2 class="text-3xl font-bold">PAYMENT RECEIPT</h2>
+        <p class="text-sm text-gray-600">Receipt No: ${payment.receiptNumber}</p>
+        <p class="text-sm text-gray-600">Date: ${payment.paymentDate}</p>
+      </div>
+
+      ${this.createPartiesSection({ receivedFrom: options.receivedFrom }, [['receivedFrom', 'Received From']])}
+
+      <div class="mb-4">
+        <h3 class="font-bold text-lg mb-2 bg-gray-100 p-2">Payment Details</h3>
+        <table class="document-table">
+          <tr>
+            <td class="font-semibold" style="width: 30%;">Against Invoice:</td>
+            <td>${options.invoiceNumber || 'N/A'}</td>
+          </tr>
+          <tr>
+            <td class="font-semibold">Payment Mode:</td>
+            <td>${this.paymentTracker.getModeLabel(payment.mode)}</td>
+          </tr>
+          ${payment.reference ? html`
+          <tr>
+            <td class="font-semibold">Reference:</td>
+            <td>${payment.reference}</td>
+          </tr>
+          ` : ''}
+          <tr>
+            <td class="font-semibold">Amount Received:</td>
+            <td>₹ ${amount.toFixed(2)}</td>
+          </tr>
+          ${tdsAmount > 0 ? html`
+          <tr>
+            <td class="font-semibold">TDS Deducted:</td>
+            <td>₹ ${tdsAmount.toFixed(2)}</td>
+          </tr>
+          <tr class="font-bold">
+            <td>Total Settled:</td>
+            <td>₹ ${(amount + tdsAmount).toFixed(2)}</td>
+          </tr>
+          ` : ''}
+        </table>
+      </div>
+
+      ${receivable ? html`
+      <div class="mb-4">
+        <h3 class="font-bold text-lg mb-2 bg-gray-100 p-2">Invoice Balance</h3>
+        <table class="document-table">
+          <tr>
+            <td class="font-semibold" style="width: 30%;">Invoice Total:</td>
+            <td>₹ ${receivable.total.toFixed(2)}</td>
+          </tr>
+          <tr>
+            <td class="font-semibold">Settled to Date:</td>
+            <td>₹ ${receivable.settled.toFixed(2)}</td>
+          </tr>
+          <tr class="font-bold bg-gray-100">
+            <td>Balance Due:</td>
+            <td>₹ ${receivable.outstanding.toFixed(2)}</td>
+          </tr>
+        </table>
+      </div>
+      ` : ''}
+    `;
+
+    container.appendChild(content);
+
+    // Create footer
+    const footer = this.createDocumentFooter(options.companyProfile);
+    container.appendChild(footer);
+
+    return container;
+  }
+
   /**
    * Generate both bilty and invoice documents
    * @param {object} freightDetails - Freight shipment details
+   * @param {object} [options] - Rendering options passed to both generators
+   * @param {object} [options.documentNumbers] - Issued numbers keyed by document type ({ bilty, invoice })
+   * @param {object} [options.documentDates] - Issue dates keyed by document type ({ bilty, invoice })
    * @returns {object} Object containing both bilty and invoice HTML elements
    */
-  generateBoth(freightDetails) {
+  generateBoth(freightDetails, options = {}) {
     // Validate freight details are not null/undefined
     if (!freightDetails) {
       console.error('Cannot generate documents: freight details are missing');
@@ -379,8 +981,18 @@ export class DocumentGenerator {
       return { bilty: null, invoice: null };
     }
 
-    const bilty = this.generateBilty(freightDetails);
-    const invoice = this.generateInvoice(freightDetails);
+    const documentNumbers = options.documentNumbers || {};
+    const documentDates = options.documentDates || {};
+    const bilty = this.generateBilty(freightDetails, {
+      ...options,
+      documentNumber: documentNumbers.bilty,
+      documentDate: documentDates.bilty
+    });
+    const invoice = this.generateInvoice(freightDetails, {
+      ...options,
+      documentNumber: documentNumbers.invoice,
+      documentDate: documentDates.invoice
+    });
     
     return {
       bilty: bilty,
@@ -0,0 +1,158 @@
+/**
+ * GST Module
+ * Computes GST on freight charges for Goods Transport Agency (GTA) services
+ */
+
+/**
+ * GstCalculator class
+ * Splits GST into CGST + SGST (intra-state) or IGST (inter-state) based on place of supply
+ */
+export class GstCalculator {
+  /**
+   * SAC code for goods transport services
+   */
+  static SAC_CODE = '9965';
+
+  /**
+   * GST rates (%) available under forward charge
+   */
+  static RATES = [5, 12, 18];
+
+  /**
+   * GST rate (%) payable by the recipient under reverse charge (RCM)
+   */
+  static RCM_RATE = 5;
+
+  /**
+   * Form value used for the reverse charge option
+   */
+  static RCM_SELECTION = 'rcm';
+
+  /**
+   * States and union territories used as place of supply
+   */
+  static STATES = [
+    'Andaman and Nicobar Islands', 'Andhra Pradesh', 'Arunachal Pradesh', 'Assam', 'Bihar',
+    'Chandigarh', 'Chhattisgarh', 'Dadra and Nagar Haveli and Daman and Diu', 'Delhi', 'Goa',
+    'Gujarat', 'Haryana', 'Himachal Pradesh', 'Jammu and Kashmir', 'Jharkhand',
+    'Karnataka', 'Kerala', 'Ladakh', 'Lakshadweep', 'Madhya Pradesh',
+    'Maharashtra', 'Manipur', 'Meghalaya', 'Mizoram', 'Nagaland',
+    'Odisha', 'Puducherry', 'Punjab', 'Rajasthan', 'Sikkim',
+    'Tamil Nadu', 'Telangana', 'Tripura', 'Uttar Pradesh', 'Uttarakhand', 'West Bengal'
+  ];
+
+  /**
+   * Convert a GST form selection ('', '5', '12', '18' or 'rcm') to a rate and charge type
+   * @param {string} selection - Selected option value
+   * @returns {object} { gstRate: number|null, reverseCharge: boolean }
+   */
+  parseSelection(selection) {
+    if (selection === GstCalculator.RCM_SELECTION) {
+      return { gstRate: GstCalculator.RCM_RATE, reverseCharge: true };
+    }
+
+    const rate = parseFloat(selection);
+    if (GstCalculator.RATES.includes(rate)) {
+      return { gstRate: rate, reverseCharge: false };
+    }
+
+    return { gstRate: null, reverseCharge: false };
+  }
+
+  /**
+   * Convert a stored rate and charge type back to a GST form selection
+   * @param {number|null} gstRate - GST rate in percent
+   * @param {boolean} reverseCharge - Whether tax is payable under RCM
+   * @returns {string} Option value for the GST select
+   */
+  toSelection(gstRate, reverseCharge) {
+    if (reverseCharge) return GstCalculator.RCM_SELECTION;
+    return GstCalculator.RATES.includes(Number(gstRate)) ? String(Number(gstRate)) : '';
+  }
+
+  /**
+   * Normalize a state name for comparison
+   * @param {string} state - State name as typed
+   * @returns {string} Lowercase name with '&' spelled out and whitespace collapsed
+   */
+  normalizeState(state) {
+    return String(state || '')
+      .toLowerCase()
+      .replace(/&/g, 'and')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Check whether a supply crosses state lines
+   * Unknown states are treated as intra-state
+   * @param {string} supplierState - State of the transporter's company profile
+   * @param {string} recipientState - Place of supply (consignee's state)
+   * @returns {boolean} True when IGST applies
+   */
+  isInterState(supplierState, recipientState) {
+    const supplier = this.normalizeState(supplierState);
+    const recipient = this.normalizeState(recipientState);
+    return supplier !== '' && recipient !== '' && supplier !== recipient;
+  }
+
+  /**
+   * Round a rupee amount to paise
+   * @param {number} value - Amount
+   * @returns {number} Amount rounded to 2 decimals
+   */
+  round(value) {
+    return Math.round((Number(value) || 0) * 100) / 100;
+  }
+
+  /**
+   * Calculate the GST breakdown for a freight charge
+   * Under reverse charge the tax is computed for the invoice but not collected (taxes is 0)
+   * @param {object} params - Calculation inputs
+   * @param {number} params.amount - Freight charges
+   * @param {number} [params.discount] - Discount on freight charges
+   * @param {number} [params.taxableCharges] - Taxable line item charges billed alongside the freight
+   * @param {number|null} [params.gstRate] - GST rate in percent (null for no GST)
+   * @param {boolean} [params.reverseCharge] - Whether tax is payable by the recipient
+   * @param {string} [params.supplierState] - State of the company profile
+   * @param {string} [params.recipientState] - Consignee's state; defaults to the supplier's state
+   * @returns {object} Taxable value, supply type, CGST/SGST/IGST and tax charged on the invoice
+   */
+  calculate({ amount, discount = 0, taxableCharges = 0, gstRate = null, reverseCharge = false, supplierState = '', recipientState = '' }) {
+    const taxableValue = this.round((Number(amount) || 0) - (Number(discount) || 0) + (Number(taxableCharges) || 0));
+    const placeOfSupply = recipientState || supplierState || '';
+    const supplyType = this.isInterState(supplierState, placeOfSupply) ? 'inter' : 'intra';
+    const rate = Number(gstRate) || 0;
+
+    let cgst = 0;
+    let sgst = 0;
+    let igst = 0;
+
+    if (rate > 0) {
+      if (supplyType === 'inter') {
+        igst = this.round(taxableValue * rate / 100);
+      } else {
+        cgst = this.round(taxableValue * rate / 200);
+        sgst = cgst;
+      }
+    }
+
+    const totalTax = this.round(cgst + sgst + igst);
+
+    return {
+      taxableValue,
+      gstRate: rate > 0 ? rate : null,
+      reverseCharge: rate > 0 && Boolean(reverseCharge),
+      placeOfSupply,
+      supplyType,
+      cgst,
+      sgst,
+      igst,
+      totalTax,
+      taxes: reverseCharge ? 0 : totalTax
+    };
+  }
+}
+
+// Default export for convenience
+export default GstCalculator;
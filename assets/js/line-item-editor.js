@@ -0,0 +1,145 @@
+/**
+ * Line Item Editor Module
+ * Add/remove rows editor for the additional charges of a freight record
+ */
+
+import { APP_VERSION } from './version.js';
+
+// Dynamic import with version
+const { LineItemCalculator } = await import(`./line-items.js?v=${APP_VERSION}`);
+
+/**
+ * LineItemEditor class
+ * Renders one row per charge (type, description, amount, taxable) and reads them back
+ */
+export class LineItemEditor {
+  /**
+   * @param {object} [options] - Rendering options
+   * @param {string} [options.inputClass] - CSS classes for inputs and selects
+   * @param {Function} [options.onChange] - Called whenever a row is added, removed or edited
+   */
+  constructor(options = {}) {
+    this.calculator = new LineItemCalculator();
+    this.inputClass = options.inputClass ||
+      'w-full px-3 py-2 text-base border-2 border-gray-200 rounded-lg focus:outline-none focus:border-blue-500 bg-white';
+    this.onChange = options.onChange || (() => {});
+    this.container = null;
+  }
+
+  /**
+   * Render the rows for a set of line items into a container
+   * @param {HTMLElement} container - Element holding the rows
+   * @param {Array<object>} [items] - Existing line items
+   */
+  render(container, items = []) {
+    if (!container) return;
+
+    this.container = container;
+    container.innerHTML = '';
+    this.calculator.normalize(items).forEach(item => this.addRow(item));
+  }
+
+  /**
+   * Append a row, defaulting to the first charge type
+   * @param {object} [item] - Line item to pre-fill
+   */
+  addRow(item = {}) {
+    if (!this.container) return;
+
+    const itemType = this.calculator.getItemType(item.type || LineItemCalculator.ITEM_TYPES[0].type);
+
+    const row = document.createElement('div');
+    row.className = 'grid grid-cols-12 gap-2 items-center';
+    row.dataset.lineItem = 'true';
+
+    const typeSelect = document.createElement('select');
+    typeSelect.className = `${this.inputClass} col-span-12 md:col-span-3`;
+    typeSelect.dataset.field = 'type';
+    typeSelect.setAttribute('aria-label', 'Charge type');
+    LineItemCalculator.ITEM_TYPES.forEach(({ type, label }) => {
+      const option = document.createElement('option');
+      option.value = type;
+      option.textContent = label;
+      typeSelect.appendChild(option);
+    });
+    typeSelect.value = itemType.type;
+
+    const description = document.createElement('input');
+    description.type = 'text';
+    description.className = `${this.inputClass} col-span-12 md:col-span-4`;
+    description.dataset.field = 'description';
+    description.placeholder = 'Description (optional)';
+    description.value = item.description || '';
+
+    const amount = document.createElement('input');
+    amount.type = 'number';
+    amount.min = '0';
+    amount.step = '0.01';
+    amount.className = `${this.inputClass} col-span-5 md:col-span-2`;
+    amount.dataset.field = 'amount';
+    amount.placeholder = '0.00';
+    amount.setAttribute('aria-label', 'Amount');
+    if (item.amount) amount.value = String(item.amount);
+
+    const taxableLabel = document.createElement('label');
+    taxableLabel.className = 'col-span-5 md:col-span-2 flex items-center gap-2 text-sm text-gray-700';
+    const taxable = document.createElement('input');
+    taxable.type = 'checkbox';
+    taxable.dataset.field = 'taxable';
+    taxable.checked = item.taxable === undefined ? itemType.taxable : Boolean(item.taxable);
+    taxableLabel.appendChild(taxable);
+    taxableLabel.appendChild(document.createTextNode('GST'));
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'col-span-2 md:col-span-1 text-red-600 hover:text-red-800';
+    removeButton.setAttribute('aria-label', 'Remove charge');
+    removeButton.textContent = '✕';
+
+    // A new charge type brings its default GST applicability
+    typeSelect.addEventListener('change', () => {
+      taxable.checked = this.calculator.getItemType(typeSelect.value).taxable;
+      this.onChange();
+    });
+    [description, amount].forEach(input => input.addEventListener('input', () => this.onChange()));
+    taxable.addEventListener('change', () => this.onChange());
+    removeButton.addEventListener('click', () => {
+      row.remove();
+      this.onChange();
+    });
+
+    row.append(typeSelect, description, amount, taxableLabel, removeButton);
+    this.container.appendChild(row);
+    this.onChange();
+  }
+
+  /**
+   * Read the rows back as line items
+   * @returns {Array<object>} Normalized line items (rows without an amount are left out)
+   */
+  collectItems() {
+    if (!this.container) return [];
+
+    const items = Array.from(this.container.querySelectorAll('[data-line-item]')).map(row => ({
+      type: row.querySelector('[data-field="type"]').value,
+      description: row.querySelector('[data-field="description"]').value,
+      amount: row.querySelector('[data-field="amount"]').value,
+      taxable: row.querySelector('[data-field="taxable"]').checked
+    }));
+
+    return this.calculator.normalize(items);
+  }
+
+  /**
+   * Remove all rows
+   */
+  clear() {
+    if (this.container) {
+      this.container.innerHTML = '';
+      this.onChange();
+    }
+  }
+}
+
+// Default export for convenience
+export default LineItemEditor;
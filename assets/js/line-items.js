@@ -0,0 +1,83 @@
+/**
+ * Line Items Module
+ * Additional charges billed on a freight record alongside the freight amount
+ */
+
+/**
+ * LineItemCalculator class
+ * Normalizes line items and sums them by GST applicability
+ */
+export class LineItemCalculator {
+  /**
+   * Charge types offered in the line item editor
+   * taxable is the default GST applicability for a new row; each row can override it
+   * Toll is usually recovered at cost as a pure agent and left out of the taxable value
+   */
+  static ITEM_TYPES = [
+    { type: 'loading', label: 'Loading Charges', taxable: true },
+    { type: 'unloading', label: 'Unloading Charges', taxable: true },
+    { type: 'detention', label: 'Detention Charges', taxable: true },
+    { type: 'hamali', label: 'Hamali Charges', taxable: true },
+    { type: 'toll', label: 'Toll Charges', taxable: false },
+    { type: 'doorDelivery', label: 'Door Delivery Charges', taxable: true },
+    { type: 'insurance', label: 'Insurance Charges', taxable: true },
+    { type: 'other', label: 'Other Charges', taxable: true }
+  ];
+
+  /**
+   * Look up a charge type definition
+   * @param {string} type - Charge type key
+   * @returns {object} Charge type definition ('other' for unknown types)
+   */
+  getItemType(type) {
+    return LineItemCalculator.ITEM_TYPES.find(itemType => itemType.type === type) ||
+      LineItemCalculator.ITEM_TYPES.find(itemType => itemType.type === 'other');
+  }
+
+  /**
+   * Get the label printed for a line item
+   * @param {object} item - Line item
+   * @returns {string} The item's description, else its charge type label
+   */
+  getLabel(item) {
+    return item.description || this.getItemType(item.type).label;
+  }
+
+  /**
+   * Clean up line items collected from a form or loaded from storage
+   * Rows without a positive amount are dropped
+   * @param {Array<object>} items - Line items ({ type, description, amount, taxable })
+   * @returns {Array<object>} Normalized line items
+   */
+  normalize(items) {
+    return (items || [])
+      .map(item => ({
+        type: this.getItemType(item.type).type,
+        description: String(item.description || '').trim(),
+        amount: Math.round((Number(item.amount) || 0) * 100) / 100,
+        taxable: item.taxable === undefined ? this.getItemType(item.type).taxable : Boolean(item.taxable)
+      }))
+      .filter(item => item.amount > 0);
+  }
+
+  /**
+   * Sum line items by GST applicability
+   * @param {Array<object>} items - Line items
+   * @returns {object} { total, taxable, nonTaxable }
+   */
+  summarize(items) {
+    const round = value => Math.round(value * 100) / 100;
+    const normalized = this.normalize(items);
+    const taxable = normalized.filter(item => item.taxable).reduce((sum, item) => sum + item.amount, 0);
+    const nonTaxable = normalized.filter(item => !item.taxable).reduce((sum, item) => sum + item.amount, 0);
+
+    return {
+      total: round(taxable + nonTaxable),
+      taxable: round(taxable),
+      nonTaxable: round(nonTaxable)
+    };
+  }
+}
+
+// Default export for convenience
+export default LineItemCalculator;
@@ -0,0 +1,178 @@
+/**
+ * Party Picker Component
+ * Searchable dropdown for choosing consignor, consignee and billing parties
+ * Follows the interaction style of CityDropdown
+ */
+
+class PartyPicker {
+    constructor(parties = []) {
+        this.parties = parties;
+    }
+
+    /**
+     * Replace the list of parties offered by every picker
+     */
+    setParties(parties) {
+        this.parties = parties || [];
+    }
+
+    /**
+     * Initialize a picker
+     * @param {string} inputId - Visible search input
+     * @param {string} dropdownId - Dropdown container
+     * @param {string} valueId - Hidden input holding the selected party ID
+     * @param {Function} [onSelect] - Called with the selected party, or null when cleared
+     */
+    init(inputId, dropdownId, valueId, onSelect = () => {}) {
+        const input = document.getElementById(inputId);
+        const dropdown = document.getElementById(dropdownId);
+        const valueInput = document.getElementById(valueId);
+
+        if (!input || !dropdown || !valueInput) return;
+
+        const picker = { input, dropdown, valueInput, onSelect };
+
+        // Show dropdown on focus
+        input.addEventListener('focus', () => {
+            this.showDropdown(picker);
+        });
+
+        // Typing invalidates the current selection until a party is picked again
+        input.addEventListener('input', () => {
+            if (valueInput.value) {
+                valueInput.value = '';
+                onSelect(null);
+            }
+            this.showDropdown(picker);
+        });
+
+        // Hide dropdown when clicking outside
+        document.addEventListener('click', (e) => {
+            if (!input.contains(e.target) && !dropdown.contains(e.target)) {
+                dropdown.classList.add('hidden');
+            }
+        });
+
+        // Handle keyboard navigation
+        input.addEventListener('keydown', (e) => {
+            this.handleKeyboard(e, dropdown);
+        });
+    }
+
+    /**
+     * Select a party by ID without user interaction (e.g. restoring a form)
+     */
+    setValue(inputId, valueId, partyId) {
+        const input = document.getElementById(inputId);
+        const valueInput = document.getElementById(valueId);
+        if (!input || !valueInput) return;
+
+        const party = this.parties.find(p => p.id === Number(partyId));
+        input.value = party ? party.name : '';
+        valueInput.value = party ? String(party.id) : '';
+    }
+
+    /**
+     * Check whether a party matches a search term by name, city, state, GSTIN or phone
+     */
+    matches(party, searchTerm) {
+        return [party.name, party.city, party.state, party.gstNumber, party.phone]
+            .some(value => value && value.toLowerCase().includes(searchTerm));
+    }
+
+    /**
+     * Show dropdown with all parties or filtered results
+     */
+    showDropdown(picker) {
+        const searchTerm = picker.input.value.toLowerCase().trim();
+        const filteredParties = searchTerm
+            ? this.parties.filter(party => this.matches(party, searchTerm))
+            : this.parties;
+
+        this.renderDropdown(picker, filteredParties);
+        picker.dropdown.classList.remove('hidden');
+    }
+
+    /**
+     * Render dropdown items
+     */
+    renderDropdown(picker, parties) {
+        const { input, dropdown, valueInput, onSelect } = picker;
+        dropdown.innerHTML = '';
+
+        if (parties.length === 0) {
+            const noResults = document.createElement('div');
+            noResults.className = 'px-4 py-3 text-sm text-gray-500 italic';
+            noResults.textContent = this.parties.length === 0
+                ? 'No parties yet. Add them in Settings > Parties.'
+                : 'No parties found.';
+            dropdown.appendChild(noResults);
+            return;
+        }
+
+        parties.forEach(party => {
+            const item = document.createElement('div');
+            item.className = 'px-4 py-2 hover:bg-blue-50 cursor-pointer text-gray-800 transition-colors duration-150';
+
+            const name = document.createElement('p');
+            name.className = 'font-medium';
+            name.textContent = party.name;
+            item.appendChild(name);
+
+            const details = [[party.city, party.state].filter(Boolean).join(', '), party.gstNumber]
+                .filter(Boolean)
+                .join(' · ');
+            if (details) {
+                const detailLine = document.createElement('p');
+                detailLine.className = 'text-xs text-gray-500';
+                detailLine.textContent = details;
+                item.appendChild(detailLine);
+            }
+
+            item.addEventListener('click', () => {
+                input.value = party.name;
+                valueInput.value = String(party.id);
+                dropdown.classList.add('hidden');
+                input.focus();
+                onSelect(party);
+            });
+
+            dropdown.appendChild(item);
+        });
+    }
+
+    /**
+     * Handle keyboard navigation
+     */
+    handleKeyboard(e, dropdown) {
+        const items = dropdown.querySelectorAll('div[class*="hover:bg-blue-50"]');
+        const currentActive = dropdown.querySelector('.bg-blue-100');
+        let currentIndex = Array.from(items).indexOf(currentActive);
+
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            if (items.length === 0) return;
+            if (currentActive) currentActive.classList.remove('bg-blue-100');
+            const next = items[(currentIndex + 1) % items.length];
+            next.classList.add('bg-blue-100');
+            next.scrollIntoView({ block: 'nearest' });
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (items.length === 0) return;
+            if (currentActive) currentActive.classList.remove('bg-blue-100');
+            const previous = items[currentIndex > 0 ? currentIndex - 1 : items.length - 1];
+            previous.classList.add('bg-blue-100');
+            previous.scrollIntoView({ block: 'nearest' });
+        } else if (e.key === 'Enter') {
+            if (currentActive) {
+                e.preventDefault();
+                currentActive.click();
+            }
+        } else if (e.key === 'Escape') {
+            dropdown.classList.add('hidden');
+        }
+    }
+}
+
+// Export for use in other modules
+export default PartyPicker;
@@ -0,0 +1,334 @@
+/**
+ * Payments Module
+ * Works out what is due on each invoice, what has been received and whether it is overdue
+ */
+
+import { APP_VERSION } from './version.js';
+
+// Dynamic import with version
+const { LineItemCalculator } = await import(`./line-items.js?v=${APP_VERSION}`);
+
+/**
+ * PaymentTracker class
+ * Builds receivables for single and consolidated invoices from freight records and payments
+ */
+export class PaymentTracker {
+  /**
+   * Payment modes offered when recording a payment
+   */
+  static MODES = [
+    { mode: 'cash', label: 'Cash' },
+    { mode: 'upi', label: 'UPI' },
+    { mode: 'neft', label: 'NEFT' },
+    { mode: 'cheque', label: 'Cheque' }
+  ];
+
+  /**
+   * Payment statuses shown in the records list
+   * Overdue applies to unpaid and partially paid invoices past their due date
+   */
+  static STATUSES = [
+    { status: 'unpaid', label: 'Unpaid' },
+    { status: 'partiallyPaid', label: 'Partially paid' },
+    { status: 'paid', label: 'Paid' },
+    { status: 'overdue', label: 'Overdue' }
+  ];
+
+  /**
+   * Due date buckets for chasing payments
+   */
+  static DUE_BUCKETS = [
+    { bucket: 'dueThisWeek', label: 'Due this week' },
+    { bucket: 'overdue', label: 'Overdue' }
+  ];
+
+  /**
+   * Who pays the freight and when
+   * Paid: the consignor pays at booking; To Pay: the consignee pays on delivery;
+   * TBB (to be billed): the billing party is invoiced and pays on credit terms
+   */
+  static FREIGHT_BASES = [
+    { basis: 'paid', label: 'Paid' },
+    { basis: 'toPay', label: 'To Pay' },
+    { basis: 'tbb', label: 'To Be Billed (TBB)' }
+  ];
+
+  /**
+   * Days allowed for payment after the invoice date when no terms are set
+   */
+  static DEFAULT_TERMS_DAYS = 30;
+
+  constructor() {
+    this.lineItemCalculator = new LineItemCalculator();
+  }
+
+  /**
+   * Round a rupee amount to paise
+   * @param {number} value - Amount
+   * @returns {number} Amount rounded to 2 decimals
+   */
+  round(value) {
+    return Math.round((Number(value) || 0) * 100) / 100;
+  }
+
+  /**
+   * Format a date as a local YYYY-MM-DD string
+   * @param {Date|string} date - Date or date string
+   * @returns {string} Formatted date
+   */
+  toDateString(date) {
+    const value = date instanceof Date ? date : new Date(date);
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Get the label of a payment mode
+   * @param {string} mode - Payment mode key
+   * @returns {string} Label, or the key itself for unknown modes
+   */
+  getModeLabel(mode) {
+    return PaymentTracker.MODES.find(item => item.mode === mode)?.label || mode;
+  }
+
+  /**
+   * Get the label of a payment status
+   * @param {string} status - Payment status key
+   * @returns {string} Label
+   */
+  getStatusLabel(status) {
+    return PaymentTracker.STATUSES.find(item => item.status === status)?.label || status;
+  }
+
+  /**
+   * Get the label of a freight basis
+   * @param {string} basis - Freight basis key
+   * @returns {string} Label
+   */
+  getFreightBasisLabel(basis) {
+    return PaymentTracker.FREIGHT_BASES.find(item => item.basis === basis)?.label || basis;
+  }
+
+  /**
+   * Describe payment terms in the sentences printed on an invoice
+   * @param {object} terms - { termsDays, advancePercent, freightBasis }
+   * @param {object} [options] - Invoice values
+   * @param {number} [options.total] - Invoice total, to print the advance in rupees
+   * @param {string} [options.dueDate] - Due date as YYYY-MM-DD
+   * @returns {Array<string>} Sentences describing the terms
+   */
+  describeTerms(terms, options = {}) {
+    const { total, dueDate } = options;
+    const days = Number(terms.termsDays) || 0;
+    const advancePercent = Number(terms.advancePercent) || 0;
+    const lines = [`Freight basis: ${this.getFreightBasisLabel(terms.freightBasis)}.`];
+
+    if (terms.freightBasis === 'paid') {
+      lines.push('Freight payable by the consignor at booking.');
+    } else if (terms.freightBasis === 'toPay') {
+      lines.push('Freight payable by the consignee on delivery.');
+    } else {
+      lines.push(days > 0 ? `Payment due within ${days} days of invoice date.` : 'Payment due on receipt of invoice.');
+    }
+
+    if (advancePercent > 0) {
+      const advance = total !== undefined ? ` (₹ ${this.round(total * advancePercent / 100).toFixed(2)})` : '';
+      lines.push(`Advance of ${advancePercent}%${advance} payable at booking; balance by the due date.`);
+    }
+
+    if (dueDate) {
+      lines.push(`Due date: ${dueDate}`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Invoice total of a freight record: freight less discount, plus additional charges and tax charged
+   * @param {object} record - Freight record
+   * @returns {number} Amount billed
+   */
+  getRecordTotal(record) {
+    const charges = this.lineItemCalculator.summarize(record.lineItems).total;
+    return this.round((Number(record.amount) || 0) - (Number(record.discount) || 0) + charges + (Number(record.taxes) || 0));
+  }
+
+  /**
+   * Work out the payment status of an invoice
+   * An invoice is payable through its due date and overdue from the day after
+   * @param {number} total - Amount billed
+   * @param {number} settled - Amount received plus TDS deducted
+   * @param {string|null} dueDate - Due date as YYYY-MM-DD (null until an invoice is issued)
+   * @param {Date} [onDate] - Date to check against (defaults to today)
+   * @returns {string} 'paid', 'partiallyPaid', 'unpaid' or 'overdue'
+   */
+  getStatus(total, settled, dueDate, onDate = new Date()) {
+    if (this.round(total - settled) <= 0) {
+      return 'paid';
+    }
+
+    if (dueDate && this.toDateString(onDate) > dueDate) {
+      return 'overdue';
+    }
+
+    return settled > 0 ? 'partiallyPaid' : 'unpaid';
+  }
+
+  /**
+   * Summarize an invoice's payments against its total
+   * TDS deducted by the customer counts towards settling the invoice
+   * @param {object} params - Invoice values
+   * @param {number} params.total - Amount billed
+   * @param {Array<object>} params.payments - Payments against the invoice
+   * @param {string|null} params.dueDate - Due date as YYYY-MM-DD
+   * @param {Date} [params.onDate] - Date to check against (defaults to today)
+   * @returns {object} { total, received, tds, settled, outstanding, dueDate, status }
+   */
+  summarize({ total, payments = [], dueDate, onDate = new Date() }) {
+    const received = this.round(payments.reduce((sum, payment) => sum + (Number(payment.amount) || 0), 0));
+    const tds = this.round(payments.reduce((sum, payment) => sum + (Number(payment.tdsAmount) || 0), 0));
+    const settled = this.round(received + tds);
+
+    return {
+      total: this.round(total),
+      received,
+      tds,
+      settled,
+      outstanding: Math.max(this.round(total - settled), 0),
+      dueDate,
+      status: this.getStatus(total, settled, dueDate, onDate)
+    };
+  }
+
+  /**
+   * Build the receivable each freight record is billed on
+   * Records on a consolidated invoice share that invoice's receivable; others are billed on their own.
+   * Due dates are the ones stored when each invoice was issued; records not invoiced yet have none.
+   * @param {Array<object>} records - The user's freight records
+   * @param {Array<object>} payments - The user's payments
+   * @param {object} [options] - Billing details
+   * @param {Map} [options.billedFreight] - Freight ID to { invoiceNumber, consolidatedInvoiceId, dueDate }
+   * @param {Array<object>} [options.consolidatedInvoices] - The user's consolidated invoices
+   * @param {Date} [options.onDate] - Date to check against (defaults to today)
+   * @returns {Map} Freight ID to receivable ({ key, freightId, consolidatedInvoiceId, invoiceNumber, ...summary })
+   */
+  buildReceivables(records, payments, options = {}) {
+    const { billedFreight = new Map(), consolidatedInvoices = [], onDate = new Date() } = options;
+    const receivables = new Map();
+
+    consolidatedInvoices.forEach(invoice => {
+      const invoiceRecords = records.filter(record => invoice.freightIds.includes(record.id));
+      const receivable = {
+        key: `consolidated-${invoice.id}`,
+        freightId: null,
+        consolidatedInvoiceId: invoice.id,
+        invoiceNumber: invoice.invoiceNumber,
+        ...this.summarize({
+          total: invoiceRecords.reduce((sum, record) => sum + this.getRecordTotal(record), 0),
+          payments: payments.filter(payment => payment.consolidatedInvoiceId === invoice.id),
+          dueDate: invoice.dueDate || null,
+          onDate
+        })
+      };
+      invoiceRecords.forEach(record => receivables.set(record.id, receivable));
+    });
+
+    records
+      .filter(record => !receivables.has(record.id))
+      .forEach(record => {
+        const invoice = billedFreight.get(record.id);
+        receivables.set(record.id, {
+          key: `freight-${record.id}`,
+          freightId: record.id,
+          consolidatedInvoiceId: null,
+          invoiceNumber: invoice?.invoiceNumber || null,
+          ...this.summarize({
+            total: this.getRecordTotal(record),
+            payments: payments.filter(payment => payment.freightId === record.id),
+            dueDate: invoice?.dueDate || null,
+            onDate
+          })
+        });
+      });
+
+    return receivables;
+  }
+
+  /**
+   * Work out which due date bucket an unsettled receivable falls in
+   * Due this week covers today and the six days after it
+   * @param {object} receivable - Receivable from buildReceivables
+   * @param {Date} [onDate] - Date to check against (defaults to today)
+   * @returns {string|null} 'overdue', 'dueThisWeek' or null
+   */
+  getDueBucket(receivable, onDate = new Date()) {
+    if (!receivable || receivable.outstanding <= 0 || !receivable.dueDate) {
+      return null;
+    }
+
+    const today = this.toDateString(onDate);
+    if (today > receivable.dueDate) {
+      return 'overdue';
+    }
+
+    const weekEnd = new Date(onDate);
+    weekEnd.setDate(weekEnd.getDate() + 6);
+    return receivable.dueDate <= this.toDateString(weekEnd) ? 'dueThisWeek' : null;
+  }
+
+  /**
+   * Total the outstanding, due this week and overdue balances, counting each invoice once
+   * @param {Iterable<object>} receivables - Receivables from buildReceivables
+   * @param {Date} [onDate] - Date to check against (defaults to today)
+   * @returns {object} { outstanding, outstandingCount, dueThisWeek, dueThisWeekCount, overdue, overdueCount }
+   */
+  summarizeOutstanding(receivables, onDate = new Date()) {
+    const unique = [...new Map([...receivables].map(receivable => [receivable.key, receivable])).values()];
+    const open = unique.filter(receivable => receivable.outstanding > 0);
+    const inBucket = bucket => open.filter(receivable => this.getDueBucket(receivable, onDate) === bucket);
+    const total = list => this.round(list.reduce((sum, receivable) => sum + receivable.outstanding, 0));
+    const dueThisWeek = inBucket('dueThisWeek');
+    const overdue = inBucket('overdue');
+
+    return {
+      outstanding: total(open),
+      outstandingCount: open.length,
+      dueThisWeek: total(dueThisWeek),
+      dueThisWeekCount: dueThisWeek.length,
+      overdue: total(overdue),
+      overdueCount: overdue.length
+    };
+  }
+
+  /**
+   * Validate a payment before it is recorded
+   * @param {object} payment - { paymentDate, amount, tdsAmount, mode }
+   * @param {number} outstanding - Balance still due on the invoice
+   * @returns {Array<string>} Error messages (empty when valid)
+   */
+  validate(payment, outstanding) {
+    const errors = [];
+    const amount = Number(payment.amount) || 0;
+    const tdsAmount = Number(payment.tdsAmount) || 0;
+
+    if (!payment.paymentDate) {
+      errors.push('Payment date is required');
+    }
+    if (!PaymentTracker.MODES.some(item => item.mode === payment.mode)) {
+      errors.push('Choose a payment mode');
+    }
+    if (amount < 0 || tdsAmount < 0) {
+      errors.push('Amounts cannot be negative');
+    } else if (amount + tdsAmount <= 0) {
+      errors.push('Enter the amount received or TDS deducted');
+    } else if (this.round(amount + tdsAmount) > this.round(outstanding)) {
+      errors.push(`Payment exceeds the outstanding balance of ₹${this.round(outstanding).toFixed(2)}`);
+    }
+
+    return errors;
+  }
+}
+
+// Default export for convenience
+export default PaymentTracker;
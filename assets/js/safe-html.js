@@ -0,0 +1,115 @@
+/**
+ * Safe HTML Module
+ * Builds markup from templates without letting user data (goods descriptions, party names, ...) become markup
+ */
+
+/**
+ * Characters that end text or a quoted attribute value, with their entities
+ */
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * SafeHtml class
+ * Markup that is already safe, so the html tag inserts it as is when it is nested in another template.
+ * Converts to its markup, so it can be assigned straight to innerHTML.
+ */
+export class SafeHtml {
+  /**
+   * @param {string} markup - Markup built by the html tag, or fixed markup from the code itself
+   */
+  constructor(markup) {
+    this.markup = String(markup);
+  }
+
+  toString() {
+    return this.markup;
+  }
+
+  /**
+   * Escape text for use in element content or a quoted attribute value
+   * @param {*} value - Text to escape (null and undefined give an empty string)
+   * @returns {string} Escaped text
+   */
+  static escape(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    return String(value).replace(/[&<>"']/g, character => ESCAPES[character]);
+  }
+
+  /**
+   * Render an interpolated value: SafeHtml as is, arrays item by item, anything else escaped
+   * null, undefined and false render nothing, so `${condition && html`...`}` works
+   * @param {*} value - Interpolated value
+   * @returns {string} Markup
+   */
+  static render(value) {
+    if (value instanceof SafeHtml) {
+      return value.markup;
+    }
+    if (Array.isArray(value)) {
+      return value.map(SafeHtml.render).join('');
+    }
+    if (value === false) {
+      return '';
+    }
+    return SafeHtml.escape(value);
+  }
+
+  /**
+   * Template tag escaping every interpolated value
+   * @example element.innerHTML = html`<td title="${record.goodsDescription}">${record.goodsDescription}</td>`;
+   * @param {Array<string>} strings - Template strings (trusted markup)
+   * @param {...*} values - Interpolated values
+   * @returns {SafeHtml} Markup
+   */
+  static html(strings, ...values) {
+    return new SafeHtml(strings.reduce((markup, string, index) => markup + SafeHtml.render(values[index - 1]) + string));
+  }
+
+  /**
+   * Escape text for use as a literal inside a regular expression
+   * @param {string} text - Text to match literally
+   * @returns {string} Pattern source
+   */
+  static escapeRegExp(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Mark every case-insensitive occurrence of a search term in a text
+   * @param {string} text - Text to show
+   * @param {string} term - Search term (matched literally)
+   * @param {string} className - CSS class for the matched parts
+   * @returns {SafeHtml} Markup with the matches wrapped in spans
+   */
+  static highlight(text, term, className) {
+    if (!term) {
+      return SafeHtml.html`${text}`;
+    }
+
+    const parts = String(text).split(new RegExp(`(${SafeHtml.escapeRegExp(term)})`, 'gi'));
+    return SafeHtml.html`${parts.map((part, index) => index % 2 === 1
+      ? SafeHtml.html`<span class="${className}">${part}</span>`
+      : part)}`;
+  }
+}
+
+/**
+ * Shorthand for SafeHtml.html
+ */
+export const html = SafeHtml.html;
+
+/**
+ * Shorthand for SafeHtml.escape
+ */
+export const escapeHtml = SafeHtml.escape;
+
+// Default export for convenience
+export default SafeHtml;
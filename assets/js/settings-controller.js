@@ -1,22 +1,33 @@
 import { APP_VERSION } from './version.js';
 
 const AuthManager = (await import(`./auth.js?v=${APP_VERSION}`)).default;
-const DataStoreManager = (await import(`./datastore.js?v=${APP_VERSION}`)).default;
+const { DataStoreClient } = await import(`./datastore-client.js?v=${APP_VERSION}`);
+const { FormValidator } = await import(`./validator.js?v=${APP_VERSION}`);
+const { GstCalculator } = await import(`./gst.js?v=${APP_VERSION}`);
+const { PaymentTracker } = await import(`./payments.js?v=${APP_VERSION}`);
+const { html } = await import(`./safe-html.js?v=${APP_VERSION}`);
 
-class SettingsController {
+export class SettingsController {
   constructor() {
-    this.authManager = new AuthManager();
-    this.dataStore = new DataStoreManager();
+    this.dataStore = new DataStoreClient();
+    this.authManager = new AuthManager(this.dataStore);
     this.currentTab = 'company';
     this.editingCompanyId = null;
+    this.formValidator = new FormValidator();
+    this.parties = [];
+    this.editingPartyId = null;
+    this.editingVehicleId = null;
+    this.editingDriverId = null;
+    this.permissions = new Set();
   }
 
   async init() {
     await this.authManager.initialize();
-    if (!this.authManager.isAuthenticated()) {
+    if (!(await this.authManager.isAuthenticated())) {
       window.location.href = 'login.html';
       return;
     }
+    this.authManager.watchSession();
 
     const initResult = await this.dataStore.initialize();
     if (!initResult.success) {
@@ -24,9 +35,49 @@ class SettingsController {
       return;
     }
 
+    this.permissions = new Set(await this.authManager.getPermissions());
+    this.applyPermissions();
+
     this.setupEventListeners();
-    this.loadCompanyProfiles();
-    this.loadCustomFields();
+    await Promise.all([
+      this.loadCompanyProfiles(),
+      this.loadParties(),
+      this.loadVehicles(),
+      this.loadDrivers(),
+      this.loadCustomFields(),
+      this.can('users.manage') ? this.loadUsers() : null,
+      this.can('users.manage') ? this.loadSessions() : null,
+      this.can('users.manage') ? this.loadInvites() : null
+    ]);
+  }
+
+  /**
+   * Check whether the logged-in user's role grants a permission
+   */
+  can(permission) {
+    return this.permissions.has(permission);
+  }
+
+  /**
+   * Hide the add buttons, the Users tab and backups from roles that can't use them
+   * Edit and delete buttons are left out when the cards are rendered
+   */
+  applyPermissions() {
+    const restricted = {
+      addCompanyBtn: 'companies.manage',
+      addPartyBtn: 'parties.manage',
+      addVehicleBtn: 'fleet.manage',
+      addDriverBtn: 'fleet.manage',
+      addCustomFieldBtn: 'customFields.manage',
+      usersTab: 'users.manage',
+      exportBackupSection: 'backup.export',
+      importBackupSection: 'backup.import',
+      encryptionSection: 'storage.encrypt'
+    };
+
+    Object.entries(restricted).forEach(([id, permission]) => {
+      document.getElementById(id)?.classList.toggle('hidden', !this.can(permission));
+    });
   }
 
   setupEventListeners() {
@@ -34,7 +85,11 @@ class SettingsController {
     
     // Tab switching
     document.getElementById('companyTab')?.addEventListener('click', () => this.switchTab('company'));
+    document.getElementById('partiesTab')?.addEventListener('click', () => this.switchTab('parties'));
+    document.getElementById('fleetTab')?.addEventListener('click', () => this.switchTab('fleet'));
     document.getElementById('customFieldsTab')?.addEventListener('click', () => this.switchTab('customFields'));
+    document.getElementById('usersTab')?.addEventListener('click', () => this.switchTab('users'));
+    document.getElementById('accountTab')?.addEventListener('click', () => this.switchTab('account'));
     document.getElementById('backupTab')?.addEventListener('click', () => this.switchTab('backup'));
     
     // Company profile
@@ -43,6 +98,31 @@ class SettingsController {
     document.getElementById('cancelCompany')?.addEventListener('click', () => this.closeCompanyModal());
     document.getElementById('companyForm')?.addEventListener('submit', (e) => this.handleCompanySave(e));
     
+    // Parties
+    document.getElementById('addPartyBtn')?.addEventListener('click', () => this.openPartyModal());
+    document.getElementById('closePartyModal')?.addEventListener('click', () => this.closePartyModal());
+    document.getElementById('cancelParty')?.addEventListener('click', () => this.closePartyModal());
+    document.getElementById('partyForm')?.addEventListener('submit', (e) => this.handlePartySave(e));
+    document.getElementById('partySearch')?.addEventListener('input', () => this.renderParties());
+
+    const stateOptions = document.getElementById('partyStateOptions');
+    GstCalculator.STATES.forEach(state => stateOptions?.appendChild(new Option(state, state)));
+
+    ['companyFreightBasis', 'partyFreightBasis'].forEach(id => {
+      const select = document.getElementById(id);
+      PaymentTracker.FREIGHT_BASES.forEach(({ basis, label }) => select?.appendChild(new Option(label, basis)));
+    });
+
+    // Vehicles & drivers
+    document.getElementById('addVehicleBtn')?.addEventListener('click', () => this.openVehicleModal());
+    document.getElementById('closeVehicleModal')?.addEventListener('click', () => this.closeVehicleModal());
+    document.getElementById('cancelVehicle')?.addEventListener('click', () => this.closeVehicleModal());
+    document.getElementById('vehicleForm')?.addEventListener('submit', (e) => this.handleVehicleSave(e));
+    document.getElementById('addDriverBtn')?.addEventListener('click', () => this.openDriverModal());
+    document.getElementById('closeDriverModal')?.addEventListener('click', () => this.closeDriverModal());
+    document.getElementById('cancelDriver')?.addEventListener('click', () => this.closeDriverModal());
+    document.getElementById('driverForm')?.addEventListener('submit', (e) => this.handleDriverSave(e));
+    
     // Custom fields
     document.getElementById('addCustomFieldBtn')?.addEventListener('click', () => this.openCustomFieldModal());
     document.getElementById('closeCustomFieldModal')?.addEventListener('click', () => this.closeCustomFieldModal());
@@ -50,12 +130,31 @@ class SettingsController {
     document.getElementById('customFieldForm')?.addEventListener('submit', (e) => this.handleCustomFieldSave(e));
     document.getElementById('fieldType')?.addEventListener('change', (e) => this.handleFieldTypeChange(e.target.value));
 
+    // Users
+    document.getElementById('inviteForm')?.addEventListener('submit', (e) => this.handleCreateInvite(e));
+    const inviteRole = document.getElementById('inviteRole');
+    this.dataStore.USER_ROLES.forEach(({ role, label }) => inviteRole?.appendChild(new Option(label, role)));
+    if (inviteRole) inviteRole.value = 'clerk';
+    const idleTimeout = document.getElementById('idleTimeout');
+    this.dataStore.IDLE_TIMEOUT_OPTIONS.forEach(minutes =>
+      idleTimeout?.appendChild(new Option(this.getIdleTimeoutLabel(minutes), String(minutes))));
+    idleTimeout?.addEventListener('change', (e) => this.changeIdleTimeout(Number(e.target.value)));
+
+    // Account
+    document.getElementById('changePasswordForm')?.addEventListener('submit', (e) => this.handleChangePassword(e));
+    document.getElementById('changePasswordForm')?.addEventListener('input', () =>
+      document.getElementById('changePasswordError')?.classList.add('hidden'));
+    document.getElementById('recoveryCodesForm')?.addEventListener('submit', (e) => this.handleRegenerateRecoveryCodes(e));
+
     // Backup & Restore
     document.getElementById('exportBackupBtn')?.addEventListener('click', () => this.exportBackup());
     document.getElementById('importBackupBtn')?.addEventListener('click', () => this.triggerImport());
     document.getElementById('importBackupFile')?.addEventListener('change', (e) => this.handleImportFile(e));
     document.getElementById('enableBackupReminder')?.addEventListener('change', (e) => this.toggleReminderSettings(e.target.checked));
     document.getElementById('saveReminderBtn')?.addEventListener('click', () => this.saveReminderSettings());
+    document.getElementById('enableEncryptionForm')?.addEventListener('submit', (e) => this.handleEnableEncryption(e));
+    document.getElementById('changeEncryptionForm')?.addEventListener('submit', (e) => this.handleChangeEncryptionPassphrase(e));
+    document.getElementById('disableEncryptionBtn')?.addEventListener('click', () => this.handleDisableEncryption());
   }
 
   switchTab(tab) {
@@ -73,9 +172,22 @@ class SettingsController {
     if (tab === 'company') {
       document.getElementById('companyTab')?.classList.add('active', 'border-blue-600', 'text-blue-600');
       document.getElementById('companyProfilesPanel')?.classList.remove('hidden');
+    } else if (tab === 'parties') {
+      document.getElementById('partiesTab')?.classList.add('active', 'border-blue-600', 'text-blue-600');
+      document.getElementById('partiesPanel')?.classList.remove('hidden');
+    } else if (tab === 'fleet') {
+      document.getElementById('fleetTab')?.classList.add('active', 'border-blue-600', 'text-blue-600');
+      document.getElementById('fleetPanel')?.classList.remove('hidden');
     } else if (tab === 'customFields') {
       document.getElementById('customFieldsTab')?.classList.add('active', 'border-blue-600', 'text-blue-600');
       document.getElementById('customFieldsPanel')?.classList.remove('hidden');
+    } else if (tab === 'users') {
+      document.getElementById('usersTab')?.classList.add('active', 'border-blue-600', 'text-blue-600');
+      document.getElementById('usersPanel')?.classList.remove('hidden');
+    } else if (tab === 'account') {
+      document.getElementById('accountTab')?.classList.add('active', 'border-blue-600', 'text-blue-600');
+      document.getElementById('accountPanel')?.classList.remove('hidden');
+      this.loadRecoveryCodeCount();
     } else if (tab === 'backup') {
       document.getElementById('backupTab')?.classList.add('active', 'border-blue-600', 'text-blue-600');
       document.getElementById('backupPanel')?.classList.remove('hidden');
@@ -85,9 +197,10 @@ class SettingsController {
 
   // ===== COMPANY PROFILE METHODS =====
 
-  loadCompanyProfiles() {
+  async loadCompanyProfiles() {
     const userId = this.authManager.getUserId();
-    const profiles = this.dataStore.getUserCompanyProfiles(userId);
+    const profiles = await this.dataStore.getUserCompanyProfiles(userId);
+    const numberingExamples = await Promise.all(profiles.map(profile => this.getNumberingExample(profile)));
     
     const container = document.getElementById('companyProfilesList');
     const noCompanies = document.getElementById('noCompanies');
@@ -99,7 +212,7 @@ class SettingsController {
     }
     
     noCompanies?.classList.add('hidden');
-    container.innerHTML = profiles.map(profile => this.renderCompanyCard(profile)).join('');
+    container.innerHTML = html`${profiles.map((profile, index) => this.renderCompanyCard(profile, numberingExamples[index]))}`;
     
     // Add event listeners
     profiles.forEach(profile => {
@@ -109,34 +222,54 @@ class SettingsController {
     });
   }
 
-  renderCompanyCard(profile) {
-    return `
+  renderCompanyCard(profile, numberingExample) {
+    const location = [profile.city, profile.state, profile.pincode].filter(Boolean).join(', ');
+    return html`
       <div class="border border-gray-200 rounded-lg p-4 ${profile.isDefault ? 'border-blue-500 bg-blue-50' : ''}">
         <div class="flex justify-between items-start">
           <div class="flex-1">
             <div class="flex items-center gap-2 mb-2">
-              <h3 class="text-lg font-semibold">${this.escapeHtml(profile.name)}</h3>
-              ${profile.isDefault ? '<span class="bg-blue-500 text-white text-xs px-2 py-1 rounded">Default</span>' : ''}
+              <h3 class="text-lg font-semibold">${profile.name}</h3>
+              ${profile.isDefault ? html`<span class="bg-blue-500 text-white text-xs px-2 py-1 rounded">Default</span>` : ''}
             </div>
-            ${profile.address ? `<p class="text-sm text-gray-600">${this.escapeHtml(profile.address)}</p>` : ''}
-            ${profile.city || profile.state || profile.pincode ? `<p class="text-sm text-gray-600">${[profile.city, profile.state, profile.pincode].filter(Boolean).join(', ')}</p>` : ''}
+            ${profile.address ? html`<p class="text-sm text-gray-600">${profile.address}</p>` : ''}
+            ${location ? html`<p class="text-sm text-gray-600">${location}</p>` : ''}
             <div class="mt-2 space-y-1">
-              ${profile.gstNumber ? `<p class="text-sm text-gray-600"><span class="font-medium">GST:</span> ${this.escapeHtml(profile.gstNumber)}</p>` : ''}
-              ${profile.panNumber ? `<p class="text-sm text-gray-600"><span class="font-medium">PAN:</span> ${this.escapeHtml(profile.panNumber)}</p>` : ''}
-              ${profile.phone ? `<p class="text-sm text-gray-600"><span class="font-medium">Phone:</span> ${this.escapeHtml(profile.phone)}</p>` : ''}
-              ${profile.email ? `<p class="text-sm text-gray-600"><span class="font-medium">Email:</span> ${this.escapeHtml(profile.email)}</p>` : ''}
+              ${profile.gstNumber ? html`<p class="text-sm text-gray-600"><span class="font-medium">GST:</span> ${profile.gstNumber}</p>` : ''}
+              ${profile.panNumber ? html`<p class="text-sm text-gray-600"><span class="font-medium">PAN:</span> ${profile.panNumber}</p>` : ''}
+              ${profile.phone ? html`<p class="text-sm text-gray-600"><span class="font-medium">Phone:</span> ${profile.phone}</p>` : ''}
+              ${profile.email ? html`<p class="text-sm text-gray-600"><span class="font-medium">Email:</span> ${profile.email}</p>` : ''}
+              <p class="text-sm text-gray-600"><span class="font-medium">Numbering:</span> ${numberingExample}</p>
+              <p class="text-sm text-gray-600"><span class="font-medium">Payment terms:</span> ${this.getPaymentTermsSummary({
+                ...profile,
+                freightBasis: profile.freightBasis || this.dataStore.DEFAULT_PAYMENT_TERMS.freightBasis,
+                paymentTermsDays: profile.paymentTermsDays ?? this.dataStore.DEFAULT_PAYMENT_TERMS.termsDays
+              })}</p>
             </div>
           </div>
+          ${this.can('companies.manage') ? html`
           <div class="flex gap-2">
-            ${!profile.isDefault ? `<button id="set-default-${profile.id}" class="text-blue-600 hover:text-blue-800 text-sm">Set Default</button>` : ''}
+            ${!profile.isDefault ? html`<button id="set-default-${profile.id}" class="text-blue-600 hover:text-blue-800 text-sm">Set Default</button>` : ''}
             <button id="edit-company-${profile.id}" class="text-orange-600 hover:text-orange-800">✏️</button>
             <button id="delete-company-${profile.id}" class="text-red-600 hover:text-red-800">🗑️</button>
-          </div>
+          </div>` : ''}
         </div>
       </div>
     `;
   }
 
+  /**
+   * Example bilty and invoice numbers for a profile's numbering settings
+   */
+  async getNumberingExample(profile) {
+    const financialYear = await this.dataStore.getFinancialYear();
+    const examples = await Promise.all(['bilty', 'invoice'].map(async type => {
+      const { prefix, pattern } = await this.dataStore.getNumberingSettings(profile, type);
+      return this.dataStore.formatDocumentNumber(pattern, { prefix, financialYear, sequence: 1 });
+    }));
+    return examples.join(', ');
+  }
+
   openCompanyModal(profile = null) {
     this.editingCompanyId = profile?.id || null;
     
@@ -152,6 +285,12 @@ class SettingsController {
     document.getElementById('companyPhone').value = profile?.phone || '';
     document.getElementById('companyEmail').value = profile?.email || '';
     document.getElementById('companyWebsite').value = profile?.website || '';
+    document.getElementById('companyBiltyPrefix').value = profile?.biltyPrefix || '';
+    document.getElementById('companyInvoicePrefix').value = profile?.invoicePrefix || '';
+    document.getElementById('companyNumberPattern').value = profile?.numberPattern || '';
+    document.getElementById('companyFreightBasis').value = profile?.freightBasis || this.dataStore.DEFAULT_PAYMENT_TERMS.freightBasis;
+    document.getElementById('companyPaymentTermsDays').value = profile?.paymentTermsDays ?? '';
+    document.getElementById('companyAdvancePercent').value = profile?.advancePercent ?? '';
     document.getElementById('companyIsDefault').checked = profile?.isDefault || false;
     
     document.getElementById('companyModal')?.classList.remove('hidden');
@@ -183,14 +322,29 @@ class SettingsController {
       phone: document.getElementById('companyPhone').value.trim(),
       email: document.getElementById('companyEmail').value.trim(),
       website: document.getElementById('companyWebsite').value.trim(),
+      biltyPrefix: document.getElementById('companyBiltyPrefix').value.trim(),
+      invoicePrefix: document.getElementById('companyInvoicePrefix').value.trim(),
+      numberPattern: document.getElementById('companyNumberPattern').value.trim(),
+      ...this.readPaymentTerms('company'),
       isDefault: document.getElementById('companyIsDefault').checked
     };
+
+    if (profileData.numberPattern && !(await this.dataStore.isValidNumberPattern(profileData.numberPattern))) {
+      this.showCompanyError('Number format must include {SEQ} so every document gets a unique number');
+      return;
+    }
+
+    const termsValidation = this.formValidator.validatePaymentTerms(profileData);
+    if (!termsValidation.valid) {
+      this.showCompanyError(termsValidation.error);
+      return;
+    }
     
     let result;
     if (this.editingCompanyId) {
-      result = this.dataStore.updateCompanyProfile(this.editingCompanyId, profileData);
+      result = await this.dataStore.updateCompanyProfile(this.editingCompanyId, profileData);
     } else {
-      result = this.dataStore.saveCompanyProfile(profileData);
+      result = await this.dataStore.saveCompanyProfile(profileData);
     }
     
     if (result.success) {
@@ -202,14 +356,37 @@ class SettingsController {
     }
   }
 
+  /**
+   * Read the payment terms fields of the company or party form
+   * Blank fields stay blank so the defaults (or the company's terms, for a party) apply
+   */
+  readPaymentTerms(prefix) {
+    return {
+      freightBasis: document.getElementById(`${prefix}FreightBasis`).value,
+      paymentTermsDays: document.getElementById(`${prefix}PaymentTermsDays`).value.trim(),
+      advancePercent: document.getElementById(`${prefix}AdvancePercent`).value.trim()
+    };
+  }
+
+  /**
+   * Summary of a company profile's or party's payment terms for its card
+   */
+  getPaymentTermsSummary(terms) {
+    const parts = [];
+    if (terms.freightBasis) parts.push(PaymentTracker.FREIGHT_BASES.find(item => item.basis === terms.freightBasis)?.label);
+    if (terms.paymentTermsDays !== null && terms.paymentTermsDays !== undefined) parts.push(`Net ${terms.paymentTermsDays} days`);
+    if (terms.advancePercent) parts.push(`${terms.advancePercent}% advance`);
+    return parts.filter(Boolean).join(' · ');
+  }
+
   async setDefaultCompany(id) {
     const userId = this.authManager.getUserId();
-    const profiles = this.dataStore.getUserCompanyProfiles(userId);
+    const profiles = await this.dataStore.getUserCompanyProfiles(userId);
     const profile = profiles.find(p => p.id === id);
     
     if (profile) {
       profile.isDefault = true;
-      const result = this.dataStore.updateCompanyProfile(id, profile);
+      const result = await this.dataStore.updateCompanyProfile(id, profile);
       if (result.success) {
         this.showToast('Default company updated', 'success');
         this.loadCompanyProfiles();
@@ -221,7 +398,7 @@ class SettingsController {
     if (!confirm('Are you sure you want to delete this company profile?')) return;
     
     const userId = this.authManager.getUserId();
-    const result = this.dataStore.deleteCompanyProfile(id, userId);
+    const result = await this.dataStore.deleteCompanyProfile(id, userId);
     
     if (result.success) {
       this.showToast('Company profile deleted', 'success');
@@ -231,11 +408,388 @@ class SettingsController {
     }
   }
 
+  // ===== PARTY METHODS =====
+
+  async loadParties() {
+    const userId = this.authManager.getUserId();
+    this.parties = await this.dataStore.getUserParties(userId);
+    this.renderParties();
+  }
+
+  renderParties() {
+    const container = document.getElementById('partiesList');
+    const noParties = document.getElementById('noParties');
+    if (!container) return;
+
+    if (this.parties.length === 0) {
+      container.innerHTML = '';
+      noParties?.classList.remove('hidden');
+      return;
+    }
+
+    noParties?.classList.add('hidden');
+
+    const searchTerm = (document.getElementById('partySearch')?.value || '').toLowerCase().trim();
+    const parties = searchTerm
+      ? this.parties.filter(party => [party.name, party.city, party.state, party.gstNumber]
+        .some(value => value && value.toLowerCase().includes(searchTerm)))
+      : this.parties;
+
+    if (parties.length === 0) {
+      container.innerHTML = '<p class="text-center py-4 text-gray-500">No parties match your search.</p>';
+      return;
+    }
+
+    container.innerHTML = html`${parties.map(party => this.renderPartyCard(party))}`;
+
+    parties.forEach(party => {
+      document.getElementById(`edit-party-${party.id}`)?.addEventListener('click', () => this.openPartyModal(party));
+      document.getElementById(`delete-party-${party.id}`)?.addEventListener('click', () => this.deleteParty(party.id));
+    });
+  }
+
+  renderPartyCard(party) {
+    const location = [party.city, party.state].filter(Boolean).join(', ');
+    const paymentTerms = this.getPaymentTermsSummary(party);
+    return html`
+      <div class="border border-gray-200 rounded-lg p-4">
+        <div class="flex justify-between items-start">
+          <div class="flex-1">
+            <h3 class="text-lg font-semibold mb-1">${party.name}</h3>
+            ${party.address ? html`<p class="text-sm text-gray-600">${party.address}</p>` : ''}
+            ${location ? html`<p class="text-sm text-gray-600">${location}</p>` : ''}
+            <div class="mt-2 space-y-1">
+              ${party.gstNumber ? html`<p class="text-sm text-gray-600"><span class="font-medium">GSTIN:</span> ${party.gstNumber}</p>` : ''}
+              ${party.phone ? html`<p class="text-sm text-gray-600"><span class="font-medium">Phone:</span> ${party.phone}</p>` : ''}
+              ${paymentTerms ? html`<p class="text-sm text-gray-600"><span class="font-medium">Payment terms:</span> ${paymentTerms}</p>` : ''}
+            </div>
+          </div>
+          ${this.can('parties.manage') ? html`
+          <div class="flex gap-2">
+            <button id="edit-party-${party.id}" class="text-orange-600 hover:text-orange-800">✏️</button>
+            <button id="delete-party-${party.id}" class="text-red-600 hover:text-red-800">🗑️</button>
+          </div>` : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  openPartyModal(party = null) {
+    this.editingPartyId = party?.id || null;
+
+    document.getElementById('partyModalTitle').textContent = party ? 'Edit Party' : 'Add Party';
+    document.getElementById('partyName').value = party?.name || '';
+    document.getElementById('partyAddress').value = party?.address || '';
+    document.getElementById('partyCity').value = party?.city || '';
+    document.getElementById('partyState').value = party?.state || '';
+    document.getElementById('partyGST').value = party?.gstNumber || '';
+    document.getElementById('partyPhone').value = party?.phone || '';
+    document.getElementById('partyFreightBasis').value = party?.freightBasis || '';
+    document.getElementById('partyPaymentTermsDays').value = party?.paymentTermsDays ?? '';
+    document.getElementById('partyAdvancePercent').value = party?.advancePercent ?? '';
+    document.getElementById('partyErrorMessages')?.classList.add('hidden');
+
+    document.getElementById('partyModal')?.classList.remove('hidden');
+  }
+
+  closePartyModal() {
+    document.getElementById('partyModal')?.classList.add('hidden');
+    document.getElementById('partyForm')?.reset();
+    this.editingPartyId = null;
+  }
+
+  async handlePartySave(e) {
+    e.preventDefault();
+
+    const partyData = {
+      userId: this.authManager.getUserId(),
+      name: document.getElementById('partyName').value.trim(),
+      address: document.getElementById('partyAddress').value.trim(),
+      city: document.getElementById('partyCity').value.trim(),
+      state: document.getElementById('partyState').value.trim(),
+      gstNumber: document.getElementById('partyGST').value.trim().toUpperCase(),
+      phone: document.getElementById('partyPhone').value.trim(),
+      ...this.readPaymentTerms('party')
+    };
+
+    if (!partyData.name) {
+      this.showPartyError('Party name is required');
+      return;
+    }
+
+    const termsValidation = this.formValidator.validatePaymentTerms(partyData);
+    if (!termsValidation.valid) {
+      this.showPartyError(termsValidation.error);
+      return;
+    }
+
+    const gstinValidation = this.formValidator.validateGstin(partyData.gstNumber);
+    if (!gstinValidation.valid) {
+      this.showPartyError(gstinValidation.error);
+      return;
+    }
+
+    const result = this.editingPartyId
+      ? await this.dataStore.updateParty(this.editingPartyId, partyData)
+      : await this.dataStore.saveParty(partyData);
+
+    if (result.success) {
+      this.showToast('Party saved successfully', 'success');
+      this.closePartyModal();
+      this.loadParties();
+    } else {
+      this.showPartyError('Failed to save party: ' + result.error);
+    }
+  }
+
+  async deleteParty(id) {
+    if (!confirm('Are you sure you want to delete this party? Records that use it will no longer print it.')) return;
+
+    const userId = this.authManager.getUserId();
+    const result = await this.dataStore.deleteParty(id, userId);
+
+    if (result.success) {
+      this.showToast('Party deleted', 'success');
+      this.loadParties();
+    } else {
+      this.showToast('Failed to delete party', 'error');
+    }
+  }
+
+  // ===== VEHICLE AND DRIVER METHODS =====
+
+  async loadVehicles() {
+    const userId = this.authManager.getUserId();
+    const vehicles = await this.dataStore.getUserVehicles(userId);
+    const warnings = await Promise.all(vehicles.map(vehicle => this.dataStore.getVehicleExpiryWarnings(vehicle)));
+    
+    const container = document.getElementById('vehiclesList');
+    const noVehicles = document.getElementById('noVehicles');
+    
+    if (!container) return;
+    
+    if (vehicles.length === 0) {
+      container.innerHTML = '';
+      noVehicles?.classList.remove('hidden');
+      return;
+    }
+    
+    noVehicles?.classList.add('hidden');
+    container.innerHTML = html`${vehicles.map((vehicle, index) => this.renderVehicleCard(vehicle, warnings[index]))}`;
+    
+    vehicles.forEach(vehicle => {
+      document.getElementById(`edit-vehicle-${vehicle.id}`)?.addEventListener('click', () => this.openVehicleModal(vehicle));
+      document.getElementById(`delete-vehicle-${vehicle.id}`)?.addEventListener('click', () => this.deleteVehicle(vehicle.id));
+    });
+  }
+
+  renderVehicleCard(vehicle, warnings) {
+    const details = [
+      vehicle.vehicleType,
+      vehicle.capacity ? `${vehicle.capacity} kg` : '',
+      vehicle.ownerName ? `Owner: ${vehicle.ownerName}` : 'Own fleet'
+    ].filter(Boolean).join(' · ');
+    const expiries = [
+      ['Permit', vehicle.permitExpiry],
+      ['Insurance', vehicle.insuranceExpiry],
+      ['Fitness', vehicle.fitnessExpiry]
+    ].filter(([, date]) => date);
+
+    return html`
+      <div class="border ${warnings.length > 0 ? 'border-yellow-200 bg-yellow-50' : 'border-gray-200'} rounded-lg p-4">
+        <div class="flex justify-between items-start">
+          <div class="flex-1">
+            <h3 class="text-lg font-semibold mb-1">${vehicle.registrationNumber}</h3>
+            <p class="text-sm text-gray-600">${details}</p>
+            ${expiries.length > 0 ? html`
+              <p class="text-sm text-gray-600 mt-2">
+                ${expiries.map(([label, date], index) => html`${index > 0 ? html` &nbsp; ` : ''}<span class="font-medium">${label}:</span> ${date}`)}
+              </p>
+            ` : ''}
+            ${warnings.length > 0 ? html`<p class="text-sm text-yellow-700 mt-2">⚠️ ${warnings.join('; ')}</p>` : ''}
+          </div>
+          ${this.can('fleet.manage') ? html`
+          <div class="flex gap-2">
+            <button id="edit-vehicle-${vehicle.id}" class="text-orange-600 hover:text-orange-800">✏️</button>
+            <button id="delete-vehicle-${vehicle.id}" class="text-red-600 hover:text-red-800">🗑️</button>
+          </div>` : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  openVehicleModal(vehicle = null) {
+    this.editingVehicleId = vehicle?.id || null;
+
+    document.getElementById('vehicleModalTitle').textContent = vehicle ? 'Edit Vehicle' : 'Add Vehicle';
+    document.getElementById('vehicleRegistration').value = vehicle?.registrationNumber || '';
+    document.getElementById('vehicleType').value = vehicle?.vehicleType || '';
+    document.getElementById('vehicleCapacity').value = vehicle?.capacity ?? '';
+    document.getElementById('vehicleOwner').value = vehicle?.ownerName || '';
+    document.getElementById('vehiclePermitExpiry').value = vehicle?.permitExpiry || '';
+    document.getElementById('vehicleInsuranceExpiry').value = vehicle?.insuranceExpiry || '';
+    document.getElementById('vehicleFitnessExpiry').value = vehicle?.fitnessExpiry || '';
+    document.getElementById('vehicleErrorMessages')?.classList.add('hidden');
+
+    document.getElementById('vehicleModal')?.classList.remove('hidden');
+  }
+
+  closeVehicleModal() {
+    document.getElementById('vehicleModal')?.classList.add('hidden');
+    document.getElementById('vehicleForm')?.reset();
+    this.editingVehicleId = null;
+  }
+
+  async handleVehicleSave(e) {
+    e.preventDefault();
+
+    const vehicleData = {
+      userId: this.authManager.getUserId(),
+      registrationNumber: document.getElementById('vehicleRegistration').value.trim(),
+      vehicleType: document.getElementById('vehicleType').value.trim(),
+      capacity: document.getElementById('vehicleCapacity').value,
+      ownerName: document.getElementById('vehicleOwner').value.trim(),
+      permitExpiry: document.getElementById('vehiclePermitExpiry').value,
+      insuranceExpiry: document.getElementById('vehicleInsuranceExpiry').value,
+      fitnessExpiry: document.getElementById('vehicleFitnessExpiry').value
+    };
+
+    if (!vehicleData.registrationNumber) {
+      this.showVehicleError('Registration number is required');
+      return;
+    }
+
+    const result = this.editingVehicleId
+      ? await this.dataStore.updateVehicle(this.editingVehicleId, vehicleData)
+      : await this.dataStore.saveVehicle(vehicleData);
+
+    if (result.success) {
+      this.showToast('Vehicle saved successfully', 'success');
+      this.closeVehicleModal();
+      this.loadVehicles();
+    } else {
+      this.showVehicleError('Failed to save vehicle: ' + result.error);
+    }
+  }
+
+  async deleteVehicle(id) {
+    if (!confirm('Are you sure you want to delete this vehicle? Bilties that use it will no longer print it.')) return;
+
+    const userId = this.authManager.getUserId();
+    const result = await this.dataStore.deleteVehicle(id, userId);
+
+    if (result.success) {
+      this.showToast('Vehicle deleted', 'success');
+      this.loadVehicles();
+    } else {
+      this.showToast('Failed to delete vehicle', 'error');
+    }
+  }
+
+  async loadDrivers() {
+    const userId = this.authManager.getUserId();
+    const drivers = await this.dataStore.getUserDrivers(userId);
+    
+    const container = document.getElementById('driversList');
+    const noDrivers = document.getElementById('noDrivers');
+    
+    if (!container) return;
+    
+    if (drivers.length === 0) {
+      container.innerHTML = '';
+      noDrivers?.classList.remove('hidden');
+      return;
+    }
+    
+    noDrivers?.classList.add('hidden');
+    container.innerHTML = html`${drivers.map(driver => html`
+      <div class="border border-gray-200 rounded-lg p-4">
+        <div class="flex justify-between items-start">
+          <div class="flex-1">
+            <h3 class="text-lg font-semibold mb-1">${driver.name}</h3>
+            ${driver.licenceNumber ? html`<p class="text-sm text-gray-600"><span class="font-medium">Licence:</span> ${driver.licenceNumber}</p>` : ''}
+            ${driver.phone ? html`<p class="text-sm text-gray-600"><span class="font-medium">Phone:</span> ${driver.phone}</p>` : ''}
+          </div>
+          ${this.can('fleet.manage') ? html`
+          <div class="flex gap-2">
+            <button id="edit-driver-${driver.id}" class="text-orange-600 hover:text-orange-800">✏️</button>
+            <button id="delete-driver-${driver.id}" class="text-red-600 hover:text-red-800">🗑️</button>
+          </div>` : ''}
+        </div>
+      </div>
+    `)}`;
+    
+    drivers.forEach(driver => {
+      document.getElementById(`edit-driver-${driver.id}`)?.addEventListener('click', () => this.openDriverModal(driver));
+      document.getElementById(`delete-driver-${driver.id}`)?.addEventListener('click', () => this.deleteDriver(driver.id));
+    });
+  }
+
+  openDriverModal(driver = null) {
+    this.editingDriverId = driver?.id || null;
+
+    document.getElementById('driverModalTitle').textContent = driver ? 'Edit Driver' : 'Add Driver';
+    document.getElementById('driverName').value = driver?.name || '';
+    document.getElementById('driverLicence').value = driver?.licenceNumber || '';
+    document.getElementById('driverPhone').value = driver?.phone || '';
+    document.getElementById('driverErrorMessages')?.classList.add('hidden');
+
+    document.getElementById('driverModal')?.classList.remove('hidden');
+  }
+
+  closeDriverModal() {
+    document.getElementById('driverModal')?.classList.add('hidden');
+    document.getElementById('driverForm')?.reset();
+    this.editingDriverId = null;
+  }
+
+  async handleDriverSave(e) {
+    e.preventDefault();
+
+    const driverData = {
+      userId: this.authManager.getUserId(),
+      name: document.getElementById('driverName').value.trim(),
+      licenceNumber: document.getElementById('driverLicence').value.trim().toUpperCase(),
+      phone: document.getElementById('driverPhone').value.trim()
+    };
+
+    if (!driverData.name) {
+      this.showDriverError('Driver name is required');
+      return;
+    }
+
+    const result = this.editingDriverId
+      ? await this.dataStore.updateDriver(this.editingDriverId, driverData)
+      : await this.dataStore.saveDriver(driverData);
+
+    if (result.success) {
+      this.showToast('Driver saved successfully', 'success');
+      this.closeDriverModal();
+      this.loadDrivers();
+    } else {
+      this.showDriverError('Failed to save driver: ' + result.error);
+    }
+  }
+
+  async deleteDriver(id) {
+    if (!confirm('Are you sure you want to delete this driver? Bilties that use them will no longer print them.')) return;
+
+    const userId = this.authManager.getUserId();
+    const result = await this.dataStore.deleteDriver(id, userId);
+
+    if (result.success) {
+      this.showToast('Driver deleted', 'success');
+      this.loadDrivers();
+    } else {
+      this.showToast('Failed to delete driver', 'error');
+    }
+  }
+
   // ===== CUSTOM FIELDS METHODS =====
 
-  loadCustomFields() {
+  async loadCustomFields() {
     const userId = this.authManager.getUserId();
-    const fields = this.dataStore.getUserCustomFields(userId);
+    const fields = await this.dataStore.getUserCustomFields(userId);
     
     const container = document.getElementById('customFieldsList');
     const noFields = document.getElementById('noCustomFields');
@@ -247,7 +801,7 @@ class SettingsController {
     }
     
     noFields?.classList.add('hidden');
-    container.innerHTML = fields.map(field => this.renderCustomFieldCard(field)).join('');
+    container.innerHTML = html`${fields.map(field => this.renderCustomFieldCard(field))}`;
     
     // Add event listeners
     fields.forEach(field => {
@@ -264,19 +818,20 @@ class SettingsController {
       select: 'Dropdown'
     };
     
-    return `
+    return html`
       <div class="border border-gray-200 rounded-lg p-4">
         <div class="flex justify-between items-start">
           <div class="flex-1">
-            <h3 class="text-lg font-semibold">${this.escapeHtml(field.fieldLabel)}</h3>
-            <p class="text-sm text-gray-600">Field Name: <code class="bg-gray-100 px-2 py-1 rounded">${this.escapeHtml(field.fieldName)}</code></p>
+            <h3 class="text-lg font-semibold">${field.fieldLabel}</h3>
+            <p class="text-sm text-gray-600">Field Name: <code class="bg-gray-100 px-2 py-1 rounded">${field.fieldName}</code></p>
             <p class="text-sm text-gray-600">Type: ${typeLabels[field.fieldType] || field.fieldType}</p>
-            ${field.isRequired ? '<span class="inline-block bg-red-100 text-red-800 text-xs px-2 py-1 rounded mt-1">Required</span>' : ''}
-            ${field.options ? `<p class="text-sm text-gray-600 mt-1">Options: ${field.options.join(', ')}</p>` : ''}
+            ${field.isRequired ? html`<span class="inline-block bg-red-100 text-red-800 text-xs px-2 py-1 rounded mt-1">Required</span>` : ''}
+            ${field.options ? html`<p class="text-sm text-gray-600 mt-1">Options: ${field.options.join(', ')}</p>` : ''}
           </div>
+          ${this.can('customFields.manage') ? html`
           <div class="flex gap-2">
             <button id="delete-field-${field.id}" class="text-red-600 hover:text-red-800">🗑️</button>
-          </div>
+          </div>` : ''}
         </div>
       </div>
     `;
@@ -332,7 +887,7 @@ class SettingsController {
       fieldData.options = optionsStr.split(',').map(o => o.trim()).filter(Boolean);
     }
     
-    const result = this.dataStore.saveCustomField(fieldData);
+    const result = await this.dataStore.saveCustomField(fieldData);
     
     if (result.success) {
       this.showToast('Custom field added successfully', 'success');
@@ -347,7 +902,7 @@ class SettingsController {
     if (!confirm('Are you sure you want to delete this custom field? Existing data will not be affected.')) return;
     
     const userId = this.authManager.getUserId();
-    const result = this.dataStore.deleteCustomField(id, userId);
+    const result = await this.dataStore.deleteCustomField(id, userId);
     
     if (result.success) {
       this.showToast('Custom field deleted', 'success');
@@ -357,6 +912,290 @@ class SettingsController {
     }
   }
 
+  // ===== USER INVITE METHODS =====
+
+  getRoleLabel(role) {
+    return this.dataStore.USER_ROLES.find(item => item.role === role)?.label || role;
+  }
+
+  async loadUsers() {
+    const currentUserId = this.authManager.getUserId();
+    const [users, organisation, lockedUsers] = await Promise.all([
+      this.dataStore.getUsers(currentUserId),
+      this.dataStore.getUserOrganisation(currentUserId),
+      this.dataStore.getLockedUsers(currentUserId)
+    ]);
+    const lockouts = new Map(lockedUsers.map(lockout => [lockout.userId, lockout]));
+
+    const organisationName = document.getElementById('organisationName');
+    if (organisationName) organisationName.textContent = organisation ? `· ${organisation.name}` : '';
+
+    const container = document.getElementById('usersList');
+    if (!container) return;
+
+    const roleOptions = selectedRole => this.dataStore.USER_ROLES.map(({ role, label }) =>
+      html`<option value="${role}" ${role === selectedRole ? 'selected' : ''}>${label}</option>`);
+
+    container.innerHTML = html`${users.map(user => html`
+      <div class="border border-gray-200 rounded-lg p-4 flex justify-between items-center">
+        <div>
+          <h3 class="text-lg font-semibold">${user.username}${user.id === currentUserId ? html` <span class="text-sm font-normal text-gray-500">(you)</span>` : ''}</h3>
+          <p class="text-sm text-gray-600"><span class="font-medium">Joined:</span> ${new Date(user.createdAt).toLocaleDateString('en-IN')}</p>
+          ${lockouts.has(user.id) ? html`<p class="text-sm text-red-700"><span class="font-medium">Locked until:</span> ${new Date(lockouts.get(user.id).lockedUntil).toLocaleString('en-IN')} after ${lockouts.get(user.id).failedAttempts} failed logins</p>` : ''}
+        </div>
+        <div class="flex items-center gap-3">
+        ${lockouts.has(user.id) ? html`<button id="unlock-user-${user.id}" class="text-blue-600 hover:text-blue-800 text-sm">Unlock</button>` : ''}
+        ${user.id === currentUserId
+          ? html`<span class="bg-blue-100 text-blue-800 text-xs px-2 py-1 rounded">${this.getRoleLabel(user.role)}</span>`
+          : html`<select id="role-user-${user.id}" aria-label="Role of ${user.username}"
+                     class="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500">
+               ${roleOptions(user.role)}
+             </select>`}
+        </div>
+      </div>
+    `)}`;
+
+    users.forEach(user => {
+      document.getElementById(`role-user-${user.id}`)?.addEventListener('change', (e) => this.changeUserRole(user, e.target.value));
+      document.getElementById(`unlock-user-${user.id}`)?.addEventListener('click', () => this.unlockUser(user));
+    });
+  }
+
+  async unlockUser(user) {
+    const result = await this.dataStore.unlockUser(this.authManager.getUserId(), user.id);
+
+    if (result.success) {
+      this.showToast(`${user.username} can log in again`, 'success');
+    } else {
+      this.showToast('Failed to unlock user: ' + result.error, 'error');
+    }
+    this.loadUsers();
+  }
+
+  async changeUserRole(user, role) {
+    if (!confirm(`Change ${user.username}'s role to ${this.getRoleLabel(role)}?`)) {
+      this.loadUsers();
+      return;
+    }
+
+    const result = await this.dataStore.updateUserRole(this.authManager.getUserId(), user.id, role);
+
+    if (result.success) {
+      this.showToast(`${user.username} is now ${this.getRoleLabel(role)}`, 'success');
+    } else {
+      this.showToast('Failed to change role: ' + result.error, 'error');
+    }
+    this.loadUsers();
+  }
+
+  async loadInvites() {
+    const userId = this.authManager.getUserId();
+    const invites = await this.dataStore.getUserInvites(userId);
+
+    const container = document.getElementById('invitesList');
+    const noInvites = document.getElementById('noInvites');
+
+    if (!container) return;
+
+    if (invites.length === 0) {
+      container.innerHTML = '';
+      noInvites?.classList.remove('hidden');
+      return;
+    }
+
+    const statusBadges = {
+      pending: html`<span class="bg-blue-100 text-blue-800 text-xs px-2 py-1 rounded">Pending</span>`,
+      used: html`<span class="bg-green-100 text-green-800 text-xs px-2 py-1 rounded">Used</span>`,
+      expired: html`<span class="bg-gray-100 text-gray-700 text-xs px-2 py-1 rounded">Expired</span>`
+    };
+
+    noInvites?.classList.add('hidden');
+    container.innerHTML = html`${invites.map(invite => html`
+      <div class="border border-gray-200 rounded-lg p-4">
+        <div class="flex justify-between items-start">
+          <div class="flex-1">
+            <div class="flex items-center gap-2 mb-1">
+              <h3 class="text-lg font-semibold">${invite.note || 'Invite'}</h3>
+              ${statusBadges[invite.status]}
+            </div>
+            <p class="text-sm text-gray-600"><span class="font-medium">Role:</span> ${this.getRoleLabel(invite.role)}</p>
+            <p class="text-sm text-gray-600"><span class="font-medium">Created:</span> ${new Date(invite.createdAt).toLocaleString('en-IN')}</p>
+            ${invite.status === 'used'
+              ? html`<p class="text-sm text-gray-600"><span class="font-medium">Joined as:</span> ${invite.usedByUsername} on ${new Date(invite.usedAt).toLocaleString('en-IN')}</p>`
+              : html`<p class="text-sm text-gray-600"><span class="font-medium">Expires:</span> ${new Date(invite.expiresAt).toLocaleString('en-IN')}</p>`}
+          </div>
+          <div class="flex gap-2">
+            ${invite.status !== 'used' ? html`<button id="delete-invite-${invite.id}" class="text-red-600 hover:text-red-800 text-sm">Revoke</button>` : ''}
+          </div>
+        </div>
+      </div>
+    `)}`;
+
+    invites.forEach(invite => {
+      document.getElementById(`delete-invite-${invite.id}`)?.addEventListener('click', () => this.deleteInvite(invite.id));
+    });
+  }
+
+  async handleCreateInvite(e) {
+    e.preventDefault();
+
+    const userId = this.authManager.getUserId();
+    const noteInput = document.getElementById('inviteNote');
+    const role = document.getElementById('inviteRole').value;
+    const result = await this.dataStore.createInvite(userId, noteInput.value.trim(), role);
+
+    if (result.success) {
+      // Only the hash is stored, so this is the one chance to copy the code
+      const link = new URL(`register.html?invite=${encodeURIComponent(result.code)}`, window.location.href).href;
+      document.getElementById('newInviteCode').textContent = result.code;
+      document.getElementById('newInviteLink').textContent = link;
+      document.getElementById('newInvite')?.classList.remove('hidden');
+      noteInput.value = '';
+      this.loadInvites();
+      this.loadUsers();
+    } else {
+      this.showToast('Failed to create invite: ' + result.error, 'error');
+    }
+  }
+
+  async deleteInvite(id) {
+    if (!confirm('Revoke this invite? The code will stop working.')) return;
+
+    const userId = this.authManager.getUserId();
+    const result = await this.dataStore.deleteInvite(id, userId);
+
+    if (result.success) {
+      this.showToast('Invite revoked', 'success');
+      this.loadInvites();
+    } else {
+      this.showToast('Failed to revoke invite', 'error');
+    }
+  }
+
+  // ===== SESSION METHODS =====
+
+  getIdleTimeoutLabel(minutes) {
+    if (minutes < 60) return `${minutes} minutes`;
+    return minutes === 60 ? '1 hour' : `${minutes / 60} hours`;
+  }
+
+  async loadSessions() {
+    const userId = this.authManager.getUserId();
+    const [sessions, organisation] = await Promise.all([
+      this.dataStore.getSessions(userId),
+      this.dataStore.getUserOrganisation(userId)
+    ]);
+
+    const idleTimeout = document.getElementById('idleTimeout');
+    if (idleTimeout && organisation) idleTimeout.value = String(organisation.idleTimeoutMinutes);
+
+    const container = document.getElementById('sessionsList');
+    if (!container) return;
+
+    const currentSessionId = this.authManager.getSession()?.sessionId;
+    container.innerHTML = html`${sessions.map(session => html`
+      <div class="border border-gray-200 rounded-lg p-4 flex justify-between items-start gap-4">
+        <div class="min-w-0">
+          <h3 class="text-lg font-semibold">${session.username}${session.id === currentSessionId ? html` <span class="text-sm font-normal text-gray-500">(this browser)</span>` : ''}</h3>
+          <p class="text-xs text-gray-500 break-all">${session.userAgent || 'Unknown browser'}</p>
+          <p class="text-sm text-gray-600"><span class="font-medium">Logged in:</span> ${new Date(session.createdAt).toLocaleString('en-IN')}</p>
+          <p class="text-sm text-gray-600"><span class="font-medium">Last active:</span> ${new Date(session.lastActiveAt).toLocaleString('en-IN')}</p>
+        </div>
+        ${session.id !== currentSessionId ? html`<button id="revoke-session-${session.id}" class="text-red-600 hover:text-red-800 text-sm">Log out</button>` : ''}
+      </div>
+    `)}`;
+
+    sessions.forEach(session => {
+      document.getElementById(`revoke-session-${session.id}`)?.addEventListener('click', () => this.revokeSession(session));
+    });
+  }
+
+  async revokeSession(session) {
+    if (!confirm(`Log ${session.username} out of this session? Unsaved work in that browser will be lost.`)) return;
+
+    const result = await this.dataStore.revokeSession(this.authManager.getUserId(), session.id);
+
+    if (result.success) {
+      this.showToast(`${session.username} has been logged out`, 'success');
+    } else {
+      this.showToast('Failed to log out session: ' + result.error, 'error');
+    }
+    this.loadSessions();
+  }
+
+  async changeIdleTimeout(minutes) {
+    const result = await this.dataStore.updateIdleTimeout(this.authManager.getUserId(), minutes);
+
+    if (result.success) {
+      this.showToast(`Sessions now end after ${this.getIdleTimeoutLabel(minutes)} without activity`, 'success');
+    } else {
+      this.showToast('Failed to change idle timeout: ' + result.error, 'error');
+    }
+    this.loadSessions();
+  }
+
+  // ===== ACCOUNT METHODS =====
+
+  async handleChangePassword(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const errorDiv = document.getElementById('changePasswordError');
+    const newPassword = document.getElementById('newPassword').value;
+
+    const showError = (message) => {
+      errorDiv.textContent = message;
+      errorDiv.classList.remove('hidden');
+    };
+
+    if (newPassword !== document.getElementById('confirmNewPassword').value) {
+      showError('New passwords do not match');
+      return;
+    }
+
+    const result = await this.authManager.changePassword(document.getElementById('currentPassword').value, newPassword);
+
+    if (result.success) {
+      form.reset();
+      this.showToast('Password changed. Your other browsers have been logged out.', 'success');
+    } else {
+      showError(result.error);
+      document.getElementById('currentPassword').value = '';
+    }
+  }
+
+  async loadRecoveryCodeCount() {
+    const count = await this.authManager.getRecoveryCodeCount();
+    const label = document.getElementById('recoveryCodeCount');
+    if (!label) return;
+
+    label.textContent = count
+      ? `You have ${count} unused code${count === 1 ? '' : 's'}.`
+      : 'You have no unused codes left. Generate new ones so you can still get back in.';
+    label.classList.toggle('text-red-600', count === 0);
+  }
+
+  async handleRegenerateRecoveryCodes(e) {
+    e.preventDefault();
+
+    const passwordInput = document.getElementById('recoveryCurrentPassword');
+    const result = await this.authManager.regenerateRecoveryCodes(passwordInput.value);
+    passwordInput.value = '';
+
+    if (result.success) {
+      // Only the hashes are stored, so this is the one chance to copy the codes
+      document.getElementById('newRecoveryCodesList').replaceChildren(...result.codes.map(code => {
+        const item = document.createElement('li');
+        item.textContent = code;
+        return item;
+      }));
+      document.getElementById('newRecoveryCodes')?.classList.remove('hidden');
+      this.loadRecoveryCodeCount();
+    } else {
+      this.showToast('Failed to generate recovery codes: ' + result.error, 'error');
+    }
+  }
+
   // ===== UTILITY METHODS =====
 
   showCompanyError(message) {
@@ -367,6 +1206,30 @@ class SettingsController {
     }
   }
 
+  showPartyError(message) {
+    const errorDiv = document.getElementById('partyErrorMessages');
+    if (errorDiv) {
+      errorDiv.textContent = message;
+      errorDiv.classList.remove('hidden');
+    }
+  }
+
+  showVehicleError(message) {
+    const errorDiv = document.getElementById('vehicleErrorMessages');
+    if (errorDiv) {
+      errorDiv.textContent = message;
+      errorDiv.classList.remove('hidden');
+    }
+  }
+
+  showDriverError(message) {
+    const errorDiv = document.getElementById('driverErrorMessages');
+    if (errorDiv) {
+      errorDiv.textContent = message;
+      errorDiv.classList.remove('hidden');
+    }
+  }
+
   showCustomFieldError(message) {
     const errorDiv = document.getElementById('customFieldErrorMessages');
     if (errorDiv) {
@@ -387,15 +1250,8 @@ class SettingsController {
     }, 3000);
   }
 
-  escapeHtml(text) {
-    if (!text) return '';
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-  }
-
-  handleLogout() {
-    this.authManager.logout();
+  async handleLogout() {
+    await this.authManager.logout();
     window.location.href = 'login.html';
   }
 
@@ -427,23 +1283,25 @@ class SettingsController {
 
     // Load statistics
     this.loadDatabaseStats();
+    if (this.can('storage.encrypt')) this.loadEncryptionStatus();
 
     // Check if reminder is due
     this.checkBackupReminder();
   }
 
-  loadDatabaseStats() {
-    const stats = this.dataStore.getDatabaseStats();
+  async loadDatabaseStats() {
+    const stats = await this.dataStore.getDatabaseStats();
     if (stats) {
       document.getElementById('statFreightCount').textContent = stats.freight_details || 0;
       document.getElementById('statCompanyCount').textContent = stats.company_profiles || 0;
       document.getElementById('statCustomFieldCount').textContent = stats.custom_field_definitions || 0;
       document.getElementById('statDatabaseSize').textContent = stats.sizeKB + ' KB';
+      document.getElementById('statStorageBackend').textContent = stats.storageBackend ? `Stored in ${stats.storageBackend}` : '';
     }
   }
 
-  exportBackup() {
-    const result = this.dataStore.exportBackup();
+  async exportBackup() {
+    const result = await this.dataStore.exportBackup(this.authManager.getUserId());
     
     if (result.success) {
       const dataStr = JSON.stringify(result.data, null, 2);
@@ -467,6 +1325,82 @@ class SettingsController {
     }
   }
 
+  async loadEncryptionStatus() {
+    const encrypted = await this.dataStore.isEncryptionEnabled();
+
+    const status = document.getElementById('encryptionStatus');
+    if (status) {
+      status.textContent = encrypted ? 'The database is encrypted.' : 'The database is not encrypted.';
+      status.classList.toggle('text-green-700', encrypted);
+    }
+    document.getElementById('enableEncryptionForm')?.classList.toggle('hidden', encrypted);
+    document.getElementById('changeEncryptionForm')?.classList.toggle('hidden', !encrypted);
+  }
+
+  async handleEnableEncryption(e) {
+    e.preventDefault();
+
+    const passphrase = document.getElementById('encryptionPassphrase').value;
+    if (passphrase !== document.getElementById('confirmEncryptionPassphrase').value) {
+      this.showToast('Passphrases do not match', 'error');
+      return;
+    }
+
+    const result = await this.dataStore.enableEncryption(this.authManager.getUserId(), passphrase);
+
+    if (result.success) {
+      e.target.reset();
+      this.showToast('Database encrypted. Keep the passphrase safe: without it the data cannot be opened.', 'success');
+      this.loadEncryptionStatus();
+    } else {
+      this.showToast('Failed to encrypt database: ' + result.error, 'error');
+    }
+  }
+
+  async handleChangeEncryptionPassphrase(e) {
+    e.preventDefault();
+
+    const newPassphrase = document.getElementById('newEncryptionPassphrase').value;
+    if (newPassphrase !== document.getElementById('confirmNewEncryptionPassphrase').value) {
+      this.showToast('New passphrases do not match', 'error');
+      return;
+    }
+
+    const result = await this.dataStore.changeEncryptionPassphrase(
+      this.authManager.getUserId(),
+      document.getElementById('currentEncryptionPassphrase').value,
+      newPassphrase
+    );
+
+    if (result.success) {
+      e.target.reset();
+      this.showToast('Passphrase changed', 'success');
+    } else {
+      this.showToast('Failed to change passphrase: ' + result.error, 'error');
+    }
+  }
+
+  async handleDisableEncryption() {
+    const currentInput = document.getElementById('currentEncryptionPassphrase');
+    if (!currentInput.value) {
+      this.showToast('Enter the current passphrase to turn off encryption', 'error');
+      currentInput.focus();
+      return;
+    }
+
+    if (!confirm('Store the database unencrypted? Anyone using this computer will be able to read it.')) return;
+
+    const result = await this.dataStore.disableEncryption(this.authManager.getUserId(), currentInput.value);
+
+    if (result.success) {
+      document.getElementById('changeEncryptionForm').reset();
+      this.showToast('Encryption turned off', 'success');
+      this.loadEncryptionStatus();
+    } else {
+      this.showToast('Failed to turn off encryption: ' + result.error, 'error');
+    }
+  }
+
   triggerImport() {
     document.getElementById('importBackupFile')?.click();
   }
@@ -475,7 +1409,7 @@ class SettingsController {
     const file = event.target.files[0];
     if (!file) return;
 
-    const confirmed = confirm('WARNING: Importing a backup will replace ALL current data. Are you sure you want to continue?');
+    const confirmed = confirm(`WARNING: Importing a backup will replace ALL of your organisation's current data. Are you sure you want to continue?`);
     if (!confirmed) {
       event.target.value = '';
       return;
@@ -485,10 +1419,11 @@ class SettingsController {
       const text = await file.text();
       const backupData = JSON.parse(text);
       
-      const result = await this.dataStore.importBackup(backupData);
+      const result = await this.dataStore.importBackup(backupData, this.authManager.getUserId());
       
       if (result.success) {
-        this.showToast('Backup imported successfully. Reloading...', 'success');
+        localStorage.setItem('lastBackupDate', new Date().toISOString());
+        this.showToast('Backup imported successfully', 'success');
         setTimeout(() => {
           window.location.reload();
         }, 2000);
@@ -535,7 +1470,7 @@ class SettingsController {
 
   checkBackupReminder() {
     const enabled = localStorage.getItem('backupReminderEnabled') === 'true';
-    if (!enabled) return;
+    if (!enabled || !this.can('backup.export')) return;
 
     const nextReminder = localStorage.getItem('nextBackupReminder');
     if (!nextReminder) {
@@ -576,7 +1511,4 @@ class SettingsController {
   }
 }
 
-// Initialize
-const settingsController = new SettingsController();
-settingsController.init();
-
+export default SettingsController;
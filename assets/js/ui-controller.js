@@ -9,9 +9,20 @@ import { APP_VERSION } from './version.js';
 // Dynamic imports with version
 const AuthManager = (await import(`./auth.js?v=${APP_VERSION}`)).default;
 const { FormValidator } = await import(`./validator.js?v=${APP_VERSION}`);
-const DataStoreManager = (await import(`./datastore.js?v=${APP_VERSION}`)).default;
+const { DataStoreClient } = await import(`./datastore-client.js?v=${APP_VERSION}`);
 const { DocumentGenerator } = await import(`./generator.js?v=${APP_VERSION}`);
 const { PDFExporter } = await import(`./pdf-exporter.js?v=${APP_VERSION}`);
+const { CustomFieldRenderer } = await import(`./custom-fields.js?v=${APP_VERSION}`);
+const { GstCalculator } = await import(`./gst.js?v=${APP_VERSION}`);
+const PartyPicker = (await import(`./party-picker.js?v=${APP_VERSION}`)).default;
+const { LineItemCalculator } = await import(`./line-items.js?v=${APP_VERSION}`);
+const { LineItemEditor } = await import(`./line-item-editor.js?v=${APP_VERSION}`);
+const { SafeHtml, html } = await import(`./safe-html.js?v=${APP_VERSION}`);
+
+/**
+ * Party roles on the freight form; each has <role>Search, <role>Dropdown and <role>Id elements
+ */
+const PARTY_ROLES = ['consignor', 'consignee', 'billingParty'];
 
 /**
  * UIController class
@@ -19,14 +30,25 @@ const { PDFExporter } = await import(`./pdf-exporter.js?v=${APP_VERSION}`);
  */
 export class UIController {
   constructor() {
-    this.authManager = new AuthManager();
+    this.dataStore = new DataStoreClient();
+    this.authManager = new AuthManager(this.dataStore);
     this.formValidator = new FormValidator();
-    this.dataStore = new DataStoreManager();
     this.documentGenerator = new DocumentGenerator();
     this.pdfExporter = new PDFExporter();
+    this.customFieldRenderer = new CustomFieldRenderer();
+    this.gstCalculator = new GstCalculator();
+    this.partyPicker = new PartyPicker();
+    this.lineItemCalculator = new LineItemCalculator();
+    this.lineItemEditor = new LineItemEditor({ onChange: () => this.updateGstSummary() });
     
+    this.customFields = [];
+    this.companyProfiles = [];
+    this.defaultCompanyProfile = null;
+    this.vehicles = [];
+    this.vehicleWarnings = new Map();
     this.currentFreightId = null;
     this.currentFreightDetails = null;
+    this.permissions = new Set();
     this.initialized = false;
   }
 
@@ -36,18 +58,14 @@ export class UIController {
   async init() {
     try {
       // Check for expired session and redirect to login
-      if (!this.authManager.isAuthenticated()) {
+      await this.authManager.initialize();
+      if (!(await this.authManager.isAuthenticated())) {
         console.warn('User not authenticated, redirecting to login');
-        
-        // Optionally preserve form data in LocalStorage to restore after re-login
-        const formData = this.collectFormData();
-        if (this.hasFormData(formData)) {
-          localStorage.setItem('preservedFormData', JSON.stringify(formData));
-        }
-        
+        this.preserveFormData();
         window.location.href = 'login.html';
         return;
       }
+      this.authManager.watchSession(() => this.preserveFormData());
 
       // Initialize data store
       const initResult = await this.dataStore.initialize();
@@ -60,12 +78,25 @@ export class UIController {
       }
       
       this.initialized = true;
+      this.permissions = new Set(await this.authManager.getPermissions());
+
+      // Populate company profile selector and custom fields before restoring form data
+      await this.loadCompanyProfiles();
+      this.loadStateOptions();
+      await this.loadParties();
+      await this.loadVehiclesAndDrivers();
+      await this.loadCustomFields();
+      this.lineItemEditor.render(document.getElementById('lineItemsContainer'));
+      this.initDocumentDates();
 
       // Restore preserved form data if available
-      this.restoreFormData();
+      await this.restoreFormData();
 
       // Set up event listeners
       this.setupEventListeners();
+      this.applyPermissions();
+      this.updateGstSummary();
+      this.updateVehicleWarning();
       
       console.log('UIController initialized successfully');
     } catch (error) {
@@ -74,6 +105,214 @@ export class UIController {
     }
   }
 
+  /**
+   * Check whether the logged-in user's role allows an action
+   * @param {string} permission - Key from DataStoreManager.PERMISSIONS
+   */
+  can(permission) {
+    return this.permissions.has(permission);
+  }
+
+  /**
+   * Lock the booking form and invoice buttons for roles that cannot use them
+   */
+  applyPermissions() {
+    if (!this.can('records.edit')) {
+      document.querySelector('#freightForm button[type="submit"]')?.setAttribute('disabled', '');
+      document.getElementById('generateBilty')?.classList.add('hidden');
+      this.showError('Your role can view and print records but not create bookings.');
+    }
+
+    if (!this.can('invoices.issue')) {
+      document.getElementById('generateInvoice')?.classList.add('hidden');
+      document.getElementById('generateBoth')?.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Populate the company profile selector
+   * Pre-selects the user's default profile when one exists
+   */
+  async loadCompanyProfiles() {
+    const select = document.getElementById('companyProfileId');
+    if (!select) return;
+
+    const userId = this.authManager.getUserId();
+    this.companyProfiles = await this.dataStore.getUserCompanyProfiles(userId);
+    this.defaultCompanyProfile = await this.dataStore.getDefaultCompanyProfile(userId);
+
+    // Keep the "Default letterhead" placeholder and rebuild the rest
+    select.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+
+    this.companyProfiles.forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.isDefault ? `${profile.name} (Default)` : profile.name;
+      select.appendChild(option);
+    });
+
+    if (this.defaultCompanyProfile) {
+      select.value = String(this.defaultCompanyProfile.id);
+    }
+  }
+
+  /**
+   * Populate the consignee state selector used as GST place of supply
+   */
+  loadStateOptions() {
+    const select = document.getElementById('consigneeState');
+    if (!select) return;
+
+    GstCalculator.STATES.forEach(state => {
+      const option = document.createElement('option');
+      option.value = state;
+      option.textContent = state;
+      select.appendChild(option);
+    });
+  }
+
+  /**
+   * Load the user's parties into the consignor, consignee and billing party pickers
+   */
+  async loadParties() {
+    const userId = this.authManager.getUserId();
+    this.partyPicker.setParties(await this.dataStore.getUserParties(userId));
+
+    PARTY_ROLES.forEach(role => {
+      const onSelect = role === 'consignee' ? party => this.applyConsigneeState(party) : undefined;
+      this.partyPicker.init(`${role}Search`, `${role}Dropdown`, `${role}Id`, onSelect);
+    });
+  }
+
+  /**
+   * Populate the vehicle and driver selectors
+   * Vehicles with a lapsed permit, insurance or fitness certificate are marked
+   */
+  async loadVehiclesAndDrivers() {
+    const userId = this.authManager.getUserId();
+    this.vehicles = await this.dataStore.getUserVehicles(userId);
+    const drivers = await this.dataStore.getUserDrivers(userId);
+
+    // Worked out once here so the warning can update as soon as a vehicle is picked
+    this.vehicleWarnings = new Map(await Promise.all(
+      this.vehicles.map(async vehicle => [vehicle.id, await this.dataStore.getVehicleExpiryWarnings(vehicle)])
+    ));
+
+    const vehicleSelect = document.getElementById('vehicleId');
+    if (vehicleSelect) {
+      this.vehicles.forEach(vehicle => {
+        const option = document.createElement('option');
+        const lapsed = this.vehicleWarnings.get(vehicle.id).length > 0;
+        option.value = vehicle.id;
+        option.textContent = [
+          vehicle.registrationNumber,
+          vehicle.vehicleType ? `(${vehicle.vehicleType})` : '',
+          lapsed ? '⚠️ documents lapsed' : ''
+        ].filter(Boolean).join(' ');
+        vehicleSelect.appendChild(option);
+      });
+    }
+
+    const driverSelect = document.getElementById('driverId');
+    if (driverSelect) {
+      drivers.forEach(driver => {
+        const option = document.createElement('option');
+        option.value = driver.id;
+        option.textContent = driver.name;
+        driverSelect.appendChild(option);
+      });
+    }
+  }
+
+  /**
+   * Warn when the selected vehicle has a lapsed permit, insurance or fitness certificate
+   */
+  updateVehicleWarning() {
+    const warning = document.getElementById('vehicleWarning');
+    if (!warning) return;
+
+    const vehicleId = parseInt(document.getElementById('vehicleId')?.value) || null;
+    const vehicle = this.vehicles.find(v => v.id === vehicleId);
+    const warnings = this.vehicleWarnings.get(vehicleId) || [];
+
+    warning.textContent = warnings.length > 0
+      ? `⚠️ ${vehicle.registrationNumber}: ${warnings.join('; ')}.`
+      : '';
+    warning.classList.toggle('hidden', warnings.length === 0);
+  }
+
+  /**
+   * Use the selected consignee's state as the GST place of supply
+   * @param {object|null} party - Selected consignee, or null when cleared
+   */
+  applyConsigneeState(party) {
+    const select = document.getElementById('consigneeState');
+    if (!select || !party?.state) return;
+
+    const partyState = this.gstCalculator.normalizeState(party.state);
+    const match = GstCalculator.STATES.find(state => this.gstCalculator.normalizeState(state) === partyState);
+    if (match) {
+      select.value = match;
+      this.updateGstSummary();
+    }
+  }
+
+  /**
+   * Load active custom field definitions and render them on the freight form
+   * @param {object} [values] - Values to pre-fill, keyed by field name
+   */
+  async loadCustomFields(values = {}) {
+    const userId = this.authManager.getUserId();
+    this.customFields = await this.dataStore.getUserCustomFields(userId);
+    this.customFieldRenderer.render(document.getElementById('customFieldsContainer'), this.customFields, values);
+
+    // Real-time validation for the rendered inputs
+    this.customFields.forEach(definition => {
+      const fieldId = this.customFieldRenderer.getInputId(definition);
+      const field = document.getElementById(fieldId);
+      if (!field) return;
+
+      field.addEventListener('blur', () => {
+        const value = this.customFieldRenderer.collectValues([definition])[definition.fieldName];
+        const validation = this.formValidator.validateCustomField(definition, value);
+        if (!validation.valid) {
+          this.showFieldError(fieldId, validation.error);
+        } else {
+          this.clearFieldError(fieldId);
+        }
+      });
+      field.addEventListener('input', () => this.clearFieldError(fieldId));
+    });
+  }
+
+  /**
+   * Build generator options for a freight record
+   * @param {object} freightDetails - Freight details being rendered
+   * @returns {Promise<object>} Options for DocumentGenerator
+   */
+  async getDocumentOptions(freightDetails) {
+    const freight = { ...freightDetails, userId: this.authManager.getUserId() };
+    return {
+      companyProfile: this.getCompanyProfileFor(freightDetails),
+      parties: await this.dataStore.getFreightParties(freight),
+      ...await this.dataStore.getFreightVehicleAndDriver(freight),
+      customFieldDefinitions: this.customFields,
+      paymentTerms: await this.dataStore.getFreightPaymentTerms(freight)
+    };
+  }
+
+  /**
+   * Resolve the company profile to print for a freight record
+   * Falls back to the user's default profile, then to the static DocumentConfig (null)
+   * Uses the profiles loaded for the selector, so the GST summary can update as the form is edited
+   * @param {object} freightDetails - Freight details with optional companyProfileId
+   * @returns {object|null} Company profile or null
+   */
+  getCompanyProfileFor(freightDetails) {
+    return this.companyProfiles.find(profile => profile.id === freightDetails?.companyProfileId) ||
+      this.defaultCompanyProfile;
+  }
+
   /**
    * Set up all event listeners for UI elements
    */
@@ -100,6 +339,21 @@ export class UIController {
       generateBoth.addEventListener('click', () => this.handleGenerateDocument('both'));
     }
 
+    // Additional charges
+    document.getElementById('addLineItem')?.addEventListener('click', () => this.lineItemEditor.addRow());
+
+    // Live GST breakdown
+    ['amount', 'discount', 'gstRate', 'consigneeState', 'companyProfileId'].forEach(fieldName => {
+      const field = document.getElementById(fieldName);
+      if (field) {
+        field.addEventListener('input', () => this.updateGstSummary());
+        field.addEventListener('change', () => this.updateGstSummary());
+      }
+    });
+
+    // Lapsed vehicle document warning
+    document.getElementById('vehicleId')?.addEventListener('change', () => this.updateVehicleWarning());
+
     // Logout button
     const logoutBtn = document.getElementById('logoutBtn');
     if (logoutBtn) {
@@ -114,7 +368,7 @@ export class UIController {
    * Set up real-time validation for form fields
    */
   setupFieldValidation() {
-    const fields = ['origin', 'destination', 'goodsDescription', 'weight', 'amount', 'discount', 'taxes', 'ewayBillNumber'];
+    const fields = ['origin', 'destination', 'goodsDescription', 'weight', 'amount', 'discount', 'ewayBillNumber', ...FormValidator.DATE_FIELDS];
     
     fields.forEach(fieldName => {
       const field = document.getElementById(fieldName);
@@ -196,8 +450,10 @@ export class UIController {
     // Collect form data
     const formData = this.collectFormData();
 
-    // Validate form data
-    const validation = this.formValidator.validateFreightForm(formData);
+    // Validate form data (including custom fields)
+    const validation = this.formValidator.validateFreightForm(formData, this.customFields, {
+      backdateDays: this.dataStore.DOCUMENT_BACKDATE_DAYS
+    });
 
     if (!validation.valid) {
       // Show validation errors
@@ -219,7 +475,7 @@ export class UIController {
     formData.userId = userId;
 
     // Save to data store
-    const result = this.dataStore.saveFreightDetails(formData);
+    const result = await this.dataStore.saveFreightDetails(formData);
 
     if (result.success) {
       this.currentFreightId = result.id;
@@ -244,17 +500,79 @@ export class UIController {
    * Collect form data into FreightDetails object
    */
   collectFormData() {
-    return {
+    const freightData = {
+      companyProfileId: parseInt(document.getElementById('companyProfileId')?.value) || null,
+      consignorId: parseInt(document.getElementById('consignorId')?.value) || null,
+      consigneeId: parseInt(document.getElementById('consigneeId')?.value) || null,
+      billingPartyId: parseInt(document.getElementById('billingPartyId')?.value) || null,
+      vehicleId: parseInt(document.getElementById('vehicleId')?.value) || null,
+      driverId: parseInt(document.getElementById('driverId')?.value) || null,
       origin: document.getElementById('origin')?.value || '',
       destination: document.getElementById('destination')?.value || '',
       goodsDescription: document.getElementById('goodsDescription')?.value || '',
       weight: parseFloat(document.getElementById('weight')?.value) || 0,
       amount: parseFloat(document.getElementById('amount')?.value) || 0,
       discount: parseFloat(document.getElementById('discount')?.value) || 0,
-      taxes: parseFloat(document.getElementById('taxes')?.value) || 0,
+      lineItems: this.lineItemEditor.collectItems(),
+      ...this.gstCalculator.parseSelection(document.getElementById('gstRate')?.value || ''),
+      consigneeState: document.getElementById('consigneeState')?.value || null,
       ewayBillNumber: document.getElementById('ewayBillNumber')?.value || null,
-      ewayBillDate: document.getElementById('ewayBillDate')?.value || null
+      ewayBillDate: document.getElementById('ewayBillDate')?.value || null,
+      bookingDate: document.getElementById('bookingDate')?.value || null,
+      biltyDate: document.getElementById('biltyDate')?.value || null,
+      invoiceDate: document.getElementById('invoiceDate')?.value || null,
+      customFields: this.customFieldRenderer.collectValues(this.customFields)
     };
+
+    return { ...freightData, ...this.calculateGst(freightData) };
+  }
+
+  /**
+   * Compute the GST breakdown stored on a freight record
+   * Intra- vs inter-state follows the company profile's state and the consignee's state
+   * Taxable line items are added to the taxable value; non-taxable ones are billed without GST
+   * @param {object} freightData - Freight details with gstRate, reverseCharge, consigneeState and lineItems
+   * @returns {object} supplyType, cgst, sgst, igst and taxes (tax charged on the invoice)
+   */
+  calculateGst(freightData) {
+    const breakdown = this.gstCalculator.calculate({
+      amount: freightData.amount,
+      discount: freightData.discount,
+      taxableCharges: this.lineItemCalculator.summarize(freightData.lineItems).taxable,
+      gstRate: freightData.gstRate,
+      reverseCharge: freightData.reverseCharge,
+      supplierState: this.getCompanyProfileFor(freightData)?.state,
+      recipientState: freightData.consigneeState
+    });
+
+    return {
+      supplyType: breakdown.supplyType,
+      cgst: breakdown.cgst,
+      sgst: breakdown.sgst,
+      igst: breakdown.igst,
+      taxes: breakdown.taxes
+    };
+  }
+
+  /**
+   * Show the GST lines the invoice will carry for the current form values
+   */
+  updateGstSummary() {
+    const summary = document.getElementById('gstSummary');
+    if (!summary) return;
+
+    const formData = this.collectFormData();
+    if (!formData.gstRate) {
+      summary.textContent = 'No GST';
+      return;
+    }
+
+    const format = value => `₹${value.toFixed(2)}`;
+    const lines = formData.supplyType === 'inter'
+      ? `IGST ${format(formData.igst)}`
+      : `CGST ${format(formData.cgst)} + SGST ${format(formData.sgst)}`;
+
+    summary.textContent = formData.reverseCharge ? `${lines} payable by recipient (RCM)` : lines;
   }
 
   /**
@@ -270,11 +588,15 @@ export class UIController {
    * Clear all validation errors
    */
   clearValidationErrors() {
-    const fields = ['origin', 'destination', 'goodsDescription', 'weight', 'amount', 'discount', 'taxes', 'ewayBillNumber'];
+    const fields = ['origin', 'destination', 'goodsDescription', 'weight', 'amount', 'discount', 'ewayBillNumber', ...FormValidator.DATE_FIELDS];
     
     fields.forEach(fieldName => {
       this.clearFieldError(fieldName);
     });
+
+    this.customFields.forEach(definition => {
+      this.clearFieldError(this.customFieldRenderer.getInputId(definition));
+    });
   }
 
   /**
@@ -334,6 +656,52 @@ export class UIController {
     }
   }
 
+  /**
+   * Record a document generation in history and return its issue
+   * The number and date (and an invoice's due date) are assigned on first issue and reused on every later render
+   * @returns {Promise<object>} { documentNumber, documentDate, dueDate, snapshot, duplicate },
+   *   or { error } if the document could not be issued
+   */
+  async recordGeneration(type) {
+    if (!this.currentFreightId) {
+      return { error: 'Save the freight details before generating documents.' };
+    }
+
+    const result = await this.dataStore.recordDocumentGeneration(this.currentFreightId, type, this.authManager.getUserId());
+    if (!result.success) {
+      console.error(`Failed to record ${type} generation:`, result.error);
+      return { error: result.error };
+    }
+
+    return {
+      documentNumber: result.documentNumber,
+      documentDate: result.issueDate,
+      dueDate: result.dueDate,
+      snapshot: result.snapshot,
+      duplicate: result.isReprint
+    };
+  }
+
+  /**
+   * Issue a document, or record its reprint, and work out what to render
+   * Issued documents render from the snapshot taken when they were issued; documents issued before
+   * snapshots were kept render from the current details
+   * @param {string} type - 'bilty' or 'invoice'
+   * @param {object} options - Generator options for the current details
+   * @returns {Promise<object>} { freightDetails, options } for the generator, or { error } if it could not be issued
+   */
+  async prepareDocument(type, options) {
+    const { snapshot, duplicate, error, ...issue } = await this.recordGeneration(type);
+    if (error) {
+      return { error };
+    }
+    if (snapshot) {
+      return { freightDetails: snapshot.freightDetails, options: { ...snapshot.options, duplicate } };
+    }
+
+    return { freightDetails: this.currentFreightDetails, options: { ...options, ...issue, duplicate } };
+  }
+
   /**
    * Handle document generation
    */
@@ -348,10 +716,17 @@ export class UIController {
 
     try {
       let documents = {};
+      const options = await this.getDocumentOptions(this.currentFreightDetails);
 
       switch (type) {
         case 'bilty':
-          const bilty = this.documentGenerator.generateBilty(this.currentFreightDetails);
+          const biltySource = await this.prepareDocument('bilty', options);
+          if (biltySource.error) {
+            this.showError(biltySource.error);
+            this.hideLoadingIndicator();
+            return;
+          }
+          const bilty = this.documentGenerator.generateBilty(biltySource.freightDetails, biltySource.options);
           // Check for null documents and show error
           if (!bilty) {
             this.showError('Failed to generate document. Please check that all required fields are filled.');
@@ -359,14 +734,16 @@ export class UIController {
             return;
           }
           documents.bilty = bilty;
-          // Record in history
-          if (this.currentFreightId) {
-            this.dataStore.recordDocumentGeneration(this.currentFreightId, 'bilty');
-          }
           break;
 
         case 'invoice':
-          const invoice = this.documentGenerator.generateInvoice(this.currentFreightDetails);
+          const invoiceSource = await this.prepareDocument('invoice', options);
+          if (invoiceSource.error) {
+            this.showError(invoiceSource.error);
+            this.hideLoadingIndicator();
+            return;
+          }
+          const invoice = this.documentGenerator.generateInvoice(invoiceSource.freightDetails, invoiceSource.options);
           // Check for null documents and show error
           if (!invoice) {
             this.showError('Failed to generate document. Please check that all required fields are filled.');
@@ -374,14 +751,24 @@ export class UIController {
             return;
           }
           documents.invoice = invoice;
-          // Record in history
-          if (this.currentFreightId) {
-            this.dataStore.recordDocumentGeneration(this.currentFreightId, 'invoice');
-          }
           break;
 
         case 'both':
-          const both = this.documentGenerator.generateBoth(this.currentFreightDetails);
+          // Each document renders from its own snapshot, which may have been taken at a different time
+          const sources = {
+            bilty: await this.prepareDocument('bilty', options),
+            invoice: await this.prepareDocument('invoice', options)
+          };
+          const failed = sources.bilty.error || sources.invoice.error;
+          if (failed) {
+            this.showError(failed);
+            this.hideLoadingIndicator();
+            return;
+          }
+          const both = {
+            bilty: this.documentGenerator.generateBilty(sources.bilty.freightDetails, sources.bilty.options),
+            invoice: this.documentGenerator.generateInvoice(sources.invoice.freightDetails, sources.invoice.options)
+          };
           // Check for null documents and show error
           if (!both.bilty || !both.invoice) {
             this.showError('Failed to generate document. Please check that all required fields are filled.');
@@ -390,11 +777,6 @@ export class UIController {
           }
           documents.bilty = both.bilty;
           documents.invoice = both.invoice;
-          // Record in history
-          if (this.currentFreightId) {
-            this.dataStore.recordDocumentGeneration(this.currentFreightId, 'bilty');
-            this.dataStore.recordDocumentGeneration(this.currentFreightId, 'invoice');
-          }
           break;
 
         default:
@@ -518,7 +900,8 @@ export class UIController {
     try {
       const newWindow = window.open('', '_blank');
       if (newWindow) {
-        newWindow.document.write(`
+        // The generated document escapes its own content, so only the title needs escaping here
+        newWindow.document.write(String(html`
           <!DOCTYPE html>
           <html>
           <head>
@@ -527,10 +910,10 @@ export class UIController {
             <link rel="stylesheet" href="assets/css/styles.css">
           </head>
           <body class="p-8">
-            ${documentElement.outerHTML}
+            ${new SafeHtml(documentElement.outerHTML)}
           </body>
           </html>
-        `);
+        `));
         newWindow.document.close();
       } else {
         this.showError('Failed to open document in new window. Please check your popup blocker settings.');
@@ -577,8 +960,8 @@ export class UIController {
   /**
    * Handle logout
    */
-  handleLogout() {
-    this.authManager.logout();
+  async handleLogout() {
+    await this.authManager.logout();
     window.location.href = 'login.html';
   }
 
@@ -590,7 +973,30 @@ export class UIController {
     if (form) {
       form.reset();
     }
+    this.lineItemEditor.clear();
+    this.initDocumentDates();
     this.clearValidationErrors();
+    this.updateGstSummary();
+    this.updateVehicleWarning();
+  }
+
+  /**
+   * Default the booking date to today and limit all three dates to the back-dating window
+   * Bilty and invoice dates start blank, so the documents take the day they are issued
+   */
+  initDocumentDates() {
+    const today = this.documentGenerator.formatDate();
+    const earliest = new Date();
+    earliest.setDate(earliest.getDate() - this.dataStore.DOCUMENT_BACKDATE_DAYS);
+
+    FormValidator.DATE_FIELDS.forEach(fieldName => {
+      const field = document.getElementById(fieldName);
+      if (field) {
+        field.value = fieldName === 'bookingDate' ? today : '';
+        field.min = this.documentGenerator.formatDate(earliest);
+        field.max = today;
+      }
+    });
   }
 
   /**
@@ -598,28 +1004,60 @@ export class UIController {
    */
   hasFormData(formData) {
     return formData.origin || formData.destination || formData.goodsDescription || 
-           formData.weight > 0 || formData.amount > 0;
+           formData.weight > 0 || formData.amount > 0 || formData.lineItems.length > 0;
+  }
+
+  /**
+   * Keep what has been typed in LocalStorage, to restore after re-login
+   */
+  preserveFormData() {
+    const formData = this.collectFormData();
+    if (this.hasFormData(formData)) {
+      localStorage.setItem('preservedFormData', JSON.stringify(formData));
+    }
   }
 
   /**
    * Restore preserved form data after re-login
    */
-  restoreFormData() {
+  async restoreFormData() {
     try {
       const preservedData = localStorage.getItem('preservedFormData');
       if (preservedData) {
         const formData = JSON.parse(preservedData);
         
         // Restore form fields
+        const companySelect = document.getElementById('companyProfileId');
+        if (formData.companyProfileId && companySelect) companySelect.value = String(formData.companyProfileId);
+        PARTY_ROLES.forEach(role => {
+          if (formData[`${role}Id`]) this.partyPicker.setValue(`${role}Search`, `${role}Id`, formData[`${role}Id`]);
+        });
+        const vehicleSelect = document.getElementById('vehicleId');
+        if (formData.vehicleId && vehicleSelect) vehicleSelect.value = String(formData.vehicleId);
+        const driverSelect = document.getElementById('driverId');
+        if (formData.driverId && driverSelect) driverSelect.value = String(formData.driverId);
         if (formData.origin) document.getElementById('origin').value = formData.origin;
         if (formData.destination) document.getElementById('destination').value = formData.destination;
         if (formData.goodsDescription) document.getElementById('goodsDescription').value = formData.goodsDescription;
         if (formData.weight) document.getElementById('weight').value = formData.weight;
         if (formData.amount) document.getElementById('amount').value = formData.amount;
         if (formData.discount) document.getElementById('discount').value = formData.discount;
-        if (formData.taxes) document.getElementById('taxes').value = formData.taxes;
+        if (formData.lineItems?.length > 0) {
+          this.lineItemEditor.render(document.getElementById('lineItemsContainer'), formData.lineItems);
+        }
+        const gstSelect = document.getElementById('gstRate');
+        if (gstSelect) gstSelect.value = this.gstCalculator.toSelection(formData.gstRate, formData.reverseCharge);
+        const stateSelect = document.getElementById('consigneeState');
+        if (formData.consigneeState && stateSelect) stateSelect.value = formData.consigneeState;
         if (formData.ewayBillNumber) document.getElementById('ewayBillNumber').value = formData.ewayBillNumber;
         if (formData.ewayBillDate) document.getElementById('ewayBillDate').value = formData.ewayBillDate;
+        FormValidator.DATE_FIELDS.forEach(fieldName => {
+          const field = document.getElementById(fieldName);
+          if (formData[fieldName] && field) field.value = formData[fieldName];
+        });
+        if (formData.customFields && Object.keys(formData.customFields).length > 0) {
+          await this.loadCustomFields(formData.customFields);
+        }
         
         // Clear preserved data
         localStorage.removeItem('preservedFormData');
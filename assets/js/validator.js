@@ -11,14 +11,31 @@ export class FormValidator {
   /**
    * List of numeric fields that must be positive numbers
    */
-  static NUMERIC_FIELDS = ['weight', 'amount', 'discount', 'taxes'];
+  static NUMERIC_FIELDS = ['weight', 'amount'];
+
+  /**
+   * List of numeric fields that may be zero but not negative
+   */
+  static NON_NEGATIVE_FIELDS = ['discount', 'taxes'];
+
+  /**
+   * Prefix used for custom field keys in validation errors (matches the form input IDs)
+   */
+  static CUSTOM_FIELD_PREFIX = 'custom_';
+
+  /**
+   * Document date fields, in the order they must fall
+   */
+  static DATE_FIELDS = ['bookingDate', 'biltyDate', 'invoiceDate'];
 
   /**
    * Validate all freight form fields
    * @param {Object} formData - The freight details to validate
+   * @param {Array<Object>} [customFieldDefinitions] - Active custom field definitions
+   * @param {Object} [dateOptions] - Options for validateDocumentDates
    * @returns {Object} { valid: boolean, errors: Array<{field: string, message: string}> }
    */
-  validateFreightForm(formData) {
+  validateFreightForm(formData, customFieldDefinitions = [], dateOptions = {}) {
     const errors = [];
 
     // Check required fields
@@ -43,6 +60,18 @@ export class FormValidator {
       }
     });
 
+    FormValidator.NON_NEGATIVE_FIELDS.forEach(field => {
+      if (formData[field] !== undefined && formData[field] !== null && formData[field] !== '') {
+        const numericValidation = this.validateNonNegative(formData[field], field);
+        if (!numericValidation.valid) {
+          errors.push({
+            field,
+            message: numericValidation.error
+          });
+        }
+      }
+    });
+
     // Validate text fields are not just whitespace
     FormValidator.REQUIRED_FIELDS.forEach(field => {
       if (!FormValidator.NUMERIC_FIELDS.includes(field)) {
@@ -67,12 +96,118 @@ export class FormValidator {
       }
     }
 
+    // Validate booking, bilty and invoice dates
+    errors.push(...this.validateDocumentDates(formData, dateOptions));
+
+    // Validate user-defined custom fields
+    errors.push(...this.validateCustomFields(formData.customFields, customFieldDefinitions));
+
     return {
       valid: errors.length === 0,
       errors
     };
   }
 
+  /**
+   * Validate booking, bilty and invoice dates (blank is allowed: booking defaults to today, documents to their issue day)
+   * Only dates that differ from the stored record are checked against the back-dating window.
+   * @param {Object} formData - { bookingDate, biltyDate, invoiceDate } as YYYY-MM-DD
+   * @param {Object} [options]
+   * @param {number} [options.backdateDays] - How many days back a date may be set (no limit if omitted)
+   * @param {Object} [options.original] - Stored dates of the record being edited
+   * @returns {Array<{field: string, message: string}>} Validation errors
+   */
+  validateDocumentDates(formData, options = {}) {
+    const errors = [];
+    const today = this._formatLocalDate(new Date());
+    const earliest = new Date();
+    earliest.setDate(earliest.getDate() - (options.backdateDays ?? 0));
+
+    FormValidator.DATE_FIELDS.forEach(field => {
+      const value = formData[field];
+      if (!value || value === options.original?.[field]) {
+        return;
+      }
+
+      const label = this._formatFieldName(field);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || this._formatLocalDate(new Date(`${value}T00:00:00`)) !== value) {
+        errors.push({ field, message: `${label} must be a valid date` });
+      } else if (value > today) {
+        errors.push({ field, message: `${label} can't be in the future` });
+      } else if (options.backdateDays !== undefined && value < this._formatLocalDate(earliest)) {
+        errors.push({ field, message: `${label} can't be more than ${options.backdateDays} days ago` });
+      } else if (field !== 'bookingDate' && formData.bookingDate && value < formData.bookingDate) {
+        errors.push({ field, message: `${label} can't be before the booking date` });
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Validate custom field values against their definitions
+   * @param {Object} values - Custom field values keyed by field name
+   * @param {Array<Object>} definitions - Custom field definitions
+   * @returns {Array<{field: string, message: string}>} Validation errors
+   */
+  validateCustomFields(values, definitions = []) {
+    const errors = [];
+
+    (definitions || []).forEach(definition => {
+      const validation = this.validateCustomField(definition, values?.[definition.fieldName]);
+      if (!validation.valid) {
+        errors.push({
+          field: `${FormValidator.CUSTOM_FIELD_PREFIX}${definition.fieldName}`,
+          message: validation.error
+        });
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Validate a single custom field value by type and required flag
+   * @param {Object} definition - Custom field definition
+   * @param {*} value - Value to validate
+   * @returns {Object} { valid: boolean, error: string }
+   */
+  validateCustomField(definition, value) {
+    const label = definition.fieldLabel || definition.fieldName;
+    const isEmpty = value === undefined || value === null ||
+      (typeof value === 'string' && value.trim() === '');
+
+    if (isEmpty) {
+      return definition.isRequired
+        ? { valid: false, error: `${label} is required` }
+        : { valid: true, error: '' };
+    }
+
+    switch (definition.fieldType) {
+      case 'number':
+        if (typeof value === 'boolean' || isNaN(Number(value))) {
+          return { valid: false, error: `${label} must be a valid number` };
+        }
+        break;
+      case 'date':
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value)) || isNaN(new Date(value).getTime())) {
+          return { valid: false, error: `${label} must be a valid date` };
+        }
+        break;
+      case 'select':
+        if (Array.isArray(definition.options) && !definition.options.includes(String(value))) {
+          return { valid: false, error: `${label} must be one of: ${definition.options.join(', ')}` };
+        }
+        break;
+      default:
+        if (typeof value !== 'string') {
+          return { valid: false, error: `${label} must be text` };
+        }
+    }
+
+    return { valid: true, error: '' };
+  }
+
   /**
    * Validate a single field
    * @param {string} fieldName - Name of the field to validate
@@ -105,6 +240,12 @@ export class FormValidator {
       }
     }
 
+    if (FormValidator.NON_NEGATIVE_FIELDS.includes(fieldName)) {
+      if (value !== undefined && value !== null && value !== '') {
+        return this.validateNonNegative(value, fieldName);
+      }
+    }
+
     // Validate eWay bill format
     if (fieldName === 'ewayBillNumber' && value && value.trim() !== '') {
       return this._validateEwayBill(value);
@@ -160,6 +301,79 @@ export class FormValidator {
     return { valid: true, error: '' };
   }
 
+  /**
+   * Validate that a value is a number of zero or more
+   * @param {*} value - Value to validate
+   * @param {string} fieldName - Name of the field being validated
+   * @returns {Object} { valid: boolean, error: string }
+   */
+  validateNonNegative(value, fieldName) {
+    const numValue = typeof value === 'string' ? parseFloat(value) : value;
+
+    if (typeof numValue !== 'number' || isNaN(numValue)) {
+      return {
+        valid: false,
+        error: `${this._formatFieldName(fieldName)} must be a valid number`
+      };
+    }
+
+    if (numValue < 0) {
+      return {
+        valid: false,
+        error: `${this._formatFieldName(fieldName)} cannot be negative`
+      };
+    }
+
+    return { valid: true, error: '' };
+  }
+
+  /**
+   * Validate GSTIN format: 2-digit state code, PAN, entity number, 'Z' and check character
+   * @param {string} gstin - GSTIN to validate (empty is allowed)
+   * @returns {Object} { valid: boolean, error: string }
+   */
+  validateGstin(gstin) {
+    const trimmed = (gstin || '').trim().toUpperCase();
+
+    if (trimmed === '') {
+      return { valid: true, error: '' };
+    }
+
+    if (!/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/.test(trimmed)) {
+      return {
+        valid: false,
+        error: 'GSTIN must be 15 characters, e.g. 27ABCDE1234F1Z5'
+      };
+    }
+
+    return { valid: true, error: '' };
+  }
+
+  /**
+   * Validate payment terms of a company profile or party (blank fields are allowed)
+   * @param {Object} terms - { paymentTermsDays, advancePercent }
+   * @returns {Object} { valid: boolean, error: string }
+   */
+  validatePaymentTerms(terms) {
+    const isBlank = value => value === undefined || value === null || String(value).trim() === '';
+
+    if (!isBlank(terms.paymentTermsDays)) {
+      const days = Number(terms.paymentTermsDays);
+      if (!Number.isInteger(days) || days < 0 || days > 365) {
+        return { valid: false, error: 'Net days must be a whole number from 0 to 365' };
+      }
+    }
+
+    if (!isBlank(terms.advancePercent)) {
+      const percent = Number(terms.advancePercent);
+      if (isNaN(percent) || percent < 0 || percent > 100) {
+        return { valid: false, error: 'Advance must be between 0% and 100%' };
+      }
+    }
+
+    return { valid: true, error: '' };
+  }
+
   /**
    * Validate eWay bill number format (alphanumeric)
    * @param {string} ewayBillNumber - eWay bill number to validate
@@ -200,9 +414,24 @@ export class FormValidator {
       amount: 'Amount',
       discount: 'Discount',
       taxes: 'Taxes',
-      ewayBillNumber: 'eWay Bill Number'
+      ewayBillNumber: 'eWay Bill Number',
+      bookingDate: 'Booking Date',
+      biltyDate: 'Bilty Date',
+      invoiceDate: 'Invoice Date'
     };
 
     return fieldNameMap[fieldName] || fieldName;
   }
+
+  /**
+   * Format a date as YYYY-MM-DD in the local time zone
+   * @param {Date} date - Date to format
+   * @returns {string} Formatted date
+   * @private
+   */
+  _formatLocalDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
 }
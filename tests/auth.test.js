@@ -3,11 +3,13 @@
  * Tests authentication, session management, and password hashing
  */
 
+import { jest } from '@jest/globals';
 import AuthManager from '../assets/js/auth.js';
 import * as fc from 'fast-check';
 
 describe('AuthManager', () => {
   let authManager;
+  let adminRecoveryCodes;
 
   beforeEach(async () => {
     // Clear localStorage before each test
@@ -16,9 +18,18 @@ describe('AuthManager', () => {
     // Create new AuthManager instance
     authManager = new AuthManager();
     await authManager.initialize();
+
+    // Finish first-run setup so there is an account to log in with
+    ({ recoveryCodes: adminRecoveryCodes } = await authManager.dataStore.completeSetup({
+      username: 'admin',
+      password: 'admin123',
+      company: { name: 'Test Transport' }
+    }));
   });
 
-  afterEach(() => {
+  afterEach(async () => {
+    // Store pending writes now, so a scheduled flush can't land in the next test's storage
+    await authManager.dataStore.flush();
     localStorage.clear();
   });
 
@@ -62,16 +73,104 @@ describe('AuthManager', () => {
       expect(result.error).toBe('Invalid username or password');
     });
 
-    test('should store session data in localStorage', async () => {
-      await authManager.login('admin', 'admin123');
+    test('should store only the session token in localStorage', async () => {
+      const result = await authManager.login('admin', 'admin123');
       
       const sessionData = localStorage.getItem('sessionToken');
-      expect(sessionData).toBeDefined();
-      
-      const parsed = JSON.parse(sessionData);
-      expect(parsed.token).toBeDefined();
-      expect(parsed.userId).toBeDefined();
-      expect(parsed.expiresAt).toBeDefined();
+      expect(JSON.parse(sessionData)).toEqual({ token: result.sessionToken });
+    });
+
+    test('should record the session in the datastore', async () => {
+      const result = await authManager.login('admin', 'admin123');
+
+      const session = await authManager.dataStore.validateSession(result.sessionToken);
+      expect(session.valid).toBe(true);
+      expect(session.userId).toBe(1);
+    });
+
+    test('should have stored the session by the time it returns, so a reload straight after keeps it', async () => {
+      const dataStore = authManager.dataStore.local;
+      await dataStore.flush();
+      const storedSessions = [];
+      const save = dataStore.storage.save.bind(dataStore.storage);
+      dataStore.storage.save = async (bytes) => {
+        storedSessions.push(dataStore.db.tables.sessions.map(session => session.user_id));
+        await save(bytes);
+      };
+
+      await authManager.login('admin', 'admin123');
+
+      expect(dataStore.dirty).toBe(false);
+      expect(storedSessions.at(-1)).toEqual([1]);
+    });
+
+    test('should fail when the session could not be stored', async () => {
+      const dataStore = authManager.dataStore.local;
+      dataStore.storage.save = async () => { throw new Error('Quota exceeded'); };
+
+      const result = await authManager.login('admin', 'admin123');
+
+      expect(result).toEqual({ success: false, error: 'Login failed. Please try again.' });
+      expect(localStorage.getItem('sessionToken')).toBeNull();
+    });
+  });
+
+  describe('login throttling', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should make the next attempt wait after a failed login', async () => {
+      await authManager.login('admin', 'wrongpassword');
+
+      const result = await authManager.login('admin', 'admin123');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Too many failed attempts. Try again in 1 second.');
+      expect(result.retryAt).toBeDefined();
+    });
+
+    test('should log in once the wait is over and reset the count', async () => {
+      const now = Date.now();
+      jest.useFakeTimers({ now });
+      await authManager.login('admin', 'wrongpassword');
+
+      jest.setSystemTime(now + 1000);
+      expect((await authManager.login('admin', 'admin123')).success).toBe(true);
+      expect((await authManager.dataStore.getLoginThrottle('admin')).failedAttempts).toBe(0);
+    });
+
+    test('should lock the account after too many failed logins', async () => {
+      const now = Date.now();
+      jest.useFakeTimers({ now });
+
+      let result;
+      for (let attempt = 0; attempt < authManager.dataStore.LOGIN_MAX_ATTEMPTS; attempt++) {
+        jest.setSystemTime(now + attempt * 60 * 1000);
+        result = await authManager.login('admin', 'wrongpassword');
+      }
+
+      expect(result.error).toMatch(/^Account locked until /);
+      expect(result.lockedUntil).toBeDefined();
+
+      // Even the right password is refused until the lockout runs out
+      jest.setSystemTime(new Date(result.lockedUntil).getTime() - 1000);
+      expect((await authManager.login('admin', 'admin123')).error).toMatch(/^Account locked until /);
+
+      jest.setSystemTime(new Date(result.lockedUntil).getTime());
+      expect((await authManager.login('admin', 'admin123')).success).toBe(true);
+    });
+
+    test('should log in again after an owner unlocks the account', async () => {
+      await authManager.dataStore.saveUser('clerk', 'clerk123', 'clerk');
+      for (let attempt = 0; attempt < authManager.dataStore.LOGIN_MAX_ATTEMPTS; attempt++) {
+        await authManager.dataStore.recordFailedLogin('clerk');
+      }
+      const clerkId = (await authManager.dataStore.getLockedUsers(1))[0].userId;
+
+      await authManager.dataStore.unlockUser(1, clerkId);
+
+      expect((await authManager.login('clerk', 'clerk123')).success).toBe(true);
     });
   });
 
@@ -80,54 +179,124 @@ describe('AuthManager', () => {
       await authManager.login('admin', 'admin123');
       expect(localStorage.getItem('sessionToken')).toBeDefined();
       
-      authManager.logout();
+      await authManager.logout();
       expect(localStorage.getItem('sessionToken')).toBeNull();
     });
 
-    test('should not throw error when logging out without active session', () => {
-      expect(() => authManager.logout()).not.toThrow();
+    test('should end the session in the datastore', async () => {
+      const { sessionToken } = await authManager.login('admin', 'admin123');
+
+      await authManager.logout();
+      localStorage.setItem('sessionToken', JSON.stringify({ token: sessionToken }));
+
+      expect(await authManager.isAuthenticated()).toBe(false);
+    });
+
+    test('should not throw error when logging out without active session', async () => {
+      await expect(authManager.logout()).resolves.toBeUndefined();
     });
   });
 
   describe('isAuthenticated', () => {
     test('should return true for active session', async () => {
       await authManager.login('admin', 'admin123');
-      expect(authManager.isAuthenticated()).toBe(true);
+      expect(await authManager.isAuthenticated()).toBe(true);
     });
 
-    test('should return false when no session exists', () => {
-      expect(authManager.isAuthenticated()).toBe(false);
+    test('should return false when no session exists', async () => {
+      expect(await authManager.isAuthenticated()).toBe(false);
     });
 
     test('should return false after logout', async () => {
       await authManager.login('admin', 'admin123');
-      authManager.logout();
-      expect(authManager.isAuthenticated()).toBe(false);
+      await authManager.logout();
+      expect(await authManager.isAuthenticated()).toBe(false);
     });
 
     test('should clear expired session and return false', async () => {
       await authManager.login('admin', 'admin123');
       
-      // Manually set session to expired
-      const sessionData = JSON.parse(localStorage.getItem('sessionToken'));
-      sessionData.expiresAt = new Date(Date.now() - 1000).toISOString(); // 1 second ago
-      localStorage.setItem('sessionToken', JSON.stringify(sessionData));
-      
-      expect(authManager.isAuthenticated()).toBe(false);
+      // Move the clock past the session's expiry
+      jest.useFakeTimers({ now: Date.now() + authManager.SESSION_DURATION + 1000 });
+      try {
+        expect(await authManager.isAuthenticated()).toBe(false);
+      } finally {
+        jest.useRealTimers();
+      }
       expect(localStorage.getItem('sessionToken')).toBeNull();
+      expect(localStorage.getItem('sessionExpired')).toBe('true');
     });
 
-    test('should clear invalid session data and return false', () => {
+    test('should clear idle session and return false', async () => {
+      await authManager.login('admin', 'admin123');
+
+      jest.useFakeTimers({ now: Date.now() + 31 * 60 * 1000 });
+      try {
+        expect(await authManager.isAuthenticated()).toBe(false);
+      } finally {
+        jest.useRealTimers();
+      }
+      expect(localStorage.getItem('sessionExpired')).toBe('true');
+    });
+
+    test('should clear invalid session data and return false', async () => {
       localStorage.setItem('sessionToken', 'invalid json');
-      expect(authManager.isAuthenticated()).toBe(false);
+      expect(await authManager.isAuthenticated()).toBe(false);
+      expect(localStorage.getItem('sessionToken')).toBeNull();
+    });
+
+    test('should clear session with missing fields', async () => {
+      localStorage.setItem('sessionToken', JSON.stringify({ userId: 1 }));
+      expect(await authManager.isAuthenticated()).toBe(false);
       expect(localStorage.getItem('sessionToken')).toBeNull();
     });
 
-    test('should clear session with missing fields', () => {
-      localStorage.setItem('sessionToken', JSON.stringify({ token: 'abc' }));
-      expect(authManager.isAuthenticated()).toBe(false);
+    test('should reject tokens that are not in the sessions table', async () => {
+      localStorage.setItem('sessionToken', JSON.stringify({
+        token: authManager.generateSessionToken(),
+        userId: 1,
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+      }));
+
+      expect(await authManager.isAuthenticated()).toBe(false);
+      expect(authManager.getUserId()).toBeNull();
       expect(localStorage.getItem('sessionToken')).toBeNull();
     });
+
+    test('should log out a session revoked by an owner', async () => {
+      await authManager.login('admin', 'admin123');
+      await authManager.isAuthenticated();
+
+      await authManager.dataStore.revokeSession(1, authManager.getSession().sessionId);
+
+      expect(await authManager.isAuthenticated()).toBe(false);
+      expect(localStorage.getItem('sessionRevoked')).toBe('true');
+    });
+  });
+
+  describe('getUserId', () => {
+    test('should take the user from the sessions table, not from localStorage', async () => {
+      await authManager.dataStore.saveUser('clerk', 'clerk123', 'clerk');
+      const { sessionToken } = await authManager.login('clerk', 'clerk123');
+      const clerkId = authManager.getUserId();
+
+      // Editing the stored session to another user must not switch accounts
+      localStorage.setItem('sessionToken', JSON.stringify({ token: sessionToken, userId: 1 }));
+
+      expect(await authManager.isAuthenticated()).toBe(true);
+      expect(authManager.getUserId()).toBe(clerkId);
+      expect(clerkId).not.toBe(1);
+    });
+
+    test('should return null once the token is gone from the browser', async () => {
+      await authManager.login('admin', 'admin123');
+      expect(authManager.getUserId()).toBe(1);
+
+      // e.g. logged out in another tab
+      localStorage.removeItem('sessionToken');
+
+      expect(authManager.getUserId()).toBeNull();
+    });
   });
 
   describe('getSessionToken', () => {
@@ -144,7 +313,7 @@ describe('AuthManager', () => {
 
     test('should return null after logout', async () => {
       await authManager.login('admin', 'admin123');
-      authManager.logout();
+      await authManager.logout();
       expect(authManager.getSessionToken()).toBeNull();
     });
   });
@@ -152,11 +321,11 @@ describe('AuthManager', () => {
   describe('session expiration', () => {
     test('should set expiration to 24 hours from login', async () => {
       const beforeLogin = Date.now();
-      await authManager.login('admin', 'admin123');
+      const { sessionToken } = await authManager.login('admin', 'admin123');
       const afterLogin = Date.now();
       
-      const sessionData = JSON.parse(localStorage.getItem('sessionToken'));
-      const expiresAt = new Date(sessionData.expiresAt).getTime();
+      const session = await authManager.dataStore.validateSession(sessionToken);
+      const expiresAt = new Date(session.expiresAt).getTime();
       
       const expectedMin = beforeLogin + (24 * 60 * 60 * 1000);
       const expectedMax = afterLogin + (24 * 60 * 60 * 1000);
@@ -167,26 +336,41 @@ describe('AuthManager', () => {
   });
 
   describe('password hashing', () => {
-    test('should hash password using SHA-256', async () => {
-      const hash = await authManager.hashPassword('testpassword');
-      
-      expect(typeof hash).toBe('string');
-      expect(hash.length).toBe(64); // SHA-256 produces 64 hex characters
-      expect(hash).toMatch(/^[a-f0-9]{64}$/); // Only hex characters
+    const saveLegacyUser = async (username, password) => {
+      const dataStore = authManager.dataStore.local;
+      const stmt = dataStore.db.prepare(`
+        INSERT INTO users (username, password_hash, password_salt, password_algorithm, password_iterations)
+        VALUES (?, ?, ?, ?, ?)
+      `);
+      stmt.run([username, await dataStore.hashLegacyPassword(password), null, 'sha256', null]);
+      stmt.free();
+    };
+
+    test('should log in accounts stored with unsalted SHA-256', async () => {
+      await saveLegacyUser('olduser', 'oldpassword');
+
+      const result = await authManager.login('olduser', 'oldpassword');
+      expect(result.success).toBe(true);
     });
 
-    test('should produce consistent hashes for same password', async () => {
-      const hash1 = await authManager.hashPassword('testpassword');
-      const hash2 = await authManager.hashPassword('testpassword');
-      
-      expect(hash1).toBe(hash2);
+    test('should re-hash SHA-256 passwords with PBKDF2 on login', async () => {
+      await saveLegacyUser('olduser', 'oldpassword');
+      expect((await authManager.dataStore.verifyUser('olduser', 'oldpassword')).needsRehash).toBe(true);
+
+      await authManager.login('olduser', 'oldpassword');
+
+      const verification = await authManager.dataStore.verifyUser('olduser', 'oldpassword');
+      expect(verification.valid).toBe(true);
+      expect(verification.needsRehash).toBe(false);
     });
 
-    test('should produce different hashes for different passwords', async () => {
-      const hash1 = await authManager.hashPassword('password1');
-      const hash2 = await authManager.hashPassword('password2');
-      
-      expect(hash1).not.toBe(hash2);
+    test('should not re-hash after a failed login', async () => {
+      await saveLegacyUser('olduser', 'oldpassword');
+
+      const result = await authManager.login('olduser', 'wrongpassword');
+
+      expect(result.success).toBe(false);
+      expect((await authManager.dataStore.verifyUser('olduser', 'oldpassword')).needsRehash).toBe(true);
     });
   });
 
@@ -207,62 +391,203 @@ describe('AuthManager', () => {
     });
   });
 
+  describe('first-run setup', () => {
+    let freshAuthManager;
+
+    beforeEach(async () => {
+      localStorage.clear();
+      freshAuthManager = new AuthManager();
+      await freshAuthManager.initialize();
+    });
+
+    afterEach(async () => {
+      await freshAuthManager.dataStore.flush();
+    });
+
+    test('should need setup while there are no users', async () => {
+      expect(await freshAuthManager.needsSetup()).toBe(true);
+      expect(await authManager.needsSetup()).toBe(false);
+    });
+
+    test('should not create a default admin account', async () => {
+      const result = await freshAuthManager.login('admin', 'admin123');
+      expect(result.success).toBe(false);
+    });
+
+    test('should create the owner and log the owner in', async () => {
+      const result = await freshAuthManager.completeSetup('owner', 'ownerpass', {
+        name: 'Sharma Roadways',
+        city: 'Pune',
+        gstNumber: '27ABCDE1234F1Z5'
+      });
+
+      expect(result.success).toBe(true);
+      expect(await freshAuthManager.isAuthenticated()).toBe(true);
+      expect(await freshAuthManager.needsSetup()).toBe(false);
+      expect((await freshAuthManager.dataStore.verifyUser('owner', 'ownerpass')).userId).toBe(freshAuthManager.getUserId());
+    });
+
+    test('should have stored the owner and company by the time it returns', async () => {
+      const dataStore = freshAuthManager.dataStore.local;
+      await dataStore.flush();
+      const storedUsers = [];
+      const save = dataStore.storage.save.bind(dataStore.storage);
+      dataStore.storage.save = async (bytes) => {
+        storedUsers.push(dataStore.db.tables.users.map(user => user.username));
+        await save(bytes);
+      };
+
+      await freshAuthManager.completeSetup('owner', 'ownerpass', { name: 'Sharma Roadways' });
+
+      expect(dataStore.dirty).toBe(false);
+      expect(storedUsers.at(-1)).toEqual(['owner']);
+    });
+
+    test('should give the owner recovery codes', async () => {
+      const result = await freshAuthManager.completeSetup('owner', 'ownerpass', { name: 'Sharma Roadways' });
+
+      expect(result.recoveryCodes).toHaveLength(freshAuthManager.dataStore.RECOVERY_CODE_COUNT);
+      result.recoveryCodes.forEach(code => expect(code).toMatch(/^[A-Z2-9]{5}-[A-Z2-9]{5}$/));
+      expect(await freshAuthManager.getRecoveryCodeCount()).toBe(freshAuthManager.dataStore.RECOVERY_CODE_COUNT);
+    });
+
+    test('should validate the account and require a company name', async () => {
+      expect((await freshAuthManager.completeSetup('ab', 'ownerpass', { name: 'Sharma Roadways' })).error)
+        .toBe('Username must be at least 3 characters long');
+      expect((await freshAuthManager.completeSetup('owner', 'ownerpass', { name: '  ' })).error)
+        .toBe('Company name is required');
+      expect(await freshAuthManager.needsSetup()).toBe(true);
+    });
+
+    test('should only run once', async () => {
+      await freshAuthManager.completeSetup('owner', 'ownerpass', { name: 'Sharma Roadways' });
+      await freshAuthManager.logout();
+
+      const result = await freshAuthManager.completeSetup('intruder', 'intruderpass', { name: 'Other Co' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Setup has already been completed');
+      expect(await freshAuthManager.isAuthenticated()).toBe(false);
+      expect((await freshAuthManager.login('intruder', 'intruderpass')).success).toBe(false);
+    });
+  });
+
   describe('register', () => {
+    const createInvite = async () => {
+      const admin = await authManager.dataStore.verifyUser('admin', 'admin123');
+      return (await authManager.dataStore.createInvite(admin.userId)).code;
+    };
     test('should successfully register new user with valid credentials', async () => {
-      const result = await authManager.register('newuser', 'password123');
+      const result = await authManager.register('newuser', 'password123', await createInvite());
       
       expect(result.success).toBe(true);
       expect(result.error).toBeUndefined();
     });
 
+    test('should have stored the new account by the time it returns', async () => {
+      const inviteCode = await createInvite();
+      const dataStore = authManager.dataStore.local;
+      await dataStore.flush();
+      const storedUsers = [];
+      const save = dataStore.storage.save.bind(dataStore.storage);
+      dataStore.storage.save = async (bytes) => {
+        storedUsers.push(dataStore.db.tables.users.map(user => user.username));
+        await save(bytes);
+      };
+
+      await authManager.register('newuser', 'password123', inviteCode);
+
+      expect(dataStore.dirty).toBe(false);
+      expect(storedUsers.at(-1)).toEqual(['admin', 'newuser']);
+    });
+
     test('should reject registration with existing username', async () => {
-      await authManager.register('testuser', 'password123');
-      const result = await authManager.register('testuser', 'password456');
+      await authManager.register('testuser', 'password123', await createInvite());
+      const result = await authManager.register('testuser', 'password456', await createInvite());
       
       expect(result.success).toBe(false);
       expect(result.error).toBe('Username already exists');
     });
 
     test('should reject registration with username less than 3 characters', async () => {
-      const result = await authManager.register('ab', 'password123');
+      const result = await authManager.register('ab', 'password123', await createInvite());
       
       expect(result.success).toBe(false);
       expect(result.error).toBe('Username must be at least 3 characters long');
     });
 
     test('should reject registration with invalid username characters', async () => {
-      const result = await authManager.register('user@name', 'password123');
+      const result = await authManager.register('user@name', 'password123', await createInvite());
       
       expect(result.success).toBe(false);
       expect(result.error).toBe('Username can only contain letters, numbers, and underscores');
     });
 
     test('should reject registration with password less than 6 characters', async () => {
-      const result = await authManager.register('newuser', 'pass');
+      const result = await authManager.register('newuser', 'pass', await createInvite());
       
       expect(result.success).toBe(false);
       expect(result.error).toBe('Password must be at least 6 characters long');
     });
 
     test('should reject registration with empty username', async () => {
-      const result = await authManager.register('', 'password123');
+      const result = await authManager.register('', 'password123', await createInvite());
       
       expect(result.success).toBe(false);
       expect(result.error).toBe('Username and password are required');
     });
 
     test('should reject registration with empty password', async () => {
-      const result = await authManager.register('newuser', '');
+      const result = await authManager.register('newuser', '', await createInvite());
       
       expect(result.success).toBe(false);
       expect(result.error).toBe('Username and password are required');
     });
 
+    test('should require an invite code', async () => {
+      const result = await authManager.register('newuser', 'password123', '');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('An invite code is required to create an account');
+    });
+
+    test('should reject an unknown invite code', async () => {
+      const result = await authManager.register('newuser', 'password123', 'ABCD-EFGH-JKLM');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invite code is invalid, used or expired');
+      expect((await authManager.login('newuser', 'password123')).success).toBe(false);
+    });
+
+    test('should accept an invite code only once', async () => {
+      const code = await createInvite();
+      await authManager.register('firstuser', 'password123', code);
+
+      const result = await authManager.register('seconduser', 'password123', code);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invite code is invalid, used or expired');
+    });
+
+    test('should accept invite codes typed without dashes in lower case', async () => {
+      const code = await createInvite();
+
+      const result = await authManager.register('newuser', 'password123', code.replace(/-/g, '').toLowerCase());
+      expect(result.success).toBe(true);
+    });
+
+    test('should keep the invite when the username is taken', async () => {
+      const code = await createInvite();
+
+      expect((await authManager.register('admin', 'password123', code)).error).toBe('Username already exists');
+      expect((await authManager.register('newuser', 'password123', code)).success).toBe(true);
+    });
+
     test('should allow login after successful registration', async () => {
       const username = 'newuser';
       const password = 'password123';
       
-      const registerResult = await authManager.register(username, password);
+      const registerResult = await authManager.register(username, password, await createInvite());
       expect(registerResult.success).toBe(true);
       
       const loginResult = await authManager.login(username, password);
@@ -274,13 +599,237 @@ describe('AuthManager', () => {
       const username = 'testuser';
       const password = 'password123';
       
-      await authManager.register(username, password);
-      
-      // Verify that the stored password is hashed
-      const expectedHash = await authManager.hashPassword(password);
-      const verification = await authManager.dataStore.verifyUser(username, expectedHash);
+      await authManager.register(username, password, await createInvite());
       
+      // Verify that the stored password is a PBKDF2 hash, not the password itself
+      const stored = authManager.dataStore.local.db.tables.users.find(user => user.username === username);
+      expect(stored.password_hash).not.toBe(password);
+      expect(stored.password_algorithm).toBe('pbkdf2-sha256');
+
+      const verification = await authManager.dataStore.verifyUser(username, password);
       expect(verification.valid).toBe(true);
+      expect(verification.needsRehash).toBe(false);
+    });
+
+    test('should give the new user their own recovery codes', async () => {
+      const result = await authManager.register('newuser', 'password123', await createInvite());
+
+      expect(result.recoveryCodes).toHaveLength(authManager.dataStore.RECOVERY_CODE_COUNT);
+      expect(result.recoveryCodes).not.toContain(adminRecoveryCodes[0]);
+      expect((await authManager.recoverPassword('newuser', adminRecoveryCodes[0], 'newpass123')).success).toBe(false);
+    });
+  });
+
+  describe('changePassword', () => {
+    beforeEach(async () => {
+      await authManager.login('admin', 'admin123');
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should change the password after checking the current one', async () => {
+      const result = await authManager.changePassword('admin123', 'newpass123');
+
+      expect(result.success).toBe(true);
+      expect((await authManager.dataStore.verifyUser('admin', 'admin123')).valid).toBe(false);
+      expect((await authManager.dataStore.verifyUser('admin', 'newpass123')).valid).toBe(true);
+    });
+
+    test('should log out the other sessions but keep this one', async () => {
+      const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+      await authManager.dataStore.createSession(authManager.getUserId(), 'other-browser', { expiresAt });
+
+      await authManager.changePassword('admin123', 'newpass123');
+
+      expect((await authManager.dataStore.validateSession('other-browser')).valid).toBe(false);
+      expect(await authManager.isAuthenticated()).toBe(true);
+    });
+
+    test('should refuse a wrong current password and count it as a failed login', async () => {
+      const result = await authManager.changePassword('wrongpassword', 'newpass123');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Current password is incorrect');
+      expect((await authManager.dataStore.getLoginThrottle('admin')).failedAttempts).toBe(1);
+      expect((await authManager.dataStore.verifyUser('admin', 'admin123')).valid).toBe(true);
+
+      // The back-off applies here as it does on the login page
+      expect((await authManager.changePassword('admin123', 'newpass123')).error).toMatch(/^Too many failed attempts/);
+    });
+
+    test('should check the new password against the account rules', async () => {
+      const result = await authManager.changePassword('admin123', 'short');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Password must be at least 6 characters long');
+    });
+
+    test('should require a logged-in user', async () => {
+      await authManager.logout();
+
+      const result = await authManager.changePassword('admin123', 'newpass123');
+
+      expect(result.success).toBe(false);
+      expect((await authManager.dataStore.verifyUser('admin', 'admin123')).valid).toBe(true);
+    });
+  });
+
+  describe('password recovery', () => {
+    test('should set a new password with a recovery code', async () => {
+      const result = await authManager.recoverPassword('admin', adminRecoveryCodes[0], 'newpass123');
+
+      expect(result.success).toBe(true);
+      expect(result.remainingCodes).toBe(authManager.dataStore.RECOVERY_CODE_COUNT - 1);
+      expect((await authManager.login('admin', 'newpass123')).success).toBe(true);
+    });
+
+    test('should accept each recovery code only once', async () => {
+      await authManager.recoverPassword('admin', adminRecoveryCodes[0], 'newpass123');
+
+      const result = await authManager.recoverPassword('admin', adminRecoveryCodes[0], 'otherpass123');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invalid username or recovery code');
+      expect((await authManager.dataStore.verifyUser('admin', 'newpass123')).valid).toBe(true);
+    });
+
+    test('should accept codes typed without the dash in lower case', async () => {
+      const code = adminRecoveryCodes[1].replace('-', '').toLowerCase();
+
+      expect((await authManager.recoverPassword('admin', code, 'newpass123')).success).toBe(true);
+    });
+
+    test('should log out every session of the recovered account', async () => {
+      await authManager.login('admin', 'admin123');
+
+      await authManager.recoverPassword('admin', adminRecoveryCodes[0], 'newpass123');
+
+      expect(await authManager.isAuthenticated()).toBe(false);
+    });
+
+    test('should count a wrong recovery code as a failed login', async () => {
+      const result = await authManager.recoverPassword('admin', 'AAAAA-AAAAA', 'newpass123');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invalid username or recovery code');
+      expect((await authManager.dataStore.getLoginThrottle('admin')).failedAttempts).toBe(1);
+      expect((await authManager.recoverPassword('admin', adminRecoveryCodes[0], 'newpass123')).error)
+        .toMatch(/^Too many failed attempts/);
+    });
+
+    test('should validate the new password before using up a code', async () => {
+      expect((await authManager.recoverPassword('admin', adminRecoveryCodes[0], 'short')).error)
+        .toBe('Password must be at least 6 characters long');
+      expect((await authManager.recoverPassword('admin', '', 'newpass123')).error)
+        .toBe('Username and recovery code are required');
+      expect((await authManager.recoverPassword('admin', adminRecoveryCodes[0], 'newpass123')).success).toBe(true);
+    });
+
+    test('should store each code as a PBKDF2 hash with its own salt', () => {
+      const dataStore = authManager.dataStore.local;
+      const rows = dataStore.db.tables.recovery_codes;
+
+      expect(rows).toHaveLength(dataStore.RECOVERY_CODE_COUNT);
+      rows.forEach(row => {
+        expect(row.code_algorithm).toBe(dataStore.PASSWORD_ALGORITHM);
+        expect(row.code_iterations).toBe(dataStore.PASSWORD_ITERATIONS);
+      });
+      expect(new Set(rows.map(row => row.code_salt)).size).toBe(rows.length);
+    });
+
+    test('should still accept codes stored as SHA-256 digests', async () => {
+      const dataStore = authManager.dataStore.local;
+      const [row] = dataStore.db.tables.recovery_codes;
+      Object.assign(row, {
+        code_hash: await dataStore.digestHex(dataStore.normalizeInviteCode(adminRecoveryCodes[0])),
+        code_salt: null,
+        code_algorithm: null,
+        code_iterations: null
+      });
+
+      expect((await authManager.recoverPassword('admin', adminRecoveryCodes[0], 'newpass123')).success).toBe(true);
+    });
+
+    test('should replace the codes when new ones are generated', async () => {
+      await authManager.login('admin', 'admin123');
+
+      expect((await authManager.regenerateRecoveryCodes('wrongpassword')).error).toBe('Current password is incorrect');
+
+      jest.useFakeTimers({ now: Date.now() + 1000 });
+      try {
+        const result = await authManager.regenerateRecoveryCodes('admin123');
+
+        expect(result.success).toBe(true);
+        expect(result.codes).toHaveLength(authManager.dataStore.RECOVERY_CODE_COUNT);
+        expect((await authManager.recoverPassword('admin', adminRecoveryCodes[0], 'newpass123')).success).toBe(false);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+
+  describe('encrypted database', () => {
+    let lockedAuthManager;
+
+    beforeEach(async () => {
+      await authManager.login('admin', 'admin123');
+      await authManager.dataStore.enableEncryption(authManager.getUserId(), 'correct horse');
+      await authManager.dataStore.flush();
+      sessionStorage.clear();
+
+      lockedAuthManager = new AuthManager();
+      await lockedAuthManager.initialize();
+    });
+
+    afterEach(async () => {
+      await lockedAuthManager.dataStore.flush();
+      sessionStorage.clear();
+    });
+
+    test('should be locked in a tab that has not entered the passphrase', () => {
+      expect(authManager.isLocked()).toBe(false);
+      expect(lockedAuthManager.isLocked()).toBe(true);
+    });
+
+    test('should not offer first-run setup while locked', async () => {
+      expect(await lockedAuthManager.needsSetup()).toBe(false);
+    });
+
+    test('should keep the session for after the database is unlocked', async () => {
+      expect(await lockedAuthManager.isAuthenticated()).toBe(false);
+      expect(lockedAuthManager.getStoredToken()).toBe(authManager.getSessionToken());
+      expect(localStorage.getItem('sessionRevoked')).toBeNull();
+    });
+
+    test('should unlock with the passphrase', async () => {
+      expect((await lockedAuthManager.unlock('')).error).toBe('Passphrase is required');
+      expect((await lockedAuthManager.unlock('wrong passphrase')).error).toBe('Incorrect passphrase');
+
+      expect((await lockedAuthManager.unlock('correct horse')).success).toBe(true);
+      expect(lockedAuthManager.isLocked()).toBe(false);
+    });
+  });
+
+  describe('getPermissions', () => {
+    test('should return the logged-in user\'s permissions', async () => {
+      await authManager.login('admin', 'admin123');
+
+      expect(await authManager.getPermissions()).toContain('users.manage');
+    });
+
+    test('should follow the role of an invited user', async () => {
+      const admin = await authManager.dataStore.verifyUser('admin', 'admin123');
+      const { code } = await authManager.dataStore.createInvite(admin.userId, '', 'readonly');
+      await authManager.register('viewer', 'password123', code);
+      await authManager.login('viewer', 'password123');
+
+      expect(await authManager.getPermissions()).toEqual([]);
+    });
+
+    test('should return no permissions without a session', async () => {
+      expect(await authManager.getPermissions()).toEqual([]);
     });
   });
 });
@@ -326,8 +875,7 @@ describe('AuthManager - Property-Based Tests', () => {
           await freshAuthManager.initialize();
 
           // Create a user with the generated credentials
-          const passwordHash = await freshAuthManager.hashPassword(password);
-          await freshAuthManager.dataStore.saveUser(username, passwordHash);
+          await freshAuthManager.dataStore.saveUser(username, password);
 
           // Attempt to login with the valid credentials
           const result = await freshAuthManager.login(username, password);
@@ -339,7 +887,7 @@ describe('AuthManager - Property-Based Tests', () => {
           expect(result.sessionToken.length).toBeGreaterThan(0);
 
           // Verify that a session was created
-          expect(freshAuthManager.isAuthenticated()).toBe(true);
+          expect(await freshAuthManager.isAuthenticated()).toBe(true);
 
           // Verify session token can be retrieved
           const sessionToken = freshAuthManager.getSessionToken();
@@ -351,11 +899,14 @@ describe('AuthManager - Property-Based Tests', () => {
           
           const parsed = JSON.parse(sessionData);
           expect(parsed.token).toBe(result.sessionToken);
-          expect(parsed.userId).toBeDefined();
-          expect(parsed.expiresAt).toBeDefined();
+
+          // Verify the session was recorded for the user
+          const session = await freshAuthManager.dataStore.validateSession(result.sessionToken);
+          expect(session.valid).toBe(true);
+          expect(session.userId).toBe(freshAuthManager.getUserId());
 
           // Verify expiration is set to 24 hours from now
-          const expiresAt = new Date(parsed.expiresAt);
+          const expiresAt = new Date(session.expiresAt);
           const now = new Date();
           const hoursDiff = (expiresAt - now) / (1000 * 60 * 60);
           expect(hoursDiff).toBeGreaterThan(23.9);
@@ -397,8 +948,7 @@ describe('AuthManager - Property-Based Tests', () => {
           await freshAuthManager.initialize();
 
           // Create a user with valid credentials
-          const passwordHash = await freshAuthManager.hashPassword(validPassword);
-          await freshAuthManager.dataStore.saveUser(username, passwordHash);
+          await freshAuthManager.dataStore.saveUser(username, validPassword);
 
           // Test 1: Attempt login with wrong password
           const wrongPasswordResult = await freshAuthManager.login(username, invalidPassword);
@@ -406,7 +956,7 @@ describe('AuthManager - Property-Based Tests', () => {
           expect(wrongPasswordResult.success).toBe(false);
           expect(wrongPasswordResult.error).toBe('Invalid username or password');
           expect(wrongPasswordResult.sessionToken).toBeUndefined();
-          expect(freshAuthManager.isAuthenticated()).toBe(false);
+          expect(await freshAuthManager.isAuthenticated()).toBe(false);
           expect(localStorage.getItem('sessionToken')).toBeNull();
 
           // Test 2: Attempt login with non-existent username
@@ -415,7 +965,7 @@ describe('AuthManager - Property-Based Tests', () => {
           expect(wrongUsernameResult.success).toBe(false);
           expect(wrongUsernameResult.error).toBe('Invalid username or password');
           expect(wrongUsernameResult.sessionToken).toBeUndefined();
-          expect(freshAuthManager.isAuthenticated()).toBe(false);
+          expect(await freshAuthManager.isAuthenticated()).toBe(false);
           expect(localStorage.getItem('sessionToken')).toBeNull();
 
           // Test 3: Attempt login with empty username
@@ -424,7 +974,7 @@ describe('AuthManager - Property-Based Tests', () => {
           expect(emptyUsernameResult.success).toBe(false);
           expect(emptyUsernameResult.error).toBe('Invalid username or password');
           expect(emptyUsernameResult.sessionToken).toBeUndefined();
-          expect(freshAuthManager.isAuthenticated()).toBe(false);
+          expect(await freshAuthManager.isAuthenticated()).toBe(false);
 
           // Test 4: Attempt login with empty password
           const emptyPasswordResult = await freshAuthManager.login(username, '');
@@ -432,7 +982,7 @@ describe('AuthManager - Property-Based Tests', () => {
           expect(emptyPasswordResult.success).toBe(false);
           expect(emptyPasswordResult.error).toBe('Invalid username or password');
           expect(emptyPasswordResult.sessionToken).toBeUndefined();
-          expect(freshAuthManager.isAuthenticated()).toBe(false);
+          expect(await freshAuthManager.isAuthenticated()).toBe(false);
 
           iterationCount++;
         }
@@ -465,15 +1015,14 @@ describe('AuthManager - Property-Based Tests', () => {
           await freshAuthManager.initialize();
 
           // Create a user with the generated credentials
-          const passwordHash = await freshAuthManager.hashPassword(password);
-          await freshAuthManager.dataStore.saveUser(username, passwordHash);
+          await freshAuthManager.dataStore.saveUser(username, password);
 
           // Login to create an active session
           const loginResult = await freshAuthManager.login(username, password);
           expect(loginResult.success).toBe(true);
 
           // Verify session is active
-          expect(freshAuthManager.isAuthenticated()).toBe(true);
+          expect(await freshAuthManager.isAuthenticated()).toBe(true);
 
           // Verify session token is available
           const sessionToken = freshAuthManager.getSessionToken();
@@ -496,23 +1045,22 @@ describe('AuthManager - Property-Based Tests', () => {
           
           const parsed = JSON.parse(sessionData);
           expect(parsed.token).toBe(sessionToken);
-          expect(parsed.userId).toBe(userId);
-          expect(parsed.expiresAt).toBeDefined();
+          expect(freshAuthManager.getSession().userId).toBe(userId);
 
           // Verify session is not expired
-          const expiresAt = new Date(parsed.expiresAt);
+          const expiresAt = new Date(freshAuthManager.getSession().expiresAt);
           const now = new Date();
           expect(expiresAt.getTime()).toBeGreaterThan(now.getTime());
 
           // Verify session remains valid after multiple checks
-          expect(freshAuthManager.isAuthenticated()).toBe(true);
+          expect(await freshAuthManager.isAuthenticated()).toBe(true);
           expect(freshAuthManager.getSessionToken()).toBe(sessionToken);
           expect(freshAuthManager.getUserId()).toBe(userId);
 
           // Verify that the session enables access to protected features
           // by confirming that authentication checks pass consistently
           for (let i = 0; i < 5; i++) {
-            expect(freshAuthManager.isAuthenticated()).toBe(true);
+            expect(await freshAuthManager.isAuthenticated()).toBe(true);
             expect(freshAuthManager.getSessionToken()).not.toBeNull();
             expect(freshAuthManager.getUserId()).not.toBeNull();
           }
@@ -549,15 +1097,14 @@ describe('AuthManager - Property-Based Tests', () => {
           await freshAuthManager.initialize();
 
           // Create a user with the generated credentials
-          const passwordHash = await freshAuthManager.hashPassword(password);
-          await freshAuthManager.dataStore.saveUser(username, passwordHash);
+          await freshAuthManager.dataStore.saveUser(username, password);
 
           // Login to create an active session
           const loginResult = await freshAuthManager.login(username, password);
           expect(loginResult.success).toBe(true);
 
           // Verify session is active before logout
-          expect(freshAuthManager.isAuthenticated()).toBe(true);
+          expect(await freshAuthManager.isAuthenticated()).toBe(true);
           expect(freshAuthManager.getSessionToken()).not.toBeNull();
           expect(freshAuthManager.getUserId()).not.toBeNull();
           expect(localStorage.getItem('sessionToken')).not.toBeNull();
@@ -567,17 +1114,17 @@ describe('AuthManager - Property-Based Tests', () => {
           expect(sessionTokenBeforeLogout).toBeDefined();
 
           // Call logout
-          freshAuthManager.logout();
+          await freshAuthManager.logout();
 
           // Verify session is terminated after logout
-          expect(freshAuthManager.isAuthenticated()).toBe(false);
+          expect(await freshAuthManager.isAuthenticated()).toBe(false);
           expect(freshAuthManager.getSessionToken()).toBeNull();
           expect(freshAuthManager.getUserId()).toBeNull();
           expect(localStorage.getItem('sessionToken')).toBeNull();
 
           // Verify that multiple checks confirm session termination
           for (let i = 0; i < 5; i++) {
-            expect(freshAuthManager.isAuthenticated()).toBe(false);
+            expect(await freshAuthManager.isAuthenticated()).toBe(false);
             expect(freshAuthManager.getSessionToken()).toBeNull();
             expect(freshAuthManager.getUserId()).toBeNull();
           }
@@ -590,14 +1137,10 @@ describe('AuthManager - Property-Based Tests', () => {
             expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
           }));
           
-          // Create a new AuthManager instance to simulate page reload
-          const newAuthManager = new AuthManager();
-          await newAuthManager.initialize();
-          
-          // The session should still be considered terminated
-          // (Note: In a real implementation, you might want to invalidate tokens server-side,
-          // but for this client-side app, we verify the logout cleared the session)
-          
+          // Logout ended the session in the datastore, so the restored token is rejected
+          expect(await freshAuthManager.isAuthenticated()).toBe(false);
+          expect(freshAuthManager.getUserId()).toBeNull();
+
           // Clean up
           localStorage.clear();
 
@@ -0,0 +1,60 @@
+/**
+ * Unit tests for CityDropdown
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import CityDropdown from '../assets/js/city-dropdown.js';
+
+describe('CityDropdown', () => {
+  let cityDropdown;
+  let input;
+  let dropdown;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<input id="origin"><div id="originDropdown" class="hidden"></div>';
+    input = document.getElementById('origin');
+    dropdown = document.getElementById('originDropdown');
+    cityDropdown = new CityDropdown();
+    cityDropdown.init('origin', 'originDropdown');
+  });
+
+  const type = (value) => {
+    input.value = value;
+    input.dispatchEvent(new Event('input'));
+  };
+
+  test('highlights the typed text in matching cities', () => {
+    type('mum');
+
+    const items = dropdown.querySelectorAll('div');
+    expect(Array.from(items).map(item => item.textContent)).toEqual(['Mumbai', 'Navi Mumbai']);
+    expect(items[1].querySelector('span').textContent).toBe('Mum');
+    expect(dropdown.classList.contains('hidden')).toBe(false);
+  });
+
+  test('treats regular expression characters as text', () => {
+    expect(() => type('(')).not.toThrow();
+    expect(dropdown.textContent).toContain('No cities found');
+
+    type('& k');
+    expect(dropdown.querySelector('span').textContent).toBe('& K');
+  });
+
+  test('renders typed markup as text', () => {
+    cityDropdown.cities.push('<img src=x onerror="alert(1)">');
+
+    type('<img');
+
+    expect(dropdown.querySelector('img')).toBeNull();
+    expect(dropdown.querySelector('span').textContent).toBe('<img');
+    expect(dropdown.textContent).toBe('<img src=x onerror="alert(1)">');
+  });
+
+  test('fills the input when a city is picked', () => {
+    type('pune');
+    dropdown.querySelector('div').click();
+
+    expect(input.value).toBe('Pune');
+    expect(dropdown.classList.contains('hidden')).toBe(true);
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * Unit tests for DataStoreClient
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import DataStoreManager from '../assets/js/datastore.js';
+import { DataStoreClient } from '../assets/js/datastore-client.js';
+
+/**
+ * Stands in for the datastore worker: answers { id, method, args } messages
+ * from a DataStoreManager on the same thread
+ */
+class FakeWorker {
+  static instances = [];
+
+  constructor(url, options) {
+    this.url = String(url);
+    this.options = options;
+    this.listeners = { message: [], error: [] };
+    this.dataStore = new DataStoreManager();
+    this.received = [];
+    this.terminated = false;
+    FakeWorker.instances.push(this);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type].push(listener);
+  }
+
+  postMessage({ id, method, args = [] }) {
+    this.received.push(method);
+    setTimeout(async () => {
+      try {
+        const result = await this.dataStore[method](...args);
+        this.listeners.message.forEach(listener => listener({ data: { id, result } }));
+      } catch (error) {
+        this.listeners.message.forEach(listener => listener({ data: { id, error: error.message } }));
+      }
+    }, 0);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+describe('DataStoreClient', () => {
+  const freight = { userId: 1, origin: 'Mumbai', destination: 'Delhi', goodsDescription: 'Steel', weight: 100, amount: 5000 };
+
+  beforeEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+    FakeWorker.instances = [];
+  });
+
+  afterEach(() => {
+    DataStoreClient.closeWorker();
+    delete globalThis.Worker;
+    delete globalThis.indexedDB;
+  });
+
+  describe('on the page', () => {
+    test('runs on the page when workers are unavailable', async () => {
+      const client = new DataStoreClient();
+      expect(client.local.constructor.name).toBe('DataStoreManager');
+
+      const result = await client.initialize();
+      expect(result.success).toBe(true);
+      expect(client.initialized).toBe(true);
+    });
+
+    test('exposes every datastore method as an async method', async () => {
+      const client = new DataStoreClient();
+      await client.initialize();
+      await client.saveUser('owner', 'ownerpass');
+
+      Object.getOwnPropertyNames(DataStoreManager.prototype)
+        .filter(name => name !== 'constructor')
+        .forEach(name => expect(typeof client[name]).toBe('function'));
+
+      const pending = client.saveFreightDetails(freight);
+      expect(pending).toBeInstanceOf(Promise);
+
+      const saved = await pending;
+      expect(saved.success).toBe(true);
+      expect((await client.getFreightDetails(saved.id, 1)).origin).toBe('Mumbai');
+    });
+
+    test('copies the datastore constants', () => {
+      const client = new DataStoreClient();
+      expect(client.DEFAULT_PAYMENT_TERMS).toEqual(new DataStoreManager().DEFAULT_PAYMENT_TERMS);
+      expect(client.FREIGHT_BASES).toEqual(['paid', 'toPay', 'tbb']);
+    });
+
+    test('rejects when a datastore method throws', async () => {
+      const client = new DataStoreClient();
+      await client.initialize();
+
+      await expect(client.transaction(() => {
+        throw new Error('Bulk edit failed');
+      })).rejects.toThrow('Bulk edit failed');
+    });
+
+    test('remembers the key of an encrypted database for the tab', async () => {
+      const client = new DataStoreClient();
+      await client.initialize();
+      await client.saveUser('owner', 'ownerpass');
+      await client.enableEncryption(1, 'correct horse');
+      expect(sessionStorage.getItem(DataStoreClient.KEY_CACHE_NAME)).toMatch(/^[0-9a-f]{64}$/);
+
+      const nextPage = new DataStoreClient();
+      expect(await nextPage.initialize()).toEqual({ success: true, encrypted: true });
+      expect(nextPage.locked).toBe(false);
+
+      // Write now, so a scheduled flush doesn't store the encrypted file during a later test
+      await Promise.all([client.flush(), nextPage.flush()]);
+    });
+
+    test('stays locked in a new tab until unlocked', async () => {
+      const client = new DataStoreClient();
+      await client.initialize();
+      await client.saveUser('owner', 'ownerpass');
+      await client.enableEncryption(1, 'correct horse');
+      sessionStorage.clear();
+
+      const newTab = new DataStoreClient();
+      expect((await newTab.initialize()).locked).toBe(true);
+      expect(newTab.locked).toBe(true);
+      expect(newTab.initialized).toBe(false);
+
+      expect((await newTab.unlock('wrong passphrase')).success).toBe(false);
+      expect((await newTab.unlock('correct horse')).success).toBe(true);
+      expect(newTab.initialized).toBe(true);
+      expect(newTab.locked).toBe(false);
+      expect(sessionStorage.getItem(DataStoreClient.KEY_CACHE_NAME)).toBeTruthy();
+      await Promise.all([client.flush(), newTab.flush()]);
+    });
+
+    test('forgets the key once encryption is turned off', async () => {
+      const client = new DataStoreClient();
+      await client.initialize();
+      await client.saveUser('owner', 'ownerpass');
+      await client.enableEncryption(1, 'correct horse');
+
+      await client.disableEncryption(1, 'correct horse');
+
+      expect(sessionStorage.getItem(DataStoreClient.KEY_CACHE_NAME)).toBeNull();
+      const nextPage = new DataStoreClient();
+      expect(await nextPage.initialize()).toEqual({ success: true, encrypted: false });
+      await Promise.all([client.flush(), nextPage.flush()]);
+    });
+  });
+
+  describe('in a worker', () => {
+    beforeEach(() => {
+      globalThis.Worker = FakeWorker;
+      globalThis.indexedDB = {};
+    });
+
+    test('sends calls to the worker', async () => {
+      const client = new DataStoreClient();
+      expect(client.local).toBeNull();
+
+      expect((await client.initialize()).success).toBe(true);
+      await client.saveUser('owner', 'ownerpass');
+      const saved = await client.saveFreightDetails(freight);
+      const records = await client.getUserFreightRecords(1);
+
+      expect(saved.success).toBe(true);
+      expect(records).toHaveLength(1);
+      expect(FakeWorker.instances).toHaveLength(1);
+      expect(FakeWorker.instances[0].options).toEqual({ type: 'module' });
+      expect(FakeWorker.instances[0].url).toContain('datastore-worker.js');
+      expect(FakeWorker.instances[0].received).toEqual(['initialize', 'saveUser', 'saveFreightDetails', 'getUserFreightRecords']);
+    });
+
+    test('shares one worker between the clients on a page', async () => {
+      const authClient = new DataStoreClient();
+      const pageClient = new DataStoreClient();
+
+      await authClient.initialize();
+      await authClient.saveUser('owner', 'ownerpass');
+      await pageClient.saveFreightDetails(freight);
+
+      expect(FakeWorker.instances).toHaveLength(1);
+      expect(await authClient.getUserFreightRecords(1)).toHaveLength(1);
+    });
+
+    test('rejects with the error raised in the worker', async () => {
+      const client = new DataStoreClient();
+      await expect(client.call('missingMethod', [])).rejects.toThrow();
+    });
+
+    test('asks the worker to flush when the page is hidden', async () => {
+      const client = new DataStoreClient();
+      await client.initialize();
+
+      window.dispatchEvent(new Event('pagehide'));
+      expect(FakeWorker.instances[0].received).toContain('flush');
+    });
+
+    test('falls back to the page when the worker cannot initialize', async () => {
+      const postMessage = FakeWorker.prototype.postMessage;
+      FakeWorker.prototype.postMessage = function (message) {
+        this.received.push(message.method);
+        setTimeout(() => this.listeners.message.forEach(listener =>
+          listener({ data: { id: message.id, result: { success: false, error: 'IndexedDB blocked' } } })), 0);
+      };
+
+      try {
+        const client = new DataStoreClient();
+        const result = await client.initialize();
+
+        expect(result.success).toBe(true);
+        expect(client.local.constructor.name).toBe('DataStoreManager');
+        expect(FakeWorker.instances[0].terminated).toBe(true);
+        expect(DataStoreClient.connection).toBeNull();
+      } finally {
+        FakeWorker.prototype.postMessage = postMessage;
+      }
+    });
+
+    test('keeps a database still in LocalStorage on the page', () => {
+      localStorage.setItem(new DataStoreManager().STORAGE_KEY, JSON.stringify([1, 2, 3, 4]));
+
+      const client = new DataStoreClient();
+      expect(client.local.constructor.name).toBe('DataStoreManager');
+    });
+  });
+});
@@ -60,23 +60,36 @@ describe('DocumentGenerator', () => {
       expect(result.taxes).toBe(0);
       expect(result.total).toBe(1000);
     });
+
+    test('adds line item charges and keeps non-taxable ones out of the taxable value', () => {
+      const result = generator.calculateTotals(1000, 100, 90, [
+        { type: 'loading', amount: 200, taxable: true },
+        { type: 'toll', amount: 350, taxable: false }
+      ]);
+
+      expect(result.charges).toBe(550);
+      expect(result.taxableValue).toBe(1100); // (1000 - 100) + 200
+      expect(result.total).toBe(1540); // (1000 - 100) + 550 + 90
+    });
   });
 
-  describe('generateDocumentNumber', () => {
-    test('generates unique document numbers', () => {
-      const num1 = generator.generateDocumentNumber();
-      const num2 = generator.generateDocumentNumber();
-      
-      expect(num1).not.toBe(num2);
-      expect(typeof num1).toBe('string');
-      expect(typeof num2).toBe('string');
+  describe('document number', () => {
+    test('prints the issued document number when one is supplied', () => {
+      const bilty = generator.generateBilty(sampleFreightDetails, { documentNumber: 'ABC/24-25/0001' });
+      const invoice = generator.generateInvoice(sampleFreightDetails, { documentNumber: 'INV/24-25/0007' });
+
+      expect(bilty.innerHTML).toContain('ABC/24-25/0001');
+      expect(invoice.innerHTML).toContain('INV/24-25/0007');
     });
 
-    test('generates document numbers with correct format', () => {
-      const num = generator.generateDocumentNumber();
-      
-      // Should be timestamp (13 digits) + random (3 digits) = 16 characters
-      expect(num.length).toBeGreaterThanOrEqual(16);
+    test('generateBoth prints each document with its own number', () => {
+      const { bilty, invoice } = generator.generateBoth(sampleFreightDetails, {
+        documentNumbers: { bilty: 'LR/24-25/0003', invoice: 'INV/24-25/0005' }
+      });
+
+      expect(bilty.innerHTML).toContain('LR/24-25/0003');
+      expect(bilty.innerHTML).not.toContain('INV/24-25/0005');
+      expect(invoice.innerHTML).toContain('INV/24-25/0005');
     });
   });
 
@@ -165,6 +178,75 @@ describe('DocumentGenerator', () => {
       expect(html).toContain('Delivery Confirmation');
       expect(html).toContain('Received By:');
     });
+
+    test('prints the freight basis when payment terms are given', () => {
+      const html = generator.generateBilty(sampleFreightDetails, {
+        paymentTerms: { termsDays: 0, advancePercent: 0, freightBasis: 'toPay' }
+      }).innerHTML;
+
+      expect(html).toContain('Freight Basis:');
+      expect(html).toContain('To Pay');
+      expect(generator.generateBilty(sampleFreightDetails).innerHTML).not.toContain('Freight Basis:');
+    });
+  });
+
+  describe('document dates', () => {
+    test('prints the stored bilty and invoice dates instead of today', () => {
+      const record = { ...sampleFreightDetails, biltyDate: '2024-01-15', invoiceDate: '2024-01-16' };
+
+      expect(generator.generateBilty(record).textContent).toContain('Date: 2024-01-15');
+      expect(generator.generateInvoice(record).textContent).toContain('Date: 2024-01-16');
+    });
+
+    test('prefers the date the document was issued on', () => {
+      const record = { ...sampleFreightDetails, invoiceDate: '2024-01-16' };
+
+      expect(generator.generateInvoice(record, { documentDate: '2024-01-17' }).textContent).toContain('Date: 2024-01-17');
+    });
+
+    test("falls back to today's date for records without one", () => {
+      expect(generator.generateBilty(sampleFreightDetails).textContent).toContain(`Date: ${generator.formatDate()}`);
+    });
+  });
+
+  describe('duplicate mark', () => {
+    test('marks reprints of issued documents as DUPLICATE', () => {
+      const bilty = generator.generateBilty(sampleFreightDetails, { documentNumber: 'LR/24-25/0001', duplicate: true });
+      const invoice = generator.generateInvoice(sampleFreightDetails, { documentNumber: 'INV/24-25/0001', duplicate: true });
+
+      expect(bilty.querySelector('.document-duplicate').textContent).toBe('DUPLICATE');
+      expect(invoice.querySelector('.document-duplicate').textContent).toBe('DUPLICATE');
+    });
+
+    test('leaves the original unmarked', () => {
+      expect(generator.generateBilty(sampleFreightDetails).querySelector('.document-duplicate')).toBeNull();
+      expect(generator.generateInvoice(sampleFreightDetails, { duplicate: false }).textContent).not.toContain('DUPLICATE');
+    });
+  });
+
+  describe('draft mark', () => {
+    test('prints previews with the number DRAFT and marks them as not issued', () => {
+      const bilty = generator.generateBilty(sampleFreightDetails, { draft: true });
+      const invoice = generator.generateInvoice(sampleFreightDetails, { documentNumber: 'INV/24-25/0001', draft: true });
+
+      expect(bilty.textContent).toContain('Document No: DRAFT');
+      expect(invoice.textContent).toContain('Invoice No: DRAFT');
+      expect(invoice.textContent).not.toContain('INV/24-25/0001');
+      expect(bilty.querySelector('.document-draft').textContent).toBe('DRAFT – NOT ISSUED');
+    });
+
+    test('prints documents without an issued number as DRAFT', () => {
+      const bilty = generator.generateBilty(sampleFreightDetails);
+      const invoice = generator.generateInvoice(sampleFreightDetails, { documentNumber: null });
+
+      expect(bilty.textContent).toContain('Document No: DRAFT');
+      expect(invoice.textContent).toContain('Invoice No: DRAFT');
+      expect(invoice.querySelector('.document-draft')).not.toBeNull();
+    });
+
+    test('leaves issued documents unmarked', () => {
+      expect(generator.generateBilty(sampleFreightDetails, { documentNumber: 'LR/24-25/0001' }).querySelector('.document-draft')).toBeNull();
+    });
   });
 
   describe('generateInvoice', () => {
@@ -238,6 +320,18 @@ describe('DocumentGenerator', () => {
       expect(html).toContain('Payment due within 30 days');
     });
 
+    test('prints the party\'s payment terms and the stored due date', () => {
+      const html = generator.generateInvoice(sampleFreightDetails, {
+        paymentTerms: { termsDays: 15, advancePercent: 0, freightBasis: 'tbb' },
+        dueDate: '2024-02-04'
+      }).innerHTML;
+
+      expect(html).toContain('Freight basis: To Be Billed (TBB).');
+      expect(html).toContain('Payment due within 15 days of invoice date.');
+      expect(html).toContain('Due date: 2024-02-04');
+      expect(html).not.toContain('30 days');
+    });
+
     test('includes itemized charges breakdown', () => {
       const invoice = generator.generateInvoice(sampleFreightDetails);
       const html = invoice.innerHTML;
@@ -250,6 +344,361 @@ describe('DocumentGenerator', () => {
     });
   });
 
+  describe('company profile branding', () => {
+    const companyProfile = {
+      id: 7,
+      name: 'Sharma Roadways',
+      address: '12 Transport Nagar',
+      city: 'Jaipur',
+      state: 'Rajasthan',
+      pincode: '302003',
+      gstNumber: '08ABCDE1234F1Z5',
+      panNumber: 'ABCDE1234F',
+      phone: '9876543210',
+      email: 'accounts@sharmaroadways.in'
+    };
+
+    test('prints the selected company profile on the bilty', () => {
+      const bilty = generator.generateBilty(sampleFreightDetails, { companyProfile });
+      const html = bilty.innerHTML;
+
+      expect(html).toContain('Sharma Roadways');
+      expect(html).toContain('12 Transport Nagar, Jaipur, Rajasthan, 302003');
+      expect(html).toContain('GSTIN: 08ABCDE1234F1Z5');
+      expect(html).toContain('PAN: ABCDE1234F');
+      expect(html).toContain('Phone: 9876543210');
+      expect(html).toContain('accounts@sharmaroadways.in');
+      expect(html).not.toContain(DocumentConfig.companyName);
+    });
+
+    test('prints the selected company profile on the invoice payment terms', () => {
+      const invoice = generator.generateInvoice(sampleFreightDetails, { companyProfile });
+      const html = invoice.innerHTML;
+
+      expect(html).toContain('Please make payment to: Sharma Roadways');
+      expect(html).toContain('For Sharma Roadways');
+      expect(html).not.toContain(DocumentConfig.companyName);
+    });
+
+    test('falls back to DocumentConfig when no profile is given', () => {
+      const details = generator.getCompanyDetails(null);
+
+      expect(details.name).toBe(DocumentConfig.companyName);
+      expect(details.address).toBe(DocumentConfig.companyAddress);
+      expect(details.gstNumber).toBeNull();
+    });
+
+    test('generateBoth passes the profile to both documents', () => {
+      const result = generator.generateBoth(sampleFreightDetails, { companyProfile });
+
+      expect(result.bilty.innerHTML).toContain('Sharma Roadways');
+      expect(result.invoice.innerHTML).toContain('Sharma Roadways');
+    });
+  });
+
+  describe('GST lines', () => {
+    const gstFreight = (overrides) => ({
+      origin: 'Jaipur',
+      destination: 'Ahmedabad',
+      goodsDescription: 'Marble slabs',
+      weight: 9000,
+      amount: 20000,
+      discount: 0,
+      gstRate: 12,
+      reverseCharge: false,
+      supplyType: 'intra',
+      cgst: 1200,
+      sgst: 1200,
+      igst: 0,
+      taxes: 2400,
+      ...overrides
+    });
+
+    test('prints SAC code 9965 on every invoice', () => {
+      const invoice = generator.generateInvoice(sampleFreightDetails);
+
+      expect(invoice.innerHTML).toContain('9965');
+    });
+
+    test('prints CGST and SGST for intra-state supply', () => {
+      const html = generator.generateInvoice(gstFreight()).innerHTML;
+
+      expect(html).toContain('CGST @ 6%');
+      expect(html).toContain('SGST @ 6%');
+      expect(html).not.toContain('IGST');
+      expect(html).toContain('22400.00');
+      expect(html).toContain('Tax payable on reverse charge: No');
+    });
+
+    test('prints IGST and place of supply for inter-state supply', () => {
+      const html = generator.generateInvoice(
+        gstFreight({ supplyType: 'inter', cgst: 0, sgst: 0, igst: 2400, consigneeState: 'Gujarat' })
+      ).innerHTML;
+
+      expect(html).toContain('IGST @ 12%');
+      expect(html).not.toContain('CGST');
+      expect(html).toContain('Gujarat');
+    });
+
+    test('shows RCM tax as payable by recipient and leaves it out of the total', () => {
+      const html = generator.generateInvoice(
+        gstFreight({ gstRate: 5, reverseCharge: true, cgst: 500, sgst: 500, taxes: 0 })
+      ).innerHTML;
+
+      expect(html).toContain('Tax payable on reverse charge: Yes');
+      expect(html).toContain('CGST @ 2.5%: ₹ 500.00');
+      expect(html).toContain('Total Amount Due');
+      expect(html).toContain('₹ 20000.00');
+      expect(html).not.toContain('21000.00');
+    });
+  });
+
+  describe('parties', () => {
+    const parties = {
+      consignor: { name: 'Shree Marble Works', address: 'Plot 12, RIICO', city: 'Kishangarh', state: 'Rajasthan', gstNumber: '08ABCDE1234F1Z5' },
+      consignee: { name: 'Gujarat Tiles Depot', city: 'Ahmedabad', state: 'Gujarat', phone: '9876543210' },
+      billingParty: { name: 'Shree Marble Works', city: 'Kishangarh', state: 'Rajasthan', gstNumber: '08ABCDE1234F1Z5' }
+    };
+
+    test('prints consignor, consignee and billing party on the bilty', () => {
+      const html = generator.generateBilty(sampleFreightDetails, { parties }).innerHTML;
+
+      expect(html).toContain('Consignor');
+      expect(html).toContain('Plot 12, RIICO');
+      expect(html).toContain('Gujarat Tiles Depot');
+      expect(html).toContain('Billing Party');
+      expect(html).toContain('08ABCDE1234F1Z5');
+    });
+
+    test('prints the billing party as Bill To on the invoice', () => {
+      const html = generator.generateInvoice(sampleFreightDetails, { parties }).innerHTML;
+
+      expect(html).toContain('Bill To');
+      expect(html).toContain('Phone: 9876543210');
+    });
+
+    test('omits the parties section when no parties are chosen', () => {
+      const html = generator.generateBilty(sampleFreightDetails).innerHTML;
+
+      expect(html).not.toContain('Consignor');
+      expect(html).not.toContain('Billing Party');
+    });
+  });
+
+  describe('driver and vehicle', () => {
+    test('prints the assigned driver and vehicle on the bilty', () => {
+      const html = generator.generateBilty(sampleFreightDetails, {
+        vehicle: { registrationNumber: 'RJ14GB4521', vehicleType: '10-wheeler', capacity: 16000, ownerName: 'Balaji Roadlines' },
+        driver: { name: 'Suresh Yadav', licenceNumber: 'RJ1420150012345', phone: '9829012345' }
+      }).innerHTML;
+
+      expect(html).toContain('Driver Name: Suresh Yadav');
+      expect(html).toContain('Licence No: RJ1420150012345');
+      expect(html).toContain('Vehicle Number: RJ14GB4521');
+      expect(html).toContain('Owner: Balaji Roadlines');
+    });
+
+    test('leaves blanks to fill in by hand when nothing is assigned', () => {
+      const html = generator.generateBilty(sampleFreightDetails).innerHTML;
+
+      expect(html).toContain('Driver Name: _______________________');
+      expect(html).toContain('Vehicle Number: _______________________');
+    });
+  });
+
+  describe('line items', () => {
+    const lineItems = [
+      { type: 'loading', description: '', amount: 500, taxable: true },
+      { type: 'toll', description: 'Toll - NH48', amount: 750, taxable: false }
+    ];
+
+    test('lists each charge on the invoice and includes it in the total', () => {
+      const html = generator.generateInvoice({
+        ...sampleFreightDetails,
+        discount: 0,
+        taxes: 0,
+        lineItems
+      }).innerHTML;
+
+      expect(html).toContain('Loading Charges');
+      expect(html).toContain('Toll - NH48');
+      expect(html).toContain('16250.00'); // 15000 + 500 + 750
+    });
+
+    test('taxes only the taxable charges when GST applies', () => {
+      const html = generator.generateInvoice({
+        ...sampleFreightDetails,
+        amount: 10000,
+        discount: 0,
+        gstRate: 12,
+        reverseCharge: false,
+        supplyType: 'intra',
+        cgst: 630,
+        sgst: 630,
+        igst: 0,
+        taxes: 1260,
+        lineItems
+      }).innerHTML;
+
+      expect(html).toContain('Toll - NH48 (GST not applicable)');
+      expect(html).toContain('10500.00'); // Taxable value: 10000 + 500
+      expect(html).toContain('12510.00'); // 10000 + 1250 + 1260
+    });
+
+    test('prints the charges on the bilty', () => {
+      const html = generator.generateBilty({ ...sampleFreightDetails, lineItems }).innerHTML;
+
+      expect(html).toContain('Loading Charges');
+      expect(html).toContain('₹ 750.00');
+    });
+  });
+
+  describe('consolidated invoice', () => {
+    const invoice = { invoiceNumber: 'INV/24-25/0007', createdAt: '2024-07-31T10:00:00' };
+    const records = [
+      { id: 1, lrNumber: 'LR/24-25/0011', createdAt: '2024-07-02T09:00:00', origin: 'Pune', destination: 'Nashik', goodsDescription: 'Cement', weight: 9000, amount: 12000, discount: 0, taxes: 0 },
+      {
+        id: 2, lrNumber: 'LR/24-25/0015', createdAt: '2024-07-19T09:00:00', origin: 'Pune', destination: 'Surat', goodsDescription: 'Steel', weight: 7500, amount: 18000, discount: 1000, taxes: 1020,
+        gstRate: 12, reverseCharge: false, supplyType: 'inter', cgst: 0, sgst: 0, igst: 1020,
+        lineItems: [{ type: 'loading', amount: 500, taxable: true }]
+      }
+    ];
+
+    test('lists each LR with its date, route, weight and amount', () => {
+      const html = generator.generateConsolidatedInvoice(invoice, records).innerHTML;
+
+      expect(html).toContain('Invoice No: INV/24-25/0007');
+      expect(html).toContain('LR/24-25/0011');
+      expect(html).toContain('2024-07-19');
+      expect(html).toContain('Pune → Surat');
+      expect(html).toContain('7500');
+      expect(html).toContain('₹ 17500.00'); // 18000 - 1000 + 500
+    });
+
+    test('sums the consignments into a grand total with tax', () => {
+      const html = generator.generateConsolidatedInvoice(invoice, records).innerHTML;
+
+      expect(html).toContain('Sub-total (2 consignments)');
+      expect(html).toContain('₹ 29500.00');
+      expect(html).toContain('IGST');
+      expect(html).toContain('₹ 30520.00');
+    });
+
+    test('prints the billing party as Bill To', () => {
+      const html = generator.generateConsolidatedInvoice(invoice, records, {
+        billingParty: { name: 'Deccan Cements Ltd', city: 'Pune', state: 'Maharashtra' }
+      }).innerHTML;
+
+      expect(html).toContain('Bill To');
+      expect(html).toContain('Deccan Cements Ltd');
+    });
+
+    test('prints the payment terms with the invoice due date', () => {
+      const html = generator.generateConsolidatedInvoice({ ...invoice, dueDate: '2024-08-30' }, records, {
+        paymentTerms: { termsDays: 30, advancePercent: 0, freightBasis: 'tbb' }
+      }).innerHTML;
+
+      expect(html).toContain('Payment due within 30 days of invoice date.');
+      expect(html).toContain('Due date: 2024-08-30');
+    });
+
+    test('prints the issue date and marks reprints as DUPLICATE', () => {
+      const reprint = generator.generateConsolidatedInvoice({ ...invoice, issueDate: '2024-07-30' }, records, { duplicate: true });
+
+      expect(reprint.textContent).toContain('Date: 2024-07-30');
+      expect(reprint.querySelector('.document-duplicate').textContent).toBe('DUPLICATE');
+      expect(generator.generateConsolidatedInvoice(invoice, records).textContent).not.toContain('DUPLICATE');
+    });
+
+    test('returns null without records', () => {
+      expect(generator.generateConsolidatedInvoice(invoice, [])).toBeNull();
+    });
+  });
+
+  describe('payment receipt', () => {
+    const payment = {
+      receiptNumber: 'RCT/24-25/0003',
+      paymentDate: '2024-08-10',
+      amount: 9000,
+      tdsAmount: 180,
+      mode: 'cheque',
+      reference: 'CHQ 445566'
+    };
+
+    test('prints the receipt number, mode and amounts settled', () => {
+      const html = generator.generatePaymentReceipt(payment, { invoiceNumber: 'INV/24-25/0007' }).innerHTML;
+
+      expect(html).toContain('PAYMENT RECEIPT');
+      expect(html).toContain('Receipt No: RCT/24-25/0003');
+      expect(html).toContain('INV/24-25/0007');
+      expect(html).toContain('Cheque');
+      expect(html).toContain('CHQ 445566');
+      expect(html).toContain('₹ 9000.00');
+      expect(html).toContain('TDS Deducted');
+      expect(html).toContain('₹ 9180.00');
+    });
+
+    test('prints the party and the invoice balance after the payment', () => {
+      const html = generator.generatePaymentReceipt(payment, {
+        receivedFrom: { name: 'Deccan Cements Ltd', city: 'Pune', state: 'Maharashtra' },
+        receivable: { total: 30520, settled: 9180, outstanding: 21340 }
+      }).innerHTML;
+
+      expect(html).toContain('Received From');
+      expect(html).toContain('Deccan Cements Ltd');
+      expect(html).toContain('₹ 30520.00');
+      expect(html).toContain('₹ 21340.00');
+    });
+
+    test('leaves out TDS when none was deducted', () => {
+      const html = generator.generatePaymentReceipt({ ...payment, tdsAmount: 0 }).innerHTML;
+
+      expect(html).not.toContain('TDS Deducted');
+    });
+
+    test('returns null without a payment', () => {
+      expect(generator.generatePaymentReceipt(null)).toBeNull();
+    });
+  });
+
+  describe('custom fields', () => {
+    const customFieldDefinitions = [
+      { fieldName: 'vehicle_number', fieldLabel: 'Vehicle Number', fieldType: 'text' },
+      { fieldName: 'packages', fieldLabel: 'No. of Packages', fieldType: 'number' }
+    ];
+
+    test('prints custom field values with their labels on both documents', () => {
+      const details = {
+        ...sampleFreightDetails,
+        customFields: { vehicle_number: 'MH12AB1234', packages: 12 }
+      };
+
+      const result = generator.generateBoth(details, { customFieldDefinitions });
+
+      [result.bilty.innerHTML, result.invoice.innerHTML].forEach(html => {
+        expect(html).toContain('Additional Details');
+        expect(html).toContain('Vehicle Number:');
+        expect(html).toContain('MH12AB1234');
+        expect(html).toContain('No. of Packages:');
+      });
+    });
+
+    test('prints values of removed fields using the field name', () => {
+      const details = { ...sampleFreightDetails, customFields: { seal_number: 'S-991' } };
+
+      const html = generator.generateBilty(details, { customFieldDefinitions }).innerHTML;
+
+      expect(html).toContain('Seal Number:');
+      expect(html).toContain('S-991');
+    });
+
+    test('omits the section when there are no custom field values', () => {
+      const html = generator.generateInvoice(sampleFreightDetails, { customFieldDefinitions }).innerHTML;
+
+      expect(html).not.toContain('Additional Details');
+    });
+  });
+
   describe('generateBoth', () => {
     test('generates both bilty and invoice documents', () => {
       const result = generator.generateBoth(sampleFreightDetails);
@@ -277,6 +726,15 @@ describe('DocumentGenerator', () => {
       expect(invoiceHtml).toContain(sampleFreightDetails.goodsDescription);
     });
 
+    test('prints the issue date of each document', () => {
+      const result = generator.generateBoth(sampleFreightDetails, {
+        documentDates: { bilty: '2024-01-15', invoice: '2024-01-18' }
+      });
+
+      expect(result.bilty.textContent).toContain('Date: 2024-01-15');
+      expect(result.invoice.textContent).toContain('Date: 2024-01-18');
+    });
+
     test('returns null documents for missing freight details', () => {
       const result = generator.generateBoth(null);
       
@@ -327,4 +785,68 @@ describe('DocumentGenerator', () => {
       expect(html).toContain('0.00');
     });
   });
+
+  describe('hostile input', () => {
+    const payload = '<img src=x onerror="alert(1)"><script>alert(2)</script>';
+    const breakout = '" onmouseover="alert(3)';
+
+    const expectInert = (element) => {
+      expect(element.querySelector('img[src="x"], script, [onmouseover]')).toBeNull();
+      expect(element.textContent).toContain(payload);
+    };
+
+    test('prints freight details as text on the bilty and invoice', () => {
+      const details = {
+        ...sampleFreightDetails,
+        origin: payload,
+        destination: payload,
+        goodsDescription: payload,
+        ewayBillNumber: payload,
+        ewayBillDate: breakout,
+        lineItems: [{ type: 'other', description: payload, amount: 100, taxable: true }],
+        customFields: { [payload]: breakout, seal_number: payload }
+      };
+
+      const result = generator.generateBoth(details, {
+        customFieldDefinitions: [{ fieldName: 'seal_number', fieldLabel: payload, fieldType: 'text' }]
+      });
+
+      expectInert(result.bilty);
+      expectInert(result.invoice);
+      expect(result.bilty.textContent).toContain(breakout);
+    });
+
+    test('prints company, party, driver and vehicle details as text', () => {
+      const party = { name: payload, address: payload, city: payload, gstNumber: payload, phone: payload };
+      const bilty = generator.generateBilty(sampleFreightDetails, {
+        companyProfile: { name: payload, address: payload, gstNumber: breakout, email: payload, website: payload },
+        parties: { consignor: party, consignee: party, billingParty: party },
+        vehicle: { registrationNumber: payload, vehicleType: payload, ownerName: payload },
+        driver: { name: payload, licenceNumber: payload, phone: payload }
+      });
+
+      expectInert(bilty);
+    });
+
+    test('prints consolidated invoice and receipt details as text', () => {
+      const record = { id: 1, lrNumber: payload, origin: payload, destination: payload, goodsDescription: payload, amount: 100 };
+      const invoice = generator.generateConsolidatedInvoice({ invoiceNumber: payload }, [record], {
+        billingParty: { name: payload }
+      });
+      const receipt = generator.generatePaymentReceipt(
+        { receiptNumber: payload, paymentDate: payload, amount: 100, mode: 'cash', reference: payload },
+        { invoiceNumber: payload, receivedFrom: { name: payload } }
+      );
+
+      expectInert(invoice);
+      expectInert(receipt);
+    });
+
+    test('escapes markup in the serialized document opened in a new window', () => {
+      const markup = generator.generateBilty({ ...sampleFreightDetails, goodsDescription: payload }).outerHTML;
+
+      expect(markup).not.toContain('<script>');
+      expect(markup).toContain('&lt;script&gt;alert(2)&lt;/script&gt;');
+    });
+  });
 });
@@ -0,0 +1,117 @@
+/**
+ * Unit tests for GstCalculator
+ * Tests GST rate selection and CGST/SGST/IGST split by place of supply
+ */
+
+import { GstCalculator } from '../assets/js/gst.js';
+
+describe('GstCalculator', () => {
+  let calculator;
+
+  beforeEach(() => {
+    calculator = new GstCalculator();
+  });
+
+  describe('parseSelection', () => {
+    test('maps forward charge rates', () => {
+      expect(calculator.parseSelection('12')).toEqual({ gstRate: 12, reverseCharge: false });
+    });
+
+    test('maps RCM to the 5% reverse charge rate', () => {
+      expect(calculator.parseSelection('rcm')).toEqual({ gstRate: 5, reverseCharge: true });
+    });
+
+    test('treats empty or unknown values as no GST', () => {
+      expect(calculator.parseSelection('')).toEqual({ gstRate: null, reverseCharge: false });
+      expect(calculator.parseSelection('7')).toEqual({ gstRate: null, reverseCharge: false });
+    });
+
+    test('round trips through toSelection', () => {
+      ['', '5', '12', '18', 'rcm'].forEach(selection => {
+        const { gstRate, reverseCharge } = calculator.parseSelection(selection);
+        expect(calculator.toSelection(gstRate, reverseCharge)).toBe(selection);
+      });
+    });
+  });
+
+  describe('isInterState', () => {
+    test('compares state names case and spacing insensitively', () => {
+      expect(calculator.isInterState('Maharashtra', ' maharashtra ')).toBe(false);
+      expect(calculator.isInterState('Jammu & Kashmir', 'Jammu and Kashmir')).toBe(false);
+      expect(calculator.isInterState('Maharashtra', 'Gujarat')).toBe(true);
+    });
+
+    test('treats unknown states as intra-state', () => {
+      expect(calculator.isInterState('', 'Gujarat')).toBe(false);
+      expect(calculator.isInterState('Maharashtra', '')).toBe(false);
+    });
+  });
+
+  describe('calculate', () => {
+    test('splits intra-state GST into CGST and SGST', () => {
+      const result = calculator.calculate({
+        amount: 10000, discount: 1000, gstRate: 12,
+        supplierState: 'Maharashtra', recipientState: 'Maharashtra'
+      });
+
+      expect(result.taxableValue).toBe(9000);
+      expect(result.supplyType).toBe('intra');
+      expect(result.cgst).toBe(540);
+      expect(result.sgst).toBe(540);
+      expect(result.igst).toBe(0);
+      expect(result.taxes).toBe(1080);
+    });
+
+    test('adds taxable line item charges to the taxable value', () => {
+      const result = calculator.calculate({
+        amount: 10000, discount: 1000, taxableCharges: 500, gstRate: 12,
+        supplierState: 'Maharashtra', recipientState: 'Maharashtra'
+      });
+
+      expect(result.taxableValue).toBe(9500);
+      expect(result.taxes).toBe(1140);
+    });
+
+    test('charges IGST on inter-state supply', () => {
+      const result = calculator.calculate({
+        amount: 10000, gstRate: 18, supplierState: 'Maharashtra', recipientState: 'Delhi'
+      });
+
+      expect(result.supplyType).toBe('inter');
+      expect(result.igst).toBe(1800);
+      expect(result.cgst + result.sgst).toBe(0);
+      expect(result.taxes).toBe(1800);
+    });
+
+    test('defaults the place of supply to the company state', () => {
+      const result = calculator.calculate({ amount: 1000, gstRate: 5, supplierState: 'Rajasthan' });
+
+      expect(result.placeOfSupply).toBe('Rajasthan');
+      expect(result.cgst).toBe(25);
+    });
+
+    test('computes but does not charge tax under reverse charge', () => {
+      const result = calculator.calculate({
+        amount: 1000, gstRate: 5, reverseCharge: true, supplierState: 'Rajasthan', recipientState: 'Gujarat'
+      });
+
+      expect(result.reverseCharge).toBe(true);
+      expect(result.igst).toBe(50);
+      expect(result.taxes).toBe(0);
+    });
+
+    test('rounds each component to paise', () => {
+      const result = calculator.calculate({ amount: 333.33, gstRate: 5 });
+
+      expect(result.cgst).toBe(8.33);
+      expect(result.sgst).toBe(8.33);
+    });
+
+    test('returns zero tax without a GST rate', () => {
+      const result = calculator.calculate({ amount: 5000, discount: 500 });
+
+      expect(result.gstRate).toBeNull();
+      expect(result.taxes).toBe(0);
+    });
+  });
+});
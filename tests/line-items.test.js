@@ -0,0 +1,64 @@
+/**
+ * Unit tests for LineItemCalculator
+ */
+
+import { LineItemCalculator } from '../assets/js/line-items.js';
+
+describe('LineItemCalculator', () => {
+  let calculator;
+
+  beforeEach(() => {
+    calculator = new LineItemCalculator();
+  });
+
+  describe('normalize', () => {
+    test('defaults GST applicability from the charge type', () => {
+      const [loading, toll] = calculator.normalize([
+        { type: 'loading', amount: 300 },
+        { type: 'toll', amount: 450 }
+      ]);
+
+      expect(loading.taxable).toBe(true);
+      expect(toll.taxable).toBe(false);
+    });
+
+    test('keeps an explicit GST choice on a row', () => {
+      const [toll] = calculator.normalize([{ type: 'toll', amount: 450, taxable: true }]);
+
+      expect(toll.taxable).toBe(true);
+    });
+
+    test('drops rows without a positive amount and rounds to paise', () => {
+      const items = calculator.normalize([
+        { type: 'hamali', amount: '' },
+        { type: 'hamali', amount: -50 },
+        { type: 'detention', description: '  2 days  ', amount: '1200.456' }
+      ]);
+
+      expect(items).toEqual([{ type: 'detention', description: '2 days', amount: 1200.46, taxable: true }]);
+    });
+
+    test('treats unknown charge types as other charges', () => {
+      const [item] = calculator.normalize([{ type: 'crane', amount: 800 }]);
+
+      expect(item.type).toBe('other');
+      expect(calculator.getLabel(item)).toBe('Other Charges');
+    });
+  });
+
+  describe('summarize', () => {
+    test('sums charges by GST applicability', () => {
+      const summary = calculator.summarize([
+        { type: 'loading', amount: 300 },
+        { type: 'unloading', amount: 200.25 },
+        { type: 'toll', amount: 450 }
+      ]);
+
+      expect(summary).toEqual({ total: 950.25, taxable: 500.25, nonTaxable: 450 });
+    });
+
+    test('returns zeros when there are no charges', () => {
+      expect(calculator.summarize(undefined)).toEqual({ total: 0, taxable: 0, nonTaxable: 0 });
+    });
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Unit tests for PaymentTracker
+ */
+
+import { PaymentTracker } from '../assets/js/payments.js';
+
+describe('PaymentTracker', () => {
+  let tracker;
+  const onDate = new Date(2024, 6, 15);
+
+  beforeEach(() => {
+    tracker = new PaymentTracker();
+  });
+
+  describe('getRecordTotal', () => {
+    test('adds charges and tax to the discounted freight', () => {
+      const total = tracker.getRecordTotal({
+        amount: 10000,
+        discount: 500,
+        taxes: 1200,
+        lineItems: [{ type: 'toll', amount: 450 }]
+      });
+
+      expect(total).toBe(11150);
+    });
+  });
+
+  describe('describeTerms', () => {
+    test('prints credit terms, the advance and the due date', () => {
+      const lines = tracker.describeTerms(
+        { termsDays: 45, advancePercent: 20, freightBasis: 'tbb' },
+        { total: 11800, dueDate: '2024-08-29' }
+      );
+
+      expect(lines).toEqual([
+        'Freight basis: To Be Billed (TBB).',
+        'Payment due within 45 days of invoice date.',
+        'Advance of 20% (₹ 2360.00) payable at booking; balance by the due date.',
+        'Due date: 2024-08-29'
+      ]);
+    });
+
+    test('says who pays paid and to-pay freight', () => {
+      expect(tracker.describeTerms({ termsDays: 30, advancePercent: 0, freightBasis: 'toPay' }))
+        .toEqual(['Freight basis: To Pay.', 'Freight payable by the consignee on delivery.']);
+      expect(tracker.describeTerms({ termsDays: 30, advancePercent: 0, freightBasis: 'paid' })[1])
+        .toBe('Freight payable by the consignor at booking.');
+    });
+
+    test('treats zero net days as due on receipt', () => {
+      expect(tracker.describeTerms({ termsDays: 0, freightBasis: 'tbb' })[1]).toBe('Payment due on receipt of invoice.');
+    });
+  });
+
+  describe('summarize', () => {
+    test('counts TDS towards settling the invoice', () => {
+      const summary = tracker.summarize({
+        total: 10000,
+        payments: [{ amount: 9800, tdsAmount: 200 }],
+        dueDate: '2024-07-01',
+        onDate
+      });
+
+      expect(summary).toMatchObject({ received: 9800, tds: 200, settled: 10000, outstanding: 0, status: 'paid' });
+    });
+
+    test('marks a part payment before the due date as partially paid', () => {
+      const summary = tracker.summarize({ total: 10000, payments: [{ amount: 4000 }], dueDate: '2024-07-15', onDate });
+
+      expect(summary.outstanding).toBe(6000);
+      expect(summary.status).toBe('partiallyPaid');
+    });
+
+    test('marks an unsettled invoice past its due date as overdue', () => {
+      expect(tracker.summarize({ total: 10000, payments: [], dueDate: '2024-07-14', onDate }).status).toBe('overdue');
+      expect(tracker.summarize({ total: 10000, payments: [], dueDate: '2024-07-15', onDate }).status).toBe('unpaid');
+    });
+  });
+
+  describe('buildReceivables', () => {
+    const records = [
+      { id: 1, amount: 5000, createdAt: '2024-06-01T10:00:00' },
+      { id: 2, amount: 3000, createdAt: '2024-07-01T10:00:00' },
+      { id: 3, amount: 2000, createdAt: '2024-07-02T10:00:00' }
+    ];
+    const consolidatedInvoices = [
+      { id: 7, invoiceNumber: 'INV/24-25/0002', createdAt: '2024-07-05T10:00:00', dueDate: '2024-08-04', freightIds: [2, 3] }
+    ];
+    const billedFreight = new Map([[1, { invoiceNumber: 'INV/24-25/0001', consolidatedInvoiceId: null, dueDate: '2024-07-01' }]]);
+
+    test('shares one receivable across the records of a consolidated invoice', () => {
+      const receivables = tracker.buildReceivables(records, [
+        { consolidatedInvoiceId: 7, amount: 1000, tdsAmount: 0 }
+      ], { consolidatedInvoices, onDate });
+
+      expect(receivables.get(2)).toBe(receivables.get(3));
+      expect(receivables.get(2)).toMatchObject({
+        consolidatedInvoiceId: 7,
+        invoiceNumber: 'INV/24-25/0002',
+        total: 5000,
+        outstanding: 4000,
+        dueDate: '2024-08-04',
+        status: 'partiallyPaid'
+      });
+    });
+
+    test('bills other records on their own invoice', () => {
+      const receivables = tracker.buildReceivables(records, [], { billedFreight, consolidatedInvoices, onDate });
+
+      expect(receivables.get(1)).toMatchObject({
+        freightId: 1,
+        invoiceNumber: 'INV/24-25/0001',
+        dueDate: '2024-07-01',
+        status: 'overdue'
+      });
+    });
+
+    test('leaves records that are not invoiced yet without a due date', () => {
+      const receivables = tracker.buildReceivables(records, [], { onDate });
+
+      expect(receivables.get(1)).toMatchObject({ invoiceNumber: null, dueDate: null, status: 'unpaid' });
+    });
+
+    test('totals outstanding, due this week and overdue balances once per invoice', () => {
+      const receivables = tracker.buildReceivables(records, [], { billedFreight, consolidatedInvoices, onDate });
+
+      expect(tracker.summarizeOutstanding(receivables.values(), new Date(2024, 6, 29))).toEqual({
+        outstanding: 10000,
+        outstandingCount: 2,
+        dueThisWeek: 5000,
+        dueThisWeekCount: 1,
+        overdue: 5000,
+        overdueCount: 1
+      });
+    });
+  });
+
+  describe('getDueBucket', () => {
+    const receivable = { outstanding: 1000, dueDate: '2024-07-21' };
+
+    test('buckets balances due within the next seven days', () => {
+      expect(tracker.getDueBucket(receivable, new Date(2024, 6, 15))).toBe('dueThisWeek');
+      expect(tracker.getDueBucket(receivable, new Date(2024, 6, 14))).toBeNull();
+    });
+
+    test('buckets balances past their due date as overdue', () => {
+      expect(tracker.getDueBucket(receivable, new Date(2024, 6, 22))).toBe('overdue');
+    });
+
+    test('ignores settled and uninvoiced balances', () => {
+      expect(tracker.getDueBucket({ ...receivable, outstanding: 0 }, new Date(2024, 6, 22))).toBeNull();
+      expect(tracker.getDueBucket({ outstanding: 1000, dueDate: null }, new Date(2024, 6, 22))).toBeNull();
+    });
+  });
+
+  describe('validate', () => {
+    const payment = { paymentDate: '2024-07-15', amount: 1000, tdsAmount: 0, mode: 'upi' };
+
+    test('accepts a payment within the outstanding balance', () => {
+      expect(tracker.validate(payment, 1000)).toEqual([]);
+    });
+
+    test('rejects a payment larger than the outstanding balance', () => {
+      expect(tracker.validate({ ...payment, tdsAmount: 20 }, 1000))
+        .toEqual(['Payment exceeds the outstanding balance of ₹1000.00']);
+    });
+
+    test('requires a date, a mode and an amount', () => {
+      expect(tracker.validate({ amount: 0, tdsAmount: 0 }, 1000)).toEqual([
+        'Payment date is required',
+        'Choose a payment mode',
+        'Enter the amount received or TDS deducted'
+      ]);
+    });
+  });
+});
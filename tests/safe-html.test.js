@@ -0,0 +1,86 @@
+/**
+ * Unit tests for the safe HTML templating helpers
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { SafeHtml, html, escapeHtml } from '../assets/js/safe-html.js';
+
+describe('SafeHtml', () => {
+  const hostile = '<img src=x onerror="alert(1)">';
+
+  describe('escapeHtml', () => {
+    test('escapes markup and quote characters', () => {
+      expect(escapeHtml(`<a href='x'>"Tom" & Jerry</a>`))
+        .toBe('&lt;a href=&#39;x&#39;&gt;&quot;Tom&quot; &amp; Jerry&lt;/a&gt;');
+    });
+
+    test('returns an empty string for null and undefined but keeps zero', () => {
+      expect(escapeHtml(null)).toBe('');
+      expect(escapeHtml(undefined)).toBe('');
+      expect(escapeHtml(0)).toBe('0');
+    });
+  });
+
+  describe('html', () => {
+    test('escapes interpolated values', () => {
+      const markup = html`<td>${hostile}</td>`;
+
+      expect(markup).toBeInstanceOf(SafeHtml);
+      expect(String(markup)).toBe('<td>&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</td>');
+    });
+
+    test('renders hostile values as text in the DOM', () => {
+      const cell = document.createElement('div');
+      cell.innerHTML = html`<p title="${hostile}">${hostile}</p>`;
+
+      expect(cell.querySelector('img')).toBeNull();
+      expect(cell.querySelector('p').textContent).toBe(hostile);
+      expect(cell.querySelector('p').getAttribute('title')).toBe(hostile);
+      expect(cell.querySelector('p').getAttribute('onerror')).toBeNull();
+    });
+
+    test('nests templates without escaping them twice', () => {
+      const rows = ['A & B', 'C'].map(name => html`<li>${name}</li>`);
+
+      expect(String(html`<ul>${rows}</ul>`)).toBe('<ul><li>A &amp; B</li><li>C</li></ul>');
+    });
+
+    test('renders nothing for null, undefined and false', () => {
+      expect(String(html`<p>${null}${undefined}${false}</p>`)).toBe('<p></p>');
+      expect(String(html`<p>${0}</p>`)).toBe('<p>0</p>');
+    });
+
+    test('escapes plain strings even when they look like markup', () => {
+      const nested = `<b>${'bold'}</b>`;
+
+      expect(String(html`${nested}`)).toBe('&lt;b&gt;bold&lt;/b&gt;');
+    });
+  });
+
+  describe('highlight', () => {
+    test('wraps each case-insensitive match in a span', () => {
+      expect(String(SafeHtml.highlight('Navi Mumbai', 'mum', 'hit')))
+        .toBe('Navi <span class="hit">Mum</span>bai');
+    });
+
+    test('matches regular expression characters literally', () => {
+      expect(String(SafeHtml.highlight('Sangli-Miraj & Kupwad', '& k', 'hit')))
+        .toBe('Sangli-Miraj <span class="hit">&amp; K</span>upwad');
+      expect(() => SafeHtml.highlight('Delhi', '(', 'hit')).not.toThrow();
+      expect(String(SafeHtml.highlight('Delhi', '.*', 'hit'))).toBe('Delhi');
+    });
+
+    test('escapes the text and the search term', () => {
+      const markup = String(SafeHtml.highlight(`${hostile} cargo`, '<img', 'hit'));
+
+      expect(markup).toBe('<span class="hit">&lt;img</span> src=x onerror=&quot;alert(1)&quot;&gt; cargo');
+    });
+  });
+
+  describe('escapeRegExp', () => {
+    test('escapes pattern characters', () => {
+      expect(new RegExp(SafeHtml.escapeRegExp('a.b*(c)')).test('a.b*(c)')).toBe(true);
+      expect(new RegExp(SafeHtml.escapeRegExp('a.b')).test('axb')).toBe(false);
+    });
+  });
+});
@@ -81,6 +81,9 @@ async function runTests() {
   const validator = new FormValidator();
   const generator = new DocumentGenerator();
 
+  // A fresh database has no users until first-run setup creates the owner
+  await dataStore.completeSetup({ username: 'admin', password: 'admin123', company: { name: 'E2E Transport' } });
+
   console.log('\n--- Test Suite 1: Authentication Flow ---');
   
   // Test 1: Invalid login
@@ -98,7 +101,7 @@ async function runTests() {
   );
 
   // Test 3: Session persistence
-  const isAuth = authManager.isAuthenticated();
+  const isAuth = await authManager.isAuthenticated();
   logTest(
     'Session should persist after login',
     isAuth === true
@@ -272,8 +275,8 @@ async function runTests() {
   console.log('\n--- Test Suite 5: Session Management ---');
 
   // Test 20: Logout
-  authManager.logout();
-  const isAuthAfterLogout = authManager.isAuthenticated();
+  await authManager.logout();
+  const isAuthAfterLogout = await authManager.isAuthenticated();
   logTest(
     'Session should be terminated after logout',
     !isAuthAfterLogout
@@ -323,15 +326,14 @@ async function runTests() {
   console.log('\n--- Test Suite 7: User Data Isolation ---');
 
   // Test 26: Create second user
-  const user2Hash = await authManager.hashPassword('password123');
-  const user2Save = dataStore.saveUser('testuser', user2Hash);
+  const user2Save = await dataStore.saveUser('testuser', 'password123');
   logTest(
     'Should be able to create second user',
     user2Save.success
   );
 
   // Test 27: Login as second user
-  authManager.logout();
+  await authManager.logout();
   const user2Login = await authManager.login('testuser', 'password123');
   logTest(
     'Should be able to login as second user',
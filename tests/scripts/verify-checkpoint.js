@@ -107,23 +107,23 @@ try {
   testsFailed++;
 }
 
-// Test 5: Document number generation
+// Test 5: Draft mark for documents without an issued number
 try {
-  log('\nTest 5: Document number generation', 'info');
+  log('\nTest 5: Draft mark', 'info');
   const generator = new DocumentGenerator();
   
-  const docNum1 = generator.generateDocumentNumber();
-  const docNum2 = generator.generateDocumentNumber();
+  const draftMark = String(generator.createDraftMark(true));
+  const issuedMark = String(generator.createDraftMark(false));
   
-  if (docNum1 && docNum2 && docNum1 !== docNum2) {
-    log(`Generated unique document numbers: ${docNum1}, ${docNum2}`, 'pass');
+  if (draftMark.includes('DRAFT') && issuedMark === '') {
+    log('Unissued documents are marked as drafts', 'pass');
     testsPassed++;
   } else {
-    log('Document number generation failed or not unique', 'fail');
+    log('Draft mark missing or printed on issued documents', 'fail');
     testsFailed++;
   }
 } catch (error) {
-  log(`Document number generation failed: ${error.message}`, 'fail');
+  log(`Draft mark failed: ${error.message}`, 'fail');
   testsFailed++;
 }
 
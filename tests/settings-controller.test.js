@@ -0,0 +1,53 @@
+/**
+ * Unit tests for SettingsController
+ * Tests that the settings cards show what users typed as text
+ */
+
+import { SettingsController } from '../assets/js/settings-controller.js';
+
+describe('SettingsController', () => {
+  const hostile = '<img src=x onerror="alert(1)">';
+  let controller;
+  let container;
+
+  beforeEach(() => {
+    controller = new SettingsController();
+    controller.permissions = new Set(['companies.manage', 'customFields.manage']);
+    document.body.innerHTML = '<div id="container"></div>';
+    container = document.getElementById('container');
+  });
+
+  test('should render company profile fields as text', () => {
+    container.innerHTML = controller.renderCompanyCard({
+      id: 1,
+      name: hostile,
+      address: hostile,
+      city: hostile,
+      state: 'Maharashtra',
+      pincode: '411001',
+      gstNumber: hostile,
+      isDefault: true
+    }, hostile);
+
+    expect(container.querySelector('img')).toBeNull();
+    expect(container.querySelector('h3').textContent).toBe(hostile);
+    expect(container.textContent).toContain(`${hostile}, Maharashtra, 411001`);
+    expect(container.querySelector('#edit-company-1')).not.toBeNull();
+  });
+
+  test('should render custom field types and options as text', () => {
+    container.innerHTML = controller.renderCustomFieldCard({
+      id: 1,
+      fieldLabel: hostile,
+      fieldName: 'notes',
+      fieldType: hostile,
+      isRequired: true,
+      options: [hostile, 'Other']
+    });
+
+    expect(container.querySelector('img')).toBeNull();
+    expect(container.textContent).toContain(`Type: ${hostile}`);
+    expect(container.textContent).toContain(`Options: ${hostile}, Other`);
+    expect(container.querySelector('#delete-field-1')).not.toBeNull();
+  });
+});
@@ -11,7 +11,21 @@ globalThis.TextDecoder = TextDecoder;
 if (!globalThis.crypto) {
   globalThis.crypto = {};
 }
-globalThis.crypto.subtle = crypto.webcrypto.subtle;
+// Password hashing uses 600,000 PBKDF2 iterations, which would make the property-based
+// tests take minutes; derive with at most 1,000 (hashes are still salted and compared the same way)
+globalThis.crypto.subtle = new Proxy(crypto.webcrypto.subtle, {
+  get(target, property) {
+    if (property === 'deriveBits') {
+      return (algorithm, key, length) => target.deriveBits(
+        algorithm.name === 'PBKDF2' ? { ...algorithm, iterations: Math.min(algorithm.iterations, 1000) } : algorithm,
+        key,
+        length
+      );
+    }
+    const value = target[property];
+    return typeof value === 'function' ? value.bind(target) : value;
+  }
+});
 globalThis.crypto.getRandomValues = crypto.webcrypto.getRandomValues.bind(crypto.webcrypto);
 
 // Mock sql.js for testing
@@ -20,11 +34,26 @@ global.initSqlJs = async () => {
   class MockDatabase {
     constructor(data) {
       this.tables = {
+        organisations: [],
         users: [],
         freight_details: [],
-        document_history: []
+        freight_line_items: [],
+        document_history: [],
+        document_counters: [],
+        consolidated_invoices: [],
+        consolidated_invoice_items: [],
+        payments: [],
+        invites: [],
+        sessions: [],
+        login_attempts: [],
+        recovery_codes: []
       };
       this.lastInsertId = 0;
+      // Organisations and sessions are numbered on their own, as SQLite does per table,
+      // so the first account is still user 1 and logging in doesn't shift later IDs
+      this.lastOwnSequenceId = null;
+      this.nextSessionId = 1;
+      this.nextRecoveryCodeId = 1;
     }
 
     run(sql) {
@@ -37,10 +66,88 @@ global.initSqlJs = async () => {
     prepare(sql) {
       const db = this;
       let boundParams = null;
+      // Rows of users without an organisation belong to nobody
+      const inOrganisation = (row, organisationId) => organisationId != null && row.organisation_id === organisationId;
+      // Backups read, delete and insert whole rows of any table, or an organisation's rows of it, one statement each
+      const backupScope = /^(SELECT \* FROM|DELETE FROM) (\w+)(?: WHERE (\w+) (?:= \?|IN \(SELECT id FROM (\w+) WHERE organisation_id = \?\)))?$/;
+      const inBackupScope = (row, [, , , column, parentTable], value) => {
+        if (!column) return true;
+        if (!parentTable) return value != null && row[column] === value;
+        return db.tables[parentTable].some(parent => parent.id === row[column] && inOrganisation(parent, value));
+      };
       
       return {
         run(params) {
-          if (sql.includes('INSERT INTO users')) {
+          const backupInsert = sql.match(/^INSERT INTO (\w+) \(([\w, ]+)\) VALUES/);
+          const backupDelete = sql.startsWith('DELETE') && sql.match(backupScope);
+          if (backupInsert) {
+            const row = Object.fromEntries(backupInsert[2].split(', ').map((column, index) => [column, params[index]]));
+            if (row.id == null) {
+              row.id = ++db.lastInsertId;
+            }
+            (db.tables[backupInsert[1]] ||= []).push(row);
+          } else if (backupDelete) {
+            const table = backupDelete[2];
+            db.tables[table] = (db.tables[table] || []).filter(row => !inBackupScope(row, backupDelete, params[0]));
+          } else if (sql.includes('INSERT INTO organisations')) {
+            db.lastOwnSequenceId = db.tables.organisations.length + 1;
+            db.tables.organisations.push({ id: db.lastOwnSequenceId, name: params[0], created_at: new Date().toISOString() });
+          } else if (sql.includes('UPDATE organisations SET idle_timeout_minutes')) {
+            const [minutes, id] = params;
+            const organisation = db.tables.organisations.find(o => o.id === id);
+            if (organisation) {
+              organisation.idle_timeout_minutes = minutes;
+            }
+          } else if (sql.includes('UPDATE organisations SET name')) {
+            const [name, minutes, id] = params;
+            Object.assign(db.tables.organisations.find(o => o.id === id) || {}, { name, idle_timeout_minutes: minutes });
+          } else if (sql.includes('INSERT OR REPLACE INTO login_attempts')) {
+            const [username, failedCount, lastFailedAt, lockedUntil] = params;
+            db.tables.login_attempts = db.tables.login_attempts.filter(a => a.username !== username);
+            db.tables.login_attempts.push({ username, failed_count: failedCount, last_failed_at: lastFailedAt, locked_until: lockedUntil });
+          } else if (sql.includes('DELETE FROM login_attempts')) {
+            db.tables.login_attempts = db.tables.login_attempts.filter(a => a.username !== params[0]);
+          } else if (sql.includes('INSERT INTO recovery_codes')) {
+            db.tables.recovery_codes.push({
+              id: db.nextRecoveryCodeId++,
+              user_id: params[0],
+              code_hash: params[1],
+              code_salt: params[2],
+              code_algorithm: params[3],
+              code_iterations: params[4],
+              used_at: null,
+              created_at: new Date().toISOString()
+            });
+          } else if (sql.includes('UPDATE recovery_codes SET used_at')) {
+            const [usedAt, id] = params;
+            db.tables.recovery_codes.find(c => c.id === id).used_at = usedAt;
+          } else if (sql.includes('DELETE FROM recovery_codes')) {
+            db.tables.recovery_codes = db.tables.recovery_codes.filter(c => c.user_id !== params[0]);
+          } else if (sql.includes('INSERT INTO sessions')) {
+            db.lastOwnSequenceId = db.nextSessionId++;
+            db.tables.sessions.push({
+              id: db.lastOwnSequenceId,
+              user_id: params[0],
+              token_hash: params[1],
+              user_agent: params[2],
+              created_at: params[3],
+              last_active_at: params[4],
+              expires_at: params[5]
+            });
+          } else if (sql.includes('UPDATE sessions SET last_active_at')) {
+            const [lastActiveAt, id] = params;
+            const session = db.tables.sessions.find(s => s.id === id);
+            if (session) {
+              session.last_active_at = lastActiveAt;
+            }
+          } else if (sql.includes('DELETE FROM sessions WHERE user_id')) {
+            const [userId, keepTokenHash] = params;
+            db.tables.sessions = db.tables.sessions.filter(s => s.user_id !== userId || s.token_hash === keepTokenHash);
+          } else if (sql.includes('DELETE FROM sessions')) {
+            const key = ['expires_at', 'token_hash', 'id'].find(column => sql.includes(`WHERE ${column}`));
+            db.tables.sessions = db.tables.sessions.filter(s =>
+              key === 'expires_at' ? s.expires_at > params[0] : s[key] !== params[0]);
+          } else if (sql.includes('INSERT INTO users')) {
             db.lastInsertId++;
             const existing = db.tables.users.find(u => u.username === params[0]);
             if (existing) {
@@ -50,8 +157,30 @@ global.initSqlJs = async () => {
               id: db.lastInsertId,
               username: params[0],
               password_hash: params[1],
+              password_salt: params[2],
+              password_algorithm: params[3],
+              password_iterations: params[4],
+              role: params[5] ?? 'owner',
+              organisation_id: params[6] ?? null,
               created_at: new Date().toISOString()
             });
+          } else if (sql.includes('UPDATE users SET role')) {
+            const [role, id] = params;
+            const user = db.tables.users.find(u => u.id === id);
+            if (user) {
+              user.role = role;
+            }
+          } else if (sql.includes('UPDATE users')) {
+            const [hash, salt, algorithm, iterations, id] = params;
+            const user = db.tables.users.find(u => u.id === id);
+            if (user) {
+              Object.assign(user, {
+                password_hash: hash,
+                password_salt: salt,
+                password_algorithm: algorithm,
+                password_iterations: iterations
+              });
+            }
           } else if (sql.includes('INSERT INTO freight_details')) {
             db.lastInsertId++;
             db.tables.freight_details.push({
@@ -66,32 +195,378 @@ global.initSqlJs = async () => {
               taxes: params[7],
               eway_bill_number: params[8],
               eway_bill_date: params[9],
+              company_profile_id: params[10] ?? null,
+              custom_fields: params[11] ?? null,
+              gst_rate: params[12] ?? null,
+              gst_reverse_charge: params[13] ?? 0,
+              consignee_state: params[14] ?? null,
+              supply_type: params[15] ?? null,
+              cgst: params[16] ?? 0,
+              sgst: params[17] ?? 0,
+              igst: params[18] ?? 0,
+              consignor_id: params[19] ?? null,
+              consignee_id: params[20] ?? null,
+              billing_party_id: params[21] ?? null,
+              vehicle_id: params[22] ?? null,
+              driver_id: params[23] ?? null,
+              organisation_id: params[24] ?? null,
+              booking_date: params[25] ?? null,
+              bilty_date: params[26] ?? null,
+              invoice_date: params[27] ?? null,
+              created_at: new Date().toISOString()
+            });
+          } else if (/UPDATE freight_details SET (bilty|invoice)_date = \?/.test(sql)) {
+            const column = sql.match(/(bilty|invoice)_date/)[0];
+            const freight = db.tables.freight_details.find(f => f.id === params[1]);
+            if (freight) {
+              freight[column] = params[0];
+            }
+          } else if (sql.includes('UPDATE freight_details')) {
+            // Only the document dates and audit columns are modelled: the three dates and modified_by,
+            // then the record ID and organisation
+            const [bookingDate, biltyDate, invoiceDate, modifiedBy, id, organisationId] = params.slice(-6);
+            const freight = db.tables.freight_details.find(f => f.id === id && inOrganisation(f, organisationId));
+            if (freight) {
+              Object.assign(freight, {
+                booking_date: bookingDate,
+                bilty_date: biltyDate,
+                invoice_date: invoiceDate,
+                modified_by: modifiedBy,
+                modified_at: new Date().toISOString()
+              });
+            }
+          } else if (sql.includes('INSERT INTO freight_line_items')) {
+            db.lastInsertId++;
+            db.tables.freight_line_items.push({
+              id: db.lastInsertId,
+              freight_id: params[0],
+              item_type: params[1],
+              description: params[2],
+              amount: params[3],
+              taxable: params[4],
+              sort_order: params[5]
+            });
+          } else if (sql.includes('DELETE FROM freight_line_items')) {
+            db.tables.freight_line_items = db.tables.freight_line_items.filter(item => item.freight_id !== params[0]);
+          } else if (sql.includes('INSERT INTO document_history')) {
+            // Issues and reprints insert different columns, so values are mapped by the column list
+            const columns = sql.match(/INSERT INTO document_history \(([^)]*)\)/)[1].split(',').map(column => column.trim());
+            const values = Object.fromEntries(columns.map((column, index) => [column, params[index] ?? null]));
+            db.lastInsertId++;
+            db.tables.document_history.push({
+              id: db.lastInsertId,
+              document_number: null,
+              financial_year: null,
+              due_date: null,
+              issue_date: null,
+              snapshot: null,
+              generated_by: null,
+              ...values,
+              generated_at: new Date().toISOString()
+            });
+          } else if (sql.includes('INSERT INTO consolidated_invoices')) {
+            db.lastInsertId++;
+            db.tables.consolidated_invoices.push({
+              id: db.lastInsertId,
+              user_id: params[0],
+              company_profile_id: params[1],
+              billing_party_id: params[2],
+              invoice_number: params[3],
+              financial_year: params[4],
+              due_date: params[5] ?? null,
+              organisation_id: params[6] ?? null,
+              issue_date: params[7] ?? null,
+              snapshot: params[8] ?? null,
+              print_count: 0,
               created_at: new Date().toISOString()
             });
+          } else if (sql.includes('UPDATE consolidated_invoices SET print_count')) {
+            const invoice = db.tables.consolidated_invoices.find(i => i.id === params[0] && inOrganisation(i, params[1]));
+            if (invoice) invoice.print_count = (invoice.print_count ?? 0) + 1;
+          } else if (sql.includes('INSERT INTO consolidated_invoice_items')) {
+            if (db.tables.consolidated_invoice_items.some(item => item.freight_id === params[1])) {
+              throw new Error('UNIQUE constraint failed: consolidated_invoice_items.freight_id');
+            }
+            db.lastInsertId++;
+            db.tables.consolidated_invoice_items.push({
+              id: db.lastInsertId,
+              invoice_id: params[0],
+              freight_id: params[1],
+              sort_order: params[2]
+            });
+          } else if (sql.includes('INSERT INTO document_counters')) {
+            db.lastInsertId++;
+            db.tables.document_counters.push({
+              id: db.lastInsertId,
+              organisation_id: params[0],
+              company_profile_id: params[1],
+              document_type: params[2],
+              financial_year: params[3],
+              last_number: params[4],
+              user_id: params[5]
+            });
+          } else if (sql.includes('INSERT INTO payments')) {
+            db.lastInsertId++;
+            db.tables.payments.push({
+              id: db.lastInsertId,
+              user_id: params[0],
+              freight_id: params[1],
+              consolidated_invoice_id: params[2],
+              receipt_number: params[3],
+              payment_date: params[4],
+              amount: params[5],
+              tds_amount: params[6],
+              mode: params[7],
+              reference: params[8],
+              organisation_id: params[9] ?? null,
+              created_at: new Date().toISOString()
+            });
+          } else if (sql.includes('INSERT INTO invites')) {
+            db.lastInsertId++;
+            db.tables.invites.push({
+              id: db.lastInsertId,
+              code_hash: params[0],
+              note: params[1],
+              created_by: params[2],
+              expires_at: params[3],
+              role: params[4] ?? 'clerk',
+              used_by: null,
+              used_at: null,
+              created_at: new Date().toISOString()
+            });
+          } else if (sql.includes('UPDATE invites')) {
+            const [usedBy, usedAt, id] = params;
+            Object.assign(db.tables.invites.find(i => i.id === id), { used_by: usedBy, used_at: usedAt });
+          } else if (sql.includes('DELETE FROM invites')) {
+            const [id, createdBy] = params;
+            db.tables.invites = db.tables.invites.filter(i => !(i.id === id && i.created_by === createdBy && i.used_by === null));
+          } else if (sql.includes('DELETE FROM payments')) {
+            const [id, organisationId] = params;
+            const key = sql.includes('WHERE freight_id') ? 'freight_id' : 'id';
+            db.tables.payments = db.tables.payments.filter(p => !(p[key] === id && inOrganisation(p, organisationId)));
+          } else if (sql.includes('UPDATE document_counters')) {
+            const [lastNumber, organisationId, companyProfileId, documentType, financialYear] = params;
+            const counter = db.tables.document_counters.find(c =>
+              inOrganisation(c, organisationId) && c.company_profile_id === companyProfileId &&
+              c.document_type === documentType && c.financial_year === financialYear);
+            if (counter) {
+              counter.last_number = lastNumber;
+            }
           }
         },
         bind(params) {
           boundParams = params;
         },
         step() {
-          if (sql.includes('SELECT') && sql.includes('FROM users')) {
+          const backupSelect = sql.startsWith('SELECT') && sql.match(backupScope);
+          if (backupSelect) {
+            if (!this.rows) {
+              this.rows = (db.tables[backupSelect[2]] || [])
+                .filter(row => inBackupScope(row, backupSelect, boundParams?.[0]))
+                .map(row => ({ ...row }));
+              this.rowIndex = 0;
+            }
+            return this.rowIndex < this.rows.length;
+          } else if (sql.includes('FROM recovery_codes WHERE user_id')) {
+            this.currentRow = { count: db.tables.recovery_codes.filter(c => c.user_id === boundParams[0] && c.used_at === null).length };
+            return true;
+          } else if (sql.includes('FROM recovery_codes WHERE id')) {
+            this.currentRow = db.tables.recovery_codes.find(c => c.id === boundParams[0] && c.used_at === null);
+            return !!this.currentRow;
+          } else if (sql.includes('FROM recovery_codes rc')) {
+            if (!this.rows) {
+              const user = db.tables.users.find(u => u.username === boundParams[0]);
+              this.rows = db.tables.recovery_codes.filter(c => user && c.user_id === user.id && c.used_at === null);
+              this.rowIndex = 0;
+            }
+            return this.rowIndex < this.rows.length;
+          } else if (sql.includes('FROM login_attempts WHERE username')) {
+            this.currentRow = db.tables.login_attempts.find(a => a.username === boundParams[0]);
+            return !!this.currentRow;
+          } else if (sql.includes('FROM login_attempts la')) {
+            if (!this.rows) {
+              const [organisationId, now] = boundParams;
+              this.rows = db.tables.login_attempts
+                .map(a => ({ ...a, user: db.tables.users.find(u => u.username === a.username) }))
+                .filter(a => a.user && inOrganisation(a.user, organisationId) && a.locked_until > now)
+                .map(a => ({ id: a.user.id, username: a.username, failed_count: a.failed_count, locked_until: a.locked_until }))
+                .sort((a, b) => a.username.localeCompare(b.username));
+              this.rowIndex = 0;
+            }
+            return this.rowIndex < this.rows.length;
+          } else if (sql.includes('FROM sessions s')) {
+            const sessionRow = s => {
+              const user = db.tables.users.find(u => u.id === s.user_id);
+              const organisation = db.tables.organisations.find(o => o.id === user?.organisation_id);
+              return user ? { ...s, username: user.username, organisation_id: user.organisation_id, idle_timeout_minutes: organisation?.idle_timeout_minutes ?? null } : null;
+            };
+            if (sql.includes('WHERE s.token_hash')) {
+              const session = db.tables.sessions.find(s => s.token_hash === boundParams[0]);
+              this.currentRow = session ? sessionRow(session) : null;
+              return !!this.currentRow;
+            }
+            if (!this.rows) {
+              const [organisationId, now, idleSince] = boundParams;
+              this.rows = db.tables.sessions.map(sessionRow)
+                .filter(s => s && inOrganisation(s, organisationId) && s.expires_at > now && s.last_active_at > idleSince)
+                .sort((a, b) => b.last_active_at.localeCompare(a.last_active_at));
+              this.rowIndex = 0;
+            }
+            return this.rowIndex < this.rows.length;
+          } else if (sql.includes('FROM invites WHERE code_hash')) {
+            const [codeHash, now] = boundParams;
+            this.currentRow = db.tables.invites.find(i => i.code_hash === codeHash && i.used_by === null && i.expires_at > now);
+            return !!this.currentRow;
+          } else if (sql.includes('FROM invites i')) {
+            if (!this.rows) {
+              this.rows = db.tables.invites
+                .filter(i => i.created_by === boundParams[0])
+                .map(i => ({ ...i, used_by_username: db.tables.users.find(u => u.id === i.used_by)?.username || null }))
+                .sort((a, b) => b.id - a.id);
+              this.rowIndex = 0;
+            }
+            return this.rowIndex < this.rows.length;
+          } else if (sql.includes('FROM users WHERE id')) {
+            this.currentRow = db.tables.users.find(u => u.id === boundParams[0]);
+            return !!this.currentRow;
+          } else if (sql.includes('FROM users WHERE organisation_id IS NULL')) {
+            if (!this.rows) {
+              this.rows = db.tables.users.filter(u => u.organisation_id == null)
+                .map(u => ({ id: u.id, name: u.username }))
+                .sort((a, b) => a.id - b.id);
+              this.rowIndex = 0;
+            }
+            return this.rowIndex < this.rows.length;
+          } else if (sql.includes('FROM users WHERE organisation_id')) {
+            if (!this.rows) {
+              this.rows = db.tables.users.filter(u => inOrganisation(u, boundParams[0])).sort((a, b) => a.id - b.id);
+              this.rowIndex = 0;
+            }
+            return this.rowIndex < this.rows.length;
+          } else if (sql.includes('FROM organisations WHERE id')) {
+            this.currentRow = db.tables.organisations.find(o => o.id === boundParams[0]);
+            return !!this.currentRow;
+          } else if (sql.includes('FROM organisations ORDER BY')) {
+            this.currentRow = db.tables.organisations[0];
+            return !!this.currentRow;
+          } else if (sql.includes('SELECT') && sql.includes('FROM users')) {
             const username = boundParams[0];
             this.currentRow = db.tables.users.find(u => u.username === username);
             return !!this.currentRow;
+          } else if (sql.includes('FROM freight_line_items')) {
+            if (!this.rows) {
+              const byOrganisation = sql.includes('organisation_id');
+              const freightIds = byOrganisation
+                ? db.tables.freight_details.filter(f => inOrganisation(f, boundParams[0])).map(f => f.id)
+                : [boundParams[0]];
+              this.rows = db.tables.freight_line_items
+                .filter(item => freightIds.includes(item.freight_id))
+                .sort((a, b) => a.freight_id - b.freight_id || a.sort_order - b.sort_order);
+              this.rowIndex = 0;
+            }
+            return this.rowIndex < this.rows.length;
           } else if (sql.includes('SELECT') && sql.includes('FROM freight_details WHERE id')) {
-            const id = boundParams[0];
-            this.currentRow = db.tables.freight_details.find(f => f.id === id);
+            const [id, organisationId] = boundParams;
+            this.currentRow = db.tables.freight_details.find(f => f.id === id && inOrganisation(f, organisationId));
             return !!this.currentRow;
-          } else if (sql.includes('SELECT') && sql.includes('FROM freight_details') && sql.includes('WHERE user_id')) {
-            const userId = boundParams[0];
+          } else if (sql.includes('SELECT') && sql.includes('FROM freight_details') && sql.includes('WHERE organisation_id')) {
+            const organisationId = boundParams[0];
             if (!this.rows) {
-              this.rows = db.tables.freight_details.filter(f => f.user_id === userId);
+              this.rows = db.tables.freight_details.filter(f => inOrganisation(f, organisationId));
               this.rowIndex = 0;
             }
             if (this.rowIndex < this.rows.length) {
               return true;
             }
             return false;
+          } else if (sql.includes('FROM consolidated_invoices WHERE id')) {
+            const [id, organisationId] = boundParams;
+            this.currentRow = db.tables.consolidated_invoices.find(i => i.id === id && inOrganisation(i, organisationId));
+            return !!this.currentRow;
+          } else if (sql.includes('FROM consolidated_invoices') && sql.includes('WHERE organisation_id')) {
+            if (!this.rows) {
+              this.rows = db.tables.consolidated_invoices.filter(i => inOrganisation(i, boundParams[0]));
+              this.rowIndex = 0;
+            }
+            return this.rowIndex < this.rows.length;
+          } else if (sql.includes('FROM payments')) {
+            if (sql.includes('WHERE id')) {
+              const [id, organisationId] = boundParams;
+              this.currentRow = db.tables.payments.find(p => p.id === id && inOrganisation(p, organisationId));
+              return !!this.currentRow;
+            }
+            if (!this.rows) {
+              this.rows = db.tables.payments
+                .filter(p => inOrganisation(p, boundParams[0]))
+                .sort((a, b) => a.payment_date.localeCompare(b.payment_date) || a.id - b.id);
+              this.rowIndex = 0;
+            }
+            return this.rowIndex < this.rows.length;
+          } else if (sql.includes('SELECT freight_id FROM consolidated_invoice_items')) {
+            if (!this.rows) {
+              this.rows = db.tables.consolidated_invoice_items
+                .filter(item => item.invoice_id === boundParams[0])
+                .sort((a, b) => a.sort_order - b.sort_order);
+              this.rowIndex = 0;
+            }
+            return this.rowIndex < this.rows.length;
+          } else if (sql.includes('FROM consolidated_invoice_items cii')) {
+            const invoiceRow = item => {
+              const invoice = db.tables.consolidated_invoices.find(i => i.id === item.invoice_id);
+              return {
+                invoice_id: item.invoice_id,
+                freight_id: item.freight_id,
+                sort_order: item.sort_order,
+                id: invoice.id,
+                invoice_number: invoice.invoice_number,
+                due_date: invoice.due_date,
+                organisation_id: invoice.organisation_id
+              };
+            };
+            if (sql.includes('WHERE cii.freight_id')) {
+              const item = db.tables.consolidated_invoice_items.find(i => i.freight_id === boundParams[0]);
+              this.currentRow = item ? invoiceRow(item) : null;
+              return !!this.currentRow;
+            }
+            if (!this.rows) {
+              this.rows = db.tables.consolidated_invoice_items
+                .map(invoiceRow)
+                .filter(row => inOrganisation(row, boundParams[0]))
+                .sort((a, b) => a.sort_order - b.sort_order);
+              this.rowIndex = 0;
+            }
+            return this.rowIndex < this.rows.length;
+          } else if (sql.includes('FROM document_history dh') && sql.includes('generated_at DESC')) {
+            if (!this.rows) {
+              const [freightId, organisationId] = boundParams;
+              const freight = db.tables.freight_details.find(f => f.id === freightId && inOrganisation(f, organisationId));
+              this.rows = db.tables.document_history
+                .filter(h => freight && h.freight_id === freightId)
+                .sort((a, b) => b.id - a.id)
+                .map(h => ({ ...h, has_snapshot: h.snapshot !== null ? 1 : 0 }));
+              this.rowIndex = 0;
+            }
+            return this.rowIndex < this.rows.length;
+          } else if (sql.includes('FROM document_history dh')) {
+            if (!this.rows) {
+              const freightIds = db.tables.freight_details.filter(f => inOrganisation(f, boundParams[0])).map(f => f.id);
+              const documentType = sql.includes("'bilty'") ? 'bilty' : 'invoice';
+              this.rows = db.tables.document_history.filter(h =>
+                freightIds.includes(h.freight_id) && h.document_type === documentType && h.document_number);
+              this.rowIndex = 0;
+            }
+            return this.rowIndex < this.rows.length;
+          } else if (sql.includes('SELECT document_number') && sql.includes('FROM document_history')) {
+            const [freightId, documentType] = boundParams;
+            this.currentRow = db.tables.document_history.find(h =>
+              h.freight_id === freightId && h.document_type === documentType && h.document_number);
+            return !!this.currentRow;
+          } else if (sql.includes('SELECT last_number FROM document_counters')) {
+            const [organisationId, companyProfileId, documentType, financialYear] = boundParams;
+            this.currentRow = db.tables.document_counters.find(c =>
+              inOrganisation(c, organisationId) && c.company_profile_id === companyProfileId &&
+              c.document_type === documentType && c.financial_year === financialYear);
+            return !!this.currentRow;
           }
           return false;
         },
@@ -111,9 +586,16 @@ global.initSqlJs = async () => {
     }
 
     exec(sql) {
+      if (sql.includes('COUNT(*) FROM users')) {
+        return [{
+          values: [[this.tables.users.length]]
+        }];
+      }
       if (sql.includes('last_insert_rowid')) {
+        const id = this.lastOwnSequenceId ?? this.lastInsertId;
+        this.lastOwnSequenceId = null;
         return [{
-          values: [[this.lastInsertId]]
+          values: [[id]]
         }];
       }
       return [];
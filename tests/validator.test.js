@@ -1,4 +1,4 @@
-import { describe, test, expect, beforeEach } from '@jest/globals';
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
 import { FormValidator } from '../assets/js/validator.js';
 import fc from 'fast-check';
 
@@ -198,6 +198,169 @@ describe('FormValidator', () => {
     });
   });
 
+  describe('validateNonNegative', () => {
+    test('accepts zero discount and taxes in the freight form', () => {
+      const result = validator.validateFreightForm({
+        origin: 'Mumbai',
+        destination: 'Delhi',
+        goodsDescription: 'Electronics',
+        weight: 100,
+        amount: 5000,
+        discount: 0,
+        taxes: 0
+      });
+
+      expect(result.valid).toBe(true);
+    });
+
+    test('rejects negative values', () => {
+      const result = validator.validateNonNegative(-1, 'discount');
+
+      expect(result.valid).toBe(false);
+      expect(result.error).toBe('Discount cannot be negative');
+    });
+
+    test('rejects non-numeric values', () => {
+      expect(validator.validateNonNegative('abc', 'taxes').valid).toBe(false);
+    });
+  });
+
+  describe('validateGstin', () => {
+    test('accepts a well-formed GSTIN in any case', () => {
+      expect(validator.validateGstin('27ABCDE1234F1Z5').valid).toBe(true);
+      expect(validator.validateGstin('27abcde1234f1z5').valid).toBe(true);
+    });
+
+    test('accepts an empty GSTIN', () => {
+      expect(validator.validateGstin('').valid).toBe(true);
+    });
+
+    test('rejects malformed GSTINs', () => {
+      const result = validator.validateGstin('27ABCDE1234F1X5');
+
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('15 characters');
+      expect(validator.validateGstin('27ABCDE1234').valid).toBe(false);
+    });
+  });
+
+  describe('validatePaymentTerms', () => {
+    test('accepts blank and in-range terms', () => {
+      expect(validator.validatePaymentTerms({ paymentTermsDays: '', advancePercent: '' }).valid).toBe(true);
+      expect(validator.validatePaymentTerms({ paymentTermsDays: '45', advancePercent: '12.5' }).valid).toBe(true);
+    });
+
+    test('rejects fractional or out-of-range net days', () => {
+      expect(validator.validatePaymentTerms({ paymentTermsDays: '7.5' }).error).toBe('Net days must be a whole number from 0 to 365');
+      expect(validator.validatePaymentTerms({ paymentTermsDays: '400' }).valid).toBe(false);
+    });
+
+    test('rejects an advance above 100%', () => {
+      expect(validator.validatePaymentTerms({ advancePercent: '120' }).error).toBe('Advance must be between 0% and 100%');
+    });
+  });
+
+  describe('validateDocumentDates', () => {
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date(2024, 5, 20, 10) });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('accepts blank dates and dates within the window', () => {
+      expect(validator.validateDocumentDates({}, { backdateDays: 30 })).toEqual([]);
+      expect(validator.validateDocumentDates({
+        bookingDate: '2024-05-21', biltyDate: '2024-06-01', invoiceDate: '2024-06-20'
+      }, { backdateDays: 30 })).toEqual([]);
+    });
+
+    test('rejects future, too old and invalid dates', () => {
+      const errors = validator.validateDocumentDates({
+        bookingDate: '2024-05-20', biltyDate: '2024-06-21', invoiceDate: '2024-13-01'
+      }, { backdateDays: 30 });
+
+      expect(errors).toEqual([
+        { field: 'bookingDate', message: "Booking Date can't be more than 30 days ago" },
+        { field: 'biltyDate', message: "Bilty Date can't be in the future" },
+        { field: 'invoiceDate', message: 'Invoice Date must be a valid date' }
+      ]);
+    });
+
+    test('rejects bilty and invoice dates before the booking date', () => {
+      const errors = validator.validateDocumentDates({ bookingDate: '2024-06-10', invoiceDate: '2024-06-09' });
+
+      expect(errors).toEqual([{ field: 'invoiceDate', message: "Invoice Date can't be before the booking date" }]);
+    });
+
+    test('skips dates that are unchanged from the stored record', () => {
+      const original = { bookingDate: '2024-01-05' };
+
+      expect(validator.validateDocumentDates(original, { backdateDays: 30, original })).toEqual([]);
+      expect(validator.validateFreightForm({
+        origin: 'Mumbai', destination: 'Delhi', goodsDescription: 'Steel', weight: 10, amount: 100, bookingDate: '2024-01-06'
+      }, [], { backdateDays: 30, original }).valid).toBe(false);
+    });
+  });
+
+  describe('validateCustomFields', () => {
+    const definitions = [
+      { fieldName: 'vehicle_number', fieldLabel: 'Vehicle Number', fieldType: 'text', isRequired: true },
+      { fieldName: 'packages', fieldLabel: 'Packages', fieldType: 'number', isRequired: false },
+      { fieldName: 'loading_date', fieldLabel: 'Loading Date', fieldType: 'date', isRequired: false },
+      { fieldName: 'payment_basis', fieldLabel: 'Payment Basis', fieldType: 'select', isRequired: false, options: ['Paid', 'To Pay'] }
+    ];
+
+    test('accepts valid values for every field type', () => {
+      const errors = validator.validateCustomFields({
+        vehicle_number: 'MH12AB1234',
+        packages: 12,
+        loading_date: '2024-01-15',
+        payment_basis: 'To Pay'
+      }, definitions);
+
+      expect(errors).toEqual([]);
+    });
+
+    test('flags missing required custom fields', () => {
+      const errors = validator.validateCustomFields({}, definitions);
+
+      expect(errors).toEqual([
+        { field: 'custom_vehicle_number', message: 'Vehicle Number is required' }
+      ]);
+    });
+
+    test('rejects values that do not match the field type', () => {
+      const errors = validator.validateCustomFields({
+        vehicle_number: 'MH12AB1234',
+        packages: 'twelve',
+        loading_date: '15/01/2024',
+        payment_basis: 'Credit'
+      }, definitions);
+
+      expect(errors.map(error => error.field)).toEqual([
+        'custom_packages',
+        'custom_loading_date',
+        'custom_payment_basis'
+      ]);
+    });
+
+    test('validateFreightForm includes custom field errors', () => {
+      const result = validator.validateFreightForm({
+        origin: 'Mumbai',
+        destination: 'Delhi',
+        goodsDescription: 'Electronics',
+        weight: 100,
+        amount: 5000,
+        customFields: {}
+      }, definitions);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContainEqual({ field: 'custom_vehicle_number', message: 'Vehicle Number is required' });
+    });
+  });
+
   // Property-Based Tests
   describe('Property-Based Tests', () => {
     // Feature: transport-invoice-system, Property 5: Required field validation